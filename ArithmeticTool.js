@@ -0,0 +1,186 @@
+import { FloatingPanel } from './FloatingPanel.js';
+import { VolumeArithmetic } from './VolumeArithmetic.js';
+import { VolumeResampler } from './VolumeResampler.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+
+// Operations of the panel: fields shown for each, units of the result (undefined: those of A)
+const OPERATIONS = {
+    add: { label: 'Add (A + B)', fields: ['b', 'interpolation'] },
+    subtract: { label: 'Subtract (A - B)', fields: ['b', 'interpolation'] },
+    scale: { label: 'Scale', fields: ['factor'] },
+    normalize: { label: 'Normalize', fields: ['mode', 'target'], units: '' },
+    crop: { label: 'Crop to Box', fields: ['cropMin', 'cropMax'] },
+    downsample: { label: 'Downsample', fields: ['factors'] },
+    mask: { label: 'Threshold to Mask', fields: ['maskMin', 'maskMax'], units: '' }
+};
+
+/**
+ * Volume operations on the imported volumes (VolumeArithmetic): sums and differences of runs,
+ * scaling, normalization, crops, block downsampling and threshold masks. Each result is a new volume
+ * placed like A whose params record its provenance, also written as the Comment of its MetaImage export.
+ * B is resampled onto the grid of A through both transforms by the workers, as in VolumeComparator.
+ */
+export class ArithmeticTool {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+    }
+
+    open() {
+        const volumes = this.manager.importedVolumes;
+        if (!volumes.length) {
+            alert("Load a volume first.");
+            return;
+        }
+        this.close();
+
+        this.panel = new FloatingPanel(this.manager.container, 'Volume Operations', { onClose: () => this.close() });
+        const volumeOptions = this.manager.getVolumeOptions();
+        const vector = (label, values, step) => values.map((v, a) => this.panel.addField(`${label} ${'XYZ'[a]}`, FloatingPanel.createNumberInput(v, step)));
+
+        const f = {
+            operation: this.panel.addField('Operation', FloatingPanel.createSelect(
+                Object.entries(OPERATIONS).map(([value, op]) => ({ value, label: op.label })), 'add')),
+            a: this.panel.addField('Volume A', FloatingPanel.createSelect(volumeOptions, volumeOptions[0].value)),
+            b: this.panel.addField('Volume B', FloatingPanel.createSelect(volumeOptions, volumeOptions[Math.min(1, volumeOptions.length - 1)].value)),
+            interpolation: this.panel.addField('Interpolation', FloatingPanel.createSelect([
+                { value: 'linear', label: 'Trilinear' }, { value: 'nearest', label: 'Nearest' }
+            ], 'linear')),
+            factor: this.panel.addField('Factor', FloatingPanel.createNumberInput(1)),
+            mode: this.panel.addField('Normalize', FloatingPanel.createSelect([
+                { value: 'max', label: 'Maximum' }, { value: 'mean', label: 'Mean' }
+            ], 'max')),
+            target: this.panel.addField('To Value', FloatingPanel.createNumberInput(1)),
+            // Crop box in the GATE coordinates of the file of A
+            cropMin: vector('Min (mm)', [0, 0, 0]),
+            cropMax: vector('Max (mm)', [0, 0, 0]),
+            factors: vector('Block', [2, 2, 2], 1),
+            maskMin: this.panel.addField('Min Value', FloatingPanel.createNumberInput(0)),
+            maskMax: this.panel.addField('Max Value', FloatingPanel.createNumberInput(0)),
+            name: this.panel.addField('Name', Object.assign(document.createElement('input'), { type: 'text' }))
+        };
+        this.fields = f;
+
+        this.provenance = document.createElement('div');
+        this.provenance.className = 'panel-readout';
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-toolbar';
+        const createButton = document.createElement('button');
+        createButton.textContent = 'Create';
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Create and Export MHD';
+        exportButton.className = 'secondary';
+        buttons.append(createButton, exportButton);
+        this.panel.body.append(this.provenance, buttons);
+
+        const rows = name => [].concat(f[name]).map(input => input.parentElement);
+        const onOperation = () => {
+            const shown = OPERATIONS[f.operation.value].fields;
+            Object.keys(OPERATIONS).flatMap(op => OPERATIONS[op].fields).forEach(name => {
+                rows(name).forEach(row => { row.style.display = shown.includes(name) ? '' : 'none'; });
+            });
+            f.name.placeholder = this.defaultName(f.operation.value, this.manager.getVolume(f.a.value), this.manager.getVolume(f.b.value));
+        };
+        // Defaults from A: its extent for the crop box, its display thresholds for the mask
+        const onVolume = () => {
+            const a = this.manager.getVolume(f.a.value);
+            const { min, max } = VolumeArithmetic.extent(a.userData.grid);
+            f.cropMin.forEach((input, i) => { input.value = Number(min[i].toFixed(2)); });
+            f.cropMax.forEach((input, i) => { input.value = Number(max[i].toFixed(2)); });
+            f.maskMin.value = a.userData.params.minThreshold;
+            f.maskMax.value = a.userData.params.maxThreshold;
+            const { provenance } = a.userData.params;
+            this.provenance.textContent = `A: ${provenance ? VolumeArithmetic.describe(provenance) : 'imported file'}`;
+            onOperation();
+        };
+        f.operation.addEventListener('change', onOperation);
+        f.a.addEventListener('change', onVolume);
+        f.b.addEventListener('change', onOperation);
+        onVolume();
+
+        const run = (exportFile) => {
+            const operation = f.operation.value;
+            const a = this.manager.getVolume(f.a.value), b = this.manager.getVolume(f.b.value);
+            if (!a || !b) {
+                alert("Select the volumes of the operation.");
+                return;
+            }
+            const numbers = inputs => inputs.map(input => Number(input.value));
+            const parameters = {
+                add: () => ({ interpolation: f.interpolation.value }),
+                subtract: () => ({ interpolation: f.interpolation.value }),
+                scale: () => ({ factor: Number(f.factor.value) }),
+                normalize: () => ({ mode: f.mode.value, target: Number(f.target.value) }),
+                crop: () => ({ min: numbers(f.cropMin), max: numbers(f.cropMax) }),
+                downsample: () => ({ factors: numbers(f.factors) }),
+                mask: () => ({ min: Number(f.maskMin.value), max: Number(f.maskMax.value) })
+            }[operation]();
+            this.create(operation, a, OPERATIONS[operation].fields.includes('b') ? b : null, parameters,
+                f.name.value.trim() || f.name.placeholder, exportFile)
+                .catch(err => {
+                    if (err instanceof TaskCancelledError) return;
+                    console.error(err);
+                    alert(`Volume operation failed.\n${err.message}`);
+                });
+        };
+        createButton.addEventListener('click', () => run(false));
+        exportButton.addEventListener('click', () => run(true));
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    /**
+     * Volume list changed (RadiationSceneManager.volumesChanged): refreshes A and B, keeping the
+     * chosen volumes, or closes the panel when no volume remains.
+     */
+    updateVolumes() {
+        if (!this.panel) return;
+        const options = this.manager.getVolumeOptions();
+        if (!options.length) {
+            this.close();
+            return;
+        }
+        const { a, b } = this.fields;
+        const changed = [
+            FloatingPanel.setOptions(a, options, options[0].value) && a,
+            FloatingPanel.setOptions(b, options, options[Math.min(1, options.length - 1)].value) && b
+        ];
+        // Once both are set: a new A resets the defaults taken from it, a new B the name
+        changed.filter(Boolean).forEach(select => select.dispatchEvent(new Event('change')));
+    }
+
+    defaultName(operation, a, b) {
+        const labelA = this.manager.getVolumeLabel(a);
+        if (operation === 'add' || operation === 'subtract') {
+            return `${labelA} ${operation === 'add' ? '+' : '-'} ${this.manager.getVolumeLabel(b)}`;
+        }
+        return `${labelA} (${OPERATIONS[operation].label.toLowerCase()})`;
+    }
+
+    /**
+     * Computes the operation, adds the result to the scene placed like A and optionally downloads it.
+     * @param {THREE.Points|null} b - second operand of add / subtract.
+     */
+    async create(operation, a, b, parameters, name, exportFile) {
+        const { grid, data, params } = a.userData;
+        let other = null;
+        if (b) {
+            a.updateMatrixWorld();
+            const payloads = VolumeResampler.payloads(b, grid, {
+                interpolation: parameters.interpolation, placement: a.matrixWorld.clone(), parts: WorkerPool.defaultSize() * 4
+            });
+            other = WorkerPool.concat(await this.manager.runTask('Resampling Volume B', 'resample', payloads, p => [p.data.buffer]));
+        }
+        const result = VolumeArithmetic.apply(operation, { grid, data }, parameters, other);
+
+        const inputs = [a, b].filter(Boolean).map(v => ({ name: this.manager.getVolumeLabel(v), provenance: v.userData.params.provenance }));
+        const provenance = VolumeArithmetic.provenance(operation, parameters, inputs);
+        const units = 'units' in OPERATIONS[operation] ? OPERATIONS[operation].units : params.units;
+        const points = await this.manager.addVolumeFromData(result.data, result.grid, name, { placedLike: a, params: { units, provenance } });
+        if (exportFile) this.manager.downloadVolume(points);
+        return points;
+    }
+}
@@ -0,0 +1,98 @@
+import { FloatingPanel } from './FloatingPanel.js';
+
+const AXES = { X: [1, 0, 0], Y: [0, 1, 0], Z: [0, 0, 1] };
+// Each copy gets its own GUI folder
+const MAX_COPIES = 1000;
+
+/**
+ * Linear and grid arrays of the selection: "12 copies, spacing 800 mm along X" or
+ * "4 × 10 objects, 800 mm along X and 1200 mm along Z". Axes are the scene axes.
+ */
+export class ArrayTool {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+    }
+
+    open() {
+        if (!this.manager.selection.objects.length) {
+            alert("Select the objects to repeat first.");
+            return;
+        }
+        this.close();
+
+        this.panel = new FloatingPanel(this.manager.container, 'Array', { onClose: () => this.close() });
+        const mode = this.panel.addField('Mode', FloatingPanel.createSelect([
+            { value: 'linear', label: 'Linear' }, { value: 'grid', label: 'Grid' }
+        ], 'linear'));
+        const axis = this.panel.addField('Axis', FloatingPanel.createSelect(Object.keys(AXES), 'X'));
+        const count = this.panel.addField('Copies', FloatingPanel.createNumberInput(12, 1));
+        const spacing = this.panel.addField('Spacing (mm)', FloatingPanel.createNumberInput(800));
+        const axis2 = this.panel.addField('Axis 2', FloatingPanel.createSelect(Object.keys(AXES), 'Z'));
+        const count2 = this.panel.addField('Count 2', FloatingPanel.createNumberInput(4, 1));
+        const spacing2 = this.panel.addField('Spacing 2 (mm)', FloatingPanel.createNumberInput(800));
+
+        // Grid: counts include the original row / column
+        const gridFields = [axis2, count2, spacing2].map(input => input.parentElement);
+        const countLabel = count.parentElement.firstChild;
+        const onMode = () => {
+            const grid = mode.value === 'grid';
+            gridFields.forEach(row => { row.style.display = grid ? '' : 'none'; });
+            countLabel.textContent = grid ? 'Count' : 'Copies';
+        };
+        mode.addEventListener('change', onMode);
+        onMode();
+
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-toolbar';
+        const applyButton = document.createElement('button');
+        applyButton.textContent = 'Create';
+        buttons.appendChild(applyButton);
+        this.panel.body.appendChild(buttons);
+
+        applyButton.addEventListener('click', () => {
+            try {
+                this.manager.selection.array(ArrayTool.offsets({
+                    mode: mode.value,
+                    axis: axis.value, count: Number(count.value), spacing: Number(spacing.value),
+                    axis2: axis2.value, count2: Number(count2.value), spacing2: Number(spacing2.value)
+                }));
+            } catch (err) {
+                console.error(err);
+                alert(`Array failed.\n${err.message}`);
+            }
+        });
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    /**
+     * Offsets [x, y, z] (mm) of the copies. Linear: `count` copies after the original.
+     * Grid: `count` × `count2` cells with the original in the first one.
+     */
+    static offsets({ mode, axis, count, spacing, axis2, count2, spacing2 }) {
+        if (!Number.isInteger(count) || count < 1) throw new Error("The count must be a positive integer.");
+        if (!Number.isFinite(spacing)) throw new Error("Invalid spacing.");
+        const step = (name, distance) => AXES[name].map(c => c * distance);
+        const add = (a, b) => a.map((v, i) => v + b[i]);
+
+        if (mode !== 'grid') {
+            if (count > MAX_COPIES) throw new Error(`At most ${MAX_COPIES} copies.`);
+            return Array.from({ length: count }, (_, i) => step(axis, (i + 1) * spacing));
+        }
+        if (!Number.isInteger(count2) || count2 < 1) throw new Error("The count must be a positive integer.");
+        if (!Number.isFinite(spacing2)) throw new Error("Invalid spacing.");
+        if (axis2 === axis) throw new Error("The grid axes must differ.");
+        if (count * count2 - 1 > MAX_COPIES) throw new Error(`At most ${MAX_COPIES} copies.`);
+        const offsets = [];
+        for (let j = 0; j < count2; j++) {
+            for (let i = 0; i < count; i++) {
+                if (i || j) offsets.push(add(step(axis, i * spacing), step(axis2, j * spacing2)));
+            }
+        }
+        return offsets;
+    }
+}
@@ -0,0 +1,117 @@
+import { LineChart } from './LineChart.js';
+
+const WIDTH = 150;
+const HEIGHT = 210;
+const BAR_WIDTH = 16;
+
+/**
+ * Color bar of a volume over the viewport (bottom left, side by side for several volumes): its
+ * colormap from the bottom to the top of the scale, value ticks or band limits, and units.
+ * Drawn on a canvas so that it also renders in exported images (see draw).
+ */
+export class ColorLegend {
+    constructor(container) {
+        this.container = container;
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'color-legend';
+        this.canvas.width = WIDTH;
+        this.canvas.height = HEIGHT;
+    }
+
+    /**
+     * Element holding the legends of a viewport container.
+     */
+    static host(container) {
+        let host = container.querySelector(':scope > .color-legends');
+        if (!host) {
+            host = document.createElement('div');
+            host.className = 'color-legends';
+            container.appendChild(host);
+        }
+        return host;
+    }
+
+    attach() {
+        ColorLegend.host(this.container).appendChild(this.canvas);
+    }
+
+    detach() {
+        this.canvas.remove();
+    }
+
+    setVisible(visible) {
+        this.canvas.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * @param {string} title
+     * @param {string} units
+     * @param {Colormap} colormap
+     */
+    update(title, units, colormap) {
+        ColorLegend.draw(this.canvas.getContext('2d'), title, units, colormap);
+    }
+
+    /**
+     * Draws a legend filling the canvas of `ctx`.
+     */
+    static draw(ctx, title, units, colormap) {
+        const { width, height } = ctx.canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(30, 30, 30, 0.85)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillText(ColorLegend.fit(ctx, title, width - 16), 8, 8);
+        ctx.fillStyle = '#ccc';
+        ctx.font = '11px sans-serif';
+        const scale = colormap.scale === 'log' ? 'log scale' : colormap.scale === 'banded' ? 'bands' : '';
+        ctx.fillText(ColorLegend.fit(ctx, [units, scale].filter(Boolean).join(', '), width - 16), 8, 24);
+
+        // Bar: t = 0 at the bottom
+        const top = 46, bottom = height - 10, x = 10;
+        const span = bottom - top;
+        const rgb = [0, 0, 0];
+        const fill = t => {
+            colormap.sample(t, rgb);
+            ctx.fillStyle = `rgb(${rgb.map(c => Math.round(c * 255)).join(', ')})`;
+        };
+        if (colormap.scale === 'banded') {
+            const bands = colormap.limits.length + 1;
+            for (let i = 0; i < bands; i++) {
+                fill(colormap.limits.length ? i / colormap.limits.length : 0);
+                ctx.fillRect(x, bottom - (i + 1) * span / bands, BAR_WIDTH, span / bands);
+            }
+        } else {
+            for (let y = 0; y < span; y++) {
+                fill(1 - y / (span - 1));
+                ctx.fillRect(x, top + y, BAR_WIDTH, 1);
+            }
+        }
+        ctx.strokeStyle = '#888';
+        ctx.strokeRect(x + 0.5, top + 0.5, BAR_WIDTH - 1, span - 1);
+
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ddd';
+        colormap.ticks().forEach(({ t, value }) => {
+            const y = Math.round(bottom - t * span) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x + BAR_WIDTH, y);
+            ctx.lineTo(x + BAR_WIDTH + 4, y);
+            ctx.stroke();
+            ctx.fillText(LineChart.format(value), x + BAR_WIDTH + 7, Math.min(bottom - 4, Math.max(top + 4, y)));
+        });
+    }
+
+    /**
+     * Text shortened with an ellipsis to fit `maxWidth` pixels.
+     */
+    static fit(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let end = text.length;
+        while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+        return `${text.slice(0, end)}…`;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Colors of volume values: colormap, scaling and dose bands of the `userData.params` of a volume
+ * (see MHDHandler.createVisualization). Colors are display (sRGB) components from 0 to 1.
+ * No DOM or three.js dependency.
+ */
+
+/**
+ * "#rgb" or "#rrggbb" to [r, g, b].
+ */
+function parseHex(hex) {
+    let digits = hex.replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(digits)) digits = digits.replace(/./g, c => c + c);
+    if (!/^[0-9a-f]{6}$/i.test(digits)) throw new Error(`Invalid color "${hex}" (expected #rrggbb).`);
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16) / 255);
+}
+
+function linearToSRGB(c) {
+    return c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055;
+}
+
+const hexStops = colors => colors.map((hex, i) => ({ t: i / (colors.length - 1), rgb: parseHex(hex) }));
+
+// Former fixed ramp: HSL hue from blue to red, whose components three.js took as linear values;
+// converted to display colors so that volumes keep their look
+const blueRed = (t, out) => {
+    const h = (1 - t) * 0.66;
+    const channel = offset => {
+        const k = (offset + h * 12) % 12;
+        return 0.5 - 0.5 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    out[0] = linearToSRGB(channel(0));
+    out[1] = linearToSRGB(channel(8));
+    out[2] = linearToSRGB(channel(4));
+    return out;
+};
+
+export const COLORMAPS = {
+    'blue-red': { label: 'Blue-Red', sample: blueRed },
+    viridis: { label: 'Viridis', stops: hexStops(['#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c', '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725']) },
+    inferno: { label: 'Inferno', stops: hexStops(['#000004', '#160b39', '#420a68', '#6a176e', '#932667', '#bc3754', '#dd513a', '#f37819', '#fca50a', '#f6d746', '#fcffa4']) },
+    jet: {
+        label: 'Jet',
+        stops: [[0, '#00007f'], [0.125, '#0000ff'], [0.375, '#00ffff'], [0.625, '#ffff00'], [0.875, '#ff0000'], [1, '#7f0000']]
+            .map(([t, hex]) => ({ t, rgb: parseHex(hex) }))
+    },
+    grayscale: { label: 'Grayscale', stops: hexStops(['#000000', '#ffffff']) },
+    custom: { label: 'Custom' } // params.customStops
+};
+
+export const COLOR_SCALES = {
+    linear: 'Linear',
+    log: 'Logarithmic',
+    banded: 'Bands' // params.bandLimits
+};
+
+export const DEFAULT_COLORMAP = 'blue-red';
+// Dose-rate zoning thresholds (µSv/h), edited per volume
+export const DEFAULT_BAND_LIMITS = '0.5, 7.5, 25, 2000, 100000';
+export const DEFAULT_CUSTOM_STOPS = '0:#2c7bb6, 0.5:#ffffbf, 1:#d7191c';
+// Log scale: decades shown below the maximum when the data reaches zero
+const LOG_DECADES = 4;
+
+export class Colormap {
+    /**
+     * @param {{ colormap?: string, customStops?: string, colorScale?: string, bandLimits?: string }} params
+     * @param {number} min - data range mapped to the color bar (linear and log scales).
+     * @param {number} max
+     * Throws Error for malformed custom stops or band limits.
+     */
+    constructor(params, min, max) {
+        this.name = COLORMAPS[params.colormap] ? params.colormap : DEFAULT_COLORMAP;
+        this.stops = this.name === 'custom' ? Colormap.parseStops(params.customStops || DEFAULT_CUSTOM_STOPS) : COLORMAPS[this.name].stops;
+        this.scale = COLOR_SCALES[params.colorScale] ? params.colorScale : 'linear';
+        this.min = min;
+        this.max = max;
+        this.limits = this.scale === 'banded' ? Colormap.parseLimits(params.bandLimits || DEFAULT_BAND_LIMITS) : [];
+        // Values at or below logMin get the first color
+        this.logMin = min > 0 ? min : max * Math.pow(10, -LOG_DECADES);
+        if (this.scale === 'log' && !(max > 0)) this.scale = 'linear';
+    }
+
+    /**
+     * Position of a value on the color bar, from 0 to 1. A band gets the position of its index.
+     */
+    normalize(value) {
+        if (this.scale === 'banded') return this.limits.length ? this.bandIndex(value) / this.limits.length : 0;
+        let t;
+        if (this.scale === 'log') {
+            t = value <= this.logMin ? 0 : Math.log(value / this.logMin) / Math.log(this.max / this.logMin);
+        } else {
+            t = (value - this.min) / ((this.max - this.min) || 1);
+        }
+        return t > 1 ? 1 : t > 0 ? t : 0;
+    }
+
+    /**
+     * Band of a value: 0 below the first limit, limits.length at or above the last.
+     */
+    bandIndex(value) {
+        let band = 0;
+        while (band < this.limits.length && value >= this.limits[band]) band++;
+        return band;
+    }
+
+    /**
+     * @param {number[]} [out] - [r, g, b] written and returned.
+     */
+    colorAt(value, out = [0, 0, 0]) {
+        return this.sample(this.normalize(value), out);
+    }
+
+    /**
+     * Color at a color bar position (0 to 1).
+     */
+    sample(t, out = [0, 0, 0]) {
+        const map = COLORMAPS[this.name];
+        if (map.sample) return map.sample(t, out);
+
+        const stops = this.stops;
+        let i = 1;
+        while (i < stops.length - 1 && stops[i].t < t) i++;
+        const a = stops[i - 1], b = stops[i];
+        const f = b.t > a.t ? Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t))) : 1;
+        for (let c = 0; c < 3; c++) out[c] = a.rgb[c] + (b.rgb[c] - a.rgb[c]) * f;
+        return out;
+    }
+
+    /**
+     * Labelled values of the color bar: { t, value } from the bottom (t = 0) to the top. Band limits
+     * sit between their bands (see ColorLegend).
+     */
+    ticks() {
+        if (this.scale === 'banded') {
+            return this.limits.map((value, i) => ({ t: (i + 1) / (this.limits.length + 1), value }));
+        }
+        if (this.scale === 'log') {
+            const first = Math.ceil(Math.log10(this.logMin)), last = Math.floor(Math.log10(this.max));
+            const step = Math.max(1, Math.ceil((last - first + 1) / 6));
+            const ticks = [];
+            for (let e = first; e <= last; e += step) ticks.push({ t: this.normalize(Math.pow(10, e)), value: Math.pow(10, e) });
+            return ticks;
+        }
+        return [0, 0.25, 0.5, 0.75, 1].map(t => ({ t, value: this.min + (this.max - this.min) * t }));
+    }
+
+    /**
+     * Colormap stops "0:#2c7bb6, 0.5:#ffffbf, 1:#d7191c", or colors only "#000, #f00, #ff0" for even spacing.
+     * @returns {{ t: number, rgb: number[] }[]}
+     */
+    static parseStops(text) {
+        const parts = String(text).split(',').map(p => p.trim()).filter(Boolean);
+        if (parts.length < 2) throw new Error("Custom colormap needs at least two colors.");
+        const stops = parts.map((part, i) => {
+            const sep = part.indexOf(':');
+            const t = sep < 0 ? i / (parts.length - 1) : Number(part.slice(0, sep));
+            if (!(t >= 0 && t <= 1)) throw new Error(`Invalid colormap stop position in "${part}" (0 to 1).`);
+            return { t, rgb: parseHex(sep < 0 ? part : part.slice(sep + 1).trim()) };
+        });
+        stops.forEach((s, i) => {
+            if (i && s.t < stops[i - 1].t) throw new Error("Colormap stop positions must increase.");
+        });
+        return stops;
+    }
+
+    /**
+     * Increasing band limits "0.5, 7.5, 25".
+     * @returns {number[]}
+     */
+    static parseLimits(text) {
+        const limits = String(text).split(/[,;\s]+/).filter(Boolean).map(Number);
+        if (!limits.length) throw new Error("Enter at least one band limit.");
+        limits.forEach((v, i) => {
+            if (!Number.isFinite(v)) throw new Error(`Invalid band limit "${String(text).trim()}".`);
+            if (i && v <= limits[i - 1]) throw new Error("Band limits must increase.");
+        });
+        return limits;
+    }
+}
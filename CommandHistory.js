@@ -0,0 +1,116 @@
+/**
+ * Linear undo / redo stack of scene edits.
+ * A command is { label, undo(), redo(), discard() }: `discard` (optional) is called when the command
+ * leaves the history for good (stack limit, new edit after undos, clear) so that it can release
+ * what it kept alive for a possible undo.
+ * Commands are recorded after the edit is done; edits made while undoing / redoing or while
+ * suspended (scene loading) are not recorded.
+ */
+export class CommandHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.done = [];
+        this.undone = [];
+        this.applying = false;
+        this.suspended = 0;
+        this.onChange = null;
+    }
+
+    get canUndo() {
+        return this.done.length > 0;
+    }
+
+    get canRedo() {
+        return this.undone.length > 0;
+    }
+
+    get isRecording() {
+        return !this.applying && this.suspended === 0;
+    }
+
+    record(command) {
+        if (!this.isRecording) return;
+        this.undone.reverse().forEach(c => CommandHistory.discard(c));
+        this.undone = [];
+        this.done.push(command);
+        while (this.done.length > this.limit) CommandHistory.discard(this.done.shift());
+        this.notify();
+    }
+
+    undo() {
+        const command = this.done.pop();
+        if (!command) return;
+        this.apply(() => command.undo());
+        this.undone.push(command);
+        this.notify();
+    }
+
+    redo() {
+        const command = this.undone.pop();
+        if (!command) return;
+        this.apply(() => command.redo());
+        this.done.push(command);
+        this.notify();
+    }
+
+    /**
+     * Undoes or redoes until `count` commands are done.
+     */
+    goTo(count) {
+        while (this.done.length > count && this.canUndo) this.undo();
+        while (this.done.length < count && this.canRedo) this.redo();
+    }
+
+    /**
+     * Entries from the oldest to the newest, with `done` false for the redoable ones.
+     */
+    entries() {
+        return [
+            ...this.done.map(c => ({ label: c.label, done: true })),
+            ...[...this.undone].reverse().map(c => ({ label: c.label, done: false }))
+        ];
+    }
+
+    clear() {
+        this.done.forEach(c => CommandHistory.discard(c));
+        this.undone.forEach(c => CommandHistory.discard(c));
+        this.done = [];
+        this.undone = [];
+        this.notify();
+    }
+
+    /**
+     * Runs `fn` without recording the edits it makes, until the promise it returns settles
+     * for async loads.
+     */
+    suspend(fn) {
+        this.suspended++;
+        let result;
+        try {
+            result = fn();
+        } catch (err) {
+            this.suspended--;
+            throw err;
+        }
+        if (result instanceof Promise) return result.finally(() => { this.suspended--; });
+        this.suspended--;
+        return result;
+    }
+
+    apply(fn) {
+        this.applying = true;
+        try {
+            fn();
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this);
+    }
+
+    static discard(command) {
+        if (command.discard) command.discard();
+    }
+}
@@ -0,0 +1,63 @@
+import { DoseModel } from './DoseModel.js';
+import { VolumeGrid } from './VolumeGrid.js';
+import { GammaIndex } from './GammaIndex.js';
+
+/**
+ * Module worker running the long voxel loops off the main thread (driven by WorkerPool).
+ * Receives { task, payload }, posts { type: 'progress', units } while working,
+ * then { type: 'result', result } or { type: 'error', message }.
+ * Must not import three.js: import maps do not apply inside workers.
+ */
+const TASKS = {
+    /** Dose slab of a simulation grid (GATE Z slices kStart..kEnd). */
+    doseGrid({ sources, shields, grid, kStart, kEnd }, progress) {
+        return new DoseModel(sources, shields).computeGrid(grid, kStart, kEnd, progress);
+    },
+
+    /**
+     * Dose at a block of scene positions (occupancy zone samples); with `perSource`, the total then
+     * each source alone at every position (DoseProbe profile, see DoseModel.computeSourcePoints).
+     */
+    dosePoints({ sources, shields, positions, perSource = false }, progress) {
+        const model = new DoseModel(sources, shields);
+        return perSource ? model.computeSourcePoints(sources, positions, progress) : model.computePoints(positions, progress);
+    },
+
+    /** Scene positions of the voxels [start, end) of a volume. */
+    scenePositions({ grid, start, end }, progress) {
+        return new VolumeGrid(grid).computeScenePositions(start, end, progress);
+    },
+
+    /** Volume values on the GATE Z slices kStart..kEnd of another grid (VolumeResampler.payloads). */
+    resample({ grid, source, data, matrix, interpolation, outsideValue, kStart, kEnd }, progress) {
+        return new VolumeGrid(grid).resample(new VolumeGrid(source), data, matrix, { interpolation, outsideValue, kStart, kEnd, onProgress: progress });
+    },
+
+    /** Gamma index of the GATE Z slices kStart..kEnd of a common grid (VolumeComparator.gammaPayloads). */
+    gammaIndex({ grid, refData, evalData, ...options }, progress) {
+        return GammaIndex.compute(refData, evalData, new VolumeGrid(grid), { ...options, onProgress: progress });
+    },
+
+    /** Min / max of a block of values (NaN ignored). */
+    valueRange({ values }, progress) {
+        let min = Infinity, max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] > max) max = values[i];
+            if (values[i] < min) min = values[i];
+        }
+        progress(values.length);
+        return { min, max };
+    }
+};
+
+self.onmessage = ({ data }) => {
+    try {
+        const task = TASKS[data.task];
+        if (!task) throw new Error(`Unknown worker task "${data.task}".`);
+
+        const result = task(data.payload, units => self.postMessage({ type: 'progress', units }));
+        self.postMessage({ type: 'result', result }, ArrayBuffer.isView(result) ? [result.buffer] : []);
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+};
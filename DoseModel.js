@@ -0,0 +1,293 @@
+import { TriangleBVH } from './TriangleBVH.js';
+import { StlGeometry } from './StlGeometry.js';
+import { MaterialLibrary } from './MaterialLibrary.js';
+import { IsotopeLibrary } from './IsotopeLibrary.js';
+import { EmbeddedGeometry, EMBEDDED_ASSET } from './EmbeddedGeometry.js';
+
+/**
+ * Analytic dose model of the radiation sources, attenuated by shielding meshes.
+ * Pure JavaScript (no three.js, no DOM) so the browser export, its Web Workers and the
+ * Node.js CLI run exactly the same arithmetic and produce identical grids.
+ */
+
+export const EasingFunctions = {
+    Linear: t => t,
+    InSine: t => 1 - Math.cos((t * Math.PI) / 2),
+    OutSine: t => Math.sin((t * Math.PI) / 2),
+    InOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    InQuad: t => t * t,
+    OutQuad: t => 1 - (1 - t) * (1 - t),
+    InOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    InCubic: t => t * t * t,
+    OutCubic: t => 1 - Math.pow(1 - t, 3),
+    InExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+    OutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+    InCirc: t => 1 - Math.sqrt(1 - Math.pow(t, 2)),
+    OutCirc: t => Math.sqrt(1 - Math.pow(t - 1, 2)),
+};
+
+export const SOURCE_TYPES = ['sphere', 'point', 'line', 'box', 'cylinder'];
+
+// Distance (mm) at which an inverse-square source delivers `doseAt1m`
+const REFERENCE_DISTANCE = 1000;
+// Closest approach (mm) to a point source, keeps the voxel holding it finite
+const POINT_SOFTENING = 1;
+
+export class DoseModel {
+    /**
+     * @param {object[]} sources - source descriptions in scene (world) coordinates, see sourceSpec.
+     *        Entries without `type` are spheres: { position, radius, doseCenter, dosePeriphery, falloff }.
+     * @param {{ positions: Float32Array, mu: number }[]} [shields] - closed meshes in world coordinates
+     *        (9 values per triangle) and their linear attenuation coefficient per scene unit (mm⁻¹).
+     */
+    constructor(sources, shields = []) {
+        this.sources = sources.filter(s => (s.type || 'sphere') === 'sphere').map(s => ({
+            position: s.position.slice(0, 3),
+            radius: s.radius,
+            doseCenter: s.doseCenter,
+            dosePeriphery: s.dosePeriphery,
+            falloff: s.falloff
+        }));
+        this.emitters = sources.filter(s => s.type && s.type !== 'sphere').flatMap(s => DoseModel.emitters(s));
+        this.shields = shields.filter(s => s.mu > 0 && s.positions.length >= 9);
+        this.shieldTrees = this.shields.map(s => new TriangleBVH(s.positions));
+    }
+
+    /**
+     * Description of a source for the model.
+     * @param {object} source - type and parameters, as edited in the designer and saved by SceneSerializer.
+     * @param {number[]} matrix - column-major world matrix of the source mesh; its scale carries the
+     *        size of line (X = length), box (X, Y, Z) and cylinder (X = Z = radius, Y = height) sources.
+     * @param {object} [config] - simulation config; its sceneDate, doseQuantity and exposureHours
+     *        apply the decay of isotope sources (see IsotopeLibrary.sourceFactor).
+     */
+    static sourceSpec(source, matrix, config = {}) {
+        const type = source.type || 'sphere';
+        const position = [matrix[12], matrix[13], matrix[14]];
+        const factor = IsotopeLibrary.sourceFactor(source, config);
+        if (type === 'sphere') {
+            // Doses entered in the designer: an isotope only applies its decay, activity and Γ are not used
+            return {
+                type, position, radius: source.radius,
+                doseCenter: source.doseCenter * factor, dosePeriphery: source.dosePeriphery * factor, falloff: source.falloff
+            };
+        }
+        if (!SOURCE_TYPES.includes(type)) throw new Error(`Unknown source type "${type}".`);
+        const doseAt1m = IsotopeLibrary.isDecaying(source) ? IsotopeLibrary.doseRateAt1m(source) : source.doseAt1m;
+        return { type, position, matrix: Array.from(matrix), doseAt1m: doseAt1m * factor, samples: source.samples };
+    }
+
+    /**
+     * Splits an inverse-square source into point emitters (midpoint rule over its unit shape,
+     * mapped by its world matrix). Each emitter carries its share of the dose at 1 m and a softening
+     * distance (radius of a sphere with the volume of its cell) below which the dose stops growing.
+     */
+    static emitters({ type, position, matrix, doseAt1m, samples }) {
+        const strength = doseAt1m * REFERENCE_DISTANCE * REFERENCE_DISTANCE;
+        if (type === 'point') {
+            return [{ position: position.slice(0, 3), strength, softening2: POINT_SOFTENING * POINT_SOFTENING }];
+        }
+
+        const n = Math.max(1, Math.round(samples) || 1);
+        const e = matrix;
+        const axisLength = c => Math.hypot(e[c * 4], e[c * 4 + 1], e[c * 4 + 2]);
+        const local = [];
+        let softening;
+
+        if (type === 'line') {
+            // Unit segment along local X
+            for (let i = 0; i < n; i++) local.push([(i + 0.5) / n - 0.5, 0, 0]);
+            softening = axisLength(0) / n / 2;
+        } else if (type === 'box') {
+            // Unit cube centered on the origin
+            for (let k = 0; k < n; k++) for (let j = 0; j < n; j++) for (let i = 0; i < n; i++) {
+                local.push([(i + 0.5) / n - 0.5, (j + 0.5) / n - 0.5, (k + 0.5) / n - 0.5]);
+            }
+            softening = DoseModel.equivalentRadius(axisLength(0) * axisLength(1) * axisLength(2) / local.length);
+        } else {
+            // Cylinder of radius 1 and height 1 along local Y: equal-area rings, so equal weights
+            const sectors = 4 * n;
+            for (let k = 0; k < n; k++) for (let r = 0; r < n; r++) for (let a = 0; a < sectors; a++) {
+                const radius = Math.sqrt((r + 0.5) / n), angle = 2 * Math.PI * (a + 0.5) / sectors;
+                local.push([radius * Math.cos(angle), (k + 0.5) / n - 0.5, radius * Math.sin(angle)]);
+            }
+            softening = DoseModel.equivalentRadius(Math.PI * axisLength(0) * axisLength(2) * axisLength(1) / local.length);
+        }
+
+        const world = StlGeometry.transform(local.flat(), e);
+        return local.map((_, i) => ({
+            position: [world[i * 3], world[i * 3 + 1], world[i * 3 + 2]],
+            strength: strength / local.length,
+            softening2: softening * softening
+        }));
+    }
+
+    /**
+     * Model of other sources behind the same shields, reusing their triangle trees.
+     */
+    withSources(sources) {
+        const model = new DoseModel(sources);
+        model.shields = this.shields;
+        model.shieldTrees = this.shieldTrees;
+        return model;
+    }
+
+    static equivalentRadius(volume) {
+        return Math.cbrt(3 * volume / (4 * Math.PI));
+    }
+
+    /**
+     * Shield entry of a mesh from its world triangles and shielding settings (mu in cm⁻¹).
+     */
+    static shield(positions, shielding) {
+        return { positions, mu: shielding.mu / 10 };
+    }
+
+    /**
+     * Builds the model from a state written by SceneSerializer.serialize.
+     * Source and asset positions are stored relative to the world group, which the designer keeps
+     * at the saved grid position horizontally and at the domain offset vertically.
+     * @param {object} state - parsed scene file.
+     * @param {object} [config] - simulation config to use instead of the saved one.
+     * @param {Object<string, Float32Array>} [assetGeometries] - parsed STL positions by asset path,
+     *        needed for the library assets with shielding (embedded geometries are in the state).
+     */
+    static fromSceneState(state, config = state.config, assetGeometries = {}) {
+        const saved = state.worldPosition || [0, 0, 0];
+        const world = [saved[0], config && config.offset ? config.offset.y : saved[1], saved[2]];
+
+        const sources = (state.sources || []).map(s => DoseModel.sourceSpec(s, StlGeometry.worldMatrix(s, world), config || {}));
+
+        const shields = DoseModel.shieldingAssets(state).map(asset => {
+            let local;
+            if (asset.type === EMBEDDED_ASSET) {
+                const entry = state.geometries && state.geometries[asset.geometry];
+                if (!entry) throw new Error(`Missing embedded geometry of shielding mesh "${asset.name}".`);
+                local = EmbeddedGeometry.decode(entry); // already placed on the ground when saved
+            } else {
+                const geometry = assetGeometries[asset.path];
+                if (!geometry) throw new Error(`Missing geometry of shielding asset "${asset.path}".`);
+                local = StlGeometry.placeOnGround(geometry.slice());
+            }
+            return DoseModel.shield(StlGeometry.transform(local, StlGeometry.worldMatrix(asset, world)), asset.shielding);
+        });
+
+        return new DoseModel(sources, shields);
+    }
+
+    /**
+     * Saved assets (library or embedded) that attenuate the field.
+     */
+    static shieldingAssets(state) {
+        return (state.assets || []).filter(a => (a.type === 'library_asset' || a.type === EMBEDDED_ASSET) && MaterialLibrary.isShielding(a.shielding));
+    }
+
+    /**
+     * Dose at a point in scene coordinates: each sphere source contributes inside its radius,
+     * blending from doseCenter to dosePeriphery with its easing curve; the other sources add
+     * doseAt1m · (1 m / d)² per emitter.
+     */
+    doseAt(x, y, z) {
+        let totalDose = 0;
+
+        for (const s of this.sources) {
+            const dx = x - s.position[0], dy = y - s.position[1], dz = z - s.position[2];
+            const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            const r = s.radius;
+
+            if (d <= r) {
+                const t = d / r;
+                const alpha = (EasingFunctions[s.falloff] || EasingFunctions.Linear)(t);
+                let dose = (1 - alpha) * s.doseCenter + alpha * s.dosePeriphery;
+                if (this.shields.length) dose *= this.transmission(x, y, z, s.position);
+                totalDose += dose;
+            }
+        }
+
+        for (const e of this.emitters) {
+            const dx = x - e.position[0], dy = y - e.position[1], dz = z - e.position[2];
+            let dose = e.strength / Math.max(dx * dx + dy * dy + dz * dz, e.softening2);
+            if (this.shields.length) dose *= this.transmission(x, y, z, e.position);
+            totalDose += dose;
+        }
+        return totalDose;
+    }
+
+    /**
+     * Fraction of the radiation reaching (x, y, z) from `source`: exp(-Σ mu · path length inside each shield).
+     */
+    transmission(x, y, z, source) {
+        let opticalDepth = 0;
+        for (let i = 0; i < this.shields.length; i++) {
+            const length = this.shieldTrees[i].segmentInsideLength(x, y, z, source[0], source[1], source[2]);
+            if (length > 0) opticalDepth += this.shields[i].mu * length;
+        }
+        return Math.exp(-opticalDepth);
+    }
+
+    /**
+     * Evaluates the dose at every voxel of a GATE grid (x fastest, as written in the .raw).
+     * Voxel (i, j, k) sits at origin + index * spacing, GATE Y / Z being scene Z / Y.
+     * `kStart` / `kEnd` restrict the computation to a slab of GATE Z slices (for workers);
+     * `onSlice(voxels)` is called after each slice.
+     * @param {VolumeGrid} grid
+     * @returns {Float32Array} the slab values.
+     */
+    computeGrid(grid, kStart = 0, kEnd = grid.dims[2], onSlice = null) {
+        const [nx, ny] = grid.dims;
+        const [spacingX, spacingY, spacingZ] = grid.spacing;
+        const [originX, originY, originZ] = grid.origin;
+        const buffer = new Float32Array(nx * ny * (kEnd - kStart));
+        let idx = 0;
+
+        for (let k = kStart; k < kEnd; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++) {
+                    buffer[idx++] = this.doseAt(originX + i * spacingX, originZ + k * spacingZ, originY + j * spacingY);
+                }
+            }
+            if (onSlice) onSlice(nx * ny);
+        }
+        return buffer;
+    }
+
+    /**
+     * Evaluates the dose at scene positions (xyz per point), e.g. the samples of occupancy zones.
+     * `onProgress(points)` is called every few hundred points.
+     * @returns {Float32Array}
+     */
+    computePoints(positions, onProgress = null) {
+        const count = positions.length / 3;
+        const buffer = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            buffer[i] = this.doseAt(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            if (onProgress && (i + 1) % 256 === 0) onProgress(256);
+        }
+        if (onProgress && count % 256) onProgress(count % 256);
+        return buffer;
+    }
+
+    /**
+     * Dose of each of `sources` alone (this model's sources, split) at scene positions, after their
+     * sum: 1 + sources.length values per point. The shield trees are built once for all sources.
+     * @returns {Float32Array}
+     */
+    computeSourcePoints(sources, positions, onProgress = null) {
+        const models = sources.map(s => this.withSources([s]));
+        const stride = models.length + 1;
+        const count = positions.length / 3;
+        const buffer = new Float32Array(count * stride);
+        for (let i = 0; i < count; i++) {
+            let total = 0;
+            models.forEach((model, m) => {
+                const dose = model.doseAt(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+                buffer[i * stride + m + 1] = dose;
+                total += dose;
+            });
+            buffer[i * stride] = total;
+            if (onProgress && (i + 1) % 256 === 0) onProgress(256);
+        }
+        if (onProgress && count % 256) onProgress(count % 256);
+        return buffer;
+    }
+}
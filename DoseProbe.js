@@ -0,0 +1,430 @@
+import * as THREE from 'three';
+import { FloatingPanel } from './FloatingPanel.js';
+import { LineChart } from './LineChart.js';
+import { VolumeResampler } from './VolumeResampler.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+
+// Mouse travel (px) above which a press is an orbit drag, not a click
+const CLICK_TOLERANCE = 4;
+const MARKER_COLOR = 0x00e5ff;
+
+/**
+ * Reads doses without exporting.
+ * Probe mode: a click on a mesh surface, or on the grid plane elsewhere, adds a labelled marker
+ * showing the analytic dose (DoseModel.doseAt) and the value of every imported volume there.
+ * Profile mode: two clicks define a segment, charted with one curve per source and per volume.
+ * The analytic profile is computed by the workers when the segment or its sampling is set and on
+ * Refresh only: scene edits mark it out of date.
+ * Probes and the profile segment are kept in world group coordinates and saved with the scene.
+ */
+export class DoseProbe {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.mode = null;
+        this.probes = [];
+        this.profile = null;
+        this.profileStart = null;
+        this.samples = 200;
+        // Analytic doses of the last computed profile: { points, distances, series, outdated }
+        this.profileDose = null;
+        this.running = false;
+    }
+
+    open() {
+        this.close();
+        this.panel = new FloatingPanel(this.manager.container, 'Dose Probes', { onClose: () => this.close() });
+
+        const modes = document.createElement('div');
+        modes.className = 'panel-toolbar';
+        this.modeButtons = {};
+        [['probe', 'Probe'], ['profile', 'Profile']].forEach(([mode, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.className = 'secondary';
+            button.addEventListener('click', () => this.setMode(this.mode === mode ? null : mode));
+            this.modeButtons[mode] = button;
+            modes.appendChild(button);
+        });
+        const refreshButton = document.createElement('button');
+        refreshButton.textContent = 'Refresh';
+        refreshButton.addEventListener('click', () => {
+            this.update();
+            this.computeProfile();
+        });
+        modes.appendChild(refreshButton);
+
+        this.hint = document.createElement('div');
+        this.hint.className = 'panel-readout';
+        this.table = document.createElement('div');
+
+        const probeButtons = document.createElement('div');
+        probeButtons.className = 'panel-toolbar';
+        const probesCsv = document.createElement('button');
+        probesCsv.textContent = 'Probes CSV';
+        probesCsv.className = 'secondary';
+        probesCsv.addEventListener('click', () => this.exportProbesCSV());
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear Probes';
+        clearButton.className = 'warning';
+        clearButton.addEventListener('click', () => this.clearProbes());
+        probeButtons.append(probesCsv, clearButton);
+
+        this.panel.body.append(modes, this.hint, this.table, probeButtons);
+        const samples = this.panel.addField('Profile Samples', FloatingPanel.createNumberInput(this.samples, 1));
+        samples.addEventListener('change', () => {
+            this.samples = Math.min(Math.max(Math.round(Number(samples.value)) || 2, 2), 10000);
+            samples.value = this.samples;
+            this.computeProfile();
+        });
+        this.chart = new LineChart();
+        this.profileStatus = document.createElement('div');
+        this.profileStatus.className = 'panel-readout';
+        const profileCsv = document.createElement('button');
+        profileCsv.textContent = 'Profile CSV';
+        profileCsv.className = 'secondary';
+        profileCsv.addEventListener('click', () => this.exportProfileCSV());
+
+        this.panel.body.append(this.chart.canvas, this.profileStatus, profileCsv);
+        this.setMode('probe');
+        if (this.profile && !this.profileDose) this.computeProfile();
+    }
+
+    close() {
+        this.setMode(null);
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.profileStart = null;
+        if (!this.panel) return;
+        // One picking tool at a time
+        if (mode) {
+            this.manager.registrationTool.setPicking(false);
+            this.manager.zoneTool.setDrawing(null);
+            this.manager.pathTool.setDrawing(false);
+        }
+        Object.entries(this.modeButtons).forEach(([m, button]) => { button.className = m === mode ? '' : 'secondary'; });
+        this.hint.textContent = {
+            probe: 'Click a mesh or the grid to add a probe.',
+            profile: 'Click the start, then the end of the profile.'
+        }[mode] || 'Choose Probe or Profile to pick points.';
+        this.update();
+    }
+
+    /**
+     * Canvas pointerdown (RadiationSceneManager.onPointerDown, raycaster already set): while a mode is
+     * active, picks the point and uses it if the button is released without dragging the view.
+     * @returns {boolean} true when the event belongs to the tool.
+     */
+    handlePointerDown(event, raycaster) {
+        if (!this.mode) return false;
+        const point = this.pick(raycaster);
+        const start = { x: event.clientX, y: event.clientY };
+        const onUp = (e) => {
+            window.removeEventListener('pointerup', onUp);
+            if (!point || Math.hypot(e.clientX - start.x, e.clientY - start.y) > CLICK_TOLERANCE) return;
+            if (this.mode === 'probe') this.addProbe(point);
+            else if (this.mode === 'profile') this.addProfilePoint(point);
+        };
+        window.addEventListener('pointerup', onUp);
+        return true;
+    }
+
+    /**
+     * First mesh surface hit, else the grid plane; in world group coordinates.
+     */
+    pick(raycaster) {
+        const { worldGroup, meshes } = this.manager;
+        const hits = raycaster.intersectObjects(meshes.filter(m => m.visible));
+        let point = hits.length ? hits[0].point.clone() : null;
+        worldGroup.updateMatrixWorld();
+        if (!point) {
+            const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), -worldGroup.position.y);
+            point = raycaster.ray.intersectPlane(ground, new THREE.Vector3());
+        }
+        return point ? worldGroup.worldToLocal(point) : null;
+    }
+
+    addProbe(position, name = `P${this.nextIndex()}`) {
+        const probe = { name, position: position.clone(), marker: DoseProbe.createMarker(name) };
+        probe.marker.position.copy(probe.position);
+        this.manager.worldGroup.add(probe.marker);
+        this.probes.push(probe);
+        this.update();
+        return probe;
+    }
+
+    removeProbe(probe) {
+        DoseProbe.disposeObject(probe.marker);
+        this.probes = this.probes.filter(p => p !== probe);
+        this.update();
+    }
+
+    clearProbes() {
+        [...this.probes].forEach(p => DoseProbe.disposeObject(p.marker));
+        this.probes = [];
+        this.update();
+    }
+
+    nextIndex() {
+        return this.probes.reduce((max, p) => Math.max(max, Number(p.name.replace(/^P/, '')) || 0), 0) + 1;
+    }
+
+    addProfilePoint(point) {
+        if (!this.profileStart) {
+            this.profileStart = point;
+            this.hint.textContent = 'Click the end of the profile.';
+            return;
+        }
+        this.setProfile(this.profileStart, point);
+        this.profileStart = null;
+        this.hint.textContent = 'Click the start of a new profile.';
+    }
+
+    setProfile(start, end) {
+        if (this.profile) DoseProbe.disposeObject(this.profile.line);
+        const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+        const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: MARKER_COLOR, depthTest: false }));
+        line.renderOrder = 1;
+        this.manager.worldGroup.add(line);
+        this.profile = { start: start.clone(), end: end.clone(), line };
+        this.profileDose = null;
+        this.update();
+        this.computeProfile();
+    }
+
+    /**
+     * Sphere with a name label of constant screen size (also the landmarks of RegistrationTool).
+     */
+    static createMarker(name, color = MARKER_COLOR) {
+        const marker = new THREE.Mesh(new THREE.SphereGeometry(100, 12, 8), new THREE.MeshBasicMaterial({ color }));
+        marker.userData.isProbe = true;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 48;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+        ctx.font = 'bold 28px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(name, canvas.width / 2, canvas.height / 2);
+
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas), depthTest: false, sizeAttenuation: false
+        }));
+        label.scale.set(0.08, 0.03, 1);
+        label.center.set(0.5, -0.3);
+        label.renderOrder = 2;
+        marker.add(label);
+        return marker;
+    }
+
+    static disposeObject(object) {
+        object.removeFromParent();
+        object.traverse(o => {
+            if (o.geometry) o.geometry.dispose();
+            if (o.material) {
+                if (o.material.map) o.material.map.dispose();
+                o.material.dispose();
+            }
+        });
+    }
+
+    /**
+     * Dose of every probe: analytic total and each imported volume (NaN outside it).
+     * @returns {{ columns: string[], rows: { probe: object, world: number[], values: number[] }[] }}
+     */
+    measureProbes() {
+        const { importedVolumes, worldGroup } = this.manager;
+        const model = this.manager.getDoseModel();
+        worldGroup.updateMatrixWorld();
+        return {
+            columns: ['Analytic', ...importedVolumes.map(v => this.manager.getVolumeLabel(v))],
+            rows: this.probes.map(probe => {
+                const world = worldGroup.localToWorld(probe.position.clone());
+                return {
+                    probe,
+                    world: world.toArray(),
+                    values: [model.doseAt(world.x, world.y, world.z), ...importedVolumes.map(v => VolumeResampler.sampleAt(v, world))]
+                };
+            })
+        };
+    }
+
+    /**
+     * Analytic dose along the profile, computed by the workers: total and, with several sources,
+     * each source alone (with shielding).
+     * @returns {Promise<{ points: THREE.Vector3[], distances: number[], series: { name: string, values: number[] }[] }>}
+     */
+    async measureProfile() {
+        const { manager } = this;
+        manager.worldGroup.updateMatrixWorld();
+        const start = manager.worldGroup.localToWorld(this.profile.start.clone());
+        const end = manager.worldGroup.localToWorld(this.profile.end.clone());
+        const length = start.distanceTo(end);
+        const points = Array.from({ length: this.samples }, (_, i) => start.clone().lerp(end, i / (this.samples - 1)));
+
+        const positions = new Float32Array(points.flatMap(p => p.toArray()));
+        const sources = manager.getDoseSources();
+        const shields = manager.getShields();
+        const perSource = sources.length > 1;
+        const payloads = WorkerPool.ranges(points.length, WorkerPool.defaultSize() * 4).map(([first, last]) => ({
+            sources, shields, positions: positions.slice(first * 3, last * 3), perSource, units: last - first
+        }));
+        const doses = WorkerPool.concat(await manager.runTask('Computing Dose Profile', 'dosePoints', payloads, p => [p.positions.buffer]));
+
+        const names = ['Analytic Total', ...(perSource ? sources.map((source, i) => `Source ${i + 1} (${source.type || 'sphere'})`) : [])];
+        return {
+            points,
+            distances: points.map((_, i) => length * i / (this.samples - 1)),
+            series: names.map((name, s) => ({ name, values: points.map((_, i) => doses[i * names.length + s]) }))
+        };
+    }
+
+    /**
+     * Computes the analytic profile (Refresh, new segment or sampling) and redraws the chart.
+     */
+    async computeProfile() {
+        if (!this.panel || !this.profile || this.running) return;
+        const { profile, samples } = this;
+        this.running = true;
+        try {
+            const dose = await this.measureProfile();
+            if (this.profile === profile) this.profileDose = { ...dose, outdated: false };
+        } catch (err) {
+            if (err instanceof TaskCancelledError) return;
+            console.error(err);
+            alert(`Dose profile failed.\n${err.message}`);
+            return;
+        } finally {
+            this.running = false;
+        }
+        // Segment or sampling changed while computing
+        if (this.profile !== profile || this.samples !== samples) this.computeProfile();
+        else this.drawProfile();
+    }
+
+    /**
+     * Series of the computed profile: its analytic doses, then each imported volume sampled along it.
+     */
+    profileSeries() {
+        const { points, series } = this.profileDose;
+        return [
+            ...series,
+            ...this.manager.importedVolumes.map(v => ({ name: this.manager.getVolumeLabel(v), values: points.map(p => VolumeResampler.sampleAt(v, p)) }))
+        ];
+    }
+
+    drawProfile() {
+        if (!this.panel) return;
+        const dose = this.profileDose;
+        this.profileStatus.textContent = !this.profile ? ''
+            : !dose ? 'Profile not computed: choose Refresh.'
+            : dose.outdated ? 'The scene changed since the profile was computed: choose Refresh.' : '';
+        if (!dose) return;
+        this.chart.draw(this.profileSeries().map(s => ({ name: s.name, points: dose.distances.map((d, i) => [d, s.values[i]]) })),
+            { xLabel: 'Distance along profile (mm)', yLabel: this.doseLabel() });
+    }
+
+    /**
+     * Scene edited (history change): refreshes the probes and marks the profile out of date.
+     */
+    sceneChanged() {
+        if (this.profileDose) this.profileDose.outdated = true;
+        this.update();
+    }
+
+    /**
+     * Recomputes the probe table and redraws the profile chart (new probe, new volume...).
+     */
+    update() {
+        if (!this.panel) return;
+        const { columns, rows } = this.measureProbes();
+        const format = v => Number.isFinite(v) ? LineChart.format(v) : '-';
+        const table = FloatingPanel.createTable(['Probe', 'X', 'Y', 'Z', ...columns, ''], rows.map(r => [
+            r.probe.name, ...r.probe.position.toArray().map(v => v.toFixed(0)), ...r.values.map(format), ''
+        ]));
+        Array.from(table.tBodies[0].rows).forEach((row, i) => {
+            const remove = document.createElement('button');
+            remove.className = 'panel-close';
+            remove.textContent = '×';
+            remove.title = 'Remove probe';
+            remove.addEventListener('click', () => this.removeProbe(rows[i].probe));
+            row.cells[row.cells.length - 1].replaceChildren(remove);
+        });
+        this.table.replaceChildren(table);
+
+        this.drawProfile();
+    }
+
+    doseLabel() {
+        return this.manager.simulationConfig.doseQuantity === 'cumulative' ? 'Dose (µSv)' : 'Dose rate (µSv/h)';
+    }
+
+    exportProbesCSV() {
+        if (!this.probes.length) {
+            alert("No probes to export.");
+            return;
+        }
+        const { columns, rows } = this.measureProbes();
+        this.manager.downloadCSV([
+            ['Probe', 'X (mm)', 'Y (mm)', 'Z (mm)', ...columns.map(c => `${c} - ${this.doseLabel()}`)],
+            ...rows.map(r => [r.probe.name, ...r.probe.position.toArray(), ...r.values.map(v => Number.isFinite(v) ? v : '')])
+        ], 'dose_probes.csv');
+    }
+
+    exportProfileCSV() {
+        if (!this.profile) {
+            alert("Draw a profile first.");
+            return;
+        }
+        if (!this.profileDose || this.profileDose.outdated) {
+            alert("Choose Refresh to compute the profile of the current scene first.");
+            return;
+        }
+        const { start, end } = this.profile;
+        const { distances } = this.profileDose;
+        const series = this.profileSeries();
+        this.manager.downloadCSV([
+            ['# Profile', ...start.toArray(), '->', ...end.toArray(), this.doseLabel()],
+            ['Distance (mm)', ...series.map(s => s.name)],
+            ...distances.map((d, i) => [d, ...series.map(s => Number.isFinite(s.values[i]) ? s.values[i] : '')])
+        ], 'dose_profile.csv');
+    }
+
+    /**
+     * Saved state (world group coordinates).
+     */
+    toJSON() {
+        return {
+            probes: this.probes.map(p => ({ name: p.name, position: p.position.toArray() })),
+            profile: this.profile ? { start: this.profile.start.toArray(), end: this.profile.end.toArray(), samples: this.samples } : null
+        };
+    }
+
+    restore(state) {
+        this.clear();
+        (state.probes || []).forEach(p => this.addProbe(new THREE.Vector3().fromArray(p.position), p.name));
+        if (state.profile) {
+            this.samples = state.profile.samples || this.samples;
+            this.setProfile(new THREE.Vector3().fromArray(state.profile.start), new THREE.Vector3().fromArray(state.profile.end));
+        }
+    }
+
+    /**
+     * Removes every probe and the profile (scene cleared).
+     */
+    clear() {
+        this.clearProbes();
+        if (this.profile) DoseProbe.disposeObject(this.profile.line);
+        this.profile = null;
+        this.profileDose = null;
+        this.profileStart = null;
+    }
+}
@@ -0,0 +1,207 @@
+import { FloatingPanel } from './FloatingPanel.js';
+import { LineChart } from './LineChart.js';
+import { MeshVoxelizer } from './MeshVoxelizer.js';
+
+const DOSE_LEVELS = [98, 95, 50, 2];
+
+/**
+ * Dose-volume histograms of the scene meshes against an imported volume.
+ * Each mesh is voxelized on the volume grid (optionally supersampled) with its real transform.
+ */
+export class DoseVolumeHistogram {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.results = null;
+    }
+
+    open() {
+        const { importedVolumes, meshes } = this.manager;
+        if (!importedVolumes.length || !meshes.length) {
+            alert("A DVH needs at least one imported volume and one mesh.");
+            return;
+        }
+        this.close();
+
+        this.panel = new FloatingPanel(this.manager.container, 'Dose-Volume Histograms', { onClose: () => this.close() });
+        const volumeOptions = this.manager.getVolumeOptions();
+
+        const f = {
+            volume: this.panel.addField('Dose Volume', FloatingPanel.createSelect(volumeOptions, volumeOptions[0].value)),
+            subdivisions: this.panel.addField('Voxel Subdivisions', FloatingPanel.createSelect(['1', '2', '3', '4'], '2')),
+            bins: this.panel.addField('Bins', FloatingPanel.createNumberInput(100, 1)),
+            mode: this.panel.addField('Histogram', FloatingPanel.createSelect(['Cumulative', 'Differential'], 'Cumulative'))
+        };
+        this.volumeSelect = f.volume;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-toolbar';
+        const computeButton = document.createElement('button');
+        computeButton.textContent = 'Compute';
+        const csvHistButton = document.createElement('button');
+        csvHistButton.textContent = 'Histograms CSV';
+        csvHistButton.className = 'secondary';
+        const csvStatsButton = document.createElement('button');
+        csvStatsButton.textContent = 'Statistics CSV';
+        csvStatsButton.className = 'secondary';
+        buttons.append(computeButton, csvHistButton, csvStatsButton);
+
+        this.chart = new LineChart();
+        this.table = document.createElement('div');
+        this.panel.body.append(buttons, this.chart.canvas, this.table);
+
+        computeButton.addEventListener('click', () => {
+            const volume = this.manager.getVolume(f.volume.value);
+            if (!volume) {
+                alert("Select a dose volume.");
+                return;
+            }
+            this.results = this.compute(volume, this.manager.meshes, Number(f.subdivisions.value), Math.max(1, Number(f.bins.value)));
+            this.render(f.mode.value);
+        });
+        f.mode.addEventListener('change', () => this.render(f.mode.value));
+        csvHistButton.addEventListener('click', () => this.exportHistogramsCSV());
+        csvStatsButton.addEventListener('click', () => this.exportStatisticsCSV());
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    /**
+     * Volume list changed (RadiationSceneManager.volumesChanged): refreshes the dose volumes, keeping
+     * the chosen one, or closes the panel when no volume remains.
+     */
+    updateVolumes() {
+        if (!this.panel) return;
+        const options = this.manager.getVolumeOptions();
+        if (!options.length) this.close();
+        else FloatingPanel.setOptions(this.volumeSelect, options, options[0].value);
+    }
+
+    /**
+     * Voxelizes every mesh and builds its histograms over a shared dose axis.
+     */
+    compute(volume, meshes, subdivisions, binCount) {
+        const { grid, data } = volume.userData;
+        volume.updateMatrixWorld();
+        const sceneToVolume = volume.matrixWorld.clone().invert();
+        // mm³ -> cm³, voxels of scaled volumes (see RegistrationTool) included
+        const sampleVolume = MeshVoxelizer.sampleVolume(grid, subdivisions) * Math.abs(volume.matrixWorld.determinant()) / 1000;
+        const interpolation = subdivisions > 1 ? 'linear' : 'nearest';
+
+        const structures = meshes.map(mesh => {
+            const triangles = MeshVoxelizer.meshToIndexSpace(mesh, grid, sceneToVolume);
+            const doses = [];
+            MeshVoxelizer.forEachInside(triangles, grid.dims, (ci, cj, ck) => {
+                const dose = grid.sampleIndex(data, ci, cj, ck, interpolation);
+                if (Number.isFinite(dose)) doses.push(dose);
+            }, subdivisions);
+            const sorted = Float32Array.from(doses).sort();
+            return { name: mesh.userData.name || 'mesh', doses: sorted };
+        });
+
+        let maxDose = 0;
+        structures.forEach(s => { if (s.doses.length) maxDose = Math.max(maxDose, s.doses[s.doses.length - 1]); });
+        const binWidth = (maxDose || 1) / binCount;
+
+        structures.forEach(s => {
+            s.histogram = DoseVolumeHistogram.histogram(s.doses, binWidth, binCount);
+            s.stats = DoseVolumeHistogram.statistics(s.doses, sampleVolume);
+        });
+
+        return { volumeLabel: this.manager.getVolumeLabel(volume), binWidth, binCount, structures };
+    }
+
+    /**
+     * Differential (% volume per bin) and cumulative (% volume receiving at least the bin's lower dose) histograms.
+     * @param {Float32Array} sortedDoses - ascending sample doses of one structure.
+     */
+    static histogram(sortedDoses, binWidth, binCount) {
+        const n = sortedDoses.length;
+        const differential = new Float64Array(binCount);
+        const cumulative = new Float64Array(binCount);
+        if (n === 0) return { differential, cumulative };
+
+        for (let i = 0; i < n; i++) {
+            const bin = Math.min(binCount - 1, Math.max(0, Math.floor(sortedDoses[i] / binWidth)));
+            differential[bin] += 100 / n;
+        }
+        let remaining = 100;
+        for (let b = 0; b < binCount; b++) {
+            cumulative[b] = Math.max(0, remaining);
+            remaining -= differential[b];
+        }
+        return { differential, cumulative };
+    }
+
+    /**
+     * Volume, min / mean / max and Dx (minimum dose received by the hottest x % of the volume).
+     */
+    static statistics(sortedDoses, sampleVolume) {
+        const n = sortedDoses.length;
+        const stats = { samples: n, volume: n * sampleVolume, min: NaN, mean: NaN, max: NaN };
+        DOSE_LEVELS.forEach(x => stats[`D${x}`] = NaN);
+        if (n === 0) return stats;
+
+        let sum = 0;
+        for (let i = 0; i < n; i++) sum += sortedDoses[i];
+        stats.min = sortedDoses[0];
+        stats.max = sortedDoses[n - 1];
+        stats.mean = sum / n;
+        DOSE_LEVELS.forEach(x => {
+            stats[`D${x}`] = sortedDoses[Math.min(n - 1, Math.floor(n * (1 - x / 100)))];
+        });
+        return stats;
+    }
+
+    render(mode) {
+        if (!this.results) return;
+        const { binWidth, structures } = this.results;
+        const key = mode === 'Differential' ? 'differential' : 'cumulative';
+
+        const series = structures.map(s => ({
+            name: s.name,
+            points: Array.from(s.histogram[key], (v, b) => [(key === 'cumulative' ? b : b + 0.5) * binWidth, v])
+        }));
+        this.chart.draw(series, { xLabel: 'Dose', yLabel: '% Volume' });
+
+        const fmt = v => Number.isFinite(v) ? v.toPrecision(4) : '-';
+        const rows = structures.map(s => [
+            s.name, s.stats.volume.toFixed(1), fmt(s.stats.min), fmt(s.stats.mean), fmt(s.stats.max),
+            ...DOSE_LEVELS.map(x => fmt(s.stats[`D${x}`]))
+        ]);
+        this.table.replaceChildren(FloatingPanel.createTable(
+            ['Object', 'Vol (cm³)', 'Min', 'Mean', 'Max', ...DOSE_LEVELS.map(x => `D${x}`)], rows
+        ));
+    }
+
+    exportHistogramsCSV() {
+        if (!this.results) return;
+        const { binWidth, binCount, structures } = this.results;
+        const rows = [[
+            'dose_min', 'dose_max',
+            ...structures.map(s => `${s.name} cumulative %`),
+            ...structures.map(s => `${s.name} differential %`)
+        ]];
+        for (let b = 0; b < binCount; b++) {
+            rows.push([
+                b * binWidth, (b + 1) * binWidth,
+                ...structures.map(s => s.histogram.cumulative[b]),
+                ...structures.map(s => s.histogram.differential[b])
+            ]);
+        }
+        this.manager.downloadCSV(rows, `dvh_${this.results.volumeLabel}.csv`);
+    }
+
+    exportStatisticsCSV() {
+        if (!this.results) return;
+        const rows = [['object', 'samples', 'volume_cm3', 'min', 'mean', 'max', ...DOSE_LEVELS.map(x => `D${x}`)]];
+        this.results.structures.forEach(s => rows.push([
+            s.name, s.stats.samples, s.stats.volume, s.stats.min, s.stats.mean, s.stats.max,
+            ...DOSE_LEVELS.map(x => s.stats[`D${x}`])
+        ]));
+        this.manager.downloadCSV(rows, `dvh_stats_${this.results.volumeLabel}.csv`);
+    }
+}
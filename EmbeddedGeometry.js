@@ -0,0 +1,92 @@
+import { ZipWriter } from './ZipWriter.js';
+
+// Asset type of the meshes whose geometry is stored in the scene file
+export const EMBEDDED_ASSET = 'embedded_geometry';
+
+/**
+ * Geometries of locally imported meshes saved inside scene files (the `geometries` table of
+ * SceneSerializer): local triangle positions (9 floats per triangle, as placed by
+ * processLoadedGeometry) in little-endian float32, base64 encoded in JSON scenes or a binary
+ * `file` of the project archive (see ProjectArchive).
+ * Identical contents are stored once, so a file imported twice costs a single entry.
+ * No DOM or three.js dependency: the CLI reads embedded shielding meshes with it.
+ */
+export class EmbeddedGeometry {
+    constructor() {
+        this.entries = {};
+        this.bytes = {};
+        this.byContent = new Map();
+    }
+
+    /**
+     * @param {Float32Array} positions
+     * @param {string} name - file name, informative.
+     * @returns {string} id of the entry holding these positions.
+     */
+    add(positions, name) {
+        const bytes = new Uint8Array(positions.buffer, positions.byteOffset, positions.byteLength);
+        const key = `${bytes.length}:${ZipWriter.crc32(bytes)}`;
+        const candidates = this.byContent.get(key) || [];
+        const same = candidates.find(c => EmbeddedGeometry.equalBytes(c.bytes, bytes));
+        if (same) return same.id;
+
+        const id = `geometry${Object.keys(this.entries).length + 1}`;
+        this.entries[id] = { name, triangles: positions.length / 9 };
+        this.bytes[id] = bytes;
+        candidates.push({ id, bytes });
+        this.byContent.set(key, candidates);
+        return id;
+    }
+
+    /**
+     * The `geometries` table: positions base64 encoded, or when `files` is given, pushed to it
+     * as { path, data } entries referenced by `file`.
+     * @param {{ path: string, data: Uint8Array }[]} [files]
+     */
+    table(files = null) {
+        const table = {};
+        for (const [id, entry] of Object.entries(this.entries)) {
+            if (files) {
+                const path = `geometries/${id}.f32`;
+                files.push({ path, data: this.bytes[id] });
+                table[id] = { ...entry, file: path };
+            } else {
+                table[id] = { ...entry, positions: EmbeddedGeometry.encode(this.bytes[id]) };
+            }
+        }
+        return table;
+    }
+
+    static equalBytes(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+    }
+
+    static encode(bytes) {
+        let binary = '';
+        // Chunks keep String.fromCharCode below the argument count limit
+        const CHUNK_SIZE = 0x8000;
+        for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * @param {{ positions?: string, data?: Float32Array }} entry - entry of the `geometries` table,
+     *   `data` once its archive file is read (ProjectArchive.readGeometries).
+     * @returns {Float32Array}
+     */
+    static decode(entry) {
+        if (entry.data) {
+            if (entry.data.length % 9 !== 0) throw new Error(`Corrupted embedded geometry "${entry.name}".`);
+            return entry.data;
+        }
+        const binary = atob(entry.positions);
+        if (binary.length % 36 !== 0) throw new Error(`Corrupted embedded geometry "${entry.name}".`);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Float32Array(bytes.buffer);
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Small closable panel overlaid on the viewport (styled by `.floating-panel` in index.html).
+ * Tools put their DOM content in `body`.
+ */
+export class FloatingPanel {
+    constructor(container, title, { onClose = null, className = '' } = {}) {
+        this.element = document.createElement('div');
+        this.element.className = `floating-panel ${className}`.trim();
+
+        const header = document.createElement('div');
+        header.className = 'panel-header';
+
+        this.titleElement = document.createElement('span');
+        this.titleElement.textContent = title;
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'panel-close';
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => onClose ? onClose() : this.destroy());
+
+        header.append(this.titleElement, closeButton);
+
+        this.body = document.createElement('div');
+        this.body.className = 'panel-body';
+
+        this.element.append(header, this.body);
+        container.appendChild(this.element);
+
+        this.enableDragging(header);
+    }
+
+    /**
+     * Lets the user move the panel by its header (panels open at the same place).
+     */
+    enableDragging(handle) {
+        handle.addEventListener('pointerdown', (e) => {
+            if (e.target.tagName === 'BUTTON') return;
+            const startX = e.clientX - this.element.offsetLeft;
+            const startY = e.clientY - this.element.offsetTop;
+
+            const onMove = (ev) => {
+                this.element.style.left = `${ev.clientX - startX}px`;
+                this.element.style.top = `${ev.clientY - startY}px`;
+            };
+            const onUp = () => {
+                window.removeEventListener('pointermove', onMove);
+                window.removeEventListener('pointerup', onUp);
+            };
+            window.addEventListener('pointermove', onMove);
+            window.addEventListener('pointerup', onUp);
+        });
+    }
+
+    /**
+     * Appends a labelled row to the body and returns the input element.
+     */
+    addField(label, input) {
+        const row = document.createElement('label');
+        row.className = 'panel-field';
+        const text = document.createElement('span');
+        text.textContent = label;
+        row.append(text, input);
+        this.body.appendChild(row);
+        return input;
+    }
+
+    /**
+     * Creates a <select> from a list of values or { value, label } entries.
+     */
+    static createSelect(options, value) {
+        const select = document.createElement('select');
+        options.forEach(o => {
+            const opt = typeof o === 'object' ? o : { value: o, label: o };
+            select.add(new Option(opt.label, opt.value));
+        });
+        if (value !== undefined) select.value = value;
+        return select;
+    }
+
+    /**
+     * Replaces the options of a <select>, keeping its value while still offered (else `fallback`,
+     * else the first option).
+     * @returns {boolean} true when the value changed (no 'change' event is dispatched).
+     */
+    static setOptions(select, options, fallback) {
+        const previous = select.value;
+        select.replaceChildren();
+        options.forEach(o => {
+            const opt = typeof o === 'object' ? o : { value: o, label: o };
+            select.add(new Option(opt.label, opt.value));
+        });
+        const values = Array.from(select.options, o => o.value);
+        select.value = values.includes(previous) ? previous : values.includes(String(fallback)) ? String(fallback) : values[0];
+        return select.value !== previous;
+    }
+
+    static createNumberInput(value, step = 'any') {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.value = value;
+        return input;
+    }
+
+    /**
+     * Builds a `.panel-table` from column titles and rows of cell values.
+     */
+    static createTable(columns, rows) {
+        const table = document.createElement('table');
+        table.className = 'panel-table';
+        const head = table.createTHead().insertRow();
+        columns.forEach(c => {
+            const th = document.createElement('th');
+            th.textContent = c;
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(r => {
+            const tr = body.insertRow();
+            r.forEach(cell => tr.insertCell().textContent = cell);
+        });
+        return table;
+    }
+
+    setTitle(title) {
+        this.titleElement.textContent = title;
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
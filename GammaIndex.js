@@ -0,0 +1,82 @@
+/**
+ * Global 3D gamma index of an evaluated dose against a reference dose sampled on the same grid.
+ * Computed by GATE Z slabs so that it runs in the workers (ComputeWorker task `gammaIndex`): a slab
+ * needs the reference slices it covers and the evaluated slices within the search distance.
+ * No DOM or three.js dependency.
+ */
+export class GammaIndex {
+    /**
+     * Search offsets in voxel index units, [di, dj, dk, r² / dta²], sorted by distance for early termination.
+     * Sub-voxel steps of dta / 2 up to `searchFactor * dta`.
+     */
+    static offsets(spacing, dta, searchFactor = 2) {
+        const step = dta / 2;
+        const maxR = searchFactor * dta;
+        const n = Math.ceil(maxR / step);
+        const offsets = [];
+        for (let c = -n; c <= n; c++) {
+            for (let b = -n; b <= n; b++) {
+                for (let a = -n; a <= n; a++) {
+                    const r2 = (a * a + b * b + c * c) * step * step;
+                    if (r2 <= maxR * maxR) offsets.push([a * step / spacing[0], b * step / spacing[1], c * step / spacing[2], r2 / (dta * dta)]);
+                }
+            }
+        }
+        return offsets.sort((p, q) => p[3] - q[3]);
+    }
+
+    /**
+     * Evaluated slices needed on each side of a slab: the search distance along Z, plus one for the interpolation.
+     */
+    static margin(grid, dta, searchFactor = 2) {
+        return Math.ceil(searchFactor * dta / Math.abs(grid.spacing[2])) + 1;
+    }
+
+    /**
+     * Gamma of the GATE Z slices kStart..kEnd of `grid`: for every reference voxel above `cutoffDose`,
+     * the minimum of sqrt(r² / dta² + (De - Dr)² / doseTolerance²) over the search offsets, the
+     * evaluated dose De being trilinear. NaN below the cutoff or without any evaluated value.
+     * @param {Float32Array} refData - reference values of the slices kStart..kEnd.
+     * @param {Float32Array} evalData - evaluated values of the slices from `evalStart` (at least the margin around the slab).
+     * @param {VolumeGrid} grid - the whole common grid.
+     * @param {{ doseTolerance: number, dta: number, cutoffDose?: number, searchFactor?: number, kStart?: number,
+     *   kEnd?: number, evalStart?: number, onProgress?: (voxels: number) => void }} options - onProgress is called once per slice.
+     * @returns {Float32Array} gamma of the slices kStart..kEnd.
+     */
+    static compute(refData, evalData, grid, { doseTolerance, dta, cutoffDose = 0, searchFactor = 2, kStart = 0, kEnd = grid.dims[2], evalStart = 0, onProgress = null }) {
+        if (!(dta > 0)) throw new Error("The distance to agreement must be positive.");
+        const [nx, ny] = grid.dims;
+        const sliceSize = nx * ny;
+        const evalGrid = grid.slices(evalStart, evalStart + evalData.length / sliceSize);
+        const offsets = GammaIndex.offsets(grid.spacing.map(Math.abs), dta, searchFactor);
+        const invTol2 = doseTolerance > 0 ? 1 / (doseTolerance * doseTolerance) : Infinity;
+        const gamma = new Float32Array((kEnd - kStart) * sliceSize);
+
+        let idx = 0;
+        for (let k = kStart; k < kEnd; k++) {
+            const ke = k - evalStart;
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++, idx++) {
+                    const dr = refData[idx];
+                    if (!(dr >= cutoffDose)) {
+                        gamma[idx] = NaN;
+                        continue;
+                    }
+
+                    let best = Infinity;
+                    for (const [di, dj, dk, distTerm] of offsets) {
+                        if (distTerm >= best) break;
+                        const de = evalGrid.sampleIndex(evalData, i + di, j + dj, ke + dk);
+                        if (Number.isNaN(de)) continue;
+                        const diff = de - dr;
+                        const g2 = distTerm + (diff === 0 ? 0 : diff * diff * invTol2);
+                        if (g2 < best) best = g2;
+                    }
+                    gamma[idx] = best === Infinity ? NaN : Math.sqrt(best);
+                }
+            }
+            if (onProgress) onProgress(sliceSize);
+        }
+        return gamma;
+    }
+}
@@ -0,0 +1,350 @@
+import { VolumeGrid } from './VolumeGrid.js';
+import { StlGeometry } from './StlGeometry.js';
+import { MaterialLibrary } from './MaterialLibrary.js';
+import { IsotopeLibrary } from './IsotopeLibrary.js';
+
+// Emitter assumed for the sources without isotope
+const DEFAULT_ISOTOPE = 'Cs-137';
+// GPS has no line shape: line sources are cylinders of this radius (mm)
+const LINE_RADIUS = 0.01;
+// Margin of the world box around the domain and the objects
+const WORLD_MARGIN = 1.1;
+
+/**
+ * GATE macros reproducing the designer scene, laid out as:
+ *   main.mac              entry point (run "Gate main.mac" from this directory)
+ *   mac/world.mac         world box enclosing the domain and the objects
+ *   mac/geometry.mac      one tessellated volume per mesh (mesh/<name>.stl)
+ *   mac/physics.mac
+ *   mac/actors.mac        DoseActor on the voxel domain, statistics
+ *   mac/sources.mac       one GPS source per designer source
+ *   data/                 dose grid of the analytic model, for comparison
+ *   output/               GATE results
+ * Scene coordinates are converted to GATE axes (X -> X, Z -> Y, Y -> Z). That swap is a mirror,
+ * so mesh vertices are written in GATE axes with reversed winding and rotations are conjugated by it.
+ * No three.js dependency.
+ */
+export class GateMacroWriter {
+    /**
+     * @param {object} scene
+     * @param {object} scene.config - simulation config (sceneDate, doseQuantity and exposureHours are used).
+     * @param {VolumeGrid} scene.grid - dose domain in GATE coordinates.
+     * @param {{ name: string, positions: Float32Array, matrix: number[], shielding: object }[]} scene.meshes -
+     *        local triangles (9 values per triangle) and column-major world matrix of each mesh.
+     * @param {{ source: object, matrix: number[] }[]} scene.sources - designer source parameters and world matrix.
+     * @param {string} [scene.doseFile] - base name of the analytic dose grid stored in data/.
+     * @returns {{ path: string, content: string|ArrayBuffer }[]} files, paths relative to the macro directory.
+     */
+    static build({ config, grid, meshes, sources, doseFile = null }) {
+        const volumes = meshes.map((mesh, i) => ({ ...mesh, volume: GateMacroWriter.volumeName(mesh.name, 'mesh', i) }));
+        const cumulative = config.doseQuantity === 'cumulative';
+        const duration = cumulative ? config.exposureHours * 3600 : 1;
+
+        const files = [
+            { path: 'main.mac', content: GateMacroWriter.mainMacro(duration, cumulative, doseFile) },
+            { path: 'mac/world.mac', content: GateMacroWriter.worldMacro(grid, volumes, sources) },
+            { path: 'mac/geometry.mac', content: GateMacroWriter.geometryMacro(volumes) },
+            { path: 'mac/physics.mac', content: GateMacroWriter.physicsMacro() },
+            { path: 'mac/actors.mac', content: GateMacroWriter.actorsMacro(grid) },
+            { path: 'mac/sources.mac', content: GateMacroWriter.sourcesMacro(sources, config, cumulative) }
+        ];
+        volumes.forEach(v => {
+            files.push({ path: `mesh/${v.volume}.stl`, content: StlGeometry.writeBinary(GateMacroWriter.localTriangles(v), v.volume) });
+        });
+        files.push({ path: 'output/', content: '' });
+        return files;
+    }
+
+    static mainMacro(duration, cumulative, doseFile) {
+        return GateMacroWriter.lines([
+            '# GATE simulation exported from the radiation scene designer',
+            cumulative
+                ? `# Cumulative dose over ${GateMacroWriter.number(duration / 3600)} h starting at the scene date`
+                : '# Dose rate: dose over 1 s at the scene date (multiply by 3600 for a rate per hour)',
+            doseFile ? `# data/${doseFile}.mhd holds the dose grid of the designer analytic model, on the same voxels` : null,
+            '',
+            '/control/execute mac/world.mac',
+            '/control/execute mac/geometry.mac',
+            '/control/execute mac/physics.mac',
+            '/control/execute mac/actors.mac',
+            '/gate/run/initialize',
+            '/control/execute mac/sources.mac',
+            '',
+            '/gate/random/setEngineName MersenneTwister',
+            '/gate/random/setEngineSeed auto',
+            '/gate/application/setTimeStart 0 s',
+            `/gate/application/setTimeStop ${GateMacroWriter.number(duration)} s`,
+            '/gate/application/start'
+        ]);
+    }
+
+    /**
+     * World box centered on the origin, enclosing the dose domain, the meshes and the sources.
+     */
+    static worldMacro(grid, volumes, sources) {
+        const half = [0, 0, 0];
+        const include = (x, y, z) => {
+            half[0] = Math.max(half[0], Math.abs(x));
+            half[1] = Math.max(half[1], Math.abs(y));
+            half[2] = Math.max(half[2], Math.abs(z));
+        };
+
+        const { center, size } = GateMacroWriter.domain(grid);
+        for (const sx of [-1, 1]) for (const sy of [-1, 1]) for (const sz of [-1, 1]) {
+            include(center[0] + sx * size[0] / 2, center[1] + sy * size[1] / 2, center[2] + sz * size[2] / 2);
+        }
+        for (const v of volumes) {
+            const world = StlGeometry.transform(v.positions, v.matrix);
+            const [min, max] = StlGeometry.bounds(world);
+            include(...VolumeGrid.sceneToGate(min));
+            include(...VolumeGrid.sceneToGate(max));
+        }
+        for (const { matrix } of sources) include(...VolumeGrid.sceneToGate([matrix[12], matrix[13], matrix[14]]));
+
+        const length = half.map(h => GateMacroWriter.number(2 * h * WORLD_MARGIN));
+        return GateMacroWriter.lines([
+            '# World: G4_AIR box centered on the origin (GATE axes, mm)',
+            `/gate/world/geometry/setXLength ${length[0]} mm`,
+            `/gate/world/geometry/setYLength ${length[1]} mm`,
+            `/gate/world/geometry/setZLength ${length[2]} mm`,
+            '/gate/world/setMaterial G4_AIR',
+            '/gate/world/vis/forceWireframe'
+        ]);
+    }
+
+    static geometryMacro(volumes) {
+        const lines = ['# Scene meshes as tessellated volumes (vertices in mm, scale applied)'];
+        for (const v of volumes) {
+            const { translation, rotation } = GateMacroWriter.decompose(v.matrix);
+            const { axis, angle } = GateMacroWriter.axisAngle(rotation);
+            const material = MaterialLibrary.isShielding(v.shielding) ? MaterialLibrary.get(v.shielding.material) : null;
+
+            lines.push(
+                '',
+                `# ${v.name}`,
+                `/gate/world/daughters/name ${v.volume}`,
+                '/gate/world/daughters/insert tessellated',
+                `/gate/${v.volume}/geometry/setPathToSTLFile mesh/${v.volume}.stl`,
+                material ? null : '# No shielding material set in the designer',
+                `/gate/${v.volume}/setMaterial ${material ? material.gateName : 'G4_AIR'}`,
+                `/gate/${v.volume}/placement/setTranslation ${translation.map(GateMacroWriter.number).join(' ')} mm`,
+                `/gate/${v.volume}/placement/setRotationAxis ${axis.map(GateMacroWriter.number).join(' ')}`,
+                `/gate/${v.volume}/placement/setRotationAngle ${GateMacroWriter.number(angle)} deg`
+            );
+        }
+        return GateMacroWriter.lines(lines);
+    }
+
+    static physicsMacro() {
+        return GateMacroWriter.lines([
+            '/gate/physics/addPhysicsList emstandard_opt4',
+            '/gate/physics/Gamma/SetCutInRegion world 1 mm',
+            '/gate/physics/Electron/SetCutInRegion world 1 mm',
+            '/gate/physics/Positron/SetCutInRegion world 1 mm'
+        ]);
+    }
+
+    /**
+     * DoseActor with the voxels of the designer grid (voxel centers at origin + index * spacing).
+     */
+    static actorsMacro(grid) {
+        const { center, size } = GateMacroWriter.domain(grid);
+        return GateMacroWriter.lines([
+            '/gate/actor/addActor DoseActor dose',
+            '/gate/actor/dose/attachTo world',
+            '/gate/actor/dose/stepHitType random',
+            `/gate/actor/dose/setPosition ${center.map(GateMacroWriter.number).join(' ')} mm`,
+            `/gate/actor/dose/setSize ${size.map(GateMacroWriter.number).join(' ')} mm`,
+            `/gate/actor/dose/setResolution ${grid.dims.join(' ')}`,
+            '/gate/actor/dose/enableEdep false',
+            '/gate/actor/dose/enableUncertaintyEdep false',
+            '/gate/actor/dose/enableDose true',
+            '/gate/actor/dose/enableUncertaintyDose true',
+            '/gate/actor/dose/enableNumberOfHits false',
+            '/gate/actor/dose/save output/dose.mhd',
+            '',
+            '/gate/actor/addActor SimulationStatisticActor stat',
+            '/gate/actor/stat/save output/stat.txt'
+        ]);
+    }
+
+    /**
+     * One isotropic photon GPS source per designer source. The activity is the photon emission rate
+     * (Bq · photons per decay) at the scene date; for a cumulative dose the isotope decays during the run.
+     */
+    static sourcesMacro(sources, config, cumulative) {
+        const lines = ['# Photon sources (GATE axes, mm)'];
+        sources.forEach(({ source, matrix }, i) => {
+            const name = `source${i + 1}`;
+            const type = source.type || 'sphere';
+            const isotope = IsotopeLibrary.isDecaying(source) ? IsotopeLibrary.get(source.isotope) : null;
+            const emission = isotope && isotope.lines.length ? isotope.lines : IsotopeLibrary.get(DEFAULT_ISOTOPE).lines;
+            const photonsPerDecay = emission.reduce((sum, [, yieldPerDecay]) => sum + yieldPerDecay, 0);
+            // Isotope spheres are defined by their doses too: activity from their dose rate and the isotope Γ
+            const activity = !IsotopeLibrary.isDecaying(source) ? GateMacroWriter.equivalentActivity(source)
+                : (type === 'sphere' ? GateMacroWriter.equivalentActivity(source, source.gammaConstant) : source.activity)
+                    * IsotopeLibrary.decayFactor(source.halfLife, config.sceneDate ? IsotopeLibrary.daysBetween(source.referenceDate, config.sceneDate) : 0);
+
+            lines.push('', `# Source ${i + 1}: ${type}${IsotopeLibrary.isDecaying(source) ? `, ${source.isotope}` : ''}`);
+            if (!IsotopeLibrary.isDecaying(source)) lines.push(`# No isotope set in the designer: ${DEFAULT_ISOTOPE} assumed, activity from the dose rate`);
+            else if (type === 'sphere') lines.push('# Sphere source: activity from its dose rate and the gamma constant of its isotope');
+            lines.push(
+                `/gate/source/addSource ${name} gps`,
+                `/gate/source/${name}/setActivity ${GateMacroWriter.number(activity * photonsPerDecay)} becquerel`,
+                `/gate/source/${name}/gps/particle gamma`,
+                `/gate/source/${name}/gps/ang/type iso`
+            );
+            if (cumulative && IsotopeLibrary.isDecaying(source)) {
+                lines.push(
+                    `/gate/source/${name}/setForcedUnstableFlag true`,
+                    `/gate/source/${name}/setForcedHalfLife ${GateMacroWriter.number(source.halfLife * 86400)} s`
+                );
+            }
+
+            if (emission.length === 1) {
+                lines.push(`/gate/source/${name}/gps/ene/type Mono`, `/gate/source/${name}/gps/ene/mono ${GateMacroWriter.number(emission[0][0])} MeV`);
+            } else {
+                lines.push(`/gate/source/${name}/gps/ene/type User`, `/gate/source/${name}/gps/hist/type energy`);
+                for (const [energy, yieldPerDecay] of emission) {
+                    lines.push(`/gate/source/${name}/gps/hist/point ${GateMacroWriter.number(energy)} ${GateMacroWriter.number(yieldPerDecay)}`);
+                }
+            }
+            lines.push(...GateMacroWriter.sourceShape(name, type, matrix));
+        });
+        return GateMacroWriter.lines(lines);
+    }
+
+    /**
+     * Activity (Bq) giving the designer dose rate of a source (without isotope, or a sphere) with a
+     * gamma constant, that of DEFAULT_ISOTOPE by default: doseAt1m for inverse-square sources; for
+     * spheres, the point source that delivers dosePeriphery at the sphere radius.
+     */
+    static equivalentActivity(source, gammaConstant = IsotopeLibrary.get(DEFAULT_ISOTOPE).gammaConstant) {
+        const doseAt1m = (source.type || 'sphere') === 'sphere'
+            ? source.dosePeriphery * Math.pow(source.radius / 1000, 2)
+            : source.doseAt1m;
+        return IsotopeLibrary.activityForDoseRate(doseAt1m, gammaConstant);
+    }
+
+    /**
+     * GPS position commands of a source. The GPS volume shapes have their axis along local Z,
+     * given by the rot1 (x') and rot2 (y') directions.
+     */
+    static sourceShape(name, type, matrix) {
+        const { translation, rotation, scale } = GateMacroWriter.decompose(matrix);
+        // Column a of the rotation: GATE direction of the object axis a (0: scene X, 1: scene Z, 2: scene Y)
+        const axis = a => [rotation[a], rotation[3 + a], rotation[6 + a]].map(GateMacroWriter.number).join(' ');
+        const gps = `/gate/source/${name}/gps/pos`;
+        const lines = [`${gps}/centre ${translation.map(GateMacroWriter.number).join(' ')} mm`];
+        // Sizes along the scene local axes
+        const [sx, sy, sz] = [scale[0], scale[2], scale[1]];
+
+        switch (type) {
+            case 'line':
+                lines.push(`${gps}/type Volume`, `${gps}/shape Cylinder`,
+                    `${gps}/radius ${LINE_RADIUS} mm`, `${gps}/halfz ${GateMacroWriter.number(sx / 2)} mm`,
+                    `${gps}/rot1 ${axis(1)}`, `${gps}/rot2 ${axis(2)}`);
+                break;
+            case 'box':
+                lines.push(`${gps}/type Volume`, `${gps}/shape Para`,
+                    `${gps}/halfx ${GateMacroWriter.number(sx / 2)} mm`, `${gps}/halfy ${GateMacroWriter.number(sz / 2)} mm`,
+                    `${gps}/halfz ${GateMacroWriter.number(sy / 2)} mm`,
+                    `${gps}/rot1 ${axis(0)}`, `${gps}/rot2 ${axis(1)}`);
+                break;
+            case 'cylinder':
+                lines.push(`${gps}/type Volume`, `${gps}/shape Cylinder`,
+                    `${gps}/radius ${GateMacroWriter.number(sx)} mm`, `${gps}/halfz ${GateMacroWriter.number(sy / 2)} mm`,
+                    `${gps}/rot1 ${axis(0)}`, `${gps}/rot2 ${axis(1)}`);
+                break;
+            case 'sphere':
+                // The sphere radius is the extent of the designer dose field, not of the emitter
+                lines.unshift('# Sphere (easing) source: emitted from its center');
+                lines.push(`${gps}/type Point`);
+                break;
+            default:
+                lines.push(`${gps}/type Point`);
+        }
+        return lines;
+    }
+
+    /**
+     * Center and size (GATE axes) of the box covering the voxels of `grid`.
+     */
+    static domain(grid) {
+        const size = grid.dims.map((n, a) => n * grid.spacing[a]);
+        const center = grid.origin.map((o, a) => o + (grid.dims[a] - 1) * grid.spacing[a] / 2);
+        return { center, size };
+    }
+
+    /**
+     * Translation, rotation (row-major 3x3) and scale in GATE axes of a scene world matrix (no shear).
+     * The scale is returned per GATE axis of the object frame.
+     */
+    static decompose(e) {
+        const scale = [0, 1, 2].map(c => Math.hypot(e[c * 4], e[c * 4 + 1], e[c * 4 + 2]));
+        const p = [0, 2, 1];
+        const rotation = new Array(9);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                rotation[row * 3 + col] = e[p[col] * 4 + p[row]] / scale[p[col]];
+            }
+        }
+        return { translation: VolumeGrid.sceneToGate([e[12], e[13], e[14]]), rotation, scale: VolumeGrid.sceneToGate(scale) };
+    }
+
+    /**
+     * Axis and angle (degrees) of a row-major rotation matrix.
+     */
+    static axisAngle(r) {
+        const cos = Math.min(1, Math.max(-1, (r[0] + r[4] + r[8] - 1) / 2));
+        const angle = Math.acos(cos);
+        if (angle < 1e-9) return { axis: [0, 0, 1], angle: 0 };
+
+        let axis;
+        if (Math.PI - angle < 1e-6) {
+            // Half turn: axis from the diagonal of (R + I) / 2 = axis axisᵀ
+            const xx = (r[0] + 1) / 2, yy = (r[4] + 1) / 2, zz = (r[8] + 1) / 2;
+            if (xx >= yy && xx >= zz) axis = [Math.sqrt(xx), r[1] / (2 * Math.sqrt(xx)), r[2] / (2 * Math.sqrt(xx))];
+            else if (yy >= zz) axis = [r[1] / (2 * Math.sqrt(yy)), Math.sqrt(yy), r[5] / (2 * Math.sqrt(yy))];
+            else axis = [r[2] / (2 * Math.sqrt(zz)), r[5] / (2 * Math.sqrt(zz)), Math.sqrt(zz)];
+        } else {
+            axis = [r[7] - r[5], r[2] - r[6], r[3] - r[1]];
+        }
+        const length = Math.hypot(...axis);
+        return { axis: axis.map(v => v / length), angle: angle * 180 / Math.PI };
+    }
+
+    /**
+     * Mesh triangles in the volume frame: scaled, in GATE axes, winding reversed to undo the mirror.
+     */
+    static localTriangles({ positions, matrix }) {
+        const scale = [0, 1, 2].map(c => Math.hypot(matrix[c * 4], matrix[c * 4 + 1], matrix[c * 4 + 2]));
+        const out = new Float32Array(positions.length);
+        for (let t = 0; t < positions.length; t += 9) {
+            for (let v = 0; v < 3; v++) {
+                const src = t + v * 3, dst = t + [0, 2, 1][v] * 3;
+                out[dst] = positions[src] * scale[0];
+                out[dst + 1] = positions[src + 2] * scale[2];
+                out[dst + 2] = positions[src + 1] * scale[1];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * GATE volume name: letters, digits and underscores, unique by index.
+     */
+    static volumeName(name, fallback, index) {
+        const base = String(name || fallback).replace(/\.stl$/i, '').replace(/\W+/g, '_').replace(/^_+|_+$/g, '') || fallback;
+        return `${/^\d/.test(base) ? `${fallback}_${base}` : base}_${index + 1}`;
+    }
+
+    static number(v) {
+        const n = Number(v.toPrecision(10));
+        return Object.is(n, -0) ? '0' : String(n);
+    }
+
+    static lines(lines) {
+        return lines.filter(l => l !== null).join('\n') + '\n';
+    }
+}
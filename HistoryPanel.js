@@ -0,0 +1,70 @@
+import { FloatingPanel } from './FloatingPanel.js';
+
+/**
+ * Lists the edits of the manager CommandHistory, oldest first. Clicking an entry undoes or redoes
+ * up to it; undone entries stay listed (dimmed) until a new edit replaces them.
+ */
+export class HistoryPanel {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.list = null;
+    }
+
+    toggle() {
+        if (this.panel) this.close();
+        else this.open();
+    }
+
+    open() {
+        this.close();
+        const { history } = this.manager;
+        this.panel = new FloatingPanel(this.manager.container, 'History', { onClose: () => this.close(), className: 'history-panel' });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-toolbar';
+        this.undoButton = document.createElement('button');
+        this.undoButton.textContent = 'Undo';
+        this.undoButton.title = 'Ctrl+Z';
+        this.undoButton.addEventListener('click', () => history.undo());
+        this.redoButton = document.createElement('button');
+        this.redoButton.textContent = 'Redo';
+        this.redoButton.title = 'Ctrl+Shift+Z';
+        this.redoButton.className = 'secondary';
+        this.redoButton.addEventListener('click', () => history.redo());
+        buttons.append(this.undoButton, this.redoButton);
+
+        this.list = document.createElement('ol');
+        this.list.className = 'history-list';
+        this.panel.body.append(buttons, this.list);
+        this.update();
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+        this.list = null;
+    }
+
+    /**
+     * Rebuilds the list (called on every history change).
+     */
+    update() {
+        if (!this.panel) return;
+        const { history } = this.manager;
+        this.undoButton.disabled = !history.canUndo;
+        this.redoButton.disabled = !history.canRedo;
+
+        const items = [{ label: 'Initial state', done: true }, ...history.entries()].map((entry, count) => {
+            const item = document.createElement('li');
+            item.textContent = entry.label;
+            if (!entry.done) item.classList.add('undone');
+            if (count === history.done.length) item.classList.add('current');
+            item.addEventListener('click', () => history.goTo(count));
+            return item;
+        });
+        this.list.replaceChildren(...items);
+        const current = this.list.querySelector('.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * Dose accumulated by a worker walking an intervention path (ALARA planning). A path is a list of
+ * ground waypoints ([x, z], world group coordinates) with a dwell time at each, walked at a constant
+ * speed with the body reference point `height` mm above the ground. The walk is split into samples
+ * (midpoints of steps of at most `step` mm, one per dwell) whose dose rates, times the time spent
+ * there, sum to the dose of each part of the path.
+ * No DOM or three.js dependency.
+ */
+
+const SECONDS_PER_HOUR = 3600;
+
+export class InterventionPaths {
+    /**
+     * @param {object} path - name, waypoints ({ position: [x, z], dwell: seconds }[]), speed (m/s), height (mm).
+     */
+    static create(path) {
+        return { waypoints: [], speed: 1, height: 1000, ...path };
+    }
+
+    static validate(path) {
+        if (path.waypoints.length < 1) throw new Error(`Path "${path.name}" has no waypoint.`);
+        if (!(path.speed > 0)) throw new Error(`Path "${path.name}" needs a positive walking speed.`);
+        if (path.waypoints.some(w => !(w.dwell >= 0))) throw new Error(`Path "${path.name}" has a negative dwell time.`);
+    }
+
+    /**
+     * Parts of the path in walking order: the dwell at each waypoint (when not zero), then the walk
+     * to the next one. Durations in seconds, lengths in mm.
+     * @returns {{ label: string, kind: 'dwell'|'walk', from: number[], to: number[], duration: number, length: number, start: number }[]}
+     */
+    static parts(path) {
+        InterventionPaths.validate(path);
+        const parts = [];
+        let time = 0;
+        path.waypoints.forEach((waypoint, i) => {
+            if (waypoint.dwell > 0) {
+                parts.push({ label: `Stop ${i + 1}`, kind: 'dwell', from: waypoint.position, to: waypoint.position, duration: waypoint.dwell, length: 0, start: time });
+                time += waypoint.dwell;
+            }
+            const next = path.waypoints[i + 1];
+            if (!next) return;
+            const length = Math.hypot(next.position[0] - waypoint.position[0], next.position[1] - waypoint.position[1]);
+            const duration = length / (path.speed * 1000);
+            parts.push({ label: `${i + 1} → ${i + 2}`, kind: 'walk', from: waypoint.position, to: next.position, duration, length, start: time });
+            time += duration;
+        });
+        return parts;
+    }
+
+    /**
+     * Dose samples of a path: positions (xyz, world group coordinates), time spent at each (hours),
+     * the instant it stands for (s) and the sample range of each part.
+     * @returns {{ parts: object[], positions: Float32Array, hours: Float64Array, times: Float64Array, ranges: number[][] }}
+     */
+    static samples(path, step) {
+        const parts = InterventionPaths.parts(path);
+        const counts = parts.map(part => (part.kind === 'walk' ? Math.max(1, Math.ceil(part.length / step)) : 1));
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        const positions = new Float32Array(total * 3);
+        const hours = new Float64Array(total), times = new Float64Array(total);
+        const ranges = [];
+
+        let s = 0;
+        parts.forEach((part, p) => {
+            const n = counts[p];
+            ranges.push([s, s + n]);
+            for (let k = 0; k < n; k++, s++) {
+                const f = (k + 0.5) / n;
+                positions[s * 3] = part.from[0] + (part.to[0] - part.from[0]) * f;
+                positions[s * 3 + 1] = path.height;
+                positions[s * 3 + 2] = part.from[1] + (part.to[1] - part.from[1]) * f;
+                hours[s] = part.duration / n / SECONDS_PER_HOUR;
+                times[s] = part.start + part.duration * f;
+            }
+        });
+        return { parts, positions, hours, times, ranges };
+    }
+
+    /**
+     * Dose of each part and of the whole path from the dose rates (per hour) at the samples.
+     * Samples outside a volume (NaN) add nothing; `coverage` is the fraction of the time with a value.
+     * `cumulative[i]` is the dose received by the end of sample i (see doseUntil).
+     */
+    static integrate(sampling, rates) {
+        const { parts, hours, ranges } = sampling;
+        const cumulative = new Float64Array(hours.length);
+        let dose = 0;
+        const summarize = ([start, end]) => {
+            let partDose = 0, maxRate = -Infinity, covered = 0, time = 0;
+            for (let i = start; i < end; i++) {
+                time += hours[i];
+                if (!Number.isNaN(rates[i])) {
+                    partDose += rates[i] * hours[i];
+                    maxRate = Math.max(maxRate, rates[i]);
+                    covered += hours[i];
+                }
+                cumulative[i] = dose + partDose;
+            }
+            dose += partDose;
+            return { dose: partDose, maxRate, coverage: time ? covered / time : 1 };
+        };
+        const results = parts.map((part, p) => ({ ...part, ...summarize(ranges[p]) }));
+        const duration = parts.reduce((sum, part) => sum + part.duration, 0);
+        const covered = results.reduce((sum, part) => sum + part.coverage * part.duration, 0);
+        return {
+            parts: results,
+            dose,
+            maxRate: Math.max(...results.map(part => part.maxRate)),
+            duration,
+            length: parts.reduce((sum, part) => sum + part.length, 0),
+            coverage: duration ? covered / duration : 1,
+            cumulative
+        };
+    }
+
+    /**
+     * Dose received `time` seconds after the start (whole samples only).
+     */
+    static doseUntil(sampling, integration, time) {
+        const { times } = sampling;
+        let lo = 0, hi = times.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (times[mid] <= time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo ? integration.cumulative[lo - 1] : 0;
+    }
+
+    /**
+     * Ground position ([x, z]) of the worker `time` seconds after the start.
+     */
+    static positionAt(path, time) {
+        for (const part of InterventionPaths.parts(path)) {
+            if (time < part.start + part.duration) {
+                const f = part.duration ? Math.max(0, time - part.start) / part.duration : 0;
+                return [part.from[0] + (part.to[0] - part.from[0]) * f, part.from[1] + (part.to[1] - part.from[1]) * f];
+            }
+        }
+        return path.waypoints[path.waypoints.length - 1].position.slice();
+    }
+
+    /**
+     * Total time of the path (s).
+     */
+    static duration(path) {
+        return InterventionPaths.parts(path).reduce((sum, part) => sum + part.duration, 0);
+    }
+}
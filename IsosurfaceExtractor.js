@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { edgeTable, triTable } from 'three/addons/objects/MarchingCubes.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+
+// Marching cubes edges (Paul Bourke numbering): start corner offset and axis of each of the 12 cube edges.
+const CUBE_EDGES = [
+    [0, 0, 0, 0], [1, 0, 0, 1], [0, 1, 0, 0], [0, 0, 0, 1],
+    [0, 0, 1, 0], [1, 0, 1, 1], [0, 1, 1, 0], [0, 0, 1, 1],
+    [0, 0, 0, 2], [1, 0, 0, 2], [1, 1, 0, 2], [0, 1, 0, 2]
+];
+
+// Cube corners in the bit order used by edgeTable/triTable.
+const CUBE_CORNERS = [
+    [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+    [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+];
+
+/**
+ * Marching-cubes isosurfaces of imported volumes.
+ * Surfaces are listed in the volume GUI folder, saved in `userData.params.isosurfaces`,
+ * and can be exported as STL or promoted to a regular scene mesh.
+ */
+export class IsosurfaceExtractor {
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Extracts the surface `value = level` from a scalar volume.
+     * Returns an indexed geometry in scene coordinates, with normals pointing towards lower values.
+     */
+    static extract(data, grid, level) {
+        const [nx, ny, nz] = grid.dims;
+        const positions = [];
+        const indices = [];
+        const edgeVertices = new Map();
+        const cornerValues = new Float32Array(8);
+        const cubeVertices = new Int32Array(12);
+
+        const valueAt = (x, y, z) => data[x + nx * (y + ny * z)];
+
+        const vertexOnEdge = (x, y, z, axis) => {
+            const key = (x + nx * (y + ny * z)) * 3 + axis;
+            let id = edgeVertices.get(key);
+            if (id === undefined) {
+                const v0 = valueAt(x, y, z);
+                const v1 = valueAt(x + (axis === 0), y + (axis === 1), z + (axis === 2));
+                const t = v1 === v0 ? 0.5 : (level - v0) / (v1 - v0);
+                const p = [x, y, z];
+                p[axis] += t;
+                id = positions.length / 3;
+                positions.push(p[0], p[1], p[2]);
+                edgeVertices.set(key, id);
+            }
+            return id;
+        };
+
+        for (let z = 0; z < nz - 1; z++) {
+            for (let y = 0; y < ny - 1; y++) {
+                for (let x = 0; x < nx - 1; x++) {
+                    let cubeIndex = 0;
+                    for (let c = 0; c < 8; c++) {
+                        const [cx, cy, cz] = CUBE_CORNERS[c];
+                        cornerValues[c] = valueAt(x + cx, y + cy, z + cz);
+                        if (cornerValues[c] < level) cubeIndex |= 1 << c;
+                    }
+
+                    const bits = edgeTable[cubeIndex];
+                    if (bits === 0) continue;
+
+                    for (let e = 0; e < 12; e++) {
+                        if (bits & (1 << e)) {
+                            const [ex, ey, ez, axis] = CUBE_EDGES[e];
+                            cubeVertices[e] = vertexOnEdge(x + ex, y + ey, z + ez, axis);
+                        }
+                    }
+
+                    const base = cubeIndex * 16;
+                    for (let t = 0; triTable[base + t] !== -1; t += 3) {
+                        indices.push(
+                            cubeVertices[triTable[base + t]],
+                            cubeVertices[triTable[base + t + 1]],
+                            cubeVertices[triTable[base + t + 2]]
+                        );
+                    }
+                }
+            }
+        }
+
+        // Voxel indices -> scene coordinates
+        const sceneMatrix = new THREE.Matrix4().fromArray(grid.getSceneMatrix());
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < positions.length; i += 3) {
+            vertex.fromArray(positions, i).applyMatrix4(sceneMatrix).toArray(positions, i);
+        }
+
+        // A mirroring matrix (the GATE -> scene axis swap is one) flips the triangle winding
+        if (sceneMatrix.determinant() < 0) {
+            for (let i = 0; i < indices.length; i += 3) {
+                const tmp = indices[i + 1];
+                indices[i + 1] = indices[i + 2];
+                indices[i + 2] = tmp;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    /**
+     * Adds the isosurface controls to a volume GUI folder and rebuilds the saved surfaces.
+     */
+    attach(volume) {
+        const ud = volume.userData;
+        const folder = ud.guiFolder.addFolder('Isosurfaces');
+        folder.close();
+
+        if (!ud.params.isosurfaces) ud.params.isosurfaces = [];
+        const surfaces = [];
+
+        let maxVal = -Infinity;
+        for (let i = 0; i < ud.data.length; i++) if (ud.data[i] > maxVal) maxVal = ud.data[i];
+
+        const settings = {
+            level: maxVal * 0.5,
+            add: () => {
+                const surfaceParams = { level: settings.level, color: '#ffaa00', opacity: 0.6, visible: true };
+                ud.params.isosurfaces.push(surfaceParams);
+                surfaces.push(this.createSurface(volume, surfaceParams, folder, surfaces));
+            }
+        };
+        folder.add(settings, 'level').name('New Level');
+        folder.add(settings, 'add').name('Add Isosurface');
+
+        ud.params.isosurfaces.forEach(p => surfaces.push(this.createSurface(volume, p, folder, surfaces)));
+
+        // New channel/frame: recompute every level
+        volume.addEventListener('datachange', () => surfaces.forEach(s => s.rebuild()));
+        volume.addEventListener('transformchange', () => surfaces.forEach(s => s.place()));
+        // Volume removed (kept for undo, see RadiationSceneManager.recordPresence): surfaces leave and come back with it
+        volume.addEventListener('removed', () => surfaces.forEach(s => {
+            this.manager.scene.remove(s.mesh);
+            s.mesh.geometry.dispose();
+            s.mesh.material.dispose();
+        }));
+        volume.addEventListener('added', () => surfaces.forEach(s => this.manager.scene.add(s.mesh)));
+    }
+
+    createSurface(volume, params, parentFolder, surfaces) {
+        const ud = volume.userData;
+        const material = new THREE.MeshPhongMaterial({
+            color: params.color,
+            transparent: true,
+            opacity: params.opacity,
+            side: THREE.DoubleSide,
+            depthWrite: params.opacity >= 1
+        });
+        const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+        mesh.visible = params.visible;
+        mesh.userData.isIsosurface = true;
+        this.manager.scene.add(mesh);
+
+        const folder = parentFolder.addFolder(`Level ${params.level}`);
+
+        const surface = {
+            params,
+            mesh,
+            folder,
+            // Follows the volume transform
+            place: () => {
+                mesh.position.copy(volume.position);
+                mesh.quaternion.copy(volume.quaternion);
+                mesh.scale.copy(volume.scale);
+            },
+            rebuild: () => {
+                mesh.geometry.dispose();
+                mesh.geometry = IsosurfaceExtractor.extract(ud.data, ud.grid, params.level);
+                surface.place();
+                folder.title(`Level ${params.level} (${mesh.geometry.index.count / 3} tris)`);
+            },
+            dispose: () => {
+                this.manager.scene.remove(mesh);
+                mesh.geometry.dispose();
+                material.dispose();
+                folder.destroy();
+                ud.params.isosurfaces = ud.params.isosurfaces.filter(p => p !== params);
+                surfaces.splice(surfaces.indexOf(surface), 1);
+            }
+        };
+
+        folder.add(params, 'level').name('Level').onFinishChange(() => surface.rebuild());
+        folder.addColor(params, 'color').name('Color').onChange(v => material.color.set(v));
+        folder.add(params, 'opacity', 0, 1).name('Opacity').onChange(v => {
+            material.opacity = v;
+            material.depthWrite = v >= 1;
+        });
+        folder.add(params, 'visible').name('Visible').onChange(v => mesh.visible = v);
+        folder.add({ exportSTL: () => this.exportSTL(mesh, params.level) }, 'exportSTL').name('Export STL');
+        folder.add({ promote: () => this.promote(mesh, params.level) }, 'promote').name('Add as Scene Mesh');
+        folder.add(surface, 'dispose').name('Remove Isosurface');
+
+        surface.rebuild();
+        return surface;
+    }
+
+    exportSTL(mesh, level) {
+        const result = new STLExporter().parse(mesh, { binary: true });
+        this.manager.downloadBlob(new Blob([result], { type: 'application/octet-stream' }), `isosurface_${level}.stl`);
+    }
+
+    /**
+     * Copies the surface into RadiationSceneManager.meshes so it can be transformed like an imported STL.
+     * The mesh keeps its place in the scene.
+     */
+    promote(mesh, level) {
+        const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrixWorld).toNonIndexed();
+        geometry.computeBoundingBox();
+        const anchor = new THREE.Vector3();
+        geometry.boundingBox.getCenter(anchor);
+        anchor.y = geometry.boundingBox.min.y;
+
+        // processLoadedGeometry recenters the geometry on its base: move the mesh back to the anchor
+        this.manager.processLoadedGeometry(geometry, `isosurface_${level}`, false, null, (sceneMesh) => {
+            sceneMesh.position.copy(this.manager.worldGroup.worldToLocal(anchor));
+            this.manager.recordAdded('mesh', sceneMesh);
+        });
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Gamma emitters.
+ * `halfLife` is in days and `gammaConstant` is an indicative dose-rate constant in µSv·m²/(MBq·h)
+ * (dose rate at 1 m of 1 MBq, unshielded point source). Both are editable per source;
+ * more isotopes can be added with IsotopeLibrary.register.
+ * `lines` are the main photon emissions as [energy (MeV), photons per decay], used for the GATE sources.
+ */
+export const ISOTOPES = {
+    'Co-60': { halfLife: 1925.28, gammaConstant: 0.351, lines: [[1.1732, 0.9985], [1.3325, 0.9998]] },
+    'Cs-137': { halfLife: 10986.9, gammaConstant: 0.0927, lines: [[0.6617, 0.851]] },
+    'Ir-192': { halfLife: 73.829, gammaConstant: 0.130, lines: [[0.2960, 0.2867], [0.3083, 0.2997], [0.3165, 0.8286], [0.4681, 0.4784], [0.6045, 0.0823]] },
+    'Am-241': { halfLife: 157861.8, gammaConstant: 0.0035, lines: [[0.0595, 0.359]] },
+    'Na-22': { halfLife: 950.57, gammaConstant: 0.327, lines: [[0.511, 1.807], [1.2745, 0.9994]] },
+    'I-131': { halfLife: 8.0252, gammaConstant: 0.0595, lines: [[0.3645, 0.815], [0.6370, 0.0716]] },
+    'Tc-99m': { halfLife: 0.25025, gammaConstant: 0.0195, lines: [[0.1405, 0.89]] },
+    'F-18': { halfLife: 0.076228, gammaConstant: 0.155, lines: [[0.511, 1.9346]] }
+};
+
+export const NO_ISOTOPE = 'None';
+
+const MS_PER_DAY = 86400000;
+
+export class IsotopeLibrary {
+    static names() {
+        return Object.keys(ISOTOPES);
+    }
+
+    static get(name) {
+        return ISOTOPES[name] || null;
+    }
+
+    static register(name, { halfLife, gammaConstant, lines = [] }) {
+        if (!(halfLife > 0) || !(gammaConstant >= 0)) throw new Error(`Invalid isotope "${name}".`);
+        ISOTOPES[name] = { halfLife, gammaConstant, lines };
+    }
+
+    /**
+     * Default emission settings of a new source: no isotope (doses entered by hand, no decay),
+     * 1 GBq of activity referenced at the current time.
+     */
+    static defaultEmission() {
+        return { isotope: NO_ISOTOPE, activity: 1e9, referenceDate: IsotopeLibrary.formatDate(Date.now()), halfLife: 0, gammaConstant: 0 };
+    }
+
+    static isDecaying(source) {
+        return !!source.isotope && source.isotope !== NO_ISOTOPE && source.halfLife > 0;
+    }
+
+    /**
+     * Dose rate at 1 m (µSv/h) at the reference date: Γ · A.
+     */
+    static doseRateAt1m(source) {
+        return source.gammaConstant * source.activity / 1e6;
+    }
+
+    /**
+     * Activity (Bq) giving a dose rate at 1 m (µSv/h) for a gamma constant: the inverse of doseRateAt1m.
+     */
+    static activityForDoseRate(doseRateAt1m, gammaConstant) {
+        return gammaConstant > 0 ? doseRateAt1m * 1e6 / gammaConstant : 0;
+    }
+
+    /**
+     * Multiplier turning the reference-date dose rate of `source` into the exported quantity
+     * for a simulation config (sceneDate, doseQuantity, exposureHours):
+     * the decayed rate at the scene date, or the dose integrated over the exposure window starting at it.
+     * Sources without isotope have a constant rate.
+     */
+    static sourceFactor(source, config = {}) {
+        const decaying = IsotopeLibrary.isDecaying(source);
+        const elapsed = decaying && config.sceneDate ? IsotopeLibrary.daysBetween(source.referenceDate, config.sceneDate) : 0;
+        const halfLife = decaying ? source.halfLife : Infinity;
+        return config.doseQuantity === 'cumulative'
+            ? IsotopeLibrary.integratedFactor(halfLife, elapsed, config.exposureHours)
+            : IsotopeLibrary.decayFactor(halfLife, elapsed);
+    }
+
+    /**
+     * Remaining fraction after `elapsed` days (greater than 1 before the reference date).
+     */
+    static decayFactor(halfLife, elapsed) {
+        return Number.isFinite(halfLife) ? Math.pow(2, -elapsed / halfLife) : 1;
+    }
+
+    /**
+     * Hours of reference-date dose rate delivered during `hours` starting `elapsed` days after the reference:
+     * ∫ 2^(-t / T½) dt.
+     */
+    static integratedFactor(halfLife, elapsed, hours) {
+        if (!Number.isFinite(halfLife)) return hours;
+        const halfLifeHours = halfLife * 24;
+        return IsotopeLibrary.decayFactor(halfLife, elapsed) * halfLifeHours / Math.LN2 * (1 - Math.pow(2, -hours / halfLifeHours));
+    }
+
+    /**
+     * Days from one date to another. Dates are ISO 8601 strings; without time zone they are read as UTC,
+     * so the browser and the CLI agree whatever the local zone.
+     */
+    static daysBetween(from, to) {
+        const days = (IsotopeLibrary.parseDate(to) - IsotopeLibrary.parseDate(from)) / MS_PER_DAY;
+        if (!Number.isFinite(days)) throw new Error(`Invalid date "${Number.isNaN(IsotopeLibrary.parseDate(from)) ? from : to}".`);
+        return days;
+    }
+
+    /**
+     * @returns {number} milliseconds since the epoch, NaN when invalid.
+     */
+    static parseDate(text) {
+        let iso = String(text).trim().replace(' ', 'T');
+        if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) iso += 'T00:00';
+        if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(iso)) iso += 'Z';
+        return Date.parse(iso);
+    }
+
+    /**
+     * 'YYYY-MM-DDTHH:MMZ' (UTC, minute precision).
+     */
+    static formatDate(ms) {
+        return new Date(ms).toISOString().slice(0, 16) + 'Z';
+    }
+}
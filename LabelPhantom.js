@@ -0,0 +1,194 @@
+import { FloatingPanel } from './FloatingPanel.js';
+import { MeshVoxelizer } from './MeshVoxelizer.js';
+import { MetaImageWriter } from './MetaImageWriter.js';
+import { VolumeGrid } from './VolumeGrid.js';
+import { MaterialLibrary } from './MaterialLibrary.js';
+import { GateMacroWriter } from './GateMacroWriter.js';
+import { ZipWriter } from './ZipWriter.js';
+import { TaskCancelledError } from './WorkerPool.js';
+
+// Label of the voxels outside every mesh
+const BACKGROUND_MATERIAL = 'Air';
+
+export const OVERLAP_RULES = {
+    priority: 'Priority (higher wins)',
+    density: 'Densest material wins',
+    order: 'Scene order (last wins)'
+};
+
+/**
+ * Voxelized label phantom of the scene meshes on the simulation grid, for GATE
+ * ImageNestedParametrisedVolume runs: label 0 is the background, label n the n-th mesh.
+ * The export bundles the MET_USHORT image, the label range -> material table and the material database.
+ */
+export class LabelPhantom {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+    }
+
+    open() {
+        const { meshes } = this.manager;
+        if (!meshes.length) {
+            alert("A label phantom needs at least one mesh.");
+            return;
+        }
+        this.close();
+
+        this.panel = new FloatingPanel(this.manager.container, 'Label Phantom', { onClose: () => this.close() });
+        const rule = this.panel.addField('Overlap',
+            FloatingPanel.createSelect(Object.entries(OVERLAP_RULES).map(([value, label]) => ({ value, label })), 'priority'));
+
+        this.table = document.createElement('div');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-toolbar';
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export';
+        const addButton = document.createElement('button');
+        addButton.textContent = 'Add to Scene';
+        addButton.className = 'secondary';
+        buttons.append(exportButton, addButton);
+        this.panel.body.append(this.table, buttons);
+        this.update();
+
+        exportButton.addEventListener('click', () => {
+            this.update();
+            try {
+                this.export(rule.value);
+            } catch (err) {
+                console.error(err);
+                alert(`Phantom export failed.\n${err.message}`);
+            }
+        });
+        addButton.addEventListener('click', async () => {
+            this.update();
+            try {
+                const { labels, grid } = this.compute(rule.value);
+                await this.manager.addVolumeFromData(Float32Array.from(labels), grid, 'Label Phantom');
+            } catch (err) {
+                if (err instanceof TaskCancelledError) return;
+                console.error(err);
+                alert(`Failed to add the phantom.\n${err.message}`);
+            }
+        });
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    /**
+     * Rebuilds the label table from the current meshes (history change, before computing), so that
+     * it shows the labels and priorities of the image.
+     */
+    update() {
+        if (!this.panel) return;
+        const { meshes } = this.manager;
+        // Label, material and editable priority of every mesh
+        const table = FloatingPanel.createTable(['Label', 'Object', 'Material', 'Priority'], meshes.map((mesh, i) => [
+            i + 1, mesh.userData.name || 'mesh', LabelPhantom.materialOf(mesh), ''
+        ]));
+        Array.from(table.tBodies[0].rows).forEach((row, i) => {
+            const mesh = meshes[i];
+            const input = FloatingPanel.createNumberInput(mesh.userData.labelPriority || 0, 1);
+            input.addEventListener('change', () => { mesh.userData.labelPriority = Number(input.value) || 0; });
+            row.cells[3].replaceChildren(input);
+        });
+        this.table.replaceChildren(table);
+    }
+
+    /**
+     * Rasterizes the meshes on the simulation grid.
+     * @returns {{ grid: VolumeGrid, labels: Uint16Array, materials: string[] }} materials[label].
+     */
+    compute(rule) {
+        const { meshes, simulationConfig } = this.manager;
+        if (meshes.length > 65535) throw new Error("Too many meshes for a MET_USHORT label image.");
+        const grid = VolumeGrid.fromSimulationConfig(simulationConfig);
+
+        const layers = meshes.map((mesh, i) => ({
+            label: i + 1,
+            triangles: MeshVoxelizer.meshToIndexSpace(mesh, grid),
+            rank: LabelPhantom.rank(mesh, rule)
+        }));
+        return {
+            grid,
+            labels: LabelPhantom.rasterize(layers, grid.dims),
+            materials: [BACKGROUND_MATERIAL, ...meshes.map(mesh => LabelPhantom.materialOf(mesh))]
+        };
+    }
+
+    /**
+     * Paints the voxels inside each layer with its label, lowest rank first, so that overlaps
+     * keep the highest rank (scene order among equal ranks).
+     */
+    static rasterize(layers, dims) {
+        const [nx, ny] = dims;
+        const labels = new Uint16Array(dims[0] * dims[1] * dims[2]);
+        layers
+            .map((layer, index) => ({ ...layer, index }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index)
+            .forEach(({ triangles, label }) => {
+                MeshVoxelizer.forEachInside(triangles, dims, (i, j, k) => {
+                    labels[i + nx * (j + ny * k)] = label;
+                });
+            });
+        return labels;
+    }
+
+    static rank(mesh, rule) {
+        if (rule === 'density') return MaterialLibrary.get(LabelPhantom.materialOf(mesh)).density;
+        if (rule === 'priority') return mesh.userData.labelPriority || 0;
+        return 0;
+    }
+
+    /**
+     * Material of a mesh in the phantom: its shielding material, background material otherwise.
+     */
+    static materialOf(mesh) {
+        const shielding = mesh.userData.shielding;
+        return MaterialLibrary.isShielding(shielding) ? shielding.material : BACKGROUND_MATERIAL;
+    }
+
+    /**
+     * GATE range file: one "min max material" line per label.
+     */
+    static rangeTable(materials) {
+        return [materials.length, ...materials.map((name, label) => `${label} ${label} ${name}`)].join('\n') + '\n';
+    }
+
+    /**
+     * Macro inserting the phantom as an image volume centered on the voxel domain.
+     */
+    static phantomMacro(grid) {
+        const { center } = GateMacroWriter.domain(grid);
+        return GateMacroWriter.lines([
+            '# Voxelized phantom (use instead of mac/geometry.mac)',
+            '/gate/geometry/setMaterialDatabase data/GateMaterials.db',
+            '/gate/world/daughters/name phantom',
+            '/gate/world/daughters/insert ImageNestedParametrisedVolume',
+            '/gate/phantom/geometry/setImage data/phantom.mhd',
+            '/gate/phantom/geometry/setRangeToMaterialFile data/phantom-materials.dat',
+            `/gate/phantom/placement/setTranslation ${center.map(GateMacroWriter.number).join(' ')} mm`
+        ]);
+    }
+
+    /**
+     * Downloads simulation-phantom.zip (same layout as the GATE macro export).
+     */
+    export(rule) {
+        const { grid, labels, materials } = this.compute(rule);
+        const { mhd, raw } = MetaImageWriter.write(labels, grid, 'phantom.raw', 'MET_USHORT');
+
+        const root = 'simulation-phantom/';
+        const zip = new ZipWriter()
+            .add(`${root}data/phantom.mhd`, mhd)
+            .add(`${root}data/phantom.raw`, raw)
+            .add(`${root}data/phantom-materials.dat`, LabelPhantom.rangeTable(materials))
+            .add(`${root}data/GateMaterials.db`, MaterialLibrary.gateDatabase([...new Set(materials)]))
+            .add(`${root}mac/phantom.mac`, LabelPhantom.phantomMacro(grid));
+        this.manager.downloadBlob(new Blob([zip.toBytes()], { type: 'application/zip' }), 'simulation-phantom.zip');
+    }
+}
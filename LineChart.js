@@ -0,0 +1,118 @@
+const PALETTE = ['#4CAF50', '#2196F3', '#ff9800', '#e91e63', '#9c27b0', '#00bcd4', '#ffeb3b', '#795548'];
+const MARGIN = { left: 52, right: 12, top: 12, bottom: 36 };
+
+/**
+ * Minimal canvas line chart (axes, ticks, legend) used by the analysis panels.
+ */
+export class LineChart {
+    constructor(width = 380, height = 240) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.canvas.className = 'line-chart';
+    }
+
+    static colorAt(index) {
+        return PALETTE[index % PALETTE.length];
+    }
+
+    /**
+     * @param {{ name: string, points: number[][], color?: string }[]} series - points as [x, y].
+     * @param {{ xLabel?: string, yLabel?: string }} [options]
+     */
+    draw(series, { xLabel = '', yLabel = '' } = {}) {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+
+        let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+        series.forEach(s => s.points.forEach(([x, y]) => {
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+            xMin = Math.min(xMin, x); xMax = Math.max(xMax, x);
+            yMin = Math.min(yMin, y); yMax = Math.max(yMax, y);
+        }));
+        if (xMin === Infinity) return;
+        if (yMin > 0) yMin = 0;
+        if (xMax === xMin) xMax = xMin + 1;
+        if (yMax === yMin) yMax = yMin + 1;
+
+        const plotW = width - MARGIN.left - MARGIN.right;
+        const plotH = height - MARGIN.top - MARGIN.bottom;
+        const sx = x => MARGIN.left + (x - xMin) / (xMax - xMin) * plotW;
+        const sy = y => MARGIN.top + plotH - (y - yMin) / (yMax - yMin) * plotH;
+
+        // Axes and ticks
+        ctx.strokeStyle = '#666';
+        ctx.fillStyle = '#bbb';
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(MARGIN.left, MARGIN.top, plotW, plotH);
+
+        ctx.textAlign = 'center';
+        LineChart.ticks(xMin, xMax, 5).forEach(t => {
+            ctx.fillText(LineChart.format(t), sx(t), MARGIN.top + plotH + 12);
+        });
+        ctx.textAlign = 'right';
+        LineChart.ticks(yMin, yMax, 5).forEach(t => {
+            ctx.fillText(LineChart.format(t), MARGIN.left - 4, sy(t) + 3);
+            ctx.strokeStyle = '#333';
+            ctx.beginPath();
+            ctx.moveTo(MARGIN.left, sy(t));
+            ctx.lineTo(MARGIN.left + plotW, sy(t));
+            ctx.stroke();
+        });
+
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel, MARGIN.left + plotW / 2, height - 6);
+        ctx.save();
+        ctx.translate(10, MARGIN.top + plotH / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+
+        // Curves
+        series.forEach((s, i) => {
+            ctx.strokeStyle = s.color || LineChart.colorAt(i);
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let penDown = false;
+            s.points.forEach(([x, y]) => {
+                if (!Number.isFinite(x) || !Number.isFinite(y)) { penDown = false; return; }
+                if (penDown) ctx.lineTo(sx(x), sy(y));
+                else ctx.moveTo(sx(x), sy(y));
+                penDown = true;
+            });
+            ctx.stroke();
+        });
+
+        // Legend
+        ctx.textAlign = 'left';
+        series.forEach((s, i) => {
+            const y = MARGIN.top + 10 + i * 12;
+            ctx.fillStyle = s.color || LineChart.colorAt(i);
+            ctx.fillRect(MARGIN.left + plotW - 110, y - 6, 10, 3);
+            ctx.fillStyle = '#ddd';
+            ctx.fillText(s.name.slice(0, 18), MARGIN.left + plotW - 96, y);
+        });
+    }
+
+    /**
+     * "Nice" tick values covering [min, max].
+     */
+    static ticks(min, max, count) {
+        const raw = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw) || raw;
+        const ticks = [];
+        for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) ticks.push(t);
+        return ticks;
+    }
+
+    static format(v) {
+        if (v === 0) return '0';
+        const abs = Math.abs(v);
+        return abs >= 1e4 || abs < 1e-2 ? v.toExponential(1) : Number(v.toPrecision(3)).toString();
+    }
+}
@@ -1,127 +1,146 @@
 import * as THREE from 'three';
+import { MetaImageHeader, MetaImageHeaderError } from './MetaImageHeader.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+import { Colormap, COLORMAPS, COLOR_SCALES, DEFAULT_COLORMAP, DEFAULT_BAND_LIMITS, DEFAULT_CUSTOM_STOPS } from './Colormap.js';
+import { ColorLegend } from './ColorLegend.js';
 
 /**
  * Handles parsing, visualization, and restoration of MetaImage (MHD/RAW) files.
  */
 export class MHDHandler {
-    constructor() {
-        this.header = {};
+    /**
+     * @param {Function} runTask - (title, task, payloads, transfer) => Promise of results,
+     *        runs the voxel loops of large volumes in workers (RadiationSceneManager.runTask).
+     * @param {Function} [removeVolume] - called by the "Remove Volume" button instead of disposing the volume
+     *        (RadiationSceneManager.deleteVolume keeps it for undo).
+     * @param {HTMLElement} [legendContainer] - viewport element showing the color legends.
+     */
+    constructor(runTask, removeVolume = null, legendContainer = null) {
+        this.header = null;
+        this.runTask = runTask;
+        this.removeVolume = removeVolume;
+        this.legendContainer = legendContainer;
     }
 
     /**
      * Load files from disk inputs.
+     * For a single-file .mha (ElementDataFile = LOCAL) the data file can be omitted.
+     * Throws MetaImageHeaderError for malformed headers and Error for unreadable data.
      */
-    async load(mhdFile, rawFile, scene, gui) {
-        // 1. Read and Parse Header
-        const headerText = await this.readFileAsText(mhdFile);
-        this.header = this.parseHeader(headerText);
+    async load(headerFile, dataFile, scene, gui) {
+        // 1. Read and Parse Header (binary read: a .mha keeps its data right after the header)
+        const headerBuffer = await this.readFileAsBuffer(headerFile);
+        const { text, dataOffset } = this.splitHeader(headerBuffer);
+        this.header = this.parseHeader(text);
 
         console.log("MHD Header Parsed:", this.header);
 
         // 2. Read Binary Data
-        const rawBuffer = await this.readFileAsBuffer(rawFile);
-
-        // 3. Parse Raw Data
-        const data = this.parseRawData(rawBuffer, this.header);
+        let rawBuffer;
+        if (this.header.isLocalData) {
+            rawBuffer = headerBuffer.slice(dataOffset);
+        } else if (dataFile) {
+            rawBuffer = await this.readFileAsBuffer(dataFile);
+        } else {
+            throw new MetaImageHeaderError('ElementDataFile', `data file "${this.header.elementDataFile}" was not selected`);
+        }
 
-        if (!data) return null;
+        // 3. Parse Raw Data (inflated if compressed)
+        const data = await this.parseRawData(rawBuffer, this.header);
 
         // 4. Create Visualization
-        return this.createVisualization(data, this.header, scene, gui);
+        return this.createVisualization(data, this.header, scene, gui, { name: headerFile.name });
     }
 
     /**
      * Recreates a volume from saved JSON data (Restoration).
+     * `header` may be a plain key/value object, as written by older scene files.
      */
-    restore(savedData, scene, gui) {
+    async restore(savedData, scene, gui) {
         const { header, data, params } = savedData;
 
-        // Recreate the visualization
         // Note: 'data' coming from JSON might be a standard Array, we convert back to Float32Array
         const float32Data = new Float32Array(data);
 
-        const points = this.createVisualization(float32Data, header, scene, gui);
-
-        // Restore specific GUI/Material params
-        if (params) {
-            // Apply threshold settings stored in params
-            // We need to access the update method attached to userData or the GUI folder
-            // Since createVisualization initializes with default, we rely on the user to adjust or 
-            // we could expose the update function.
-            // For simplicity, we assume createVisualization sets up the basics.
-
-            // If we stored exact visual params, we could apply them here:
-            if (points.material) points.material.size = params.pointSize || 1.0;
-            points.visible = params.visible !== undefined ? params.visible : true;
-        }
-
-        return points;
+        return this.createVisualization(float32Data, MetaImageHeader.fromFields(header), scene, gui, params);
     }
 
     parseHeader(text) {
-        const header = {};
-        const lines = text.split(/\r?\n/);
-        lines.forEach(line => {
-            if (!line.trim()) return;
-            const parts = line.split('=');
-            if (parts.length >= 2) {
-                const key = parts[0].trim();
-                const val = parts[1].trim();
-                header[key] = val;
-            }
-        });
-        return header;
+        return MetaImageHeader.parse(text);
     }
 
-    parseRawData(buffer, header) {
-        const isBigEndian = (header['BinaryDataByteOrderMSB'] === 'True');
-        const type = header['ElementType'];
+    /**
+     * Separates the text header from inline data.
+     * The header ends with the ElementDataFile line; for LOCAL data the binary starts on the next byte.
+     */
+    splitHeader(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder('latin1');
+        let lineStart = 0;
+
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] !== 0x0A) continue;
+            const line = decoder.decode(bytes.subarray(lineStart, i));
+            lineStart = i + 1;
+            if (line.split('=')[0].trim() === 'ElementDataFile') {
+                return { text: decoder.decode(bytes.subarray(0, i)), dataOffset: lineStart };
+            }
+        }
+        return { text: decoder.decode(bytes), dataOffset: bytes.length };
+    }
 
-        const dims = header['DimSize'].split(/\s+/).map(Number);
-        const expectedCount = dims[0] * dims[1] * dims[2];
+    /**
+     * Decodes every value of the file (all frames and channels, interleaved as stored) into a Float32Array.
+     */
+    async parseRawData(buffer, header) {
+        header = MetaImageHeader.fromFields(header);
+        const isBigEndian = header.byteOrderMSB;
+        const type = header.elementType;
+        const expectedCount = header.valueCount;
+        const step = header.elementSize;
+        const expectedBytes = expectedCount * step;
+
+        // HeaderSize: bytes to skip before the voxels (-1: voxels are at the end of the file)
+        if (header.headerSize > 0) buffer = buffer.slice(header.headerSize);
+
+        if (header.compressedData) {
+            const compressedSize = header.compressedDataSize;
+            try {
+                buffer = await this.inflate(compressedSize > 0 ? buffer.slice(0, compressedSize) : buffer);
+            } catch (e) {
+                throw new Error(`Error decompressing data: ${e.message}`);
+            }
+        } else if (header.headerSize === -1) {
+            buffer = buffer.slice(Math.max(0, buffer.byteLength - expectedBytes));
+        }
 
         console.log(`Loading Raw: Type=${type}, MSB=${isBigEndian}, Count=${expectedCount}`);
 
-        const dataView = new DataView(buffer);
-        let resultData = null;
-
-        try {
-            resultData = new Float32Array(expectedCount);
-            let byteOffset = 0;
-            const getter = this.getDataGetter(type, dataView);
-            const step = this.getTypeSize(type);
-
-            if (!getter) {
-                alert(`Unsupported ElementType: ${type}`);
-                return null;
-            }
-
-            if (buffer.byteLength < expectedCount * step) {
-                console.warn(`Buffer size warning: Expected ${expectedCount * step}, got ${buffer.byteLength}.`);
-            }
+        if (buffer.byteLength < expectedBytes) {
+            throw new Error(`Data too short: expected ${expectedBytes} bytes, got ${buffer.byteLength}.`);
+        }
 
-            for (let i = 0; i < expectedCount; i++) {
-                resultData[i] = getter.call(dataView, byteOffset, !isBigEndian);
-                byteOffset += step;
-            }
+        const dataView = new DataView(buffer);
+        const getter = this.getDataGetter(type, dataView);
+        const resultData = new Float32Array(expectedCount);
+        let byteOffset = 0;
 
-        } catch (e) {
-            console.error("Binary parsing error:", e);
-            alert("Error parsing RAW file.");
-            return null;
+        for (let i = 0; i < expectedCount; i++) {
+            resultData[i] = getter.call(dataView, byteOffset, !isBigEndian);
+            byteOffset += step;
         }
 
         return resultData;
     }
 
-    getTypeSize(type) {
-        switch (type) {
-            case 'MET_UCHAR': case 'MET_CHAR': return 1;
-            case 'MET_USHORT': case 'MET_SHORT': return 2;
-            case 'MET_UINT': case 'MET_INT': case 'MET_FLOAT': return 4;
-            case 'MET_DOUBLE': return 8;
-            default: return 4;
-        }
+    /**
+     * Inflates zlib (MetaIO default) or gzip compressed data using the browser's DecompressionStream.
+     */
+    async inflate(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const format = (bytes[0] === 0x1F && bytes[1] === 0x8B) ? 'gzip' : 'deflate';
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream(format));
+        return new Response(stream).arrayBuffer();
     }
 
     getDataGetter(type, dataView) {
@@ -138,52 +157,49 @@ export class MHDHandler {
         }
     }
 
-    createVisualization(data, header, scene, gui) {
-        const dims = header['DimSize'].split(/\s+/).map(Number);
-        const spacing = header['ElementSpacing'].split(/\s+/).map(Number);
-        const offset = header['Offset'].split(/\s+/).map(Number);
-
-        // Calculate Range
-        let minVal = Infinity, maxVal = -Infinity;
-        for (let i = 0; i < data.length; i++) {
-            if (data[i] > maxVal) maxVal = data[i];
-            if (data[i] < minVal) minVal = data[i];
-        }
+    /**
+     * Extracts one scalar 3D volume (channel, frame) from the interleaved file values.
+     */
+    extractComponent(rawData, header, channel = 0, frame = 0) {
+        const channels = header.elementNumberOfChannels;
+        if (channels === 1 && header.frameCount === 1) return rawData;
+
+        const count = header.grid.voxelCount;
+        const result = new Float32Array(count);
+        const base = frame * count * channels + channel;
+        for (let i = 0; i < count; i++) result[i] = rawData[base + i * channels];
+        return result;
+    }
 
-        console.log(`Data Range: [${minVal}, ${maxVal}]`);
+    /**
+     * Builds the point cloud of a volume.
+     * `rawData` holds every value of the file; `userData.data` is the displayed channel/frame.
+     * `savedParams` (optional) restores the name, thresholds, channel/frame, visibility and colors
+     * (colormap, scale and band limits of Colormap, legend units).
+     * Dispatches 'datachange' on the points when the channel/frame changes, 'colorchange' when the colors do.
+     * Voxel positions and data range are computed in workers; rejects with TaskCancelledError if cancelled.
+     */
+    async createVisualization(rawData, header, scene, gui, savedParams = null) {
+        header = MetaImageHeader.fromFields(header);
+        const grid = header.grid;
+        const dims = grid.dims;
+        const spacing = grid.spacing.map(Math.abs);
 
         const geometry = new THREE.BufferGeometry();
         const colorObj = new THREE.Color();
+        const rgb = [0, 0, 0];
+        let colormap = null;
 
-        // Pre-calculate world positions
-        // MAPPING: GATE X->X, GATE Y->Z, GATE Z->Y
-        const allPositions = new Float32Array(data.length * 3);
-        const allValues = data;
-
-        let idx = 0;
-        for (let z = 0; z < dims[2]; z++) {
-            for (let y = 0; y < dims[1]; y++) {
-                for (let x = 0; x < dims[0]; x++) {
+        // Pre-calculate world positions from the oriented grid
+        // MAPPING: GATE X->X, GATE Y->Z, GATE Z->Y (included in the grid scene matrix)
+        const allPositions = await this.computeScenePositions(grid);
 
-                    const gateX = offset[0] + x * spacing[0];
-                    const gateY = offset[1] + y * spacing[1];
-                    const gateZ = offset[2] + z * spacing[2];
-
-                    // AXIS SWAP
-                    const pIdx = idx * 3;
-                    allPositions[pIdx] = gateX;
-                    allPositions[pIdx + 1] = gateZ;
-                    allPositions[pIdx + 2] = gateY;
-
-                    idx++;
-                }
-            }
-        }
+        let allValues = null;
+        let minVal = Infinity, maxVal = -Infinity;
 
         const updateGeometry = (minThresh, maxThresh) => {
             const tempPos = [];
             const tempCol = [];
-            const range = (maxVal - minVal) || 1;
 
             for (let i = 0; i < allValues.length; i++) {
                 const val = allValues[i];
@@ -191,8 +207,8 @@ export class MHDHandler {
                 if (val >= minThresh && val <= maxThresh) {
                     tempPos.push(allPositions[i * 3], allPositions[i * 3 + 1], allPositions[i * 3 + 2]);
 
-                    const n = (val - minVal) / range;
-                    colorObj.setHSL((1.0 - n) * 0.66, 1.0, 0.5);
+                    colormap.colorAt(val, rgb);
+                    colorObj.setRGB(rgb[0], rgb[1], rgb[2], THREE.SRGBColorSpace);
                     tempCol.push(colorObj.r, colorObj.g, colorObj.b);
                 }
             }
@@ -202,8 +218,9 @@ export class MHDHandler {
             geometry.computeBoundingSphere();
         };
 
+        const pointSize = Math.min(...spacing) * 0.9;
         const material = new THREE.PointsMaterial({
-            size: spacing[0] * 0.9,
+            size: pointSize,
             vertexColors: true,
             sizeAttenuation: true
         });
@@ -214,42 +231,171 @@ export class MHDHandler {
         points.userData = {
             isVolume: true,
             header: header,
-            data: data, // Keep reference to Float32Array
+            grid: grid,
+            rawData: rawData, // Every channel/frame, as stored in the file
+            data: null, // Float32Array of the displayed channel/frame
             params: {
-                minThreshold: minVal + (maxVal - minVal) * 0.1,
-                maxThreshold: maxVal,
-                pointSize: spacing[0] * 0.9,
-                visible: true
+                minThreshold: 0,
+                maxThreshold: 0,
+                pointSize: pointSize,
+                visible: true,
+                channel: 0,
+                frame: 0,
+                colormap: DEFAULT_COLORMAP,
+                customStops: DEFAULT_CUSTOM_STOPS,
+                colorScale: 'linear',
+                bandLimits: DEFAULT_BAND_LIMITS,
+                units: 'µSv/h',
+                legend: true,
+                ...savedParams
             }
         };
 
+        // Link params to userData for persistence
+        const params = points.userData.params;
+
+        // Select the displayed component and compute its range.
+        // Resolves false when a newer channel / frame request superseded this one.
+        let componentRequest = 0;
+        const shown = { channel: params.channel, frame: params.frame };
+        const selectComponent = async () => {
+            const request = ++componentRequest;
+            const { channel, frame } = params;
+            const values = this.extractComponent(rawData, header, channel, frame);
+            const range = await this.computeRange(values);
+            if (request !== componentRequest) return false;
+
+            allValues = values;
+            minVal = range.min;
+            maxVal = range.max;
+            Object.assign(shown, { channel, frame });
+            points.userData.data = allValues;
+            console.log(`Data Range: [${minVal}, ${maxVal}]`);
+            return true;
+        };
+
+        await selectComponent();
+        if (!savedParams || savedParams.minThreshold === undefined) {
+            params.minThreshold = minVal + (maxVal - minVal) * 0.1;
+            params.maxThreshold = maxVal;
+        }
+        colormap = new Colormap(params, minVal, maxVal);
+
+        // Legend shown while the volume is in the scene and visible
+        const legend = this.legendContainer ? new ColorLegend(this.legendContainer) : null;
+        const updateLegend = () => {
+            if (!legend) return;
+            legend.setVisible(params.legend && params.visible);
+            legend.update(params.name || 'Volume', params.units, colormap);
+        };
+        if (legend) {
+            points.addEventListener('added', () => legend.attach());
+            points.addEventListener('removed', () => legend.detach());
+        }
+
+        material.size = params.pointSize;
+        points.visible = params.visible;
         scene.add(points);
 
         // GUI
-        const folder = gui.addFolder(`Volume (${dims.join('x')})`);
-
-        // Link params to userData for persistence
-        const params = points.userData.params;
+        const sizeLabel = header.frameCount > 1 ? `${dims.join('x')}x${header.frameCount}` : dims.join('x');
+        const folder = gui.addFolder(`${params.name || 'Volume'} (${sizeLabel})`);
+        points.userData.guiFolder = folder;
 
         updateGeometry(params.minThreshold, params.maxThreshold);
+        updateLegend();
 
-        folder.add(params, 'visible').name('Visible').onChange(v => points.visible = v);
-        folder.add(params, 'pointSize', 0.1, spacing[0] * 5).name('Point Size').onChange(v => material.size = v);
+        folder.add(params, 'visible').name('Visible').onChange(v => {
+            points.visible = v;
+            updateLegend();
+        });
+        folder.add(params, 'pointSize', 0.1, Math.max(...spacing) * 5).name('Point Size').onChange(v => material.size = v);
 
-        folder.add(params, 'minThreshold', minVal, maxVal).name('Min Dose')
+        const minCtrl = folder.add(params, 'minThreshold', minVal, maxVal).name('Min Dose')
             .onChange(v => {
                 if (v > params.maxThreshold) params.maxThreshold = v;
                 updateGeometry(v, params.maxThreshold);
             });
 
-        folder.add(params, 'maxThreshold', minVal, maxVal).name('Max Dose')
+        const maxCtrl = folder.add(params, 'maxThreshold', minVal, maxVal).name('Max Dose')
             .onChange(v => {
                 if (v < params.minThreshold) params.minThreshold = v;
                 updateGeometry(params.minThreshold, v);
             });
 
+        // Channel / frame selector for multi-channel or time-series volumes
+        const frameInfo = { time: header.frameTime(params.frame) };
+        const onComponentChange = async () => {
+            if (!await selectComponent()) return;
+            frameInfo.time = header.frameTime(params.frame);
+            params.minThreshold = minVal + (maxVal - minVal) * 0.1;
+            params.maxThreshold = maxVal;
+            minCtrl.min(minVal).max(maxVal).updateDisplay();
+            maxCtrl.min(minVal).max(maxVal).updateDisplay();
+            colormap = new Colormap(params, minVal, maxVal);
+            updateGeometry(params.minThreshold, params.maxThreshold);
+            updateLegend();
+            points.dispatchEvent({ type: 'datachange' });
+        };
+
+        // Cancelled or failed: put the selectors back on the displayed component
+        const reportError = (err) => {
+            Object.assign(params, shown);
+            frameInfo.time = header.frameTime(params.frame);
+            folder.controllers.forEach(c => c.updateDisplay());
+            if (err instanceof TaskCancelledError) return;
+            console.error(err);
+            alert(`Failed to display the selected channel / frame.\n${err.message}`);
+        };
+
+        if (header.elementNumberOfChannels > 1) {
+            folder.add(params, 'channel', 0, header.elementNumberOfChannels - 1, 1).name('Channel').onChange(() => onComponentChange().catch(reportError));
+        }
+        if (header.frameCount > 1) {
+            folder.add(params, 'frame', 0, header.frameCount - 1, 1).name('Frame').onChange(() => onComponentChange().catch(reportError));
+            folder.add(frameInfo, 'time').name('Frame Time').listen().disable();
+        }
+
+        // Colors: rejected custom stops or band limits restore the last valid settings
+        const colorFolder = folder.addFolder('Colors');
+        const colorKeys = ['colormap', 'customStops', 'colorScale', 'bandLimits'];
+        let validColors = Object.fromEntries(colorKeys.map(key => [key, params[key]]));
+        const applyColors = () => {
+            try {
+                colormap = new Colormap(params, minVal, maxVal);
+            } catch (err) {
+                alert(err.message);
+                Object.assign(params, validColors);
+                colorFolder.controllers.forEach(c => c.updateDisplay());
+                return;
+            }
+            validColors = Object.fromEntries(colorKeys.map(key => [key, params[key]]));
+            showColorFields();
+            updateGeometry(params.minThreshold, params.maxThreshold);
+            updateLegend();
+            points.dispatchEvent({ type: 'colorchange' });
+        };
+        const colormapOptions = Object.fromEntries(Object.entries(COLORMAPS).map(([key, map]) => [map.label, key]));
+        colorFolder.add(params, 'colormap', colormapOptions).name('Colormap').onChange(applyColors);
+        const stopsCtrl = colorFolder.add(params, 'customStops').name('Custom Stops').onFinishChange(applyColors);
+        colorFolder.add(params, 'colorScale', Object.fromEntries(Object.entries(COLOR_SCALES).map(([key, label]) => [label, key])))
+            .name('Scale').onChange(applyColors);
+        const limitsCtrl = colorFolder.add(params, 'bandLimits').name('Band Limits').onFinishChange(applyColors);
+        colorFolder.add(params, 'units').name('Units').onFinishChange(updateLegend);
+        colorFolder.add(params, 'legend').name('Legend').onChange(updateLegend);
+        const showColorFields = () => {
+            stopsCtrl.show(params.colormap === 'custom');
+            limitsCtrl.show(params.colorScale === 'banded');
+        };
+        showColorFields();
+        colorFolder.close();
+
         folder.add({
             remove: () => {
+                if (this.removeVolume) {
+                    this.removeVolume(points);
+                    return;
+                }
                 scene.remove(points);
                 geometry.dispose();
                 material.dispose();
@@ -261,13 +407,23 @@ export class MHDHandler {
         return points;
     }
 
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
-        });
+    /**
+     * Scene position of every voxel center, computed by the workers.
+     */
+    async computeScenePositions(grid) {
+        const payloads = WorkerPool.ranges(grid.voxelCount, WorkerPool.defaultSize() * 4)
+            .map(([start, end]) => ({ grid, start, end, units: end - start }));
+        return WorkerPool.concat(await this.runTask('Preparing Volume', 'scenePositions', payloads));
+    }
+
+    /**
+     * Min / max of the values (NaN ignored), computed by the workers on copies of the value blocks.
+     */
+    async computeRange(values) {
+        const payloads = WorkerPool.ranges(values.length, WorkerPool.defaultSize())
+            .map(([start, end]) => ({ values: values.slice(start, end), units: end - start }));
+        const ranges = await this.runTask('Computing Data Range', 'valueRange', payloads, p => [p.values.buffer]);
+        return ranges.reduce((r, p) => ({ min: Math.min(r.min, p.min), max: Math.max(r.max, p.max) }), { min: Infinity, max: -Infinity });
     }
 
     readFileAsBuffer(file) {
@@ -278,4 +434,4 @@ export class MHDHandler {
             reader.readAsArrayBuffer(file);
         });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,99 @@
+/**
+ * Shielding materials.
+ * `mu` is an indicative narrow-beam linear attenuation coefficient in cm⁻¹ at 662 keV (Cs-137),
+ * `density` is in g/cm³ and `gateName` is the matching Geant4 / GATE material.
+ * `composition` holds the mass fraction of each element, for GATE material databases.
+ * Coefficients are editable per object: use values matching the spectrum of the sources.
+ */
+export const MATERIALS = {
+    Air: { density: 0.00120, mu: 0.0000931, gateName: 'G4_AIR', composition: { C: 0.000124, N: 0.755268, O: 0.231781, Ar: 0.012827 } },
+    Water: { density: 1.0, mu: 0.0862, gateName: 'G4_WATER', composition: { H: 0.111894, O: 0.888106 } },
+    Concrete: {
+        density: 2.3, mu: 0.178, gateName: 'G4_CONCRETE',
+        composition: { H: 0.01, C: 0.001, O: 0.529107, Na: 0.016, Mg: 0.002, Al: 0.033872, Si: 0.337021, K: 0.013, Ca: 0.044, Fe: 0.014 }
+    },
+    Aluminium: { density: 2.699, mu: 0.202, gateName: 'G4_Al', composition: { Al: 1 } },
+    Steel: { density: 8.0, mu: 0.584, gateName: 'G4_STAINLESS-STEEL', composition: { Fe: 0.74, Cr: 0.18, Ni: 0.08 } },
+    Lead: { density: 11.35, mu: 1.248, gateName: 'G4_Pb', composition: { Pb: 1 } },
+    Tungsten: { density: 19.3, mu: 2.08, gateName: 'G4_W', composition: { W: 1 } }
+};
+
+/**
+ * Elements of the compositions: GATE database name, Z and molar mass (g/mole).
+ */
+export const ELEMENTS = {
+    H: { name: 'Hydrogen', Z: 1, A: 1.008 },
+    C: { name: 'Carbon', Z: 6, A: 12.011 },
+    N: { name: 'Nitrogen', Z: 7, A: 14.007 },
+    O: { name: 'Oxygen', Z: 8, A: 15.999 },
+    Na: { name: 'Sodium', Z: 11, A: 22.990 },
+    Mg: { name: 'Magnesium', Z: 12, A: 24.305 },
+    Al: { name: 'Aluminium', Z: 13, A: 26.982 },
+    Si: { name: 'Silicon', Z: 14, A: 28.085 },
+    Ar: { name: 'Argon', Z: 18, A: 39.948 },
+    K: { name: 'Potassium', Z: 19, A: 39.098 },
+    Ca: { name: 'Calcium', Z: 20, A: 40.078 },
+    Cr: { name: 'Chromium', Z: 24, A: 51.996 },
+    Fe: { name: 'Iron', Z: 26, A: 55.845 },
+    Ni: { name: 'Nickel', Z: 28, A: 58.693 },
+    W: { name: 'Tungsten', Z: 74, A: 183.84 },
+    Pb: { name: 'Lead', Z: 82, A: 207.2 }
+};
+
+export const NO_SHIELDING = 'None';
+
+export class MaterialLibrary {
+    static names() {
+        return Object.keys(MATERIALS);
+    }
+
+    static get(name) {
+        return MATERIALS[name] || null;
+    }
+
+    /**
+     * Default shielding settings of a new object: no attenuation.
+     */
+    static defaultShielding() {
+        return { material: NO_SHIELDING, mu: 0 };
+    }
+
+    static isShielding(shielding) {
+        return !!shielding && shielding.material !== NO_SHIELDING && shielding.mu > 0;
+    }
+
+    /**
+     * Half-value layer (cm) <-> linear attenuation coefficient (cm⁻¹).
+     */
+    static muToHVL(mu) {
+        return mu > 0 ? Math.LN2 / mu : Infinity;
+    }
+
+    static hvlToMu(hvl) {
+        return hvl > 0 ? Math.LN2 / hvl : 0;
+    }
+
+    /**
+     * GATE material database (GateMaterials.db format) defining the given materials and their elements.
+     */
+    static gateDatabase(names) {
+        const materials = names.map(name => [name, MaterialLibrary.get(name)]);
+        const missing = materials.find(([, m]) => !m);
+        if (missing) throw new Error(`Unknown material "${missing[0]}".`);
+
+        const symbols = [...new Set(materials.flatMap(([, m]) => Object.keys(m.composition)))];
+        const lines = ['[Elements]'];
+        symbols.forEach(symbol => {
+            const e = ELEMENTS[symbol];
+            lines.push(`${e.name}: S= ${symbol} ; Z= ${e.Z}. ; A= ${e.A} g/mole`);
+        });
+        lines.push('', '[Materials]');
+        materials.forEach(([name, m]) => {
+            const parts = Object.entries(m.composition);
+            const state = name === 'Air' ? 'gas' : name === 'Water' ? 'liquid' : 'solid';
+            lines.push(`${name}: d=${m.density} g/cm3 ; n=${parts.length} ; state=${state}`);
+            parts.forEach(([symbol, fraction]) => lines.push(`        +el: name=${ELEMENTS[symbol].name} ; f=${fraction}`));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
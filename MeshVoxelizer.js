@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+import { TriangleBVH } from './TriangleBVH.js';
+
+// Tiny offsets keep scanline rays off mesh edges and vertices lying on voxel centers.
+const JITTER_J = 1.37e-4;
+const JITTER_K = 2.71e-4;
+
+/**
+ * Rasterizes closed STL meshes onto voxel grids (inside test by scanline ray parity).
+ */
+export class MeshVoxelizer {
+    /**
+     * Triangles of a mesh (world transform applied) expressed in the continuous voxel index space of a grid.
+     * `sceneToVolume` maps scene coordinates to the grid's object frame (inverse of the volume matrixWorld),
+     * null when the grid is not transformed.
+     * @returns {Float32Array} 9 values per triangle.
+     */
+    static meshToIndexSpace(mesh, grid, sceneToVolume = null) {
+        mesh.updateMatrixWorld();
+        const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+        const src = geometry.attributes.position;
+        const out = new Float32Array(src.count * 3);
+
+        const matrix = mesh.matrixWorld.clone();
+        if (sceneToVolume) matrix.premultiply(sceneToVolume);
+
+        const v = new THREE.Vector3();
+        const idx = [0, 0, 0];
+        for (let i = 0; i < src.count; i++) {
+            v.fromBufferAttribute(src, i).applyMatrix4(matrix);
+            // Scene axes -> GATE axes -> voxel index
+            grid.physicalToIndex(v.x, v.z, v.y, idx);
+            out[i * 3] = idx[0];
+            out[i * 3 + 1] = idx[1];
+            out[i * 3 + 2] = idx[2];
+        }
+
+        if (geometry !== mesh.geometry) geometry.dispose();
+        return out;
+    }
+
+    /**
+     * Calls visit(ci, cj, ck) for every sample point of the grid lying inside the closed surface.
+     * With `subdivisions` = s, each voxel is sampled s³ times at sub-voxel centers
+     * (ci, cj, ck are then fractional indices); s = 1 samples voxel centers.
+     */
+    static forEachInside(triangles, dims, visit, subdivisions = 1) {
+        if (triangles.length === 0) return;
+        const bvh = triangles instanceof TriangleBVH ? triangles : new TriangleBVH(triangles);
+        const positions = bvh.positions;
+
+        // Restrict the scan to the mesh bounds
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.min(min[a], positions[i + a]);
+                max[a] = Math.max(max[a], positions[i + a]);
+            }
+        }
+
+        const s = Math.max(1, Math.floor(subdivisions));
+        const first = (a) => Math.max(0, Math.ceil((min[a] + 0.5) * s - 0.5));
+        const last = (a) => Math.min(dims[a] * s - 1, Math.floor((max[a] + 0.5) * s - 0.5));
+        const toIndex = (n) => (n + 0.5) / s - 0.5;
+
+        const hits = [];
+        const rayStart = Math.min(-1, min[0] - 1);
+        const iFirst = first(0), iLast = last(0);
+
+        for (let nk = first(2); nk <= last(2); nk++) {
+            const ck = toIndex(nk);
+            for (let nj = first(1); nj <= last(1); nj++) {
+                const cj = toIndex(nj);
+                hits.length = 0;
+                bvh.intersectRay(rayStart, cj + JITTER_J, ck + JITTER_K, 1, 0, 0, Infinity, hits);
+                if (hits.length < 2) continue;
+                hits.sort((p, q) => p - q);
+
+                // Pairs of crossings delimit the inside spans along the row
+                for (let h = 0; h + 1 < hits.length; h += 2) {
+                    const spanStart = rayStart + hits[h], spanEnd = rayStart + hits[h + 1];
+                    const ni0 = Math.max(iFirst, Math.ceil((spanStart + 0.5) * s - 0.5));
+                    const ni1 = Math.min(iLast, Math.floor((spanEnd + 0.5) * s - 0.5));
+                    for (let ni = ni0; ni <= ni1; ni++) visit(toIndex(ni), cj, ck);
+                }
+            }
+        }
+    }
+
+    /**
+     * Sample volume (in the grid's physical units cubed) of one voxel subdivision.
+     */
+    static sampleVolume(grid, subdivisions = 1) {
+        const s = Math.max(1, Math.floor(subdivisions));
+        const [sx, sy, sz] = grid.spacing.map(Math.abs);
+        return (sx * sy * sz) / (s * s * s);
+    }
+}
@@ -0,0 +1,199 @@
+import { VolumeGrid } from './VolumeGrid.js';
+
+const ELEMENT_SIZES = {
+    MET_UCHAR: 1, MET_CHAR: 1,
+    MET_USHORT: 2, MET_SHORT: 2,
+    MET_UINT: 4, MET_INT: 4, MET_FLOAT: 4,
+    MET_DOUBLE: 8
+};
+
+// Alternative spellings accepted by MetaIO, mapped to the canonical key.
+const SYNONYMS = {
+    Position: 'Offset', Origin: 'Offset',
+    Rotation: 'TransformMatrix', Orientation: 'TransformMatrix',
+    ElementByteOrderMSB: 'BinaryDataByteOrderMSB',
+    ElementSize: 'ElementSpacing'
+};
+
+/**
+ * Raised when a header field is missing or malformed. `field` names the offending key.
+ */
+export class MetaImageHeaderError extends Error {
+    constructor(field, message) {
+        super(`Invalid MetaImage header, ${field}: ${message}`);
+        this.name = 'MetaImageHeaderError';
+        this.field = field;
+    }
+}
+
+/**
+ * Typed and validated model of a MetaImage (.mhd/.mha) header.
+ * The original key/value strings are kept in `fields` so the header serializes as before (see toJSON).
+ *
+ * Supports NDims 2 to 4: 2D images are handled as a single slice, the 4th dimension is a frame (time) axis.
+ * Voxels may hold several interleaved channels (ElementNumberOfChannels).
+ */
+export class MetaImageHeader {
+    constructor(fields = {}) {
+        this.fields = {};
+        Object.entries(fields).forEach(([key, val]) => {
+            this.fields[SYNONYMS[key] || key] = String(val).trim();
+        });
+        this.validate();
+    }
+
+    static parse(text) {
+        const fields = {};
+        text.split(/\r?\n/).forEach(line => {
+            const sep = line.indexOf('=');
+            if (sep < 0) return;
+            const key = line.slice(0, sep).trim();
+            if (key) fields[key] = line.slice(sep + 1).trim();
+        });
+        return new MetaImageHeader(fields);
+    }
+
+    /**
+     * Accepts a header instance or a plain key/value object (as stored in saved scenes).
+     */
+    static fromFields(fields) {
+        if (fields instanceof MetaImageHeader) return fields;
+        return new MetaImageHeader(fields);
+    }
+
+    validate() {
+        const f = this.fields;
+
+        if (f.BinaryData !== undefined && !this.readBool('BinaryData')) {
+            throw new MetaImageHeaderError('BinaryData', 'ASCII voxel data is not supported');
+        }
+
+        this.nDims = this.readInt('NDims');
+        if (this.nDims < 2 || this.nDims > 4) {
+            throw new MetaImageHeaderError('NDims', `expected 2, 3 or 4, got ${this.nDims}`);
+        }
+        const n = this.nDims;
+
+        this.dimSize = this.readNumbers('DimSize', n);
+        this.dimSize.forEach(d => {
+            if (!Number.isInteger(d) || d < 1) throw new MetaImageHeaderError('DimSize', `"${f.DimSize}" must contain positive integers`);
+        });
+
+        this.elementSpacing = f.ElementSpacing !== undefined ? this.readNumbers('ElementSpacing', n) : new Array(n).fill(1);
+        this.elementSpacing.forEach(s => {
+            if (s === 0) throw new MetaImageHeaderError('ElementSpacing', 'spacing cannot be zero');
+        });
+
+        this.offset = f.Offset !== undefined ? this.readNumbers('Offset', n) : new Array(n).fill(0);
+        this.centerOfRotation = f.CenterOfRotation !== undefined ? this.readNumbers('CenterOfRotation', n) : new Array(n).fill(0);
+
+        if (f.TransformMatrix !== undefined) {
+            this.transformMatrix = this.readNumbers('TransformMatrix', n * n);
+        } else {
+            this.transformMatrix = [];
+            for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) this.transformMatrix.push(r === c ? 1 : 0);
+        }
+
+        this.elementType = this.readString('ElementType');
+        if (!(this.elementType in ELEMENT_SIZES)) {
+            throw new MetaImageHeaderError('ElementType', `unsupported type "${this.elementType}"`);
+        }
+
+        this.elementNumberOfChannels = f.ElementNumberOfChannels !== undefined ? this.readInt('ElementNumberOfChannels') : 1;
+        if (this.elementNumberOfChannels < 1) {
+            throw new MetaImageHeaderError('ElementNumberOfChannels', 'must be at least 1');
+        }
+
+        this.byteOrderMSB = f.BinaryDataByteOrderMSB !== undefined ? this.readBool('BinaryDataByteOrderMSB') : false;
+        this.compressedData = f.CompressedData !== undefined ? this.readBool('CompressedData') : false;
+        this.compressedDataSize = f.CompressedDataSize !== undefined ? this.readInt('CompressedDataSize') : 0;
+
+        this.headerSize = f.HeaderSize !== undefined ? this.readInt('HeaderSize') : 0;
+        if (this.headerSize < -1) throw new MetaImageHeaderError('HeaderSize', 'must be -1 or a byte count');
+
+        this.elementDataFile = this.readString('ElementDataFile');
+        if (/^(LIST|.*%)/i.test(this.elementDataFile)) {
+            throw new MetaImageHeaderError('ElementDataFile', `multi-file data "${this.elementDataFile}" is not supported`);
+        }
+
+        // Spatial grid: 2D images get a unit third axis, 4D images drop the time axis.
+        const spatial = Math.min(n, 3);
+        const pad = (arr, fill) => [0, 1, 2].map(a => a < spatial ? arr[a] : fill);
+        const direction = [];
+        for (let a = 0; a < 3; a++) {
+            for (let c = 0; c < 3; c++) {
+                direction.push(a < spatial && c < spatial ? this.transformMatrix[a * n + c] : (a === c ? 1 : 0));
+            }
+        }
+
+        try {
+            this.grid = new VolumeGrid({
+                dims: pad(this.dimSize, 1),
+                spacing: pad(this.elementSpacing, Math.min(...this.elementSpacing.slice(0, spatial).map(Math.abs))),
+                origin: pad(this.offset, 0),
+                direction,
+                center: pad(this.centerOfRotation, 0)
+            });
+        } catch (e) {
+            throw new MetaImageHeaderError('TransformMatrix', 'matrix is not invertible');
+        }
+    }
+
+    get isLocalData() {
+        return this.elementDataFile.toUpperCase() === 'LOCAL';
+    }
+
+    get elementSize() {
+        return ELEMENT_SIZES[this.elementType];
+    }
+
+    /** Number of frames along the 4th (time) dimension, 1 for 2D/3D images. */
+    get frameCount() {
+        return this.nDims === 4 ? this.dimSize[3] : 1;
+    }
+
+    /** Number of scalar values in the whole file (voxels x frames x channels). */
+    get valueCount() {
+        return this.grid.voxelCount * this.frameCount * this.elementNumberOfChannels;
+    }
+
+    /** Physical time of a frame, from the 4th Offset/ElementSpacing entries. */
+    frameTime(frame) {
+        return this.nDims === 4 ? this.offset[3] + frame * this.elementSpacing[3] : 0;
+    }
+
+    toJSON() {
+        return { ...this.fields };
+    }
+
+    // --- Field readers (throw MetaImageHeaderError naming the field) ---
+
+    readString(key) {
+        const val = this.fields[key];
+        if (val === undefined || val === '') throw new MetaImageHeaderError(key, 'missing');
+        return val;
+    }
+
+    readBool(key) {
+        const val = this.readString(key).toLowerCase();
+        if (val === 'true' || val === '1') return true;
+        if (val === 'false' || val === '0') return false;
+        throw new MetaImageHeaderError(key, `expected True or False, got "${this.fields[key]}"`);
+    }
+
+    readInt(key) {
+        const val = Number(this.readString(key));
+        if (!Number.isInteger(val)) throw new MetaImageHeaderError(key, `expected an integer, got "${this.fields[key]}"`);
+        return val;
+    }
+
+    readNumbers(key, count) {
+        const parts = this.readString(key).split(/\s+/);
+        if (parts.length !== count) {
+            throw new MetaImageHeaderError(key, `expected ${count} values, got ${parts.length} ("${this.fields[key]}")`);
+        }
+        const values = parts.map(Number);
+        if (values.some(v => !isFinite(v))) throw new MetaImageHeaderError(key, `"${this.fields[key]}" is not numeric`);
+        return values;
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Writes MetaImage (.mhd + .raw) files from a VolumeGrid and its voxel values.
+ * Has no DOM dependency so it can run in workers and in Node.js.
+ */
+export class MetaImageWriter {
+    /**
+     * Returns the header text and the little-endian raw bytes.
+     * @param {ArrayLike<number>} data - Voxel values, X fastest.
+     * @param {VolumeGrid} grid - Geometry written to Offset / ElementSpacing / DimSize / TransformMatrix.
+     * @param {string} rawFileName - Value of ElementDataFile.
+     * @param {string} [elementType='MET_FLOAT'] - MET_FLOAT, MET_DOUBLE, MET_USHORT, MET_SHORT, MET_UCHAR...
+     * @param {string} [comment] - single-line Comment field (provenance of computed volumes).
+     * @returns {{ mhd: string, raw: ArrayBuffer }}
+     */
+    static write(data, grid, rawFileName, elementType = 'MET_FLOAT', comment = null) {
+        return {
+            mhd: MetaImageWriter.buildHeader(grid, rawFileName, elementType, comment),
+            raw: MetaImageWriter.encode(data, elementType)
+        };
+    }
+
+    static buildHeader(grid, rawFileName, elementType = 'MET_FLOAT', comment = null) {
+        // MetaIO reads Comment before ObjectType, on one line
+        const lines = comment ? [`Comment = ${comment.replace(/[\r\n]+/g, ' ')}`] : [];
+        lines.push(
+            'ObjectType = Image', 'NDims = 3', 'BinaryData = True', 'BinaryDataByteOrderMSB = False',
+            `TransformMatrix = ${grid.direction.join(' ')}`,
+            `Offset = ${grid.origin.join(' ')}`
+        );
+        if (grid.center.some(c => c !== 0)) lines.push(`CenterOfRotation = ${grid.center.join(' ')}`);
+        lines.push(
+            `ElementSpacing = ${grid.spacing.join(' ')}`,
+            `DimSize = ${grid.dims.join(' ')}`,
+            `ElementType = ${elementType}`, `ElementDataFile = ${rawFileName}`
+        );
+        return lines.join('\r\n');
+    }
+
+    static encode(data, elementType = 'MET_FLOAT') {
+        const ArrayType = {
+            MET_UCHAR: Uint8Array, MET_CHAR: Int8Array,
+            MET_USHORT: Uint16Array, MET_SHORT: Int16Array,
+            MET_UINT: Uint32Array, MET_INT: Int32Array,
+            MET_FLOAT: Float32Array, MET_DOUBLE: Float64Array
+        }[elementType];
+        if (!ArrayType) throw new Error(`Unsupported ElementType: ${elementType}`);
+
+        const typed = new ArrayType(data.length);
+        const view = new DataView(typed.buffer);
+        const setter = {
+            MET_UCHAR: view.setUint8, MET_CHAR: view.setInt8,
+            MET_USHORT: view.setUint16, MET_SHORT: view.setInt16,
+            MET_UINT: view.setUint32, MET_INT: view.setInt32,
+            MET_FLOAT: view.setFloat32, MET_DOUBLE: view.setFloat64
+        }[elementType];
+
+        // Explicit little-endian writes (BinaryDataByteOrderMSB = False) whatever the platform
+        const isInteger = !elementType.startsWith('MET_FLOAT') && elementType !== 'MET_DOUBLE';
+        const step = ArrayType.BYTES_PER_ELEMENT;
+        for (let i = 0; i < data.length; i++) {
+            const v = isInteger ? Math.round(data[i]) : data[i];
+            setter.call(view, i * step, v, true);
+        }
+        return typed.buffer;
+    }
+}
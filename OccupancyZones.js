@@ -0,0 +1,145 @@
+/**
+ * Occupancy zones checked against dose limits. A zone is a vertical prism: a footprint polygon on the
+ * ground (X / Z, world group coordinates, a rectangle for box zones) from `base` up to base + height.
+ * The dose of a zone is sampled on a regular lattice inside it; a zone complies when its maximum
+ * dose times its occupancy factor stays within its limit, in the unit of the dose quantity
+ * (µSv/h for rates, µSv for cumulative doses).
+ * No DOM or three.js dependency.
+ */
+
+// Default dose rate limits (µSv/h) of each zone category, to be set to the applicable regulation
+export const ZONE_CATEGORIES = {
+    public: { label: 'Public Area', color: 0x4caf50, occupancy: 1, limit: 0.5 },
+    supervised: { label: 'Supervised Zone', color: 0x2196f3, occupancy: 1, limit: 7.5 },
+    controlled: { label: 'Controlled Zone', color: 0xffc107, occupancy: 1, limit: 25 }
+};
+
+// Samples per zone above which the lattice spacing is widened
+const MAX_ZONE_SAMPLES = 20000;
+
+export class OccupancyZones {
+    /**
+     * New zone of a category with its default occupancy and limit.
+     * @param {object} zone - name, shape ('box' or 'polygon'), points ([x, z] footprint), base, height.
+     * @param {object} [config] - simulation config: cumulative doses get the limit over exposureHours.
+     */
+    static create(zone, category = 'public', config = {}) {
+        return { category, occupancy: ZONE_CATEGORIES[category].occupancy, limit: OccupancyZones.defaultLimit(category, config), ...zone };
+    }
+
+    static defaultLimit(category, config = {}) {
+        const rate = ZONE_CATEGORIES[category].limit;
+        return config.doseQuantity === 'cumulative' ? rate * config.exposureHours : rate;
+    }
+
+    /**
+     * Footprint of a box zone from two opposite ground corners.
+     */
+    static rectangle([x0, z0], [x1, z1]) {
+        return [[x0, z0], [x1, z0], [x1, z1], [x0, z1]];
+    }
+
+    /**
+     * Signed footprint area (mm², positive counterclockwise in X / Z).
+     */
+    static area(points) {
+        let area = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            area += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+        }
+        return area / 2;
+    }
+
+    /**
+     * Even-odd test of a ground point in the footprint.
+     */
+    static contains(points, x, z) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [xi, zi] = points[i], [xj, zj] = points[j];
+            if ((zi > z) !== (zj > z) && x < xj + (z - zj) * (xi - xj) / (zi - zj)) inside = !inside;
+        }
+        return inside;
+    }
+
+    static validate(zone) {
+        if (!(zone.points.length >= 3) || Math.abs(OccupancyZones.area(zone.points)) < 1) throw new Error(`Zone "${zone.name}" has no footprint area.`);
+        if (!(zone.height > 0)) throw new Error(`Zone "${zone.name}" needs a positive height.`);
+    }
+
+    /**
+     * Sample positions (xyz, world group coordinates) at the centers of the lattice cells inside the
+     * zone, `spacing` mm apart or wider to stay within `maxSamples`. Thin zones missing every cell
+     * center are sampled at their footprint vertices.
+     * @returns {Float32Array}
+     */
+    static samplePoints(zone, spacing, maxSamples = MAX_ZONE_SAMPLES) {
+        OccupancyZones.validate(zone);
+        const xs = zone.points.map(p => p[0]), zs = zone.points.map(p => p[1]);
+        const min = [Math.min(...xs), Math.min(...zs)], max = [Math.max(...xs), Math.max(...zs)];
+        const base = zone.base || 0;
+
+        const lattice = step => {
+            const counts = [max[0] - min[0], zone.height, max[1] - min[1]].map(size => Math.max(1, Math.ceil(size / step)));
+            return { counts, total: counts[0] * counts[1] * counts[2] };
+        };
+        let step = spacing;
+        let { counts, total } = lattice(step);
+        while (total > maxSamples) {
+            step *= Math.cbrt(total / maxSamples) * 1.01;
+            ({ counts, total } = lattice(step));
+        }
+
+        const [nx, ny, nz] = counts;
+        const cell = [(max[0] - min[0]) / nx, zone.height / ny, (max[1] - min[1]) / nz];
+        const ground = [];
+        for (let k = 0; k < nz; k++) {
+            const z = min[1] + (k + 0.5) * cell[2];
+            for (let i = 0; i < nx; i++) {
+                const x = min[0] + (i + 0.5) * cell[0];
+                if (OccupancyZones.contains(zone.points, x, z)) ground.push([x, z]);
+            }
+        }
+        if (!ground.length) ground.push(...zone.points);
+
+        const positions = new Float32Array(ground.length * ny * 3);
+        let p = 0;
+        for (let j = 0; j < ny; j++) {
+            const y = base + (j + 0.5) * cell[1];
+            for (const [x, z] of ground) {
+                positions[p++] = x;
+                positions[p++] = y;
+                positions[p++] = z;
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Max / mean of the dose samples of a zone (NaN, outside a volume, ignored) and its compliance:
+     * `exceeds` when max × occupancy is above the limit, null without any sample.
+     * @returns {{ max: number, mean: number, samples: number, weighted: number, exceeds: boolean|null }}
+     */
+    static summarize(values, zone) {
+        let max = -Infinity, sum = 0, samples = 0;
+        for (let i = 0; i < values.length; i++) {
+            const v = values[i];
+            if (Number.isNaN(v)) continue;
+            if (v > max) max = v;
+            sum += v;
+            samples++;
+        }
+        if (!samples) return { max: NaN, mean: NaN, samples, weighted: NaN, exceeds: null };
+        const weighted = max * zone.occupancy;
+        return { max, mean: sum / samples, samples, weighted, exceeds: weighted > zone.limit };
+    }
+
+    /**
+     * Compliance of a zone over several dose estimates (analytic, volumes): exceeds if any does,
+     * null when none covers it.
+     */
+    static status(summaries) {
+        const evaluated = summaries.filter(s => s.exceeds !== null);
+        return evaluated.length ? evaluated.some(s => s.exceeds) : null;
+    }
+}
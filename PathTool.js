@@ -0,0 +1,438 @@
+import * as THREE from 'three';
+import { FloatingPanel } from './FloatingPanel.js';
+import { DoseProbe } from './DoseProbe.js';
+import { LineChart } from './LineChart.js';
+import { InterventionPaths } from './InterventionPaths.js';
+import { StlGeometry } from './StlGeometry.js';
+import { VolumeResampler } from './VolumeResampler.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+import { ZoneTool } from './ZoneTool.js';
+
+// Mouse travel (px) above which a press is an orbit drag, not a click
+const CLICK_TOLERANCE = 4;
+const PATH_COLORS = [0xff4081, 0x40c4ff, 0xffd740, 0x69f0ae, 0xe040fb, 0xff6e40];
+// Lift of the path lines above the ground (mm), so they are not hidden in it
+const LINE_LIFT = 10;
+
+/**
+ * Intervention paths for ALARA planning: waypoints clicked on the ground, each with a dwell time,
+ * walked at the speed of the path (see InterventionPaths). Compute integrates the dose along every
+ * path with the analytic model (dose rates, in the workers) and every imported volume (read as rates
+ * per hour); the comparison table puts the paths side by side and the breakdown lists the parts of the
+ * chosen one. Play walks a marker along each path at once, with its dose so far.
+ * Paths are kept in world group coordinates and saved with the scene.
+ */
+export class PathTool {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.paths = [];
+        this.current = null;
+        this.drawing = false;
+        this.step = 250;
+        this.playbackSpeed = 10;
+        this.playback = null;
+        this.running = false;
+    }
+
+    open() {
+        this.close();
+        this.panel = new FloatingPanel(this.manager.container, 'Intervention Paths', { onClose: () => this.close() });
+
+        const pathButtons = document.createElement('div');
+        pathButtons.className = 'panel-toolbar';
+        const newButton = document.createElement('button');
+        newButton.textContent = 'New Path';
+        newButton.addEventListener('click', () => {
+            this.addPath(InterventionPaths.create({ name: `Path ${this.nextIndex()}` }));
+            this.setDrawing(true);
+        });
+        this.drawButton = document.createElement('button');
+        this.drawButton.textContent = 'Add Waypoints';
+        this.drawButton.addEventListener('click', () => this.setDrawing(!this.drawing));
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete Path';
+        deleteButton.className = 'warning';
+        deleteButton.addEventListener('click', () => { if (this.current) this.removePath(this.current); });
+        pathButtons.append(newButton, this.drawButton, deleteButton);
+        this.hint = document.createElement('div');
+        this.hint.className = 'panel-readout';
+        this.panel.body.append(pathButtons, this.hint);
+
+        // Settings of the path chosen in the list
+        const f = this.fields = {
+            path: this.panel.addField('Path', FloatingPanel.createSelect([], '')),
+            name: this.panel.addField('Name', Object.assign(document.createElement('input'), { type: 'text' })),
+            speed: this.panel.addField('Walking Speed (m/s)', FloatingPanel.createNumberInput(1)),
+            height: this.panel.addField('Body Height (mm)', FloatingPanel.createNumberInput(1000))
+        };
+        f.path.addEventListener('change', () => this.select(this.paths[Number(f.path.value)]));
+        f.name.addEventListener('change', () => this.edit({ name: f.name.value.trim() || this.current.name }));
+        [['speed', 'speed'], ['height', 'height']].forEach(([field, key]) => f[field].addEventListener('change', () => {
+            const value = Number(f[field].value);
+            if (value > 0) this.edit({ [key]: value });
+            else this.select(this.current);
+        }));
+        this.waypointTable = document.createElement('div');
+        this.panel.body.appendChild(this.waypointTable);
+
+        const step = this.panel.addField('Sample Step (mm)', FloatingPanel.createNumberInput(this.step));
+        step.addEventListener('change', () => {
+            if (Number(step.value) > 0) this.step = Number(step.value);
+            step.value = this.step;
+        });
+        const playbackSpeed = this.panel.addField('Playback Speed (×)', FloatingPanel.createNumberInput(this.playbackSpeed));
+        playbackSpeed.addEventListener('change', () => {
+            if (Number(playbackSpeed.value) > 0) this.playbackSpeed = Number(playbackSpeed.value);
+            playbackSpeed.value = this.playbackSpeed;
+        });
+
+        const runButtons = document.createElement('div');
+        runButtons.className = 'panel-toolbar';
+        const computeButton = document.createElement('button');
+        computeButton.textContent = 'Compute';
+        computeButton.addEventListener('click', () => this.compute());
+        this.playButton = document.createElement('button');
+        this.playButton.className = 'secondary';
+        this.playButton.addEventListener('click', () => (this.playback ? this.stop() : this.play()));
+        const csvButton = document.createElement('button');
+        csvButton.textContent = 'Breakdown CSV';
+        csvButton.className = 'secondary';
+        csvButton.addEventListener('click', () => this.exportCSV());
+        runButtons.append(computeButton, this.playButton, csvButton);
+
+        this.comparison = document.createElement('div');
+        this.breakdown = document.createElement('div');
+        this.readout = document.createElement('div');
+        this.readout.className = 'panel-readout';
+        this.panel.body.append(runButtons, this.comparison, this.breakdown, this.readout);
+
+        this.select(this.current || this.paths[0] || null);
+        this.setDrawing(false);
+        this.updatePlayButton();
+    }
+
+    close() {
+        this.stop();
+        this.setDrawing(false);
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    setDrawing(drawing) {
+        this.drawing = drawing && !!this.current;
+        if (!this.panel) return;
+        // One picking tool at a time
+        if (this.drawing) {
+            this.manager.doseProbe.setMode(null);
+            this.manager.registrationTool.setPicking(false);
+            this.manager.zoneTool.setDrawing(null);
+        }
+        this.drawButton.className = this.drawing ? '' : 'secondary';
+        this.hint.textContent = this.drawing ? `Click the ground to add waypoints to ${this.current.name}; Escape to stop.`
+            : 'Choose New Path, or Add Waypoints to extend the chosen path.';
+    }
+
+    /**
+     * Canvas pointerdown (RadiationSceneManager.onPointerDown, raycaster already set): while drawing,
+     * adds the ground point under the pointer if the button is released without dragging the view.
+     * @returns {boolean} true when the event belongs to the tool.
+     */
+    handlePointerDown(event, raycaster) {
+        if (!this.drawing) return false;
+        const point = ZoneTool.pickGround(raycaster, this.manager.worldGroup);
+        const start = { x: event.clientX, y: event.clientY };
+        const onUp = (e) => {
+            window.removeEventListener('pointerup', onUp);
+            if (!point || !this.current || Math.hypot(e.clientX - start.x, e.clientY - start.y) > CLICK_TOLERANCE) return;
+            this.editWaypoints(this.current, waypoints => waypoints.push({ position: [point.x, point.z], dwell: 0 }));
+        };
+        window.addEventListener('pointerup', onUp);
+        return true;
+    }
+
+    nextIndex() {
+        return this.paths.reduce((max, p) => Math.max(max, Number(p.name.replace(/^Path /, '')) || 0), 0) + 1;
+    }
+
+    addPath(path) {
+        if (path.color === undefined) {
+            const used = new Set(this.paths.map(p => p.color));
+            path.color = PATH_COLORS.find(c => !used.has(c)) || PATH_COLORS[this.paths.length % PATH_COLORS.length];
+        }
+        this.paths.push(path);
+        this.buildVisual(path);
+        this.select(path);
+        return path;
+    }
+
+    removePath(path) {
+        this.stop();
+        DoseProbe.disposeObject(path.visual);
+        this.paths = this.paths.filter(p => p !== path);
+        this.select(this.current === path ? this.paths[0] || null : this.current);
+    }
+
+    clearPaths() {
+        this.stop();
+        this.paths.forEach(p => DoseProbe.disposeObject(p.visual));
+        this.paths = [];
+        this.select(null);
+    }
+
+    /**
+     * Line through the waypoints on the ground, with a dot at each.
+     */
+    buildVisual(path) {
+        if (path.visual) DoseProbe.disposeObject(path.visual);
+        const points = path.waypoints.map(w => new THREE.Vector3(w.position[0], LINE_LIFT, w.position[1]));
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const visual = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: path.color, depthTest: false }));
+        visual.add(new THREE.Points(geometry.clone(), new THREE.PointsMaterial({ color: path.color, size: 8, sizeAttenuation: false, depthTest: false })));
+        visual.renderOrder = 1;
+        visual.userData.isPath = true;
+        path.visual = visual;
+        this.manager.worldGroup.add(visual);
+    }
+
+    select(path) {
+        this.current = path;
+        if (!path) this.drawing = false;
+        if (!this.panel) return;
+        const f = this.fields;
+        f.path.replaceChildren(...this.paths.map((p, i) => new Option(p.name, i)));
+        f.path.value = path ? this.paths.indexOf(path) : '';
+        if (path) {
+            f.name.value = path.name;
+            f.speed.value = path.speed;
+            f.height.value = path.height;
+        }
+        Object.values(f).forEach(input => { input.disabled = !path; });
+        this.setDrawing(this.drawing);
+        this.update();
+    }
+
+    /**
+     * Applies settings to the current path, whose dose is then computed again on demand.
+     */
+    edit(changes) {
+        const path = this.current;
+        if (!path) return;
+        Object.assign(path, changes);
+        path.result = null;
+        this.buildVisual(path);
+        this.select(path);
+    }
+
+    editWaypoints(path, change) {
+        this.stop();
+        change(path.waypoints);
+        path.result = null;
+        this.buildVisual(path);
+        this.update();
+    }
+
+    /**
+     * Dose along every path: analytic dose rates on the worker pool, then each imported volume.
+     * The sources are taken as rates whatever the exported dose quantity.
+     */
+    async compute() {
+        const { manager } = this;
+        const paths = this.paths.filter(p => p.waypoints.length);
+        if (!paths.length) {
+            alert("Draw a path first.");
+            return;
+        }
+        if (this.running) return;
+        this.running = true;
+        try {
+            const samplings = paths.map(path => InterventionPaths.samples(path, this.step));
+            manager.worldGroup.updateMatrixWorld();
+            const world = samplings.map(s => StlGeometry.transform(s.positions, manager.worldGroup.matrixWorld.elements));
+            const positions = WorkerPool.concat(world);
+            const sources = manager.getDoseSources({ ...manager.simulationConfig, doseQuantity: 'rate' });
+            const shields = manager.getShields();
+            const payloads = WorkerPool.ranges(positions.length / 3, WorkerPool.defaultSize() * 4).map(([start, end]) => ({
+                sources, shields, positions: positions.slice(start * 3, end * 3), units: end - start
+            }));
+            const analytic = WorkerPool.concat(await manager.runTask('Integrating Path Doses', 'dosePoints', payloads, p => [p.positions.buffer]));
+
+            const point = new THREE.Vector3();
+            let offset = 0;
+            paths.forEach((path, i) => {
+                const sampling = samplings[i], count = sampling.hours.length;
+                const estimates = [
+                    { name: 'Analytic', rates: analytic.subarray(offset, offset + count), unit: 'µSv/h' },
+                    ...manager.importedVolumes.map(volume => ({
+                        name: manager.getVolumeLabel(volume),
+                        unit: volume.userData.params.units,
+                        rates: Float32Array.from({ length: count }, (_, s) => VolumeResampler.sampleAt(volume, point.fromArray(world[i], s * 3)))
+                    }))
+                ];
+                path.result = {
+                    sampling,
+                    estimates: estimates.map(({ name, unit, rates }) => ({ name, unit: PathTool.doseUnit(unit), ...InterventionPaths.integrate(sampling, rates) }))
+                };
+                offset += count;
+            });
+            this.update();
+        } catch (err) {
+            if (err instanceof TaskCancelledError) return;
+            console.error(err);
+            alert(`Path dose computation failed.\n${err.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Dose unit of a rate unit: µSv/h gives µSv.
+     */
+    static doseUnit(rateUnit) {
+        return /\/\s*h$/.test(rateUnit) ? rateUnit.replace(/\s*\/\s*h$/, '') : `${rateUnit}·h`;
+    }
+
+    /**
+     * Redraws the waypoints of the current path, the comparison of the paths and the breakdown of the current one.
+     */
+    update() {
+        if (!this.panel) return;
+        const format = v => Number.isFinite(v) ? LineChart.format(v) : '-';
+        const path = this.current;
+
+        const waypoints = path ? path.waypoints : [];
+        const table = FloatingPanel.createTable(['#', 'X', 'Z', 'Dwell (s)', ''], waypoints.map((w, i) => [i + 1, ...w.position.map(v => v.toFixed(0)), '', '']));
+        Array.from(table.tBodies[0].rows).forEach((row, i) => {
+            const dwell = FloatingPanel.createNumberInput(waypoints[i].dwell);
+            dwell.min = 0;
+            dwell.style.width = '60px';
+            dwell.addEventListener('change', () => {
+                const value = Number(dwell.value);
+                if (value >= 0) this.editWaypoints(path, list => { list[i].dwell = value; });
+                else dwell.value = waypoints[i].dwell;
+            });
+            row.cells[3].replaceChildren(dwell);
+            const remove = document.createElement('button');
+            remove.className = 'panel-close';
+            remove.textContent = '×';
+            remove.title = 'Remove waypoint';
+            remove.addEventListener('click', () => this.editWaypoints(path, list => list.splice(i, 1)));
+            row.cells[4].replaceChildren(remove);
+        });
+        this.waypointTable.replaceChildren(table);
+
+        // Side by side: one row per path, one dose column per estimate
+        const computed = this.paths.filter(p => p.result);
+        const names = computed.length ? computed[0].result.estimates.map(e => `${e.name} (${e.unit})`) : [];
+        this.comparison.replaceChildren(FloatingPanel.createTable(['Path', 'Length (m)', 'Time (min)', ...names, 'Max Rate (µSv/h)'], this.paths.map(p => {
+            if (!p.result) return [p.name, '-', '-', ...names.map(() => '-'), '-'];
+            const { estimates } = p.result;
+            return [p.name, format(estimates[0].length / 1000), format(estimates[0].duration / 60),
+                ...names.map((_, i) => format(estimates[i] ? estimates[i].dose : NaN)), format(estimates[0].maxRate)];
+        })));
+
+        this.breakdown.replaceChildren();
+        if (path && path.result) {
+            const { estimates } = path.result;
+            this.breakdown.appendChild(FloatingPanel.createTable(['Part', 'Time (s)', ...estimates.map(e => `${e.name} (${e.unit})`)],
+                estimates[0].parts.map((part, i) => [part.label, format(part.duration), ...estimates.map(e => format(e.parts[i].dose))])));
+        }
+
+        // Lowest analytic dose among the computed paths
+        const best = computed.reduce((a, b) => (!a || b.result.estimates[0].dose < a.result.estimates[0].dose ? b : a), null);
+        this.readout.textContent = computed.length > 1
+            ? `Lowest analytic dose: ${best.name} (${format(best.result.estimates[0].dose)} ${best.result.estimates[0].unit})`
+            : this.paths.some(p => p.waypoints.length && !p.result) ? 'Compute to integrate the dose along the paths.' : '';
+    }
+
+    /**
+     * Walks a marker along every path at once, `playbackSpeed` times faster than real time.
+     */
+    play() {
+        const paths = this.paths.filter(p => p.waypoints.length);
+        if (!paths.length) return;
+        this.stop();
+        const markers = paths.map(path => {
+            const marker = DoseProbe.createMarker(path.name.slice(0, 8), path.color);
+            this.manager.worldGroup.add(marker);
+            return { path, marker, duration: InterventionPaths.duration(path) };
+        });
+        const end = Math.max(...markers.map(m => m.duration));
+        const started = performance.now();
+
+        const frame = () => {
+            const time = Math.min((performance.now() - started) / 1000 * this.playbackSpeed, end);
+            const lines = [`t = ${(time / 60).toFixed(1)} min`];
+            markers.forEach(({ path, marker }) => {
+                const [x, z] = InterventionPaths.positionAt(path, time);
+                marker.position.set(x, path.height, z);
+                if (path.result) {
+                    const estimate = path.result.estimates[0];
+                    lines.push(`${path.name}: ${LineChart.format(InterventionPaths.doseUntil(path.result.sampling, estimate, time))} ${estimate.unit}`);
+                }
+            });
+            if (this.panel) this.readout.textContent = lines.join('\n');
+            if (time < end) this.playback.frame = requestAnimationFrame(frame);
+            else this.playback.frame = null;
+        };
+        this.playback = { markers, frame: null };
+        this.updatePlayButton();
+        frame();
+    }
+
+    stop() {
+        if (!this.playback) return;
+        if (this.playback.frame) cancelAnimationFrame(this.playback.frame);
+        this.playback.markers.forEach(m => DoseProbe.disposeObject(m.marker));
+        this.playback = null;
+        this.updatePlayButton();
+        this.update();
+    }
+
+    updatePlayButton() {
+        if (this.panel) this.playButton.textContent = this.playback ? 'Stop' : 'Play';
+    }
+
+    exportCSV() {
+        const computed = this.paths.filter(p => p.result);
+        if (!computed.length) {
+            alert("Compute the path doses first.");
+            return;
+        }
+        const rows = [['Path', 'Part', 'Kind', 'Length (mm)', 'Time (s)', 'Estimate', 'Dose', 'Unit', 'Max Rate', 'Coverage']];
+        computed.forEach(path => path.result.estimates.forEach(e => {
+            const number = v => Number.isFinite(v) ? v : '';
+            e.parts.forEach(part => rows.push([path.name, part.label, part.kind, part.length, part.duration, e.name, part.dose, e.unit, number(part.maxRate), part.coverage]));
+            rows.push([path.name, 'Total', '', e.length, e.duration, e.name, e.dose, e.unit, number(e.maxRate), e.coverage]);
+        }));
+        this.manager.downloadCSV(rows, 'path_doses.csv');
+    }
+
+    /**
+     * Saved state (world group coordinates). Doses are not saved: compute again after loading.
+     */
+    toJSON() {
+        return {
+            step: this.step,
+            paths: this.paths.map(({ name, color, speed, height, waypoints }) => ({
+                name, color, speed, height, waypoints: waypoints.map(w => ({ position: w.position.slice(), dwell: w.dwell }))
+            }))
+        };
+    }
+
+    restore(state) {
+        this.clear();
+        if (state.step) this.step = state.step;
+        (state.paths || []).forEach(path => this.addPath(InterventionPaths.create({
+            ...path, waypoints: path.waypoints.map(w => ({ position: w.position.slice(), dwell: w.dwell || 0 }))
+        })));
+    }
+
+    /**
+     * Removes every path (scene cleared).
+     */
+    clear() {
+        this.setDrawing(false);
+        this.clearPaths();
+    }
+}
@@ -0,0 +1,133 @@
+// Pairs needed to fit a rotation; fewer only fit the translation
+const MIN_ROTATION_PAIRS = 3;
+const JACOBI_SWEEPS = 50;
+
+/**
+ * Best-fit transform of paired landmarks (volume registration, see RegistrationTool): rotation and
+ * translation, optionally with a uniform scale, minimizing the sum of squared distances.
+ * Closed-form solution of Horn (unit quaternion of the largest eigenvalue), scale as in Umeyama.
+ * No DOM or three.js dependency.
+ */
+export class PointRegistration {
+    /**
+     * @param {number[][]} from - [x, y, z] landmarks to move.
+     * @param {number[][]} to - their target positions, in the same order.
+     * @param {{ scale?: boolean }} [options] - also fit a uniform scale factor.
+     * @returns {{ quaternion: number[], position: number[], scale: number, residuals: number[], rms: number }}
+     *          mapping p to scale · R(quaternion) p + position; quaternion as [x, y, z, w] (THREE.Quaternion order).
+     * Throws Error without pairs, or when 3 or more landmarks are collinear.
+     */
+    static solve(from, to, { scale = false } = {}) {
+        if (!from.length || from.length !== to.length) throw new Error("Add at least one landmark pair.");
+        const n = from.length;
+        const centroid = points => [0, 1, 2].map(a => points.reduce((sum, p) => sum + p[a], 0) / n);
+        const cFrom = centroid(from), cTo = centroid(to);
+
+        let quaternion = [0, 0, 0, 1];
+        let factor = 1;
+        if (n >= MIN_ROTATION_PAIRS) {
+            const a = from.map(p => p.map((v, i) => v - cFrom[i]));
+            const b = to.map(p => p.map((v, i) => v - cTo[i]));
+            if (PointRegistration.isCollinear(a)) throw new Error("The landmarks are on a line: pick at least 3 points that are not.");
+
+            // Cross-covariance S[i][j] = Σ a_i b_j and Horn's symmetric matrix of it
+            const S = [0, 1, 2].map(i => [0, 1, 2].map(j => a.reduce((sum, p, k) => sum + p[i] * b[k][j], 0)));
+            const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+            const N = [
+                [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+                [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+                [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+                [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+            ];
+            const { values, vectors } = PointRegistration.symmetricEigen(N);
+            const best = values.indexOf(Math.max(...values));
+            const [w, x, y, z] = vectors.map(row => row[best]);
+            const norm = Math.hypot(w, x, y, z);
+            quaternion = [x / norm, y / norm, z / norm, w / norm];
+
+            // The largest eigenvalue is Σ b · R a
+            if (scale) factor = values[best] / a.reduce((sum, p) => sum + p[0] * p[0] + p[1] * p[1] + p[2] * p[2], 0);
+        }
+
+        const rotated = PointRegistration.rotate(quaternion, cFrom);
+        const position = cTo.map((c, i) => c - factor * rotated[i]);
+        const residuals = from.map((p, k) => {
+            const q = PointRegistration.rotate(quaternion, p);
+            return Math.hypot(...q.map((v, i) => factor * v + position[i] - to[k][i]));
+        });
+        const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n);
+        return { quaternion, position, scale: factor, residuals, rms };
+    }
+
+    /**
+     * Whether centered points all lie on a line (or a single point), relative to their spread.
+     */
+    static isCollinear(points) {
+        let spread = 0, area = 0;
+        points.forEach(p => { spread = Math.max(spread, p[0] * p[0] + p[1] * p[1] + p[2] * p[2]); });
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                const [a, b] = [points[i], points[j]];
+                area = Math.max(area, Math.hypot(a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]));
+            }
+        }
+        return area <= 1e-9 * spread;
+    }
+
+    /**
+     * Rotates [x, y, z] by the unit quaternion [x, y, z, w].
+     */
+    static rotate([qx, qy, qz, qw], [x, y, z]) {
+        // v + 2w (q × v) + 2 q × (q × v)
+        const tx = 2 * (qy * z - qz * y), ty = 2 * (qz * x - qx * z), tz = 2 * (qx * y - qy * x);
+        return [
+            x + qw * tx + qy * tz - qz * ty,
+            y + qw * ty + qz * tx - qx * tz,
+            z + qw * tz + qx * ty - qy * tx
+        ];
+    }
+
+    /**
+     * Eigen decomposition of a small symmetric matrix (cyclic Jacobi rotations).
+     * @param {number[][]} matrix - rows, not modified.
+     * @returns {{ values: number[], vectors: number[][] }} eigenvector i is column i of `vectors`.
+     */
+    static symmetricEigen(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+        const total = a.reduce((sum, row) => sum + row.reduce((s, x) => s + x * x, 0), 0);
+
+        for (let sweep = 0; sweep < JACOBI_SWEEPS; sweep++) {
+            let off = 0;
+            for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+            if (off <= 1e-30 * total) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (a[p][q] === 0) continue;
+                    // Rotation in the (p, q) plane zeroing a[p][q]
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+                    for (let k = 0; k < n; k++) {
+                        const kp = a[k][p], kq = a[k][q];
+                        a[k][p] = c * kp - s * kq;
+                        a[k][q] = s * kp + c * kq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const pk = a[p][k], qk = a[q][k];
+                        a[p][k] = c * pk - s * qk;
+                        a[q][k] = s * pk + c * qk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const kp = v[k][p], kq = v[k][q];
+                        v[k][p] = c * kp - s * kq;
+                        v[k][q] = s * kp + c * kq;
+                    }
+                }
+            }
+        }
+        return { values: a.map((row, i) => row[i]), vectors: v };
+    }
+}
@@ -0,0 +1,38 @@
+import { FloatingPanel } from './FloatingPanel.js';
+
+/**
+ * Progress bar with a Cancel button for long background tasks.
+ * Only appears if the task is still running after `delay` ms, so quick runs do not flash a panel.
+ */
+export class ProgressPanel {
+    constructor(container, title, { onCancel = null, delay = 300 } = {}) {
+        this.panel = new FloatingPanel(container, title, { onClose: onCancel, className: 'progress-panel' });
+        this.panel.element.style.visibility = 'hidden';
+        this.timer = setTimeout(() => this.panel.element.style.visibility = '', delay);
+
+        this.bar = document.createElement('progress');
+        this.bar.max = 1;
+        this.bar.value = 0;
+
+        this.label = document.createElement('div');
+        this.label.className = 'panel-readout';
+        this.label.textContent = '0 %';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.className = 'secondary';
+        cancelButton.addEventListener('click', () => onCancel && onCancel());
+
+        this.panel.body.append(this.bar, this.label, cancelButton);
+    }
+
+    update(fraction) {
+        this.bar.value = fraction;
+        this.label.textContent = `${Math.floor(fraction * 100)} %`;
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        this.panel.destroy();
+    }
+}
@@ -0,0 +1,87 @@
+import { ZipWriter } from './ZipWriter.js';
+import { ZipReader } from './ZipReader.js';
+
+export const PROJECT_EXTENSION = '.gateproj';
+const SCENE_ENTRY = 'scene.json';
+const THUMBNAIL_ENTRY = 'thumbnail.png';
+
+/**
+ * Packaged project file: a ZIP archive holding `scene.json` (the SceneSerializer state) and the
+ * binary entries it references by path: volume voxels (`volumes/*.f32`), embedded mesh
+ * geometries (`geometries/*.f32`, see EmbeddedGeometry), all little-endian float32 and deflated,
+ * and a `thumbnail.png` of the view. Entries are read from the file one at a time when needed,
+ * so loading large projects never holds the whole file in memory.
+ * No DOM or three.js dependency: the CLI reads projects with it.
+ */
+export class ProjectArchive {
+    constructor(reader) {
+        this.reader = reader;
+    }
+
+    /**
+     * @param {object} state - scene state; gets `thumbnail` when one is given.
+     * @param {{ path: string, data: Uint8Array }[]} files - binary entries referenced by the state.
+     * @param {Uint8Array} [thumbnail] - PNG.
+     * @returns {Promise<Uint8Array>}
+     */
+    static async write(state, files, thumbnail = null) {
+        const zip = new ZipWriter();
+        // PNG is already compressed
+        if (thumbnail) zip.add(THUMBNAIL_ENTRY, thumbnail);
+        await zip.addCompressed(SCENE_ENTRY, JSON.stringify(thumbnail ? { ...state, thumbnail: THUMBNAIL_ENTRY } : state, null, 2));
+        for (const file of files) await zip.addCompressed(file.path, file.data);
+        return zip.toBytes();
+    }
+
+    /**
+     * Whether the file starts like a ZIP archive (JSON scene files do not).
+     * @param {Blob} blob
+     */
+    static async isArchive(blob) {
+        const bytes = new Uint8Array(await blob.slice(0, 4).arrayBuffer());
+        return bytes.length === 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    /**
+     * @param {Blob} blob
+     * @returns {Promise<ProjectArchive>}
+     */
+    static async open(blob) {
+        const reader = await ZipReader.open(blob);
+        if (!reader.has(SCENE_ENTRY)) throw new Error(`Not a project file: no ${SCENE_ENTRY}.`);
+        return new ProjectArchive(reader);
+    }
+
+    async readState() {
+        return JSON.parse(new TextDecoder().decode(await this.reader.read(SCENE_ENTRY)));
+    }
+
+    /**
+     * Uncompressed byte size of an entry, undefined if the archive does not hold it.
+     */
+    size(path) {
+        const entry = this.reader.entries.get(path);
+        return entry ? entry.size : undefined;
+    }
+
+    /**
+     * @returns {Promise<Float32Array>}
+     */
+    async readFloat32(path) {
+        const bytes = await this.reader.read(path);
+        if (bytes.byteLength % 4 !== 0) throw new Error(`Corrupted entry "${path}".`);
+        return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+    }
+
+    /**
+     * Reads the archive files of the `geometries` table into their entries (`data`, see
+     * EmbeddedGeometry.decode).
+     * @param {(id: string) => void} [onEntry] - called after each geometry.
+     */
+    async readGeometries(state, onEntry = null) {
+        for (const [id, entry] of Object.entries(state.geometries || {})) {
+            if (entry.file) entry.data = await this.readFloat32(entry.file);
+            if (onEntry) onEntry(id);
+        }
+    }
+}
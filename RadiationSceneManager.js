@@ -2,24 +2,46 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { STLLoader } from 'three/addons/loaders/STLLoader.js';
-import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
+import { GUI, Controller } from 'three/addons/libs/lil-gui.module.min.js';
 import { MHDHandler } from './MHDHandler.js';
 import { SceneSerializer } from './SceneSerializer.js';
-
-const EasingFunctions = {
-    Linear: t => t,
-    InSine: t => 1 - Math.cos((t * Math.PI) / 2),
-    OutSine: t => Math.sin((t * Math.PI) / 2),
-    InOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
-    InQuad: t => t * t,
-    OutQuad: t => 1 - (1 - t) * (1 - t),
-    InOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
-    InCubic: t => t * t * t,
-    OutCubic: t => 1 - Math.pow(1 - t, 3),
-    InExpo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
-    OutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
-    InCirc: t => 1 - Math.sqrt(1 - Math.pow(t, 2)),
-    OutCirc: t => Math.sqrt(1 - Math.pow(t - 1, 2)),
+import { SliceViewer } from './SliceViewer.js';
+import { IsosurfaceExtractor } from './IsosurfaceExtractor.js';
+import { VolumeComparator } from './VolumeComparator.js';
+import { DoseVolumeHistogram } from './DoseVolumeHistogram.js';
+import { LabelPhantom } from './LabelPhantom.js';
+import { MetaImageHeader } from './MetaImageHeader.js';
+import { MetaImageWriter } from './MetaImageWriter.js';
+import { VolumeGrid } from './VolumeGrid.js';
+import { DoseModel, EasingFunctions } from './DoseModel.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+import { ProgressPanel } from './ProgressPanel.js';
+import { MaterialLibrary, NO_SHIELDING } from './MaterialLibrary.js';
+import { StlGeometry } from './StlGeometry.js';
+import { SourceShapes, SOURCE_SHAPES } from './SourceShapes.js';
+import { IsotopeLibrary, NO_ISOTOPE } from './IsotopeLibrary.js';
+import { GateMacroWriter } from './GateMacroWriter.js';
+import { ZipWriter } from './ZipWriter.js';
+import { ProjectArchive, PROJECT_EXTENSION } from './ProjectArchive.js';
+import { CommandHistory } from './CommandHistory.js';
+import { HistoryPanel } from './HistoryPanel.js';
+import { SceneSelection } from './SceneSelection.js';
+import { ArrayTool } from './ArrayTool.js';
+import { RegistrationTool } from './RegistrationTool.js';
+import { ResampleTool } from './ResampleTool.js';
+import { ArithmeticTool } from './ArithmeticTool.js';
+import { VolumeArithmetic } from './VolumeArithmetic.js';
+import { DoseProbe } from './DoseProbe.js';
+import { ZoneTool } from './ZoneTool.js';
+import { PathTool } from './PathTool.js';
+import { ReportTool } from './ReportTool.js';
+
+// Handler given to the onFinishChange of each controller, run again by the undo / redo of its edits
+const finishHandlers = new WeakMap();
+const setFinishHandler = Controller.prototype.onFinishChange;
+Controller.prototype.onFinishChange = function (callback) {
+    finishHandlers.set(this, callback);
+    return setFinishHandler.call(this, callback);
 };
 
 export class RadiationSceneManager {
@@ -30,22 +52,71 @@ export class RadiationSceneManager {
         this.sources = [];
         this.meshes = [];
         this.importedVolumes = [];
+        this.exportRunning = false;
 
-        this.mhdHandler = new MHDHandler();
+        this.mhdHandler = new MHDHandler(
+            (title, task, payloads, transfer) => this.runTask(title, task, payloads, transfer),
+            points => this.deleteVolume(points),
+            this.container
+        );
         this.serializer = new SceneSerializer();
 
+        this.history = new CommandHistory();
+        this.historyPanel = new HistoryPanel(this);
+        this.history.onChange = () => {
+            this.historyPanel.update();
+            this.selection.update();
+            this.doseProbe.sceneChanged();
+            this.registrationTool.update();
+            this.labelPhantom.update();
+        };
+        // Undoable add / delete (see recordAdded): take out of the scene, put back, release for good
+        this.sceneObjects = {
+            source: {
+                list: () => this.sources,
+                remove: s => this.removeSource(s), restore: (s, i) => this.restoreSource(s, i), destroy: s => this.destroySource(s)
+            },
+            mesh: {
+                list: () => this.meshes,
+                remove: m => this.removeMesh(m), restore: (m, i) => this.restoreMesh(m, i), destroy: m => this.destroyMesh(m)
+            },
+            volume: {
+                list: () => this.importedVolumes,
+                remove: v => this.removeVolume(v), restore: (v, i) => this.restoreVolume(v, i), destroy: v => this.destroyVolume(v)
+            }
+        };
+
         this.simulationConfig = {
             domainSize: { x: 100000, y: 10000, z: 100000 },
             voxelResolution: { x: 50, y: 50, z: 50 },
-            offset: { x: -50000, y: -5000, z: -50000 }
+            offset: { x: -50000, y: -5000, z: -50000 },
+            // Decay of isotope sources and exported quantity (IsotopeLibrary.sourceFactor)
+            sceneDate: IsotopeLibrary.formatDate(Date.now()),
+            doseQuantity: 'rate',
+            exposureHours: 8
         };
 
         this.initScene();
         this.initLights();
         this.initGrid();
         this.initControls();
+        this.selection = new SceneSelection(this);
+        this.arrayTool = new ArrayTool(this);
         this.initGUI();
 
+        this.sliceViewer = new SliceViewer(this.scene, this.container);
+        this.isosurfaces = new IsosurfaceExtractor(this);
+        this.volumeComparator = new VolumeComparator(this);
+        this.doseVolumeHistogram = new DoseVolumeHistogram(this);
+        this.labelPhantom = new LabelPhantom(this);
+        this.doseProbe = new DoseProbe(this);
+        this.registrationTool = new RegistrationTool(this);
+        this.resampleTool = new ResampleTool(this);
+        this.arithmeticTool = new ArithmeticTool(this);
+        this.zoneTool = new ZoneTool(this);
+        this.pathTool = new PathTool(this);
+        this.reportTool = new ReportTool(this);
+
         this.animate();
         window.addEventListener('resize', this.onWindowResize.bind(this));
     }
@@ -123,20 +194,76 @@ export class RadiationSceneManager {
         this.transformControls.addEventListener('dragging-changed', (event) => {
             this.orbitControls.enabled = !event.value;
         });
+        this.transformControls.addEventListener('object-changed', () => this.updateGizmoAxes());
+        this.transformControls.addEventListener('mode-changed', () => this.updateGizmoAxes());
+        this.transformControls.addEventListener('objectChange', () => {
+            if (this.transformControls.object === this.selection.pivot) {
+                this.selection.applyPivot();
+                return;
+            }
+            const source = this.sources.find(s => s.mesh === this.transformControls.object);
+            if (source && this.transformControls.mode === 'scale') SourceShapes.constrainScale(source, this.transformControls.axis);
+            this.transformChanged(this.transformControls.object);
+        });
+        // One history entry per gizmo drag, for every selected object
+        this.transformControls.addEventListener('mouseDown', () => {
+            this.dragStart = this.selection.objects.map(object => ({ object, before: this.getTransformState(object) }));
+            this.selection.beginDrag();
+        });
+        this.transformControls.addEventListener('mouseUp', () => {
+            const moved = (this.dragStart || [])
+                .map(({ object, before }) => ({ object, before, after: this.getTransformState(object) }))
+                .filter(({ before, after }) => !(after.position.equals(before.position) && after.quaternion.equals(before.quaternion) && after.scale.equals(before.scale)));
+            this.dragStart = null;
+            this.selection.endDrag();
+            if (!moved.length) return;
+            const action = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }[this.transformControls.mode];
+            this.history.record({
+                label: `${action} ${moved.length === 1 ? this.getObjectLabel(moved[0].object) : SceneSelection.count(moved.length)}`,
+                undo: () => moved.forEach(m => this.setTransformState(m.object, m.before)),
+                redo: () => moved.forEach(m => this.setTransformState(m.object, m.after))
+            });
+        });
         this.scene.add(this.transformControls);
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
 
-        this.renderer.domElement.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        // Capture phase: runs before OrbitControls, which a shift-drag box selection must not start
+        this.renderer.domElement.addEventListener('pointerdown', (e) => this.onPointerDown(e), true);
 
         window.addEventListener('keydown', (event) => {
-            switch (event.key.toLowerCase()) {
+            // Keys typed in GUI fields are theirs (text undo, Delete...)
+            if (event.target.closest && event.target.closest('input, select, textarea')) return;
+            const key = event.key.toLowerCase();
+            if (event.ctrlKey || event.metaKey) {
+                const shortcuts = {
+                    z: () => event.shiftKey ? this.history.redo() : this.history.undo(),
+                    y: () => this.history.redo(),
+                    a: () => this.selection.selectAll(),
+                    c: () => this.selection.copy(),
+                    v: () => this.selection.paste(),
+                    d: () => this.selection.duplicate(),
+                    g: () => event.shiftKey ? this.selection.ungroup() : this.selection.group()
+                };
+                if (shortcuts[key]) {
+                    event.preventDefault();
+                    shortcuts[key]();
+                }
+                return;
+            }
+            switch (key) {
                 case 't': this.transformControls.setMode('translate'); break;
                 case 'r': this.transformControls.setMode('rotate'); break;
                 case 'e': this.transformControls.setMode('scale'); break;
                 case 'f': this.frameSelected(); break; // Frame Selected
-                case 'escape': this.transformControls.detach(); break;
+                case 'escape':
+                    this.selection.clear();
+                    this.doseProbe.setMode(null);
+                    this.registrationTool.setPicking(false);
+                    this.zoneTool.setDrawing(null);
+                    this.pathTool.setDrawing(false);
+                    break;
                 case 'delete': this.deleteSelected(); break;
             }
         });
@@ -150,6 +277,7 @@ export class RadiationSceneManager {
         this.gui.domElement.style.top = '10px';
         this.gui.domElement.style.right = '10px';
         this.gui.width = 320;
+        this.recordGUIEdits(this.gui);
 
         const updateBox = () => this.updateDoseBoxVisual();
 
@@ -184,9 +312,109 @@ export class RadiationSceneManager {
         this.scene.add(this.doseBoxHelper);
         domainFolder.add(this.doseBoxHelper, 'visible').name('Show Domain Box');
 
+        const timeFolder = this.gui.addFolder('Time / Decay');
+        this.addDateController(timeFolder, this.simulationConfig, 'sceneDate', 'Scene Date (UTC)');
+        const manager = this;
+        const elapsed = {
+            get days() {
+                const reference = manager.getReferenceTime();
+                return reference === null ? 0 : (IsotopeLibrary.parseDate(manager.simulationConfig.sceneDate) - reference) / 86400000 || 0;
+            },
+            set days(v) {
+                const reference = manager.getReferenceTime();
+                if (reference !== null) manager.simulationConfig.sceneDate = IsotopeLibrary.formatDate(reference + v * 86400000);
+            }
+        };
+        timeFolder.add(elapsed, 'days', 0, 3650, 0.1).name('Days after reference').listen();
+        timeFolder.add(this.simulationConfig, 'doseQuantity', { 'Dose rate (µSv/h)': 'rate', 'Cumulative dose (µSv)': 'cumulative' })
+            .name('Export Quantity').listen();
+        timeFolder.add(this.simulationConfig, 'exposureHours', 0, 100000).name('Exposure (h)').listen();
+
+        const selectionFolder = this.gui.addFolder('Selection');
+        selectionFolder.add(this.selection, 'duplicate').name('Duplicate (Ctrl+D)');
+        selectionFolder.add(this.selection, 'copy').name('Copy (Ctrl+C)');
+        selectionFolder.add(this.selection, 'paste').name('Paste (Ctrl+V)');
+        selectionFolder.add(this.selection, 'group').name('Group (Ctrl+G)');
+        selectionFolder.add(this.selection, 'ungroup').name('Ungroup (Ctrl+Shift+G)');
+        selectionFolder.add({ array: () => this.arrayTool.open() }, 'array').name('Array...');
+        selectionFolder.add(this, 'deleteSelected').name('Delete (Del)');
+        selectionFolder.close();
+
+        const toolsFolder = this.gui.addFolder('Volume Tools');
+        toolsFolder.add({ compare: () => this.volumeComparator.open() }, 'compare').name('Compare Volumes');
+        toolsFolder.add({ dvh: () => this.doseVolumeHistogram.open() }, 'dvh').name('Dose-Volume Histograms');
+        toolsFolder.add({ phantom: () => this.labelPhantom.open() }, 'phantom').name('Label Phantom');
+        toolsFolder.add({ probes: () => this.doseProbe.open() }, 'probes').name('Dose Probes / Profile');
+        toolsFolder.add({ zones: () => this.zoneTool.open() }, 'zones').name('Occupancy Zones');
+        toolsFolder.add({ paths: () => this.pathTool.open() }, 'paths').name('Intervention Paths');
+        toolsFolder.add({ register: () => this.registrationTool.open() }, 'register').name('Register Volume');
+        toolsFolder.add({ resample: () => this.resampleTool.open() }, 'resample').name('Resample to Sim. Grid');
+        toolsFolder.add({ arithmetic: () => this.arithmeticTool.open() }, 'arithmetic').name('Volume Operations');
+
         this.updateDoseBoxVisual();
     }
 
+    /**
+     * Records the value edits of every controller of `gui` and its folders: the value is read when
+     * the user starts editing (pointer or focus) and the change is recorded when it is finished.
+     * Undo / redo set the value back through the controller and run its onFinishChange handler.
+     */
+    recordGUIEdits(gui) {
+        let editing = null;
+        const onStart = (event) => {
+            const controller = gui.controllersRecursive().find(c => c.domElement.contains(event.target));
+            editing = controller ? { controller, value: controller.getValue() } : null;
+        };
+        gui.domElement.addEventListener('pointerdown', onStart, true);
+        gui.domElement.addEventListener('focusin', onStart, true);
+
+        gui.onFinishChange(({ controller }) => {
+            if (!this.history.isRecording || !editing || editing.controller !== controller) return;
+            const edit = editing;
+            // Folder handlers run after this one and may still correct the value (invalid date...)
+            queueMicrotask(() => {
+                const before = edit.value;
+                const after = controller.getValue();
+                if (typeof after === 'function' || typeof after === 'object' || after === before) return;
+                edit.value = after;
+                const setValue = v => {
+                    // Folder of a closed tool (Slice Viewer...): nothing left to edit
+                    if (!controller.parent.controllers.includes(controller)) return;
+                    controller.setValue(v);
+                    const onFinish = finishHandlers.get(controller);
+                    if (onFinish) onFinish.call(controller, controller.getValue());
+                };
+                const folder = controller.parent === gui ? '' : `${controller.parent.$title.textContent}: `;
+                this.history.record({ label: `${folder}${controller.$name.textContent}`, undo: () => setValue(before), redo: () => setValue(after) });
+            });
+        });
+    }
+
+    /**
+     * Text controller for an ISO 8601 date, restoring the last valid value on bad input.
+     */
+    addDateController(folder, object, key, name) {
+        let valid = object[key];
+        return folder.add(object, key).name(name).listen().onFinishChange(value => {
+            if (Number.isNaN(IsotopeLibrary.parseDate(value))) {
+                alert(`Invalid date "${value}". Use YYYY-MM-DD or YYYY-MM-DDTHH:MMZ (UTC).`);
+                object[key] = valid;
+            } else {
+                valid = value;
+            }
+        });
+    }
+
+    /**
+     * Earliest reference date of the isotope sources (ms), origin of the decay slider.
+     */
+    getReferenceTime() {
+        const times = this.sources.filter(s => IsotopeLibrary.isDecaying(s))
+            .map(s => IsotopeLibrary.parseDate(s.referenceDate))
+            .filter(Number.isFinite);
+        return times.length ? Math.min(...times) : null;
+    }
+
     updateDoseBoxVisual() {
         const { domainSize, offset } = this.simulationConfig;
 
@@ -198,11 +426,12 @@ export class RadiationSceneManager {
     }
 
     frameSelected() {
-        const selected = this.transformControls.object;
+        const selected = this.selection.objects;
         let box;
 
-        if (selected) {
-            box = new THREE.Box3().setFromObject(selected);
+        if (selected.length) {
+            box = new THREE.Box3();
+            selected.forEach(o => box.expandByObject(o));
             if (box.isEmpty()) return;
         } else {
             const { domainSize, offset } = this.simulationConfig;
@@ -214,7 +443,10 @@ export class RadiationSceneManager {
         this.fitCameraToSelection(box);
     }
 
-    fitCameraToSelection(box) {
+    /**
+     * Frames `box`, looking along `direction` (THREE.Vector3 from the target to the camera) or along the current view.
+     */
+    fitCameraToSelection(box, direction = null) {
         const size = new THREE.Vector3();
         const center = new THREE.Vector3();
 
@@ -226,13 +458,12 @@ export class RadiationSceneManager {
         const fitWidthDistance = fitHeightDistance / this.camera.aspect;
         const distance = 1.2 * Math.max(fitHeightDistance, fitWidthDistance);
 
-        const direction = this.camera.position.clone()
-            .sub(this.orbitControls.target)
+        const offset = (direction ? direction.clone() : this.camera.position.clone().sub(this.orbitControls.target))
             .normalize()
             .multiplyScalar(distance);
 
         this.orbitControls.target.copy(center);
-        this.camera.position.copy(center).add(direction);
+        this.camera.position.copy(center).add(offset);
 
         this.camera.near = distance / 100;
         this.camera.far = distance * 100;
@@ -248,35 +479,244 @@ export class RadiationSceneManager {
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
         this.raycaster.setFromCamera(this.mouse, this.camera);
 
-        const objectsToCheck = [...this.meshes, ...this.sources.map(s => s.mesh)];
-        const intersects = this.raycaster.intersectObjects(objectsToCheck);
+        if (this.doseProbe.handlePointerDown(event, this.raycaster)) return;
+        if (this.registrationTool.handlePointerDown(event, this.raycaster)) return;
+        if (this.zoneTool.handlePointerDown(event, this.raycaster)) return;
+        if (this.pathTool.handlePointerDown(event, this.raycaster)) return;
 
-        if (intersects.length > 0) this.transformControls.attach(intersects[0].object);
-        else this.transformControls.detach();
+        const intersects = this.raycaster.intersectObjects(this.selection.selectable());
+        const hit = intersects.length > 0 ? intersects[0].object : null;
+
+        // Shift: add / remove the clicked object, or drag a selection box from empty space
+        if (!event.shiftKey) this.selection.set(hit ? [hit] : []);
+        else if (hit) this.selection.toggle(hit);
+        else {
+            event.stopImmediatePropagation();
+            this.selection.startBox(event);
+        }
     }
 
     deleteSelected() {
-        const selected = this.transformControls.object;
-        if (!selected) return;
-        if (this.meshes.includes(selected)) {
-            if (selected.userData.guiFolder) selected.userData.guiFolder.destroy();
-            this.worldGroup.remove(selected);
-            this.meshes = this.meshes.filter(m => m !== selected);
-            if (selected.geometry) selected.geometry.dispose();
-            this.transformControls.detach();
+        const entries = this.selection.objects.map(o => this.sceneEntry(o));
+        if (entries.length) this.deleteObjects(entries);
+    }
+
+    /**
+     * Undoable deletion of a source, mesh or volume (kind of `sceneObjects`).
+     */
+    deleteObject(kind, object) {
+        this.deleteObjects([{ kind, object }]);
+    }
+
+    /**
+     * Deletes several objects as a single history entry.
+     * @param {{ kind: string, object: Object }[]} entries
+     */
+    deleteObjects(entries) {
+        const label = `Delete ${entries.length === 1 ? this.getObjectLabel(entries[0].object) : SceneSelection.count(entries.length)}`;
+        entries.forEach(e => { e.index = this.sceneObjects[e.kind].remove(e.object); });
+        this.recordPresence(entries, label, false);
+    }
+
+    /**
+     * Records the addition of a source, mesh or volume, already in the scene.
+     */
+    recordAdded(kind, object) {
+        this.recordPresence([{ kind, object }], `Add ${this.getObjectLabel(object)}`, true);
+    }
+
+    /**
+     * Undo of an addition removes the objects, undo of a deletion restores them at their list index
+     * (`index` of the entries, in removal order).
+     * Removed objects keep their data and hidden GUI folder; they are destroyed once no history entry
+     * can bring them back. Their GPU buffers are released on removal and uploaded again by three.js
+     * when they are rendered after a restore.
+     */
+    recordPresence(entries, label, added) {
+        const items = entries.map(({ kind, object, index }) => ({ ops: this.sceneObjects[kind], object, index }));
+        const release = () => items.forEach(({ ops, object }) => {
+            if (!ops.list().includes(object)) ops.destroy(object);
+        });
+        if (!this.history.isRecording) {
+            release();
             return;
         }
-        const sourceRef = this.sources.find(s => s.mesh === selected);
-        if (sourceRef) {
-            if (sourceRef.guiFolder) sourceRef.guiFolder.destroy();
-            this.worldGroup.remove(sourceRef.mesh);
-            this.sources = this.sources.filter(s => s !== sourceRef);
-            this.transformControls.detach();
-            return;
+        const remove = () => items.forEach(item => { item.index = item.ops.remove(item.object); });
+        const restore = () => [...items].reverse().forEach(item => item.ops.restore(item.object, item.index));
+        this.history.record({
+            label,
+            undo: added ? remove : restore,
+            redo: added ? restore : remove,
+            discard: release
+        });
+    }
+
+    /**
+     * `sceneObjects` entry of a selected object (the source data of a source mesh).
+     */
+    sceneEntry(object) {
+        if (object.userData.isVolume) return { kind: 'volume', object };
+        const source = this.sources.find(s => s.mesh === object);
+        return source ? { kind: 'source', object: source } : { kind: 'mesh', object };
+    }
+
+    /**
+     * Copyable state of a mesh or source mesh, for SceneSelection paste / duplicate / array.
+     * Meshes share the geometry of the original.
+     */
+    describeObject(object) {
+        const transform = this.getTransformState(object);
+        const group = object.userData.group;
+        const source = this.sources.find(s => s.mesh === object);
+        if (source) {
+            const { mesh, guiFolder, updateGUI, ...fields } = source;
+            return { kind: 'source', fields: structuredClone(fields), transform, group };
         }
+        const { guiFolder, ...userData } = object.userData;
+        return { kind: 'mesh', geometry: object.geometry, userData: structuredClone(userData), transform, group };
+    }
+
+    /**
+     * Adds an object from describeObject(), without its group.
+     * @returns {THREE.Mesh} the new mesh or source mesh.
+     */
+    createObject(description) {
+        if (description.kind === 'source') {
+            const source = this.addSource(description.fields.type);
+            Object.assign(source, description.fields);
+            SourceShapes.apply(source, false);
+            this.setTransformState(source.mesh, description.transform);
+            source.updateGUI();
+            return source.mesh;
+        }
+        const { group, ...userData } = description.userData;
+        const mesh = this.addMesh(description.geometry, userData);
+        this.setTransformState(mesh, description.transform);
+        return mesh;
+    }
+
+    /**
+     * @returns {number} the former index of the source in `sources`.
+     */
+    removeSource(source) {
+        const index = this.sources.indexOf(source);
+        this.selection.remove(source.mesh);
+        this.worldGroup.remove(source.mesh);
+        this.sources = this.sources.filter(s => s !== source);
+        source.guiFolder.hide();
+        source.mesh.geometry.dispose();
+        return index;
+    }
+
+    restoreSource(source, index = this.sources.length) {
+        this.worldGroup.add(source.mesh);
+        this.sources.splice(index, 0, source);
+        source.guiFolder.show();
+    }
+
+    destroySource(source) {
+        source.guiFolder.destroy();
+        source.mesh.geometry.dispose();
+        source.mesh.material.dispose();
+    }
+
+    removeMesh(mesh) {
+        const index = this.meshes.indexOf(mesh);
+        this.selection.remove(mesh);
+        this.worldGroup.remove(mesh);
+        this.meshes = this.meshes.filter(m => m !== mesh);
+        mesh.userData.guiFolder.hide();
+        mesh.geometry.dispose();
+        return index;
+    }
+
+    restoreMesh(mesh, index = this.meshes.length) {
+        this.worldGroup.add(mesh);
+        this.meshes.splice(index, 0, mesh);
+        mesh.userData.guiFolder.show();
+    }
+
+    destroyMesh(mesh) {
+        mesh.userData.guiFolder.destroy();
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+
+    removeVolume(points) {
+        const index = this.importedVolumes.indexOf(points);
+        this.selection.remove(points);
+        // The 'removed' listener (addImportedVolume) drops it from importedVolumes
+        this.scene.remove(points);
+        points.userData.guiFolder.hide();
+        points.geometry.dispose();
+        points.material.dispose();
+        return index;
+    }
+
+    restoreVolume(points, index = this.importedVolumes.length) {
+        this.scene.add(points);
+        this.importedVolumes.splice(index, 0, points);
+        points.userData.guiFolder.show();
+        this.volumesChanged();
+    }
+
+    /**
+     * A volume was added, removed or restored: the tools choosing among the volumes update their lists.
+     */
+    volumesChanged() {
+        this.volumeComparator.updateVolumes();
+        this.doseVolumeHistogram.updateVolumes();
+        this.arithmeticTool.updateVolumes();
+        this.resampleTool.updateVolumes();
+        this.registrationTool.updateVolumes();
+    }
+
+    destroyVolume(points) {
+        points.userData.guiFolder.destroy();
+    }
+
+    deleteVolume(points) {
+        this.deleteObject('volume', points);
+    }
+
+    getObjectLabel(object) {
+        if (object.isPoints) return this.getVolumeLabel(object);
+        const source = object.mesh ? object : this.sources.find(s => s.mesh === object);
+        if (source) return `${SOURCE_SHAPES[source.type].label} Source`;
+        return object.userData.name || 'Object';
+    }
+
+    /**
+     * Gizmo-editable state of a mesh, source mesh or volume.
+     */
+    getTransformState(object) {
+        if (!object) return null;
+        return { position: object.position.clone(), quaternion: object.quaternion.clone(), scale: object.scale.clone() };
+    }
+
+    /**
+     * Restores a getTransformState() result, with the radius of sphere sources following the scale.
+     */
+    setTransformState(object, state) {
+        object.position.copy(state.position);
+        object.quaternion.copy(state.quaternion);
+        object.scale.copy(state.scale);
+        const source = this.sources.find(s => s.mesh === object);
+        if (source && source.type === 'sphere') source.radius = state.scale.x;
+        this.transformChanged(object);
+    }
+
+    /**
+     * Lets the tools drawn in the frame of a moved volume (slices, isosurfaces, landmarks) follow it.
+     */
+    transformChanged(object) {
+        if (object && object.userData.isVolume) object.dispatchEvent({ type: 'transformchange' });
     }
 
     clearScene() {
+        // Releases the objects kept for undo
+        this.history.clear();
+
         [...this.sources].forEach(s => {
             this.worldGroup.remove(s.mesh);
             if (s.guiFolder) s.guiFolder.destroy();
@@ -297,22 +737,118 @@ export class RadiationSceneManager {
         });
         this.importedVolumes = [];
 
-        this.transformControls.detach();
+        this.sliceViewer.close();
+        this.volumeComparator.close();
+        this.doseVolumeHistogram.close();
+        this.labelPhantom.close();
+        this.arrayTool.close();
+        this.doseProbe.close();
+        this.doseProbe.clear();
+        this.registrationTool.close();
+        this.resampleTool.close();
+        this.arithmeticTool.close();
+        this.zoneTool.close();
+        this.zoneTool.clear();
+        this.pathTool.close();
+        this.pathTool.clear();
+        this.reportTool.close();
+        this.reportTool.clear();
+        this.selection.clear();
         this.initGUI();
     }
 
-    saveScene() {
-        const json = this.serializer.serialize(this);
-        const blob = new Blob([json], { type: 'application/json' });
-        this.downloadBlob(blob, 'gate_scene.json');
+    /**
+     * Downloads the scene as a project archive (see ProjectArchive).
+     */
+    async saveScene() {
+        if (this.saveRunning) return;
+        this.saveRunning = true;
+        try {
+            const thumbnail = await this.captureThumbnail();
+            const bytes = await this.serializer.serializeProject(this, thumbnail);
+            this.downloadBlob(new Blob([bytes], { type: 'application/zip' }), `gate_scene${PROJECT_EXTENSION}`);
+        } catch (err) {
+            console.error(err);
+            alert(`Failed to save the project.\n${err.message}`);
+        } finally {
+            this.saveRunning = false;
+        }
+    }
+
+    /**
+     * Loads a JSON scene. Resolves once its volumes are restored: true when the whole scene was loaded.
+     */
+    async loadScene(jsonString) {
+        try {
+            return await this.history.suspend(() => this.serializer.deserialize(jsonString, this));
+        } finally {
+            this.history.clear();
+        }
+    }
+
+    /**
+     * Loads a project archive, entry by entry with a progress panel, or a JSON scene file.
+     * @param {File} file
+     */
+    async loadSceneFile(file) {
+        if (!(await ProjectArchive.isArchive(file))) {
+            await this.loadScene(await file.text());
+            return;
+        }
+        let cancelled = false;
+        const progress = new ProgressPanel(this.container, 'Loading Project', { onCancel: () => { cancelled = true; } });
+        try {
+            await this.history.suspend(() => this.serializer.deserializeProject(file, this, {
+                onProgress: f => progress.update(f),
+                isCancelled: () => cancelled
+            }));
+        } catch (err) {
+            if (!(err instanceof TaskCancelledError)) {
+                console.error("Failed to load project:", err);
+                alert(`Failed to load the project.\n${err.message}`);
+            }
+        } finally {
+            progress.destroy();
+            this.history.clear();
+        }
+    }
+
+    /**
+     * PNG of the current view, `width` pixels wide, stored in project files.
+     * @returns {Promise<Uint8Array|null>}
+     */
+    captureThumbnail(width = 320) {
+        const canvas = this.captureCanvas(width);
+        return new Promise(resolve => canvas.toBlob(blob => {
+            if (blob) blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)));
+            else resolve(null);
+        }, 'image/png'));
     }
 
-    loadScene(jsonString) {
-        this.serializer.deserialize(jsonString, this);
+    /**
+     * Canvas of the current view rendered `width` pixels wide, with the aspect ratio of the viewport.
+     * The renderer draws at the image size, then returns to the viewport size (its style is untouched).
+     */
+    captureCanvas(width) {
+        const renderer = this.renderer;
+        const size = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = Math.max(1, Math.round(width * size.y / size.x));
+
+        renderer.setPixelRatio(1);
+        renderer.setSize(canvas.width, canvas.height, false);
+        // Drawn right after rendering: the WebGL drawing buffer is not preserved
+        renderer.render(this.scene, this.camera);
+        canvas.getContext('2d').drawImage(renderer.domElement, 0, 0);
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(size.x, size.y, false);
+        return canvas;
     }
 
     loadAssetSTL(assetConfig) {
-        this.loadAssetFromUrl(assetConfig.file, assetConfig.name);
+        this.loadAssetFromUrl(assetConfig.file, assetConfig.name, mesh => this.recordAdded('mesh', mesh));
     }
 
     loadAssetFromUrl(url, name, onLoadCallback) {
@@ -331,7 +867,7 @@ export class RadiationSceneManager {
             const loader = new STLLoader();
             try {
                 const geometry = loader.parse(event.target.result);
-                this.processLoadedGeometry(geometry, file.name, false, null, null);
+                this.recordAdded('mesh', this.processLoadedGeometry(geometry, file.name, false, null, null));
             } catch (err) {
                 console.error(err);
                 alert("Failed to parse local STL.");
@@ -349,155 +885,398 @@ export class RadiationSceneManager {
         geometry.translate(0, -geometry.boundingBox.min.y, 0);
         if (!geometry.hasAttribute('normal')) geometry.computeVertexNormals();
 
+        const mesh = this.addMesh(geometry, { isAsset, path: assetPath, name });
+        this.selection.set([mesh]);
+        if (onLoadCallback) onLoadCallback(mesh);
+        return mesh;
+    }
+
+    /**
+     * Adds a scene mesh of a prepared geometry (possibly shared with other meshes).
+     * @param {Object} userData - isAsset, path, name and optionally shielding, labelPriority.
+     */
+    addMesh(geometry, userData) {
         const material = new THREE.MeshPhongMaterial({ color: 0x607d8b, specular: 0x111111, shininess: 200 });
         const mesh = new THREE.Mesh(geometry, material);
 
         mesh.castShadow = true; mesh.receiveShadow = true;
-        mesh.userData.isAsset = isAsset;
-        mesh.userData.path = assetPath;
-        mesh.userData.name = name;
+        Object.assign(mesh.userData, userData);
 
         this.worldGroup.add(mesh);
         this.meshes.push(mesh);
 
-        this.transformControls.attach(mesh);
-        this.addMeshGUI(mesh, name);
-        if (onLoadCallback) onLoadCallback(mesh);
+        this.addMeshGUI(mesh, userData.name);
+        return mesh;
     }
 
     addMeshGUI(mesh, name) {
         const folder = this.gui.addFolder(`Obj: ${name}`);
-        folder.add(mesh, 'visible');
-        folder.add({
-            delete: () => {
-                this.worldGroup.remove(mesh);
-                this.meshes = this.meshes.filter(m => m !== mesh);
-                folder.destroy();
-                this.transformControls.detach();
-                mesh.geometry.dispose();
-            }
-        }, 'delete').name("Delete Object");
+        folder.add(mesh, 'visible').listen();
+        this.addShieldingGUI(mesh, folder);
+        folder.add({ delete: () => this.deleteObject('mesh', mesh) }, 'delete').name("Delete Object");
         mesh.userData.guiFolder = folder;
     }
 
-    addSource() {
+    /**
+     * Shielding material of a mesh: choosing a material loads its coefficient,
+     * which can then be edited as μ or as half-value layer.
+     */
+    addShieldingGUI(mesh, folder) {
+        const shielding = mesh.userData.shielding = mesh.userData.shielding || MaterialLibrary.defaultShielding();
+        const hvl = {
+            get value() { return MaterialLibrary.muToHVL(shielding.mu); },
+            set value(v) { shielding.mu = MaterialLibrary.hvlToMu(v); }
+        };
+
+        const shieldFolder = folder.addFolder('Shielding');
+        shieldFolder.add(shielding, 'material', [NO_SHIELDING, ...MaterialLibrary.names()]).name('Material').listen()
+            .onChange(name => {
+                const material = MaterialLibrary.get(name);
+                shielding.mu = material ? material.mu : 0;
+            });
+        shieldFolder.add(shielding, 'mu', 0, 10, 0.0001).name('μ (cm⁻¹)').listen();
+        shieldFolder.add(hvl, 'value').name('HVL (cm)').listen();
+        shieldFolder.close();
+    }
+
+    /**
+     * Adds a source of the given DoseModel type ('sphere', 'point', 'line', 'box' or 'cylinder').
+     * The type can be changed afterwards from its GUI folder.
+     */
+    addSource(type = 'sphere') {
         const sourceData = {
+            type,
             radius: 1000,
             doseCenter: 100,
             dosePeriphery: 10,
             falloff: 'Linear',
+            doseAt1m: 10,
+            samples: 4,
+            ...IsotopeLibrary.defaultEmission(),
             mesh: null,
-            guiFolder: null
+            guiFolder: null,
+            updateGUI: null
         };
-        const mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 32), new THREE.MeshPhongMaterial({ color: 0xff0000, transparent: true, opacity: 0.4 }));
+        const mesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshPhongMaterial({ color: 0xff0000, transparent: true, opacity: 0.4 }));
         mesh.position.set(0, 1000, 0);
-        mesh.scale.setScalar(sourceData.radius);
         mesh.userData.isSource = true;
+        sourceData.mesh = mesh;
+        SourceShapes.apply(sourceData);
 
         this.worldGroup.add(mesh);
         this.sources.push(sourceData);
-        sourceData.mesh = mesh;
+
+        // Sizes are the mesh scale (see SourceShapes)
+        const size = {
+            get length() { return mesh.scale.x; }, set length(v) { mesh.scale.x = v; },
+            get x() { return mesh.scale.x; }, set x(v) { mesh.scale.x = v; },
+            get y() { return mesh.scale.y; }, set y(v) { mesh.scale.y = v; },
+            get z() { return mesh.scale.z; }, set z(v) { mesh.scale.z = v; },
+            get radius() { return mesh.scale.x; }, set radius(v) { mesh.scale.x = v; mesh.scale.z = v; },
+            get height() { return mesh.scale.y; }, set height(v) { mesh.scale.y = v; }
+        };
 
         const folder = this.gui.addFolder(`Source ${this.sources.length}`);
         sourceData.guiFolder = folder;
-        folder.add(sourceData, 'radius', 10, 50000).name('Radius').listen().onChange(v => mesh.scale.setScalar(v));
-        folder.add(sourceData, 'doseCenter', 0, 1000).listen();
-        folder.add(sourceData, 'dosePeriphery', 0, 1000).listen();
-        folder.add(sourceData, 'falloff', Object.keys(EasingFunctions)).listen();
-        folder.add({
-            delete: () => {
-                this.worldGroup.remove(mesh);
-                this.sources = this.sources.filter(s => s !== sourceData);
-                folder.destroy();
-                this.transformControls.detach();
-            }
-        }, 'delete');
-        this.transformControls.attach(mesh);
+        folder.add(sourceData, 'type', SourceShapes.options()).name('Type').listen().onChange(() => {
+            SourceShapes.apply(sourceData);
+            showControllers();
+            this.updateGizmoAxes();
+        });
+        const controllers = {
+            sphere: [
+                folder.add(sourceData, 'radius', 10, 50000).name('Radius').listen().onChange(v => mesh.scale.setScalar(v)),
+                folder.add(sourceData, 'doseCenter', 0, 1000).listen(),
+                folder.add(sourceData, 'dosePeriphery', 0, 1000).listen(),
+                folder.add(sourceData, 'falloff', Object.keys(EasingFunctions)).listen()
+            ],
+            line: [folder.add(size, 'length', 10, 50000).name('Length').listen()],
+            box: [
+                folder.add(size, 'x', 10, 50000).name('Size X').listen(),
+                folder.add(size, 'y', 10, 50000).name('Size Y').listen(),
+                folder.add(size, 'z', 10, 50000).name('Size Z').listen()
+            ],
+            cylinder: [
+                folder.add(size, 'radius', 10, 50000).name('Radius').listen(),
+                folder.add(size, 'height', 10, 50000).name('Height').listen()
+            ]
+        };
+        const doseAt1m = folder.add(sourceData, 'doseAt1m', 0, 100000).name('Dose at 1 m').listen();
+        const samples = folder.add(sourceData, 'samples', 1, 16, 1).name('Samples / axis').listen();
+        const showControllers = () => {
+            for (const [type, list] of Object.entries(controllers)) list.forEach(c => c.show(type === sourceData.type));
+            doseAt1m.show(sourceData.type !== 'sphere').enable(!IsotopeLibrary.isDecaying(sourceData));
+            samples.show(sourceData.type !== 'sphere' && sourceData.type !== 'point');
+            emission.activity.show(sourceData.type !== 'sphere');
+            emission.gammaConstant.enable(sourceData.type !== 'sphere');
+        };
+
+        const emission = this.addEmissionGUI(sourceData, folder, () => {
+            if (IsotopeLibrary.isDecaying(sourceData)) sourceData.doseAt1m = IsotopeLibrary.doseRateAt1m(sourceData);
+            showControllers();
+        });
+        folder.add({ delete: () => this.deleteObject('source', sourceData) }, 'delete');
+        sourceData.updateGUI = showControllers;
+        showControllers();
+        this.selection.set([mesh]);
+        this.recordAdded('source', sourceData);
         return sourceData;
     }
 
+    /**
+     * Isotope of a source: choosing one loads its half-life and gamma constant. The activity then gives
+     * the dose at 1 m of inverse-square sources, and the doses of every isotope source decay with the scene date.
+     * Spheres keep their own doses (only the decay applies): the caller hides their activity and locks
+     * their Γ, which follows the isotope and only sets their GATE activity (GateMacroWriter.equivalentActivity).
+     * @returns {{ activity: object, gammaConstant: object }} the lil-gui controllers.
+     */
+    addEmissionGUI(source, folder, onChange) {
+        const isotopeFolder = folder.addFolder('Isotope');
+        isotopeFolder.add(source, 'isotope', [NO_ISOTOPE, ...IsotopeLibrary.names()]).name('Isotope').listen()
+            .onChange(name => {
+                const isotope = IsotopeLibrary.get(name);
+                source.halfLife = isotope ? isotope.halfLife : 0;
+                source.gammaConstant = isotope ? isotope.gammaConstant : 0;
+                onChange();
+            });
+        const activity = isotopeFolder.add(source, 'activity', 0).name('Activity (Bq)').listen().onChange(onChange);
+        this.addDateController(isotopeFolder, source, 'referenceDate', 'Reference Date (UTC)');
+        isotopeFolder.add(source, 'halfLife', 0).name('Half-life (d)').listen().onChange(onChange);
+        const gammaConstant = isotopeFolder.add(source, 'gammaConstant', 0).name('Γ (µSv·m²/(MBq·h))').listen().onChange(onChange);
+        isotopeFolder.close();
+        return { activity, gammaConstant };
+    }
+
+    /**
+     * Scale gizmo handles of the selected source type (none for points, X for lines...).
+     */
+    updateGizmoAxes() {
+        const controls = this.transformControls;
+        const source = controls.object && this.sources.find(s => s.mesh === controls.object);
+        const axes = source && controls.mode === 'scale' ? SOURCE_SHAPES[source.type].scaleAxes : 'XYZ';
+        controls.showX = axes.includes('X');
+        controls.showY = axes.includes('Y');
+        controls.showZ = axes.includes('Z');
+    }
+
     loadMHD(fileList) {
-        let mhdFile = null, rawFile = null;
+        let headerFile = null, dataFile = null;
         for (const f of fileList) {
-            if (f.name.toLowerCase().endsWith('.mhd')) mhdFile = f;
-            else if (f.name.toLowerCase().endsWith('.raw')) rawFile = f;
+            const name = f.name.toLowerCase();
+            if (name.endsWith('.mhd') || name.endsWith('.mha')) headerFile = f;
+            else if (name.endsWith('.raw') || name.endsWith('.zraw')) dataFile = f;
         }
-        if (!mhdFile || !rawFile) {
-            alert("Missing .mhd or .raw file.");
+        if (!headerFile) {
+            alert("Missing .mhd or .mha file.");
             return;
         }
-        this.mhdHandler.load(mhdFile, rawFile, this.scene, this.gui)
+        this.mhdHandler.load(headerFile, dataFile, this.scene, this.gui)
             .then(points => {
-                if (points) this.importedVolumes.push(points);
+                if (!points) return;
+                this.addImportedVolume(points);
+                this.recordAdded('volume', points);
+            })
+            .catch(err => {
+                if (err instanceof TaskCancelledError) return;
+                console.error(err);
+                alert(`Failed to load volume.\n${err.message}`);
             });
     }
 
-    calculateDoseAtPoint(point, worldSources) {
-        let totalDose = 0;
+    /**
+     * Registers a volume created by MHDHandler and adds the manager-level tools to its GUI folder.
+     * The volume is selected from its folder and moved with the gizmo like the meshes (see transformChanged).
+     */
+    addImportedVolume(points) {
+        this.importedVolumes.push(points);
+        this.volumesChanged();
+
+        points.userData.guiFolder.add({
+            select: () => this.selection.set([points])
+        }, 'select').name('Select / Transform');
+        points.userData.guiFolder.add({
+            slices: () => this.sliceViewer.open(points, this.gui)
+        }, 'slices').name('Slice Viewer');
+        points.userData.guiFolder.add({
+            exportMHD: () => this.downloadVolume(points)
+        }, 'exportMHD').name('Export MHD');
+        this.isosurfaces.attach(points);
+
+        // Removed from the scene (GUI button or clearScene): drop it from the list and close its tools
+        points.addEventListener('removed', () => {
+            this.importedVolumes = this.importedVolumes.filter(v => v !== points);
+            if (this.sliceViewer.volume === points) this.sliceViewer.close();
+            this.volumesChanged();
+        });
+    }
 
-        for (const s of worldSources) {
-            const d = point.distanceTo(s.worldPosition);
-            const r = s.data.mesh.scale.x;
+    /**
+     * Downloads the displayed values of a volume as .mhd/.raw, its provenance (computed volumes) as the header Comment.
+     */
+    downloadVolume(points, baseName = this.getVolumeLabel(points)) {
+        const { data, grid, params } = points.userData;
+        this.downloadMetaImage(data, grid, baseName, 'MET_FLOAT', params.provenance ? VolumeArithmetic.comment(params.provenance) : null);
+    }
 
-            if (d <= r) {
-                const t = d / r;
-                const alpha = (EasingFunctions[s.data.falloff] || EasingFunctions.Linear)(t);
-                totalDose += (1 - alpha) * s.data.doseCenter + alpha * s.data.dosePeriphery;
-            }
-        }
-        return totalDose;
+    getVolumeLabel(points) {
+        return points.userData.params.name || `Volume ${this.importedVolumes.indexOf(points) + 1}`;
     }
 
-    async exportGateFiles() {
-        const conf = this.simulationConfig;
+    /**
+     * { value, label } select options of the imported volumes. Values are the volume uuids, which
+     * stay valid when the list changes: read the chosen volume back with getVolume.
+     */
+    getVolumeOptions() {
+        return this.importedVolumes.map(v => ({ value: v.uuid, label: this.getVolumeLabel(v) }));
+    }
 
-        const dimGateX = Math.floor(conf.voxelResolution.x);
-        const dimGateY = Math.floor(conf.voxelResolution.z);
-        const dimGateZ = Math.floor(conf.voxelResolution.y);
+    /**
+     * Imported volume of a getVolumeOptions value, null once it was removed.
+     */
+    getVolume(uuid) {
+        return this.importedVolumes.find(v => v.uuid === uuid) || null;
+    }
 
-        const spacingX = conf.domainSize.x / dimGateX;
-        const spacingY = conf.domainSize.z / dimGateY;
-        const spacingZ = conf.domainSize.y / dimGateZ;
+    /**
+     * Adds a computed volume (comparison, resampling, operations...) to the scene like an imported file.
+     * @param {object} [options]
+     * @param {THREE.Points} [options.placedLike] - volume whose grid was used, whose transform the new volume takes.
+     * @param {object} [options.params] - display params of the new volume (units, provenance...).
+     */
+    async addVolumeFromData(data, grid, name, { placedLike = null, params = {} } = {}) {
+        const header = MetaImageHeader.parse(MetaImageWriter.buildHeader(grid, 'LOCAL'));
+        const points = await this.mhdHandler.createVisualization(data, header, this.scene, this.gui, { ...params, name });
+        if (placedLike) this.setTransformState(points, this.getTransformState(placedLike));
+        this.addImportedVolume(points);
+        this.recordAdded('volume', points);
+        return points;
+    }
 
-        const totalVoxels = dimGateX * dimGateY * dimGateZ;
+    /**
+     * Dose model of the current sources and shielding meshes, positioned in world coordinates.
+     */
+    getDoseModel() {
+        return new DoseModel(this.getDoseSources(), this.getShields());
+    }
 
-        console.log(`Exporting: ${dimGateX}x${dimGateY}x${dimGateZ} (Spacing: ${spacingX.toFixed(2)}, ${spacingY.toFixed(2)}, ${spacingZ.toFixed(2)})`);
+    /**
+     * @param {object} [config] - simulation config giving the dose quantity and the decay date.
+     */
+    getDoseSources(config = this.simulationConfig) {
+        return this.sources.map(s => {
+            s.mesh.updateWorldMatrix(true, false);
+            return DoseModel.sourceSpec(s, s.mesh.matrixWorld.elements, config);
+        });
+    }
 
-        const worldSources = this.sources.map(s => {
-            const worldPos = new THREE.Vector3();
-            s.mesh.getWorldPosition(worldPos);
-            return { data: s, worldPosition: worldPos };
+    /**
+     * World triangles and attenuation of every mesh with a shielding material.
+     */
+    getShields() {
+        return this.meshes.filter(m => MaterialLibrary.isShielding(m.userData.shielding)).map(mesh => {
+            mesh.updateWorldMatrix(true, false);
+            const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+            const positions = StlGeometry.transform(geometry.attributes.position.array, mesh.matrixWorld.elements);
+            if (geometry !== mesh.geometry) geometry.dispose();
+            return DoseModel.shield(positions, mesh.userData.shielding);
         });
+    }
+
+    /**
+     * Runs a ComputeWorker task over worker threads with a progress panel and a Cancel button.
+     * Rejects with TaskCancelledError when the user cancels.
+     */
+    runTask(title, task, payloads, transfer) {
+        const pool = new WorkerPool();
+        const progress = new ProgressPanel(this.container, title, { onCancel: () => pool.cancel() });
+        return pool.run(task, payloads, { transfer, onProgress: f => progress.update(f) })
+            .finally(() => progress.destroy());
+    }
 
-        const buffer = new Float32Array(totalVoxels);
-        let idx = 0;
-        const worldPos = new THREE.Vector3();
+    async exportGateFiles() {
+        if (this.exportRunning) {
+            alert("A dose export is already running.");
+            return;
+        }
+        const grid = VolumeGrid.fromSimulationConfig(this.simulationConfig);
 
-        for (let k = 0; k < dimGateZ; k++) {
-            for (let j = 0; j < dimGateY; j++) {
-                for (let i = 0; i < dimGateX; i++) {
-                    worldPos.x = conf.offset.x + i * spacingX;
-                    worldPos.y = conf.offset.y + k * spacingZ;
-                    worldPos.z = conf.offset.z + j * spacingY;
+        const [dimGateX, dimGateY, dimGateZ] = grid.dims;
+        const [spacingX, spacingY, spacingZ] = grid.spacing;
 
-                    buffer[idx++] = this.calculateDoseAtPoint(worldPos, worldSources);
-                }
-            }
+        console.log(`Exporting: ${dimGateX}x${dimGateY}x${dimGateZ} (Spacing: ${spacingX.toFixed(2)}, ${spacingY.toFixed(2)}, ${spacingZ.toFixed(2)})`);
+
+        // Slabs of GATE Z slices, a few per worker so that progress and load stay even
+        const sources = this.getDoseSources();
+        const shields = this.getShields();
+        const payloads = WorkerPool.ranges(dimGateZ, WorkerPool.defaultSize() * 4).map(([kStart, kEnd]) => ({
+            sources, shields, grid, kStart, kEnd, units: dimGateX * dimGateY * (kEnd - kStart)
+        }));
+
+        this.exportRunning = true;
+        try {
+            const slabs = await this.runTask('Exporting Dose Grid', 'doseGrid', payloads);
+            const doseFile = this.simulationConfig.doseQuantity === 'cumulative' ? 'simulation-CumulativeDose' : 'simulation-Dose';
+            this.downloadGateArchive(WorkerPool.concat(slabs), grid, doseFile);
+        } catch (err) {
+            if (err instanceof TaskCancelledError) return;
+            console.error(err);
+            alert(`Dose export failed.\n${err.message}`);
+        } finally {
+            this.exportRunning = false;
         }
+    }
 
-        const rawFileName = 'simulation-Dose.raw';
-        const rawBlob = new Blob([buffer], { type: 'application/octet-stream' });
-        const mhdContent = [
-            'ObjectType = Image', 'NDims = 3', 'BinaryData = True', 'BinaryDataByteOrderMSB = False',
-            'TransformMatrix = 1 0 0 0 1 0 0 0 1',
-            `Offset = ${conf.offset.x} ${conf.offset.z} ${conf.offset.y}`,
-            `ElementSpacing = ${spacingX} ${spacingY} ${spacingZ}`,
-            `DimSize = ${dimGateX} ${dimGateY} ${dimGateZ}`,
-            'ElementType = MET_FLOAT', `ElementDataFile = ${rawFileName}`
-        ].join('\r\n');
-
-        this.downloadBlob(rawBlob, rawFileName);
-        setTimeout(() => this.downloadBlob(new Blob([mhdContent], { type: 'text/plain' }), 'simulation-Dose.mhd'), 500);
+    /**
+     * Downloads simulation-gate.zip: the GATE macros of the scene (see GateMacroWriter for the layout)
+     * with the analytic dose grid in data/.
+     */
+    downloadGateArchive(dose, grid, doseFile) {
+        const meshes = this.meshes.map(mesh => {
+            mesh.updateWorldMatrix(true, false);
+            const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+            const positions = geometry.attributes.position.array.slice();
+            if (geometry !== mesh.geometry) geometry.dispose();
+            return { name: mesh.userData.name, positions, matrix: mesh.matrixWorld.elements.slice(), shielding: mesh.userData.shielding };
+        });
+        const sources = this.sources.map(source => {
+            source.mesh.updateWorldMatrix(true, false);
+            return { source, matrix: source.mesh.matrixWorld.elements.slice() };
+        });
+
+        const zip = new ZipWriter();
+        const root = 'simulation-gate/';
+        GateMacroWriter.build({ config: this.simulationConfig, grid, meshes, sources, doseFile })
+            .forEach(file => zip.add(root + file.path, file.content));
+        const { mhd, raw } = MetaImageWriter.write(dose, grid, `${doseFile}.raw`);
+        zip.add(`${root}data/${doseFile}.mhd`, mhd);
+        zip.add(`${root}data/${doseFile}.raw`, raw);
+
+        this.downloadBlob(new Blob([zip.toBytes()], { type: 'application/zip' }), 'simulation-gate.zip');
+    }
+
+    /**
+     * Downloads a volume as <baseName>.mhd + <baseName>.raw.
+     */
+    downloadMetaImage(data, grid, baseName, elementType = 'MET_FLOAT', comment = null) {
+        const safeName = baseName.replace(/\.(mhd|mha)$/i, '').replace(/[^\w.-]+/g, '_');
+        const rawFileName = `${safeName}.raw`;
+        const { mhd, raw } = MetaImageWriter.write(data, grid, rawFileName, elementType, comment);
+
+        this.downloadBlob(new Blob([raw], { type: 'application/octet-stream' }), rawFileName);
+        setTimeout(() => this.downloadBlob(new Blob([mhd], { type: 'text/plain' }), `${safeName}.mhd`), 500);
+    }
+
+    /**
+     * Downloads rows of values as a comma-separated file (fields quoted when needed).
+     */
+    downloadCSV(rows, filename) {
+        const quote = v => {
+            const text = String(v);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = rows.map(row => row.map(quote).join(',')).join('\n');
+        const safeName = filename.replace(/[^\w.-]+/g, '_');
+        this.downloadBlob(new Blob([csv], { type: 'text/csv' }), safeName);
     }
 
     downloadBlob(blob, filename) {
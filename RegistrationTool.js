@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { FloatingPanel } from './FloatingPanel.js';
+import { DoseProbe } from './DoseProbe.js';
+import { PointRegistration } from './PointRegistration.js';
+import { VolumeGrid } from './VolumeGrid.js';
+
+// Mouse travel (px) above which a press is an orbit drag, not a click
+const CLICK_TOLERANCE = 4;
+const VOLUME_COLOR = 0xffa000;
+const MESH_COLOR = 0x76ff03;
+
+/**
+ * Point-pair registration of an imported volume on the scene meshes (STL room model...): each pair is
+ * a voxel clicked on the volume and the matching point clicked on a mesh. Register sets the volume
+ * transform to the rigid fit of the pairs (PointRegistration), optionally with a uniform scale.
+ * Volume landmarks are kept in the volume frame and follow its transform, mesh landmarks in world
+ * group coordinates; the table shows the distance of each pair under the current transform.
+ */
+export class RegistrationTool {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.volume = null;
+        this.pairs = [];
+        this.picking = false;
+
+        this.onTransformChange = () => this.update();
+    }
+
+    open() {
+        const volumes = this.manager.importedVolumes;
+        if (!volumes.length) {
+            alert("Load a volume to register first.");
+            return;
+        }
+        this.close();
+
+        this.panel = new FloatingPanel(this.manager.container, 'Register Volume', { onClose: () => this.close() });
+        const volume = this.panel.addField('Volume', FloatingPanel.createSelect(this.manager.getVolumeOptions(), volumes[0].uuid));
+        volume.addEventListener('change', () => this.setVolume(this.manager.getVolume(volume.value)));
+        this.volumeSelect = volume;
+        this.fit = this.panel.addField('Fit', FloatingPanel.createSelect([
+            { value: 'rigid', label: 'Rigid' }, { value: 'scale', label: 'Rigid + Uniform Scale' }
+        ], 'rigid'));
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        this.pickButton = document.createElement('button');
+        this.pickButton.textContent = 'Pick Pairs';
+        this.pickButton.addEventListener('click', () => this.setPicking(!this.picking));
+        const registerButton = document.createElement('button');
+        registerButton.textContent = 'Register';
+        registerButton.addEventListener('click', () => this.register());
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset Transform';
+        resetButton.className = 'secondary';
+        resetButton.addEventListener('click', () => this.applyTransform(
+            { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3(1, 1, 1) }, 'Reset transform of'));
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear Pairs';
+        clearButton.className = 'warning';
+        clearButton.addEventListener('click', () => this.clearPairs());
+        toolbar.append(this.pickButton, registerButton, resetButton, clearButton);
+
+        this.hint = document.createElement('div');
+        this.hint.className = 'panel-readout';
+        this.table = document.createElement('div');
+        this.readout = document.createElement('div');
+        this.readout.className = 'panel-readout';
+        this.panel.body.append(toolbar, this.hint, this.table, this.readout);
+
+        this.setVolume(volumes[0]);
+        this.setPicking(true);
+    }
+
+    close() {
+        this.setPicking(false);
+        this.setVolume(null);
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    /**
+     * Volume list changed (RadiationSceneManager.volumesChanged): refreshes the volume list, switching
+     * to the first volume when the registered one was removed, or closes the panel when none remains.
+     */
+    updateVolumes() {
+        if (!this.panel) return;
+        const options = this.manager.getVolumeOptions();
+        if (!options.length) {
+            this.close();
+            return;
+        }
+        if (FloatingPanel.setOptions(this.volumeSelect, options, options[0].value)) {
+            this.setVolume(this.manager.getVolume(this.volumeSelect.value));
+        }
+    }
+
+    setVolume(volume) {
+        this.clearPairs();
+        if (this.volume) this.volume.removeEventListener('transformchange', this.onTransformChange);
+        this.volume = volume;
+        if (volume) volume.addEventListener('transformchange', this.onTransformChange);
+        this.update();
+    }
+
+    setPicking(picking) {
+        this.picking = picking;
+        if (!this.panel) return;
+        // One picking tool at a time
+        if (picking) {
+            this.manager.doseProbe.setMode(null);
+            this.manager.zoneTool.setDrawing(null);
+            this.manager.pathTool.setDrawing(false);
+        }
+        this.pickButton.className = picking ? '' : 'secondary';
+        this.update();
+    }
+
+    /**
+     * Canvas pointerdown (RadiationSceneManager.onPointerDown, raycaster already set): while picking,
+     * a click on the volume starts a pair and the next click on a mesh completes it.
+     * @returns {boolean} true when the event belongs to the tool.
+     */
+    handlePointerDown(event, raycaster) {
+        if (!this.picking || !this.volume) return false;
+        const pending = this.pendingPair();
+        const point = pending ? this.pickMesh(raycaster) : this.pickVolume(raycaster);
+        const start = { x: event.clientX, y: event.clientY };
+        const onUp = (e) => {
+            window.removeEventListener('pointerup', onUp);
+            if (!point || Math.hypot(e.clientX - start.x, e.clientY - start.y) > CLICK_TOLERANCE) return;
+            if (pending) this.setMeshPoint(pending, point);
+            else this.addPair(point);
+        };
+        window.addEventListener('pointerup', onUp);
+        return true;
+    }
+
+    /**
+     * Center of the first shown voxel under the pointer, in the volume frame.
+     */
+    pickVolume(raycaster) {
+        const { volume } = this;
+        const threshold = raycaster.params.Points.threshold;
+        raycaster.params.Points.threshold = volume.material.size / 2;
+        const hits = raycaster.intersectObject(volume, false);
+        raycaster.params.Points.threshold = threshold;
+        return hits.length ? new THREE.Vector3().fromBufferAttribute(volume.geometry.attributes.position, hits[0].index) : null;
+    }
+
+    /**
+     * First mesh surface hit, in world group coordinates.
+     */
+    pickMesh(raycaster) {
+        const { worldGroup, meshes } = this.manager;
+        const hits = raycaster.intersectObjects(meshes.filter(m => m.visible));
+        if (!hits.length) return null;
+        worldGroup.updateMatrixWorld();
+        return worldGroup.worldToLocal(hits[0].point.clone());
+    }
+
+    pendingPair() {
+        const last = this.pairs[this.pairs.length - 1];
+        return last && !last.meshPoint ? last : null;
+    }
+
+    addPair(volumePoint) {
+        const name = `${this.pairs.reduce((max, p) => Math.max(max, Number(p.name)), 0) + 1}`;
+        const pair = { name, volumePoint, meshPoint: null, volumeMarker: DoseProbe.createMarker(`V${name}`, VOLUME_COLOR), meshMarker: null };
+        this.manager.scene.add(pair.volumeMarker);
+        this.pairs.push(pair);
+        this.update();
+    }
+
+    setMeshPoint(pair, meshPoint) {
+        pair.meshPoint = meshPoint;
+        pair.meshMarker = DoseProbe.createMarker(`M${pair.name}`, MESH_COLOR);
+        pair.meshMarker.position.copy(meshPoint);
+        this.manager.worldGroup.add(pair.meshMarker);
+        this.update();
+    }
+
+    removePair(pair) {
+        [pair.volumeMarker, pair.meshMarker].forEach(m => { if (m) DoseProbe.disposeObject(m); });
+        this.pairs = this.pairs.filter(p => p !== pair);
+        this.update();
+    }
+
+    clearPairs() {
+        [...this.pairs].forEach(p => this.removePair(p));
+    }
+
+    /**
+     * Fits the volume transform to the complete pairs, as one history entry.
+     */
+    register() {
+        const pairs = this.pairs.filter(p => p.meshPoint);
+        const { worldGroup } = this.manager;
+        worldGroup.updateMatrixWorld();
+        let fit;
+        try {
+            fit = PointRegistration.solve(
+                pairs.map(p => p.volumePoint.toArray()),
+                pairs.map(p => worldGroup.localToWorld(p.meshPoint.clone()).toArray()),
+                { scale: this.fit.value === 'scale' });
+        } catch (err) {
+            alert(`Registration failed.\n${err.message}`);
+            return;
+        }
+        // Volumes are children of the scene: their transform is in world coordinates
+        this.applyTransform({
+            position: new THREE.Vector3().fromArray(fit.position),
+            quaternion: new THREE.Quaternion().fromArray(fit.quaternion),
+            scale: new THREE.Vector3().setScalar(fit.scale)
+        }, 'Register');
+    }
+
+    applyTransform(after, action) {
+        const { manager, volume } = this;
+        const before = manager.getTransformState(volume);
+        manager.setTransformState(volume, after);
+        manager.history.record({
+            label: `${action} ${manager.getVolumeLabel(volume)}`,
+            undo: () => manager.setTransformState(volume, before),
+            redo: () => manager.setTransformState(volume, after)
+        });
+    }
+
+    /**
+     * Places the volume landmarks and redraws the pair table (volume moved, pair added...).
+     */
+    update() {
+        if (!this.panel || !this.volume) return;
+        const { worldGroup } = this.manager;
+        this.volume.updateMatrixWorld();
+        worldGroup.updateMatrixWorld();
+
+        const distances = this.pairs.map(pair => {
+            pair.volumeMarker.position.copy(this.volume.localToWorld(pair.volumePoint.clone()));
+            return pair.meshPoint ? pair.volumeMarker.position.distanceTo(worldGroup.localToWorld(pair.meshPoint.clone())) : NaN;
+        });
+        const format = v => Number.isFinite(v) ? v.toFixed(1) : '-';
+        // Volume landmarks in the GATE coordinates of the file, mesh landmarks as the dose probes
+        const table = FloatingPanel.createTable(['#', 'Volume X', 'Y', 'Z', 'Mesh X', 'Y', 'Z', 'Dist. (mm)', ''], this.pairs.map((pair, i) => [
+            pair.name,
+            ...VolumeGrid.sceneToGate(pair.volumePoint.toArray()).map(v => v.toFixed(0)),
+            ...(pair.meshPoint ? pair.meshPoint.toArray().map(v => v.toFixed(0)) : ['-', '-', '-']),
+            format(distances[i]),
+            ''
+        ]));
+        Array.from(table.tBodies[0].rows).forEach((row, i) => {
+            const remove = document.createElement('button');
+            remove.className = 'panel-close';
+            remove.textContent = '×';
+            remove.title = 'Remove pair';
+            remove.addEventListener('click', () => this.removePair(this.pairs[i]));
+            row.cells[row.cells.length - 1].replaceChildren(remove);
+        });
+        this.table.replaceChildren(table);
+
+        const complete = distances.filter(Number.isFinite);
+        this.readout.textContent = complete.length
+            ? `RMS distance: ${Math.sqrt(complete.reduce((s, d) => s + d * d, 0) / complete.length).toFixed(1)} mm over ${complete.length} pair(s)` +
+              (complete.length < 3 ? ' (fewer than 3 pairs: translation only)' : '')
+            : '';
+        this.hint.textContent = !this.picking ? 'Choose Pick Pairs to add landmarks.'
+            : this.pendingPair() ? `Click the matching point on a mesh for pair ${this.pendingPair().name}.`
+            : 'Click a voxel of the volume to start a pair.';
+    }
+}
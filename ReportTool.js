@@ -0,0 +1,361 @@
+import * as THREE from 'three';
+import { FloatingPanel } from './FloatingPanel.js';
+import { StudyReport } from './StudyReport.js';
+import { LineChart } from './LineChart.js';
+import { ColorLegend } from './ColorLegend.js';
+import { Colormap } from './Colormap.js';
+import { SOURCE_SHAPES } from './SourceShapes.js';
+import { IsotopeLibrary } from './IsotopeLibrary.js';
+import { MaterialLibrary } from './MaterialLibrary.js';
+import { VolumeGrid } from './VolumeGrid.js';
+import { VolumeArithmetic } from './VolumeArithmetic.js';
+import { OccupancyZones, ZONE_CATEGORIES } from './OccupancyZones.js';
+
+// Standard viewpoints: direction from the framed content to the camera (null: current view)
+const VIEWS = [
+    { name: 'Current View', direction: null },
+    { name: 'Isometric', direction: [1, 0.8, 1] },
+    // Slightly tilted: the orbit camera cannot look straight along its up axis
+    { name: 'Top', direction: [0, 1, 0.001] },
+    { name: 'Front', direction: [0, 0, 1] },
+    { name: 'Side', direction: [1, 0, 0] }
+];
+const STATUS_LABELS = { true: 'EXCEEDS', false: 'OK', null: 'Not covered' };
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Study report of the scene (see StudyReport): standard views of the scene, the voxel domain, every
+ * source and mesh with its transform, statistics and color legend of every imported volume, and the
+ * occupancy zones and intervention paths when there are any. Downloaded as a single offline HTML
+ * file, or opened in a new tab to print it to PDF. The title block and notes are saved with the scene.
+ */
+export class ReportTool {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.imageWidth = 1200;
+        this.clear();
+    }
+
+    open() {
+        this.close();
+        this.panel = new FloatingPanel(this.manager.container, 'Generate Report', { onClose: () => this.close() });
+        const text = (label, key) => {
+            const input = this.panel.addField(label, Object.assign(document.createElement('input'), { type: 'text', value: this.settings[key] }));
+            input.addEventListener('input', () => { this.settings[key] = input.value; });
+            return input;
+        };
+        text('Title', 'title');
+        text('Site / Project', 'project');
+        text('Author', 'author');
+        text('Reference', 'reference');
+        const date = this.panel.addField('Date', Object.assign(document.createElement('input'), { type: 'date', value: this.date }));
+        date.addEventListener('input', () => { this.date = date.value; });
+        const notes = this.panel.addField('Notes', Object.assign(document.createElement('textarea'), { rows: 5, value: this.settings.notes }));
+        notes.addEventListener('input', () => { this.settings.notes = notes.value; });
+        const width = this.panel.addField('Image Width (px)', FloatingPanel.createNumberInput(this.imageWidth, 1));
+        width.addEventListener('change', () => {
+            if (Number(width.value) >= 200) this.imageWidth = Math.min(4096, Math.round(Number(width.value)));
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-toolbar';
+        const downloadButton = document.createElement('button');
+        downloadButton.textContent = 'Download HTML';
+        const printButton = document.createElement('button');
+        printButton.textContent = 'Open to Print / PDF';
+        printButton.className = 'secondary';
+        buttons.append(downloadButton, printButton);
+        this.panel.body.appendChild(buttons);
+
+        downloadButton.addEventListener('click', () => this.download());
+        printButton.addEventListener('click', () => this.openForPrinting());
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    download() {
+        const html = this.generate();
+        if (!html) return;
+        const name = `${(this.settings.title || 'study_report').replace(/[^\w.-]+/g, '_')}.html`;
+        this.manager.downloadBlob(new Blob([html], { type: 'text/html' }), name);
+    }
+
+    /**
+     * Opens the report in a new tab and starts printing once its images are loaded.
+     */
+    openForPrinting() {
+        // Opened before the capture, while the click still allows popups
+        const win = window.open('', '_blank');
+        if (!win) {
+            alert("The report tab was blocked: allow popups for this page, or download the HTML file.");
+            return;
+        }
+        const html = this.generate();
+        if (!html) {
+            win.close();
+            return;
+        }
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+        if (win.document.readyState === 'complete') win.print();
+        else win.addEventListener('load', () => win.print());
+    }
+
+    /**
+     * Report HTML of the current scene, null (after an alert) when it failed.
+     */
+    generate() {
+        try {
+            return StudyReport.build({
+                header: { ...this.settings, title: this.settings.title || 'Study Report', date: this.date },
+                notes: this.settings.notes,
+                sections: [
+                    { title: 'Views', figures: this.captureViews() },
+                    this.domainSection(),
+                    this.sourcesSection(),
+                    this.meshesSection(),
+                    this.volumesSection(),
+                    this.manager.zoneTool.zones.length ? this.zonesSection() : null,
+                    this.manager.pathTool.paths.length ? this.pathsSection() : null
+                ].filter(Boolean)
+            });
+        } catch (err) {
+            console.error(err);
+            alert(`Failed to generate the report.\n${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * JPEG data URLs of the standard views, framed on the visible sources, meshes and volumes (or
+     * the voxel domain). The gizmo is hidden and the camera restored afterwards.
+     */
+    captureViews() {
+        const { camera, orbitControls, transformControls } = this.manager;
+        const saved = { position: camera.position.clone(), target: orbitControls.target.clone(), near: camera.near, far: camera.far };
+        const gizmoVisible = transformControls.visible;
+        transformControls.visible = false;
+
+        const box = new THREE.Box3();
+        [...this.manager.sources.map(s => s.mesh), ...this.manager.meshes, ...this.manager.importedVolumes]
+            .filter(object => object.visible)
+            .forEach(object => box.expandByObject(object));
+        if (box.isEmpty()) box.copy(this.manager.doseBoxHelper.box);
+
+        try {
+            return VIEWS.map(view => {
+                if (view.direction) this.manager.fitCameraToSelection(box, new THREE.Vector3(...view.direction));
+                const image = this.manager.captureCanvas(this.imageWidth).toDataURL('image/jpeg', JPEG_QUALITY);
+                return { image, caption: view.name };
+            });
+        } finally {
+            transformControls.visible = gizmoVisible;
+            camera.position.copy(saved.position);
+            orbitControls.target.copy(saved.target);
+            camera.near = saved.near;
+            camera.far = saved.far;
+            camera.updateProjectionMatrix();
+            orbitControls.update();
+        }
+    }
+
+    domainSection() {
+        const config = this.manager.simulationConfig;
+        const { domainSize, voxelResolution, offset } = config;
+        const grid = VolumeGrid.fromSimulationConfig(config);
+        const size = ['x', 'y', 'z'].map(a => domainSize[a] / Math.floor(voxelResolution[a]));
+        const rows = [
+            ['Domain Size (mm)', ReportTool.vector([domainSize.x, domainSize.y, domainSize.z], ' × ')],
+            ['Offset (mm)', ReportTool.vector([offset.x, offset.y, offset.z])],
+            ['Voxel Resolution', ['x', 'y', 'z'].map(a => Math.floor(voxelResolution[a])).join(' × ')],
+            ['Voxel Size (mm)', ReportTool.vector(size, ' × ')],
+            ['Voxel Count', grid.voxelCount.toLocaleString('en-US')],
+            ['GATE Image', `${grid.dims.join(' × ')} voxels, spacing ${ReportTool.vector(grid.spacing)} mm, origin ${ReportTool.vector(grid.origin)} mm`],
+            ['Grid Position (mm)', ReportTool.vector(this.manager.worldGroup.position.toArray())],
+            ['Dose Quantity', config.doseQuantity === 'cumulative' ? `Cumulative dose (µSv) over ${config.exposureHours} h` : 'Dose rate (µSv/h)'],
+            ['Scene Date (UTC)', config.sceneDate || '-']
+        ];
+        return {
+            title: 'Simulation Domain',
+            text: 'Scene axes (Y up); the GATE image swaps Y and Z.',
+            tables: [{ columns: ['Parameter', 'Value'], rows }]
+        };
+    }
+
+    sourcesSection() {
+        const rows = this.manager.sources.map((source, i) => {
+            const { mesh } = source;
+            const s = mesh.scale;
+            const size = {
+                sphere: `R ${ReportTool.mm(source.radius)}`,
+                point: '-',
+                line: `L ${ReportTool.mm(s.x)}`,
+                box: ReportTool.vector([s.x, s.y, s.z], ' × '),
+                cylinder: `R ${ReportTool.mm(s.x)}, H ${ReportTool.mm(s.y)}`
+            }[source.type];
+            const sphere = source.type === 'sphere';
+            const dose = sphere
+                ? `Center ${source.doseCenter}, periphery ${source.dosePeriphery}`
+                : `${source.doseAt1m} µSv/h at 1 m${source.type === 'point' ? '' : `, ${source.samples} samples/axis`}`;
+            const isotope = IsotopeLibrary.isDecaying(source)
+                ? (sphere
+                    // Spheres keep their doses: the isotope only applies its decay
+                    ? `${source.isotope}, decay from ${source.referenceDate}, T½ ${source.halfLife} d`
+                    : `${source.isotope}, ${source.activity.toExponential(3)} Bq on ${source.referenceDate}, T½ ${source.halfLife} d, Γ ${source.gammaConstant}`)
+                : '-';
+            return [
+                i + 1,
+                SOURCE_SHAPES[source.type].label,
+                ReportTool.vector(mesh.position.toArray()),
+                ReportTool.degrees(mesh.rotation),
+                size,
+                dose,
+                sphere ? source.falloff : 'Inverse square',
+                isotope
+            ];
+        });
+        return {
+            title: 'Sources',
+            text: 'Positions in the grid (world group) coordinates, rotations as XYZ Euler angles.',
+            tables: [{ columns: ['#', 'Type', 'Position (mm)', 'Rotation (°)', 'Size (mm)', 'Dose Parameters', 'Falloff', 'Isotope'], rows }]
+        };
+    }
+
+    meshesSection() {
+        const rows = this.manager.meshes.map(mesh => {
+            const { shielding } = mesh.userData;
+            return [
+                mesh.userData.name,
+                mesh.userData.isAsset ? mesh.userData.path : 'Embedded',
+                ReportTool.vector(mesh.position.toArray()),
+                ReportTool.degrees(mesh.rotation),
+                mesh.scale.toArray().map(v => Number(v.toFixed(3))).join(', '),
+                MaterialLibrary.isShielding(shielding) ? `${shielding.material}, µ ${shielding.mu} cm⁻¹` : 'None',
+                mesh.visible ? 'Yes' : 'No'
+            ];
+        });
+        return {
+            title: 'Meshes',
+            tables: [{ columns: ['Name', 'Geometry', 'Position (mm)', 'Rotation (°)', 'Scale', 'Shielding', 'Visible'], rows }]
+        };
+    }
+
+    /**
+     * Grid, provenance, statistics of the displayed values and color legend of each volume.
+     */
+    volumesSection() {
+        const volumes = this.manager.importedVolumes;
+        const format = ReportTool.number;
+        const geometry = [], statistics = [], figures = [];
+        volumes.forEach(points => {
+            const { grid, data, params } = points.userData;
+            const name = this.manager.getVolumeLabel(points);
+            geometry.push([
+                name,
+                grid.dims.join(' × '),
+                ReportTool.vector(grid.spacing),
+                ReportTool.vector(grid.origin),
+                params.provenance ? VolumeArithmetic.describe(params.provenance) : 'Imported file'
+            ]);
+            const stats = StudyReport.statistics(data);
+            statistics.push([name, params.units || '-', stats.count, stats.nonZero, format(stats.min), format(stats.mean), format(stats.std),
+                format(stats.median), format(stats.p95), format(stats.max)]);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = 150;
+            canvas.height = 210;
+            try {
+                ColorLegend.draw(canvas.getContext('2d'), name, params.units, new Colormap(params, stats.min, stats.max));
+                figures.push({ image: canvas.toDataURL('image/png'), caption: name, small: true });
+            } catch (err) {
+                console.warn(`No legend for ${name}: ${err.message}`);
+            }
+        });
+        return {
+            title: 'Imported Volumes',
+            text: volumes.length ? 'Grids in the GATE coordinates of each file; statistics of the displayed channel and frame, empty voxels included.' : '',
+            tables: volumes.length ? [
+                { caption: 'Grids', columns: ['Name', 'Dimensions', 'Spacing (mm)', 'Origin (mm)', 'Provenance'], rows: geometry },
+                { caption: 'Statistics', columns: ['Name', 'Units', 'Voxels', 'Non-zero', 'Min', 'Mean', 'Std. Dev.', 'Median', '95th Pct.', 'Max'], rows: statistics }
+            ] : [],
+            figures
+        };
+    }
+
+    zonesSection() {
+        const { zoneTool } = this.manager;
+        const format = ReportTool.number;
+        const rows = [];
+        zoneTool.zones.forEach(zone => {
+            const settings = [zone.name, ZONE_CATEGORIES[zone.category].label, zone.occupancy, format(zone.limit)];
+            const summaries = zoneTool.summaries(zone);
+            if (!summaries.length) rows.push([...settings, 'Not evaluated', '-', '-', '-']);
+            summaries.forEach(s => rows.push([...settings, s.unit ? `${s.name} (${s.unit})` : s.name, format(s.max), format(s.mean), STATUS_LABELS[s.exceeds]]));
+        });
+        const failing = zoneTool.zones.filter(z => OccupancyZones.status(zoneTool.summaries(z)));
+        return {
+            title: 'Occupancy Zones',
+            text: failing.length ? `Over their limit: ${failing.map(z => z.name).join(', ')}.` : `Limits in ${zoneTool.doseUnit()}.`,
+            tables: [{ columns: ['Zone', 'Category', 'Occupancy', 'Limit', 'Estimate', 'Max', 'Mean', 'Status'], rows }]
+        };
+    }
+
+    pathsSection() {
+        const format = ReportTool.number;
+        const rows = [];
+        this.manager.pathTool.paths.forEach(path => {
+            if (!path.result) {
+                rows.push([path.name, path.waypoints.length, 'Not computed', '-', '-', '-']);
+                return;
+            }
+            path.result.estimates.forEach(e => rows.push([path.name, path.waypoints.length, e.name, format(e.length / 1000), format(e.duration / 60), `${format(e.dose)} ${e.unit}`]));
+        });
+        return {
+            title: 'Intervention Paths',
+            tables: [{ columns: ['Path', 'Waypoints', 'Estimate', 'Length (m)', 'Duration (min)', 'Dose'], rows }]
+        };
+    }
+
+    /**
+     * Report title block settings, saved with the scene (the date defaults to the day of the report).
+     */
+    toJSON() {
+        return { ...this.settings };
+    }
+
+    restore(state) {
+        this.clear();
+        ['title', 'project', 'author', 'reference', 'notes'].forEach(key => {
+            if (typeof state[key] === 'string') this.settings[key] = state[key];
+        });
+    }
+
+    /**
+     * Back to an empty title block (scene cleared).
+     */
+    clear() {
+        this.settings = { title: '', project: '', author: '', reference: '', notes: '' };
+        this.date = new Date().toISOString().slice(0, 10);
+    }
+
+    static mm(v) {
+        return Number(v.toFixed(1)).toString();
+    }
+
+    static vector(values, separator = ', ') {
+        return values.map(ReportTool.mm).join(separator);
+    }
+
+    static degrees(rotation) {
+        return [rotation.x, rotation.y, rotation.z].map(r => ReportTool.mm(THREE.MathUtils.radToDeg(r))).join(', ');
+    }
+
+    static number(v) {
+        return Number.isFinite(v) ? LineChart.format(v) : '-';
+    }
+}
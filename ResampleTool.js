@@ -0,0 +1,105 @@
+import { FloatingPanel } from './FloatingPanel.js';
+import { VolumeGrid } from './VolumeGrid.js';
+import { VolumeResampler } from './VolumeResampler.js';
+import { VolumeArithmetic } from './VolumeArithmetic.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+
+/**
+ * Resamples an imported volume, through its transform (moved or registered, see RegistrationTool),
+ * onto the current simulation grid (VolumeGrid.fromSimulationConfig, the grid of the dose export).
+ * The result is added to the scene as a new volume or downloaded as .mhd/.raw.
+ */
+export class ResampleTool {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.running = false;
+    }
+
+    open() {
+        const volumes = this.manager.importedVolumes;
+        if (!volumes.length) {
+            alert("Load a volume to resample first.");
+            return;
+        }
+        this.close();
+
+        this.panel = new FloatingPanel(this.manager.container, 'Resample to Simulation Grid', { onClose: () => this.close() });
+        const volume = this.panel.addField('Volume', FloatingPanel.createSelect(this.manager.getVolumeOptions(), volumes[0].uuid));
+        this.volumeSelect = volume;
+        const interpolation = this.panel.addField('Interpolation', FloatingPanel.createSelect([
+            { value: 'linear', label: 'Trilinear' }, { value: 'nearest', label: 'Nearest' }
+        ], 'linear'));
+        const outside = this.panel.addField('Outside Value', FloatingPanel.createNumberInput(0));
+
+        const grid = VolumeGrid.fromSimulationConfig(this.manager.simulationConfig);
+        const readout = document.createElement('div');
+        readout.className = 'panel-readout';
+        readout.textContent = `Grid (GATE axes): ${grid.dims.join(' × ')} voxels of ${grid.spacing.map(s => s.toFixed(1)).join(' × ')} mm`;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-toolbar';
+        const addButton = document.createElement('button');
+        addButton.textContent = 'Add to Scene';
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export MHD';
+        exportButton.className = 'secondary';
+        buttons.append(addButton, exportButton);
+        this.panel.body.append(readout, buttons);
+
+        const run = async (output) => {
+            const source = this.manager.getVolume(volume.value);
+            const value = Number(outside.value);
+            if (!source || !Number.isFinite(value)) {
+                alert("Choose a volume and a numeric outside value.");
+                return;
+            }
+            if (this.running) return;
+            this.running = true;
+            try {
+                const { data, grid: target } = await this.resample(source, interpolation.value, value);
+                const label = this.manager.getVolumeLabel(source);
+                const provenance = VolumeArithmetic.provenance('resample', { interpolation: interpolation.value, outsideValue: value },
+                    [{ name: label, provenance: source.userData.params.provenance }]);
+                await output(data, target, label, { units: source.userData.params.units, provenance });
+            } catch (err) {
+                if (err instanceof TaskCancelledError) return;
+                console.error(err);
+                alert(`Resampling failed.\n${err.message}`);
+            } finally {
+                this.running = false;
+            }
+        };
+        addButton.addEventListener('click', () => run((data, target, label, params) =>
+            this.manager.addVolumeFromData(data, target, `${label} (simulation grid)`, { params })));
+        exportButton.addEventListener('click', () => run((data, target, label, params) =>
+            this.manager.downloadMetaImage(data, target, `${label}_simulation_grid`, 'MET_FLOAT', VolumeArithmetic.comment(params.provenance))));
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    /**
+     * Volume list changed (RadiationSceneManager.volumesChanged): refreshes the volume list, keeping
+     * the chosen volume, or closes the panel when no volume remains.
+     */
+    updateVolumes() {
+        if (!this.panel) return;
+        const options = this.manager.getVolumeOptions();
+        if (!options.length) this.close();
+        else FloatingPanel.setOptions(this.volumeSelect, options, options[0].value);
+    }
+
+    /**
+     * Values of a volume on the simulation grid, computed by the workers.
+     * @returns {Promise<{ data: Float32Array, grid: VolumeGrid }>}
+     */
+    async resample(volume, interpolation, outsideValue) {
+        const grid = VolumeGrid.fromSimulationConfig(this.manager.simulationConfig);
+        const payloads = VolumeResampler.payloads(volume, grid, { interpolation, outsideValue, parts: WorkerPool.defaultSize() * 4 });
+        const slabs = await this.manager.runTask('Resampling Volume', 'resample', payloads, p => [p.data.buffer]);
+        return { data: WorkerPool.concat(slabs), grid };
+    }
+}
@@ -0,0 +1,457 @@
+import { SOURCE_TYPES, EasingFunctions } from './DoseModel.js';
+import { EMBEDDED_ASSET } from './EmbeddedGeometry.js';
+import { MetaImageHeader, MetaImageHeaderError } from './MetaImageHeader.js';
+import { Colormap, COLORMAPS, COLOR_SCALES } from './Colormap.js';
+import { ZONE_CATEGORIES } from './OccupancyZones.js';
+
+// Version written by SceneSerializer; older files are migrated to it when loaded
+export const SCENE_VERSION = 2;
+
+// Errors listed in the message, the others are counted
+const MAX_LISTED_ERRORS = 10;
+
+/**
+ * Raised when a scene file does not match SCENE_SCHEMA. `errors` holds one { path, message }
+ * per problem, paths as in `sources[2].position[1]`.
+ */
+export class SceneValidationError extends Error {
+    constructor(errors) {
+        const lines = errors.slice(0, MAX_LISTED_ERRORS).map(e => `- ${e.path || '(root)'}: ${e.message}`);
+        if (errors.length > MAX_LISTED_ERRORS) lines.push(`- and ${errors.length - MAX_LISTED_ERRORS} more`);
+        super(`Invalid scene file:\n${lines.join('\n')}`);
+        this.name = 'SceneValidationError';
+        this.errors = errors;
+    }
+}
+
+const number = { type: 'number' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const vector = component => ({ type: 'object', required: ['x', 'y', 'z'], properties: { x: component, y: component, z: component } });
+const tuple = length => ({ type: 'array', items: number, minItems: length, maxItems: length });
+const transform = {
+    position: tuple(3),
+    rotation: { type: 'array', items: [number, number, number, string], minItems: 3, maxItems: 4 }, // Euler angles and order
+    quaternion: tuple(4),
+    scale: tuple(3)
+};
+// Objects moved and selected as a unit (SceneSelection)
+const group = { type: 'integer', minimum: 1 };
+
+/**
+ * Scene file of the current version, in a subset of JSON Schema: type (number excludes NaN and
+ * infinities), enum, minimum, exclusiveMinimum, required, properties, additionalProperties (schema of
+ * the other keys), items (schema, or one per index), minItems and maxItems. Unknown keys are allowed.
+ * References between entries and the volume headers are checked by SceneSchema.checkReferences.
+ */
+export const SCENE_SCHEMA = {
+    type: 'object',
+    required: ['meta', 'config', 'sources', 'assets', 'geometries', 'volumes'],
+    properties: {
+        meta: {
+            type: 'object',
+            required: ['version'],
+            properties: { version: { enum: [SCENE_VERSION] }, timestamp: string, appName: string }
+        },
+        config: {
+            type: 'object',
+            required: ['domainSize', 'voxelResolution', 'offset'],
+            properties: {
+                domainSize: vector({ type: 'number', exclusiveMinimum: 0 }),
+                voxelResolution: vector({ type: 'number', minimum: 1 }),
+                offset: vector(number),
+                sceneDate: string,
+                doseQuantity: { enum: ['rate', 'cumulative'] },
+                exposureHours: { type: 'number', minimum: 0 }
+            }
+        },
+        worldPosition: tuple(3),
+        camera: {
+            type: 'object',
+            required: ['position', 'target'],
+            properties: { position: tuple(3), target: tuple(3) }
+        },
+        sources: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'position', 'scale'],
+                properties: {
+                    type: { enum: SOURCE_TYPES },
+                    ...transform,
+                    radius: { type: 'number', minimum: 0 },
+                    doseCenter: number,
+                    dosePeriphery: number,
+                    falloff: { enum: Object.keys(EasingFunctions) },
+                    doseAt1m: number,
+                    samples: { type: 'integer', minimum: 1 },
+                    isotope: string,
+                    activity: { type: 'number', minimum: 0 },
+                    referenceDate: string,
+                    halfLife: { type: 'number', minimum: 0 },
+                    gammaConstant: { type: 'number', minimum: 0 },
+                    group
+                }
+            }
+        },
+        assets: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'name', 'position', 'scale'],
+                properties: {
+                    type: { enum: ['library_asset', EMBEDDED_ASSET] },
+                    path: string, // library_asset
+                    geometry: string, // embedded: key of `geometries`
+                    name: string,
+                    ...transform,
+                    visible: boolean,
+                    shielding: {
+                        type: 'object',
+                        required: ['material', 'mu'],
+                        properties: { material: string, mu: { type: 'number', minimum: 0 } }
+                    },
+                    labelPriority: number,
+                    group
+                }
+            }
+        },
+        // Embedded geometries: Base64 `positions` in JSON scenes, archive `file` in projects
+        geometries: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['triangles'],
+                properties: { name: string, triangles: { type: 'integer', minimum: 0 }, positions: string, file: string }
+            }
+        },
+        // Imported volumes: Base64 `dataBase64` in JSON scenes, archive `file` in projects
+        volumes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['header', 'params'],
+                properties: {
+                    header: { type: 'object' },
+                    // Display settings of MHDHandler.createVisualization
+                    params: {
+                        type: 'object',
+                        properties: {
+                            name: string,
+                            visible: boolean,
+                            colormap: { enum: Object.keys(COLORMAPS) },
+                            customStops: string,
+                            colorScale: { enum: Object.keys(COLOR_SCALES) },
+                            bandLimits: string,
+                            units: string,
+                            legend: boolean,
+                            // Computed volumes: operation, parameters and inputs (VolumeArithmetic.provenance)
+                            provenance: {
+                                type: 'object',
+                                required: ['operation', 'inputs'],
+                                properties: { operation: string, inputs: { type: 'array' } }
+                            }
+                        }
+                    },
+                    dataBase64: string,
+                    file: string,
+                    // Volume transform, identity when absent
+                    position: tuple(3),
+                    quaternion: tuple(4),
+                    scale: tuple(3)
+                }
+            }
+        },
+        doseProbes: {
+            type: ['object', 'null'],
+            properties: {
+                probes: {
+                    type: 'array',
+                    items: { type: 'object', required: ['name', 'position'], properties: { name: string, position: tuple(3) } }
+                },
+                profile: {
+                    type: ['object', 'null'],
+                    required: ['start', 'end'],
+                    properties: { start: tuple(3), end: tuple(3), samples: { type: 'integer', minimum: 2 } }
+                }
+            }
+        },
+        // Zones of ZoneTool, footprints in world group X / Z
+        occupancyZones: {
+            type: ['object', 'null'],
+            properties: {
+                spacing: { type: 'number', exclusiveMinimum: 0 },
+                zones: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'category', 'occupancy', 'limit', 'height', 'points'],
+                        properties: {
+                            name: string,
+                            shape: { enum: ['box', 'polygon'] },
+                            category: { enum: Object.keys(ZONE_CATEGORIES) },
+                            occupancy: { type: 'number', minimum: 0 },
+                            limit: { type: 'number', exclusiveMinimum: 0 },
+                            base: number,
+                            height: { type: 'number', exclusiveMinimum: 0 },
+                            points: { type: 'array', items: tuple(2), minItems: 3 }
+                        }
+                    }
+                }
+            }
+        },
+        // Paths of PathTool, waypoints on the world group X / Z
+        interventionPaths: {
+            type: ['object', 'null'],
+            properties: {
+                step: { type: 'number', exclusiveMinimum: 0 },
+                paths: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'speed', 'waypoints'],
+                        properties: {
+                            name: string,
+                            color: { type: 'integer', minimum: 0 },
+                            speed: { type: 'number', exclusiveMinimum: 0 },
+                            height: { type: 'number', exclusiveMinimum: 0 },
+                            waypoints: {
+                                type: 'array',
+                                items: { type: 'object', required: ['position'], properties: { position: tuple(2), dwell: { type: 'number', minimum: 0 } } }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        // Title block and notes of ReportTool
+        studyReport: {
+            type: ['object', 'null'],
+            properties: { title: string, project: string, author: string, reference: string, notes: string }
+        },
+        thumbnail: string // archive file of projects
+    }
+};
+
+/**
+ * Steps from every past version to the next, applied in order.
+ */
+const MIGRATIONS = [
+    {
+        from: 1,
+        to: 1.1,
+        // 1.1 added the imported volumes
+        migrate: state => {
+            if (state.volumes === undefined) state.volumes = [];
+        }
+    },
+    {
+        from: 1.1,
+        to: 2,
+        // 2 gives every source its type and size, and always writes the embedded geometry table
+        migrate: state => {
+            (Array.isArray(state.sources) ? state.sources : []).forEach(source => {
+                if (!source || typeof source !== 'object') return;
+                // Files saved before the source types only hold spheres, sized by their radius
+                if (source.type === undefined) source.type = 'sphere';
+                if (source.scale === undefined && typeof source.radius === 'number') source.scale = [source.radius, source.radius, source.radius];
+            });
+            if (state.geometries === undefined) state.geometries = {};
+        }
+    }
+];
+
+const TYPE_NAMES = {
+    number: 'a number', integer: 'an integer', string: 'a string', boolean: 'a boolean',
+    array: 'an array', object: 'an object', null: 'null'
+};
+
+/**
+ * Versioned format of the scene files (SceneSerializer state): migrations from the past versions
+ * and validation against SCENE_SCHEMA, so that a scene is only replaced by a file known to load.
+ * No DOM or three.js dependency: the CLI validates scene files with it.
+ */
+export class SceneSchema {
+    /**
+     * Migrates a parsed scene file to SCENE_VERSION (in place) and validates it.
+     * @param {object} state
+     * @param {{ entrySize?: (path: string) => number|undefined }} [options] - byte size of the
+     *        archive files referenced by a project (undefined when missing).
+     * @returns {object} the state.
+     * @throws {SceneValidationError}
+     */
+    static load(state, options = {}) {
+        SceneSchema.migrate(state);
+        const errors = SceneSchema.validate(state, options);
+        if (errors.length) throw new SceneValidationError(errors);
+        return state;
+    }
+
+    /**
+     * @throws {SceneValidationError} when the version is missing, unknown or newer than SCENE_VERSION.
+     */
+    static migrate(state) {
+        if (!SceneSchema.isType(state, 'object')) throw new SceneValidationError([{ path: '', message: 'must be an object' }]);
+        if (!SceneSchema.isType(state.meta, 'object')) throw new SceneValidationError([{ path: 'meta', message: 'is required' }]);
+        const version = state.meta.version;
+        if (!SceneSchema.isType(version, 'number')) throw new SceneValidationError([{ path: 'meta.version', message: 'must be a number' }]);
+        if (version > SCENE_VERSION) {
+            throw new SceneValidationError([{ path: 'meta.version', message: `${version} was saved by a newer version of the application (this one reads up to ${SCENE_VERSION})` }]);
+        }
+
+        let current = version;
+        MIGRATIONS.forEach(step => {
+            if (step.from !== current) return;
+            step.migrate(state);
+            current = step.to;
+        });
+        if (current !== SCENE_VERSION) throw new SceneValidationError([{ path: 'meta.version', message: `unknown version ${version}` }]);
+        state.meta.version = SCENE_VERSION;
+        return state;
+    }
+
+    /**
+     * @returns {{ path: string, message: string }[]} errors of a state of the current version.
+     */
+    static validate(state, { entrySize = () => undefined } = {}) {
+        const errors = [];
+        SceneSchema.check(state, SCENE_SCHEMA, '', errors);
+        if (!errors.length) SceneSchema.checkReferences(state, entrySize, errors);
+        return errors;
+    }
+
+    static check(value, schema, path, errors) {
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+            return;
+        }
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => SceneSchema.isType(value, type))) {
+                errors.push({ path, message: `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}, got ${SceneSchema.describe(value)}` });
+                return;
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be at least ${schema.minimum}` });
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+        } else if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+            if (schema.items) {
+                value.forEach((item, i) => {
+                    const itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+                    if (itemSchema) SceneSchema.check(item, itemSchema, `${path}[${i}]`, errors);
+                });
+            }
+        } else if (SceneSchema.isType(value, 'object')) {
+            const key = name => path ? `${path}.${name}` : name;
+            (schema.required || []).forEach(name => {
+                if (value[name] === undefined) errors.push({ path: key(name), message: 'is required' });
+            });
+            Object.entries(value).forEach(([name, child]) => {
+                if (child === undefined) return;
+                const childSchema = schema.properties && schema.properties[name] ? schema.properties[name] : schema.additionalProperties;
+                if (childSchema) SceneSchema.check(child, childSchema, key(name), errors);
+            });
+        }
+    }
+
+    /**
+     * Checks that the schema cannot express: the geometry of each embedded mesh, the voxel data of
+     * each volume and its size against the volume header, volume colors, the archive files of projects.
+     */
+    static checkReferences(state, entrySize, errors) {
+        state.assets.forEach((asset, i) => {
+            if (asset.type === 'library_asset' && asset.path === undefined) {
+                errors.push({ path: `assets[${i}].path`, message: 'is required for library assets' });
+            }
+            if (asset.type === EMBEDDED_ASSET && !Object.hasOwn(state.geometries, asset.geometry)) {
+                errors.push({ path: `assets[${i}].geometry`, message: asset.geometry === undefined ? 'is required for embedded meshes' : `no geometry "${asset.geometry}"` });
+            }
+        });
+
+        Object.entries(state.geometries).forEach(([id, entry]) => {
+            // 9 float32 per triangle
+            SceneSchema.checkData(entry.positions, entry.file, entry.triangles * 36, `geometries.${id}`, 'positions', entrySize, errors);
+        });
+
+        state.volumes.forEach((volume, i) => {
+            try {
+                new Colormap(volume.params, 0, 1);
+            } catch (e) {
+                errors.push({ path: `volumes[${i}].params`, message: e.message });
+            }
+            let header;
+            try {
+                header = MetaImageHeader.fromFields(volume.header);
+            } catch (e) {
+                if (!(e instanceof MetaImageHeaderError)) throw e;
+                errors.push({ path: `volumes[${i}].header`, message: e.message });
+                return;
+            }
+            // Every channel and frame, as float32
+            SceneSchema.checkData(volume.dataBase64, volume.file, header.valueCount * 4, `volumes[${i}]`, 'dataBase64', entrySize, errors);
+        });
+
+        if (state.thumbnail !== undefined && entrySize(state.thumbnail) === undefined) {
+            errors.push({ path: 'thumbnail', message: `"${state.thumbnail}" is missing from the archive` });
+        }
+    }
+
+    /**
+     * Binary data stored as a Base64 string (`key`) or an archive file, of `expectedBytes` bytes.
+     */
+    static checkData(base64, file, expectedBytes, path, key, entrySize, errors) {
+        let size;
+        if (file !== undefined) {
+            size = entrySize(file);
+            if (size === undefined) {
+                errors.push({ path: `${path}.file`, message: `"${file}" is missing from the archive` });
+                return;
+            }
+            path = `${path}.file`;
+        } else if (base64 !== undefined) {
+            size = SceneSchema.base64Size(base64);
+            path = `${path}.${key}`;
+            if (size === undefined) {
+                errors.push({ path, message: 'is not valid Base64' });
+                return;
+            }
+        } else {
+            errors.push({ path: `${path}.${key}`, message: 'is required (or `file` in a project)' });
+            return;
+        }
+        if (size !== expectedBytes) errors.push({ path, message: `holds ${size} bytes, ${expectedBytes} expected` });
+    }
+
+    /**
+     * Decoded byte length of a Base64 string (undefined if malformed), without decoding it.
+     */
+    static base64Size(text) {
+        if (text.length % 4 !== 0) return undefined;
+        const padding = text.endsWith('==') ? 2 : text.endsWith('=') ? 1 : 0;
+        return text.length / 4 * 3 - padding;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return false;
+        }
+    }
+
+    static describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'an array';
+        if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+        return typeof value;
+    }
+}
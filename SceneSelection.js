@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+
+// Emissive tint of the selected objects
+const HIGHLIGHT = 0x3a3a00;
+// Smaller box drags are clicks
+const MIN_BOX_SIZE = 4;
+
+/**
+ * Selected meshes and source meshes of RadiationSceneManager (shift-click and shift-drag box selection).
+ * A single object gets the gizmo; several share a pivot at the center of their bounds and dragging it
+ * applies the same transform to all of them. Objects of a group (`userData.group`, a number) are always
+ * selected together. Also copy / paste, duplication and array copies of the selection.
+ * Imported volumes are selected from their GUI folder only (clicks would hit them before the meshes
+ * inside), and are moved but never copied or grouped.
+ */
+export class SceneSelection {
+    constructor(manager) {
+        this.manager = manager;
+        this.objects = [];
+        this.highlighted = [];
+        this.clipboard = [];
+
+        this.pivot = new THREE.Object3D();
+        this.pivot.name = 'SelectionPivot';
+        manager.worldGroup.add(this.pivot);
+        this.pivotStart = null;
+    }
+
+    /**
+     * Meshes and source meshes of the scene.
+     */
+    selectable() {
+        return [...this.manager.meshes, ...this.manager.sources.map(s => s.mesh)];
+    }
+
+    set(objects) {
+        const members = objects.flatMap(o => this.groupOf(o));
+        this.objects = [...new Set(members)];
+        this.update();
+    }
+
+    toggle(object) {
+        const members = this.groupOf(object);
+        if (this.objects.includes(object)) this.objects = this.objects.filter(o => !members.includes(o));
+        else this.objects = [...new Set([...this.objects, ...members])];
+        this.update();
+    }
+
+    remove(object) {
+        if (!this.objects.includes(object)) return;
+        this.objects = this.objects.filter(o => o !== object);
+        this.update();
+    }
+
+    clear() {
+        this.set([]);
+    }
+
+    selectAll() {
+        this.set(this.selectable());
+    }
+
+    /**
+     * The object and the other members of its group.
+     */
+    groupOf(object) {
+        const group = object.userData.group;
+        return group === undefined ? [object] : this.selectable().filter(o => o.userData.group === group);
+    }
+
+    /**
+     * Drops the objects no longer in the scene, updates the highlight and attaches the gizmo
+     * (called after every history change as undo can move or remove selected objects).
+     */
+    update() {
+        const selectable = [...this.selectable(), ...this.manager.importedVolumes];
+        this.objects = this.objects.filter(o => selectable.includes(o));
+
+        // Volume points have no emissive color: the gizmo shows them
+        const highlight = (o, hex) => { if (o.material.emissive) o.material.emissive.setHex(hex); };
+        this.highlighted.filter(o => !this.objects.includes(o)).forEach(o => highlight(o, 0x000000));
+        this.objects.forEach(o => highlight(o, HIGHLIGHT));
+        this.highlighted = [...this.objects];
+
+        const controls = this.manager.transformControls;
+        if (controls.dragging) return;
+        if (this.objects.length === 0) controls.detach();
+        else if (this.objects.length === 1) controls.attach(this.objects[0]);
+        else {
+            this.placePivot();
+            controls.attach(this.pivot);
+        }
+    }
+
+    /**
+     * Pivot at the center of the selection bounds, axis-aligned with the world group.
+     */
+    placePivot() {
+        const box = new THREE.Box3();
+        this.objects.forEach(o => box.expandByObject(o));
+        const center = box.getCenter(new THREE.Vector3());
+        this.pivot.position.copy(this.manager.worldGroup.worldToLocal(center));
+        this.pivot.quaternion.identity();
+        this.pivot.scale.set(1, 1, 1);
+        this.pivot.updateMatrix();
+    }
+
+    /**
+     * Keeps the pivot and object world matrices at the start of a gizmo drag.
+     */
+    beginDrag() {
+        this.pivot.updateWorldMatrix(true, false);
+        this.pivotStart = {
+            inverse: this.pivot.matrixWorld.clone().invert(),
+            matrices: this.objects.map(o => {
+                o.updateWorldMatrix(true, false);
+                return o.matrixWorld.clone();
+            })
+        };
+    }
+
+    /**
+     * Applies the pivot motion since beginDrag to every selected object, in the frame of its parent
+     * (the world group, or the scene for volumes).
+     */
+    applyPivot() {
+        if (!this.pivotStart) return;
+        this.pivot.updateWorldMatrix(true, false);
+        const delta = this.pivot.matrixWorld.clone().multiply(this.pivotStart.inverse);
+        this.objects.forEach((o, i) => {
+            o.parent.matrixWorld.clone().invert().multiply(delta).multiply(this.pivotStart.matrices[i])
+                .decompose(o.position, o.quaternion, o.scale);
+            this.manager.transformChanged(o);
+        });
+    }
+
+    endDrag() {
+        this.pivotStart = null;
+    }
+
+    /**
+     * Shift-drag rectangle from a pointerdown on the canvas: adds the objects whose bounds center
+     * falls inside it.
+     */
+    startBox(event) {
+        const canvas = this.manager.renderer.domElement;
+        const rect = canvas.getBoundingClientRect();
+        const containerRect = this.manager.container.getBoundingClientRect();
+        const start = { x: event.clientX, y: event.clientY };
+
+        const box = document.createElement('div');
+        box.className = 'selection-box';
+        this.manager.container.appendChild(box);
+
+        const onMove = (e) => {
+            box.style.left = `${Math.min(start.x, e.clientX) - containerRect.left}px`;
+            box.style.top = `${Math.min(start.y, e.clientY) - containerRect.top}px`;
+            box.style.width = `${Math.abs(e.clientX - start.x)}px`;
+            box.style.height = `${Math.abs(e.clientY - start.y)}px`;
+        };
+        const onUp = (e) => {
+            window.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            box.remove();
+            if (Math.abs(e.clientX - start.x) < MIN_BOX_SIZE && Math.abs(e.clientY - start.y) < MIN_BOX_SIZE) return;
+
+            // Rectangle in normalized device coordinates
+            const toNDC = (x, y) => [((x - rect.left) / rect.width) * 2 - 1, -((y - rect.top) / rect.height) * 2 + 1];
+            const [x0, y0] = toNDC(Math.min(start.x, e.clientX), Math.max(start.y, e.clientY));
+            const [x1, y1] = toNDC(Math.max(start.x, e.clientX), Math.min(start.y, e.clientY));
+            const inside = this.selectable().filter(o => {
+                const p = new THREE.Box3().setFromObject(o).getCenter(new THREE.Vector3()).project(this.manager.camera);
+                return p.z < 1 && p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1;
+            });
+            this.set([...this.objects, ...inside]);
+        };
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+    }
+
+    /**
+     * Selected objects that can be copied and grouped (not the volumes).
+     */
+    copyable() {
+        return this.objects.filter(o => !o.userData.isVolume);
+    }
+
+    copy() {
+        this.clipboard = this.copyable().map(o => this.manager.describeObject(o));
+    }
+
+    paste() {
+        if (!this.clipboard.length) return;
+        this.set(this.instantiate(this.clipboard, [[0, 0, 0]], 'Paste'));
+    }
+
+    duplicate() {
+        const originals = this.copyable();
+        if (!originals.length) return;
+        this.set(this.instantiate(originals.map(o => this.manager.describeObject(o)), [[0, 0, 0]], 'Duplicate'));
+    }
+
+    /**
+     * Copies of the selection at each offset (scene mm, see ArrayTool.offsets); the selection then holds
+     * the originals and the copies.
+     */
+    array(offsets) {
+        const originals = this.copyable();
+        if (!originals.length || !offsets.length) return;
+        const copies = this.instantiate(originals.map(o => this.manager.describeObject(o)), offsets, `Array ×${offsets.length + 1}`);
+        this.set([...originals, ...copies]);
+    }
+
+    /**
+     * Creates the described objects once per offset as a single history entry. Each set of copies
+     * gets its own groups.
+     * @returns {THREE.Object3D[]} the new objects.
+     */
+    instantiate(descriptions, offsets, action) {
+        const { manager } = this;
+        const created = manager.history.suspend(() => offsets.flatMap(offset => {
+            const groups = new Map();
+            return descriptions.map(description => {
+                const object = manager.createObject(description);
+                object.position.add(new THREE.Vector3(...offset));
+                if (description.group !== undefined) {
+                    if (!groups.has(description.group)) groups.set(description.group, this.nextGroup());
+                    object.userData.group = groups.get(description.group);
+                }
+                return object;
+            });
+        }));
+        manager.recordPresence(created.map(o => manager.sceneEntry(o)), `${action} ${SceneSelection.count(created.length)}`, true);
+        return created;
+    }
+
+    group() {
+        const objects = this.copyable();
+        if (objects.length < 2) return;
+        this.setGroup(objects, this.nextGroup(), 'Group');
+    }
+
+    ungroup() {
+        const grouped = this.objects.filter(o => o.userData.group !== undefined);
+        if (grouped.length) this.setGroup(grouped, undefined, 'Ungroup');
+    }
+
+    setGroup(objects, group, action) {
+        const before = objects.map(o => o.userData.group);
+        const apply = groups => objects.forEach((o, i) => {
+            if (groups[i] === undefined) delete o.userData.group;
+            else o.userData.group = groups[i];
+        });
+        apply(objects.map(() => group));
+        this.manager.history.record({
+            label: `${action} ${SceneSelection.count(objects.length)}`,
+            undo: () => apply(before),
+            redo: () => apply(objects.map(() => group))
+        });
+    }
+
+    nextGroup() {
+        return this.selectable().reduce((max, o) => Math.max(max, o.userData.group || 0), 0) + 1;
+    }
+
+    static count(n) {
+        return n === 1 ? '1 object' : `${n} objects`;
+    }
+}
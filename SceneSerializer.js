@@ -1,163 +1,340 @@
 import * as THREE from 'three';
+import { TaskCancelledError } from './WorkerPool.js';
+import { EmbeddedGeometry, EMBEDDED_ASSET } from './EmbeddedGeometry.js';
+import { ProjectArchive } from './ProjectArchive.js';
+import { SceneSchema, SceneValidationError, SCENE_VERSION } from './SceneSchema.js';
 
 /**
- * Handles saving and loading the scene state to/from JSON.
- * Includes support for Voxel Data via Base64 encoding.
+ * Handles saving and loading the scene state: packaged project files (see ProjectArchive) with the
+ * voxel data and embedded meshes as binary entries, and the JSON scene files with Base64 voxel data.
+ * Loaded files are migrated and validated by SceneSchema before the current scene is replaced.
  */
 export class SceneSerializer {
 
     /**
-     * Serializes the current scene state into a JSON string.
+     * Serializes the current scene state into a JSON string (voxel data and embedded meshes Base64 encoded).
      * @param {RadiationSceneManager} manager - The main manager instance.
      * @returns {string} JSON representation of the scene.
      */
     serialize(manager) {
+        return JSON.stringify(this.buildState(manager), null, 2);
+    }
+
+    /**
+     * Serializes the current scene state into a project archive.
+     * @param {RadiationSceneManager} manager
+     * @param {Uint8Array} [thumbnail] - PNG of the view.
+     * @returns {Promise<Uint8Array>}
+     */
+    async serializeProject(manager, thumbnail = null) {
+        const files = [];
+        const state = this.buildState(manager, files);
+        return ProjectArchive.write(state, files, thumbnail);
+    }
+
+    /**
+     * Scene state. With `files`, voxel data and embedded geometries are pushed to it as
+     * { path, data } archive entries referenced by `file` instead of Base64 strings.
+     * @param {RadiationSceneManager} manager
+     * @param {{ path: string, data: Uint8Array }[]} [files]
+     */
+    buildState(manager, files = null) {
         const state = {
             meta: {
-                version: 1.1,
+                version: SCENE_VERSION,
                 timestamp: new Date().toISOString(),
                 appName: "GateSimulationDesigner"
             },
             config: manager.simulationConfig,
+            worldPosition: manager.worldGroup.position.toArray(),
             camera: {
                 position: manager.camera.position.toArray(),
                 target: manager.orbitControls.target.toArray()
             },
             sources: [],
             assets: [],
-            volumes: [] // New: Store voxel fields
+            volumes: [], // New: Store voxel fields
+            doseProbes: manager.doseProbe.toJSON(),
+            occupancyZones: manager.zoneTool.toJSON(),
+            interventionPaths: manager.pathTool.toJSON(),
+            studyReport: manager.reportTool.toJSON()
         };
 
         // 1. Serialize Radiation Sources
         manager.sources.forEach(src => {
             state.sources.push({
+                type: src.type,
                 position: src.mesh.position.toArray(),
+                rotation: src.mesh.rotation.toArray(),
+                quaternion: src.mesh.quaternion.toArray(),
+                scale: src.mesh.scale.toArray(), // Size of line, box and cylinder sources
                 radius: src.radius,
                 doseCenter: src.doseCenter,
                 dosePeriphery: src.dosePeriphery,
-                falloff: src.falloff
+                falloff: src.falloff,
+                doseAt1m: src.doseAt1m,
+                samples: src.samples,
+                isotope: src.isotope,
+                activity: src.activity,
+                referenceDate: src.referenceDate,
+                halfLife: src.halfLife,
+                gammaConstant: src.gammaConstant,
+                group: src.mesh.userData.group // Objects moved and selected as a unit (SceneSelection)
             });
         });
 
-        // 2. Serialize Meshes (Assets)
+        // 2. Serialize Meshes (Assets): library files by path, other geometries embedded once each
+        const geometries = new EmbeddedGeometry();
+        const geometryIds = new Map();
         manager.meshes.forEach(mesh => {
-            if (mesh.userData.isAsset) {
-                state.assets.push({
-                    type: 'library_asset',
-                    path: mesh.userData.path,
-                    name: mesh.userData.name,
-                    position: mesh.position.toArray(),
-                    rotation: mesh.rotation.toArray(),
-                    scale: mesh.scale.toArray()
-                });
-            } else {
-                console.warn("Local STL import ignored in save file.");
-            }
+            const asset = mesh.userData.isAsset
+                ? { type: 'library_asset', path: mesh.userData.path }
+                : { type: EMBEDDED_ASSET, geometry: this.embedGeometry(mesh.geometry, mesh.userData.name, geometries, geometryIds) };
+            state.assets.push({
+                ...asset,
+                name: mesh.userData.name,
+                position: mesh.position.toArray(),
+                rotation: mesh.rotation.toArray(),
+                quaternion: mesh.quaternion.toArray(),
+                scale: mesh.scale.toArray(),
+                visible: mesh.visible,
+                shielding: { ...mesh.userData.shielding },
+                labelPriority: mesh.userData.labelPriority || 0,
+                group: mesh.userData.group
+            });
         });
+        state.geometries = geometries.table(files);
 
-        // 3. Serialize Imported Volumes (Voxel Fields)
-        // Warning: This can generate large JSON files.
+        // 3. Serialize Imported Volumes (Voxel Fields), every channel/frame of the file
+        // Warning: Base64 data can generate large JSON files.
         manager.importedVolumes.forEach(points => {
             if (points.userData && points.userData.isVolume) {
                 const ud = points.userData;
-
-                // Convert Float32Array to Base64 String
-                const base64Data = this.float32ToBase64(ud.data);
-
-                state.volumes.push({
+                const data = ud.rawData || ud.data;
+                const volume = {
                     header: ud.header,
                     params: ud.params,
-                    dataBase64: base64Data
-                });
+                    // Moved or registered volume (see RegistrationTool), in scene coordinates
+                    position: points.position.toArray(),
+                    quaternion: points.quaternion.toArray(),
+                    scale: points.scale.toArray()
+                };
+                if (files) {
+                    volume.file = `volumes/volume${state.volumes.length + 1}.f32`;
+                    files.push({ path: volume.file, data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength) });
+                } else {
+                    volume.dataBase64 = this.float32ToBase64(data);
+                }
+                state.volumes.push(volume);
             }
         });
 
-        return JSON.stringify(state, null, 2);
+        return state;
     }
 
     /**
-     * Restores the scene from a JSON string.
+     * Restores the scene from a JSON string. Invalid files leave the current scene untouched.
+     * @returns {Promise<boolean>} resolved once the volumes are restored, false when loading failed (reported to the user).
      */
-    deserialize(jsonString, manager) {
+    async deserialize(jsonString, manager) {
+        let state;
         try {
-            const state = JSON.parse(jsonString);
+            state = SceneSchema.load(JSON.parse(jsonString));
+        } catch (e) {
+            console.error("Failed to load scene:", e);
+            alert(e instanceof SceneValidationError ? e.message : "Invalid scene file format or file too large.");
+            return false;
+        }
+        try {
+            await this.restoreState(state, manager, volData => this.base64ToFloat32(volData.dataBase64));
+        } catch (e) {
+            if (e instanceof TaskCancelledError) return false;
+            console.error("Failed to load scene:", e);
+            alert(`The scene was only partly loaded.\n${e.message}`);
+            return false;
+        }
+        console.log("Scene loaded successfully.");
+        return true;
+    }
 
-            // 1. Clear existing scene
-            manager.clearScene();
+    /**
+     * Restores the scene from a project archive, reading its entries as they are needed.
+     * Rejects when the archive is unreadable or invalid (SceneValidationError), leaving the current scene
+     * untouched, with TaskCancelledError once `isCancelled` returns true, or when a volume cannot be
+     * restored (after the scene is replaced, the volumes already restored stay in it).
+     * @param {Blob} blob
+     * @param {RadiationSceneManager} manager
+     * @param {{ onProgress?: (fraction: number) => void, isCancelled?: () => boolean }} [options]
+     */
+    async deserializeProject(blob, manager, { onProgress = null, isCancelled = () => false } = {}) {
+        const archive = await ProjectArchive.open(blob);
+        const state = SceneSchema.load(await archive.readState(), { entrySize: path => archive.size(path) });
 
-            // 2. Restore Configuration
-            if (state.config) {
-                manager.simulationConfig.domainSize = state.config.domainSize;
-                manager.simulationConfig.voxelResolution = state.config.voxelResolution;
-                manager.simulationConfig.offset = state.config.offset;
-                manager.updateDoseBoxVisual();
-            }
+        // Steps: scene, each embedded geometry, each volume
+        const steps = 1 + Object.keys(state.geometries || {}).length + (Array.isArray(state.volumes) ? state.volumes.length : 0);
+        let done = 1;
+        const step = () => onProgress && onProgress(++done / steps);
+        if (onProgress) onProgress(done / steps);
 
-            // 3. Restore Camera
-            if (state.camera) {
-                manager.camera.position.fromArray(state.camera.position);
-                manager.orbitControls.target.fromArray(state.camera.target);
-                manager.orbitControls.update();
-            }
+        await archive.readGeometries(state, step);
+        if (isCancelled()) throw new TaskCancelledError();
+        await this.restoreState(state, manager, volData => {
+            if (isCancelled()) throw new TaskCancelledError();
+            return archive.readFloat32(volData.file);
+        }, step);
+        if (isCancelled()) throw new TaskCancelledError();
+        console.log("Project loaded successfully.");
+    }
 
-            // 4. Restore Sources
-            if (state.sources && Array.isArray(state.sources)) {
-                state.sources.forEach(srcData => {
-                    const newSourceData = manager.addSource();
-                    newSourceData.mesh.position.fromArray(srcData.position);
-                    newSourceData.radius = srcData.radius;
-                    newSourceData.doseCenter = srcData.doseCenter;
-                    newSourceData.dosePeriphery = srcData.dosePeriphery;
-                    newSourceData.falloff = srcData.falloff;
-                    newSourceData.mesh.scale.setScalar(srcData.radius);
-                });
-            }
+    /**
+     * Replaces the scene with a saved state.
+     * @param {object} state - validated by SceneSchema.
+     * @param {RadiationSceneManager} manager
+     * @param {(volData: object) => Float32Array|Promise<Float32Array>} readVolume - voxel data of a `volumes` entry,
+     *        read just before the volume is restored.
+     * @param {() => void} [onVolume] - called after each volume.
+     * @returns {Promise} resolved once the volumes are restored; rejects when one fails (the volumes
+     *          before it stay in the scene) or with TaskCancelledError.
+     */
+    restoreState(state, manager, readVolume, onVolume = null) {
+        // Decoded first: nothing may fail once the scene is cleared
+        const embedded = this.buildEmbeddedGeometries(state);
 
-            // 5. Restore Assets
-            if (state.assets && Array.isArray(state.assets)) {
-                state.assets.forEach(assetData => {
-                    if (assetData.type === 'library_asset') {
-                        manager.loadAssetFromUrl(assetData.path, assetData.name, (mesh) => {
-                            mesh.position.fromArray(assetData.position);
-                            mesh.rotation.fromArray(assetData.rotation);
-                            mesh.scale.fromArray(assetData.scale);
-                        });
-                    }
-                });
-            }
+        // 1. Clear existing scene
+        manager.clearScene();
+
+        // 2. Restore Configuration
+        if (state.config) {
+            manager.simulationConfig.domainSize = state.config.domainSize;
+            manager.simulationConfig.voxelResolution = state.config.voxelResolution;
+            manager.simulationConfig.offset = state.config.offset;
+            ['sceneDate', 'doseQuantity', 'exposureHours'].forEach(key => {
+                if (state.config[key] !== undefined) manager.simulationConfig[key] = state.config[key];
+            });
+            manager.updateDoseBoxVisual();
+        }
+        if (state.worldPosition) {
+            manager.worldGroup.position.fromArray(state.worldPosition);
+        }
+
+        // 3. Restore Camera
+        if (state.camera) {
+            manager.camera.position.fromArray(state.camera.position);
+            manager.orbitControls.target.fromArray(state.camera.target);
+            manager.orbitControls.update();
+        }
+
+        if (state.doseProbes) manager.doseProbe.restore(state.doseProbes);
+        if (state.occupancyZones) manager.zoneTool.restore(state.occupancyZones);
+        if (state.interventionPaths) manager.pathTool.restore(state.interventionPaths);
+        if (state.studyReport) manager.reportTool.restore(state.studyReport);
 
-            // 6. Restore Volumes (Voxels)
-            if (state.volumes && Array.isArray(state.volumes)) {
-                console.log(`Restoring ${state.volumes.length} volume(s)...`);
-                state.volumes.forEach(volData => {
-                    // Convert Base64 back to Float32Array
-                    const floatArray = this.base64ToFloat32(volData.dataBase64);
-
-                    const restoredData = {
-                        header: volData.header,
-                        params: volData.params,
-                        data: floatArray
-                    };
-
-                    // Use MHDHandler to restore visualization
-                    // We need access to the handler. We can assume manager exposes it.
-                    if (manager.mhdHandler) {
-                        const points = manager.mhdHandler.restore(restoredData, manager.scene, manager.gui);
-                        if (points) manager.importedVolumes.push(points);
-                    }
+        // 4. Restore Sources
+        if (state.sources && Array.isArray(state.sources)) {
+            state.sources.forEach(srcData => {
+                const newSourceData = manager.addSource(srcData.type);
+                newSourceData.mesh.position.fromArray(srcData.position);
+                if (srcData.quaternion) newSourceData.mesh.quaternion.fromArray(srcData.quaternion);
+                newSourceData.radius = srcData.radius;
+                newSourceData.doseCenter = srcData.doseCenter;
+                newSourceData.dosePeriphery = srcData.dosePeriphery;
+                newSourceData.falloff = srcData.falloff;
+                if (srcData.doseAt1m !== undefined) newSourceData.doseAt1m = srcData.doseAt1m;
+                if (srcData.samples !== undefined) newSourceData.samples = srcData.samples;
+                ['isotope', 'activity', 'referenceDate', 'halfLife', 'gammaConstant'].forEach(key => {
+                    if (srcData[key] !== undefined) newSourceData[key] = srcData[key];
                 });
-            }
+                if (srcData.group !== undefined) newSourceData.mesh.userData.group = srcData.group;
+                newSourceData.updateGUI();
+                newSourceData.mesh.scale.fromArray(srcData.scale);
+            });
+        }
 
-            console.log("Scene loaded successfully.");
+        // 5. Restore Assets
+        if (state.assets && Array.isArray(state.assets)) {
+            state.assets.forEach(assetData => {
+                if (assetData.type === 'library_asset') {
+                    manager.loadAssetFromUrl(assetData.path, assetData.name, (mesh) => this.restoreAsset(mesh, assetData));
+                } else if (assetData.type === EMBEDDED_ASSET) {
+                    const mesh = manager.addMesh(embedded.get(assetData.geometry), { isAsset: false, path: null, name: assetData.name });
+                    this.restoreAsset(mesh, assetData);
+                }
+            });
+        }
 
-        } catch (e) {
-            console.error("Failed to load scene:", e);
-            alert("Invalid scene file format or file too large.");
+        // 6. Restore Volumes (Voxels), one after the other (each runs on the worker pool)
+        let restoring = Promise.resolve();
+        if (state.volumes && Array.isArray(state.volumes)) {
+            console.log(`Restoring ${state.volumes.length} volume(s)...`);
+            state.volumes.forEach(volData => {
+                // Use MHDHandler to restore visualization
+                if (manager.mhdHandler) {
+                    restoring = restoring
+                        .then(() => readVolume(volData))
+                        .then(data => manager.mhdHandler.restore({ header: volData.header, params: volData.params, data }, manager.scene, manager.gui))
+                        .then(points => {
+                            if (points) {
+                                if (volData.position) points.position.fromArray(volData.position);
+                                if (volData.quaternion) points.quaternion.fromArray(volData.quaternion);
+                                if (volData.scale) points.scale.fromArray(volData.scale);
+                                manager.addImportedVolume(points);
+                            }
+                            if (onVolume) onVolume();
+                        });
+                }
+            });
         }
+        return restoring.catch(e => {
+            if (e instanceof TaskCancelledError) throw e;
+            throw new Error(`Failed to restore a volume: ${e.message}`);
+        });
+    }
+
+    /**
+     * BufferGeometry of each used entry of the `geometries` table, shared by its meshes.
+     * @returns {Map<string, THREE.BufferGeometry>} by geometry id.
+     */
+    buildEmbeddedGeometries(state) {
+        const embedded = new Map();
+        state.assets.forEach(assetData => {
+            if (assetData.type !== EMBEDDED_ASSET || embedded.has(assetData.geometry)) return;
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(EmbeddedGeometry.decode(state.geometries[assetData.geometry]), 3));
+            geometry.computeVertexNormals();
+            embedded.set(assetData.geometry, geometry);
+        });
+        return embedded;
     }
 
     // --- Helpers for Binary Encoding ---
 
+    /**
+     * Id of a mesh geometry in the `geometries` table (meshes sharing a geometry share the entry).
+     */
+    embedGeometry(geometry, name, geometries, geometryIds) {
+        if (!geometryIds.has(geometry)) {
+            const triangles = geometry.index ? geometry.toNonIndexed() : geometry;
+            geometryIds.set(geometry, geometries.add(triangles.attributes.position.array, name));
+            if (triangles !== geometry) triangles.dispose();
+        }
+        return geometryIds.get(geometry);
+    }
+
+    /**
+     * Transform and settings of a restored library or embedded mesh.
+     */
+    restoreAsset(mesh, assetData) {
+        mesh.position.fromArray(assetData.position);
+        mesh.rotation.fromArray(assetData.rotation);
+        // Exact orientation: the saved Euler angles only approximate a gizmo rotation
+        if (assetData.quaternion) mesh.quaternion.fromArray(assetData.quaternion);
+        mesh.scale.fromArray(assetData.scale);
+        if (assetData.visible !== undefined) mesh.visible = assetData.visible;
+        if (assetData.shielding) Object.assign(mesh.userData.shielding, assetData.shielding);
+        if (assetData.labelPriority) mesh.userData.labelPriority = assetData.labelPriority;
+        if (assetData.group !== undefined) mesh.userData.group = assetData.group;
+    }
+
     float32ToBase64(float32Array) {
         // Create a Uint8Array view on the same buffer
         const uint8Array = new Uint8Array(float32Array.buffer);
@@ -0,0 +1,320 @@
+import * as THREE from 'three';
+import { Colormap } from './Colormap.js';
+import { FloatingPanel } from './FloatingPanel.js';
+
+// Slice orientations in GATE image axes. 'fixed' is the axis the plane cuts, 'u'/'v' span the slice.
+// GATE Z is vertical in the scene, so axial slices are horizontal.
+const ORIENTATIONS = {
+    Axial: { fixed: 2, u: 0, v: 1 },
+    Coronal: { fixed: 1, u: 0, v: 2 },
+    Sagittal: { fixed: 0, u: 1, v: 2 }
+};
+
+const PANEL_SIZE = 300;
+
+/**
+ * Orthogonal slice planes through an imported volume, with a 2D panel and a voxel readout.
+ * Works on any points object created by MHDHandler.createVisualization.
+ */
+export class SliceViewer {
+    constructor(scene, container) {
+        this.scene = scene;
+        this.container = container;
+
+        this.volume = null;
+        this.group = null;
+        this.planes = {};
+        this.folder = null;
+        this.panel = null;
+
+        this.onDataChange = () => this.refresh();
+        this.onTransformChange = () => this.syncTransform();
+    }
+
+    open(volume, gui) {
+        this.close();
+        this.volume = volume;
+
+        const dims = volume.userData.grid.dims;
+        this.params = {
+            Axial: Math.floor(dims[2] / 2),
+            Coronal: Math.floor(dims[1] / 2),
+            Sagittal: Math.floor(dims[0] / 2),
+            showAxial: true,
+            showCoronal: true,
+            showSagittal: true,
+            opacity: 0.85,
+            panelView: 'Axial'
+        };
+
+        // Planes follow the volume transform
+        this.group = new THREE.Group();
+        this.group.matrixAutoUpdate = false;
+        this.scene.add(this.group);
+
+        Object.keys(ORIENTATIONS).forEach(name => {
+            this.planes[name] = this.createPlane(name);
+            this.group.add(this.planes[name].mesh);
+        });
+
+        this.buildGUI(gui);
+        this.buildPanel();
+
+        volume.addEventListener('datachange', this.onDataChange);
+        volume.addEventListener('colorchange', this.onDataChange);
+        volume.addEventListener('transformchange', this.onTransformChange);
+        this.refresh();
+    }
+
+    close() {
+        if (!this.volume) return;
+
+        this.volume.removeEventListener('datachange', this.onDataChange);
+        this.volume.removeEventListener('colorchange', this.onDataChange);
+        this.volume.removeEventListener('transformchange', this.onTransformChange);
+
+        Object.values(this.planes).forEach(p => {
+            p.mesh.geometry.dispose();
+            p.mesh.material.dispose();
+            p.texture.dispose();
+        });
+        this.planes = {};
+
+        this.scene.remove(this.group);
+        if (this.folder) this.folder.destroy();
+        if (this.panel) this.panel.destroy();
+
+        this.group = null;
+        this.folder = null;
+        this.panel = null;
+        this.volume = null;
+    }
+
+    /**
+     * Recomputes the color range and every slice (new channel/frame or colors, moved volume).
+     * Slices use the colors of the volume points.
+     */
+    refresh() {
+        const data = this.volume.userData.data;
+        this.minVal = Infinity; this.maxVal = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] > this.maxVal) this.maxVal = data[i];
+            if (data[i] < this.minVal) this.minVal = data[i];
+        }
+        this.colormap = new Colormap(this.volume.userData.params, this.minVal, this.maxVal);
+
+        this.syncTransform();
+        Object.keys(ORIENTATIONS).forEach(name => this.updatePlane(name));
+        this.drawPanel();
+    }
+
+    syncTransform() {
+        this.volume.updateMatrixWorld();
+        this.group.matrix.copy(this.volume.matrixWorld);
+        this.group.matrixWorldNeedsUpdate = true;
+    }
+
+    createPlane(name) {
+        const { u, v } = ORIENTATIONS[name];
+        const dims = this.volume.userData.grid.dims;
+        const width = dims[u], height = dims[v];
+
+        const texture = new THREE.DataTexture(new Uint8Array(width * height * 4), width, height, THREE.RGBAFormat);
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        // Display colors, also drawn as they are in the 2D panel
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(12), 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute([0, 0, 1, 0, 1, 1, 0, 1], 2));
+        geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: this.params.opacity,
+            depthWrite: false
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.visible = this.params[`show${name}`];
+
+        return { mesh, texture, width, height };
+    }
+
+    /**
+     * Voxel index [i, j, k] of texel (a, b) of a slice.
+     */
+    voxelIndex(name, a, b, out = [0, 0, 0]) {
+        const { fixed, u, v } = ORIENTATIONS[name];
+        out[fixed] = this.params[name];
+        out[u] = a;
+        out[v] = b;
+        return out;
+    }
+
+    updatePlane(name) {
+        const { fixed, u, v } = ORIENTATIONS[name];
+        const plane = this.planes[name];
+        const { grid, data } = this.volume.userData;
+        const dims = grid.dims;
+        const pixels = plane.texture.image.data;
+        const rgb = [0, 0, 0];
+        const ijk = [0, 0, 0];
+
+        for (let b = 0; b < plane.height; b++) {
+            for (let a = 0; a < plane.width; a++) {
+                this.voxelIndex(name, a, b, ijk);
+                const val = data[ijk[0] + dims[0] * (ijk[1] + dims[1] * ijk[2])];
+                this.colormap.colorAt(val, rgb);
+
+                const p = (b * plane.width + a) * 4;
+                pixels[p] = rgb[0] * 255;
+                pixels[p + 1] = rgb[1] * 255;
+                pixels[p + 2] = rgb[2] * 255;
+                pixels[p + 3] = 255;
+            }
+        }
+        plane.texture.needsUpdate = true;
+
+        // Quad corners on voxel boundaries, in volume (scene) coordinates
+        const sceneMatrix = new THREE.Matrix4().fromArray(grid.getSceneMatrix());
+        const corners = [[-0.5, -0.5], [dims[u] - 0.5, -0.5], [dims[u] - 0.5, dims[v] - 0.5], [-0.5, dims[v] - 0.5]];
+        const position = plane.mesh.geometry.attributes.position;
+        const corner = new THREE.Vector3();
+
+        corners.forEach(([cu, cv], i) => {
+            const idx = [0, 0, 0];
+            idx[fixed] = this.params[name];
+            idx[u] = cu;
+            idx[v] = cv;
+            corner.fromArray(idx).applyMatrix4(sceneMatrix);
+            position.setXYZ(i, corner.x, corner.y, corner.z);
+        });
+        position.needsUpdate = true;
+        plane.mesh.geometry.computeBoundingSphere();
+    }
+
+    buildGUI(gui) {
+        const dims = this.volume.userData.grid.dims;
+        this.folder = gui.addFolder(`Slices (${dims.join('x')})`);
+
+        Object.entries(ORIENTATIONS).forEach(([name, { fixed }]) => {
+            this.folder.add(this.params, name, 0, dims[fixed] - 1, 1).listen().onChange(() => {
+                this.updatePlane(name);
+                if (this.params.panelView === name) this.drawPanel();
+            });
+            this.folder.add(this.params, `show${name}`).name(`Show ${name}`)
+                .onChange(v => this.planes[name].mesh.visible = v);
+        });
+
+        this.folder.add(this.params, 'opacity', 0, 1).name('Opacity').onChange(v => {
+            Object.values(this.planes).forEach(p => p.mesh.material.opacity = v);
+        });
+        this.folder.add(this, 'close').name('Close Slice Viewer');
+    }
+
+    buildPanel() {
+        this.panel = new FloatingPanel(this.container, 'Slice Viewer', { onClose: () => this.close(), className: 'slice-panel' });
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+
+        const select = document.createElement('select');
+        Object.keys(ORIENTATIONS).forEach(name => select.add(new Option(name, name)));
+        select.value = this.params.panelView;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+
+        const syncSlider = () => {
+            slider.max = this.volume.userData.grid.dims[ORIENTATIONS[this.params.panelView].fixed] - 1;
+            slider.value = this.params[this.params.panelView];
+        };
+
+        select.addEventListener('change', () => {
+            this.params.panelView = select.value;
+            syncSlider();
+            this.drawPanel();
+        });
+        slider.addEventListener('input', () => {
+            this.params[this.params.panelView] = Number(slider.value);
+            this.updatePlane(this.params.panelView);
+            this.drawPanel();
+        });
+
+        toolbar.append(select, slider);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'slice-canvas';
+        this.imageCanvas = document.createElement('canvas');
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'panel-readout';
+        this.readout.textContent = 'Hover the slice to read values.';
+
+        this.canvas.addEventListener('mousemove', (e) => this.onPanelHover(e));
+        this.canvas.addEventListener('mouseleave', () => this.readout.textContent = 'Hover the slice to read values.');
+
+        this.panel.body.append(toolbar, this.canvas, this.readout);
+        this.syncPanelSlider = syncSlider;
+        syncSlider();
+    }
+
+    drawPanel() {
+        if (!this.panel) return;
+        const name = this.params.panelView;
+        const { u, v } = ORIENTATIONS[name];
+        const plane = this.planes[name];
+        const spacing = this.volume.userData.grid.spacing.map(Math.abs);
+
+        this.syncPanelSlider();
+        this.panel.setTitle(`${name} slice ${this.params[name]}`);
+
+        // Keep the physical aspect ratio of the slice
+        const physW = plane.width * spacing[u], physH = plane.height * spacing[v];
+        const scale = PANEL_SIZE / Math.max(physW, physH);
+        this.canvas.width = Math.max(1, Math.round(physW * scale));
+        this.canvas.height = Math.max(1, Math.round(physH * scale));
+
+        this.imageCanvas.width = plane.width;
+        this.imageCanvas.height = plane.height;
+        const imageCtx = this.imageCanvas.getContext('2d');
+        const imageData = imageCtx.createImageData(plane.width, plane.height);
+        const src = plane.texture.image.data;
+
+        // Texture rows start at the bottom, canvas rows at the top
+        for (let b = 0; b < plane.height; b++) {
+            const srcRow = b * plane.width * 4;
+            const dstRow = (plane.height - 1 - b) * plane.width * 4;
+            imageData.data.set(src.subarray(srcRow, srcRow + plane.width * 4), dstRow);
+        }
+        imageCtx.putImageData(imageData, 0, 0);
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.imageCanvas, 0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    onPanelHover(event) {
+        const name = this.params.panelView;
+        const plane = this.planes[name];
+        const rect = this.canvas.getBoundingClientRect();
+        const a = Math.floor((event.clientX - rect.left) / rect.width * plane.width);
+        const b = Math.floor((1 - (event.clientY - rect.top) / rect.height) * plane.height);
+        if (a < 0 || b < 0 || a >= plane.width || b >= plane.height) return;
+
+        const { grid, data } = this.volume.userData;
+        const ijk = this.voxelIndex(name, a, b);
+        const val = data[ijk[0] + grid.dims[0] * (ijk[1] + grid.dims[1] * ijk[2])];
+        const pos = grid.indexToPhysical(ijk[0], ijk[1], ijk[2]);
+
+        this.readout.textContent =
+            `Voxel [${ijk.join(', ')}]  ` +
+            `GATE (${pos.map(p => p.toFixed(1)).join(', ')}) mm  ` +
+            `Dose ${val.toPrecision(4)}`;
+    }
+}
@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+
+/**
+ * Designer meshes of the source types of DoseModel.
+ * Every mesh is built from a unit shape so that its scale is the size of the source
+ * (DoseModel reads the size back from the world matrix):
+ *  - sphere: uniform scale = radius
+ *  - point: fixed marker, not scalable
+ *  - line: scale.x = length
+ *  - box: scale = size
+ *  - cylinder: scale.x = scale.z = radius, scale.y = height
+ * `scaleAxes` are the handles shown by the scale gizmo.
+ */
+export const SOURCE_SHAPES = {
+    sphere: {
+        label: 'Sphere (easing)',
+        geometry: () => new THREE.SphereGeometry(1, 32, 32),
+        defaultScale: source => [source.radius, source.radius, source.radius],
+        scaleAxes: 'XYZ'
+    },
+    point: {
+        label: 'Point',
+        geometry: () => new THREE.SphereGeometry(50, 16, 16),
+        defaultScale: () => [1, 1, 1],
+        scaleAxes: ''
+    },
+    line: {
+        label: 'Line',
+        geometry: () => new THREE.CylinderGeometry(25, 25, 1, 16).rotateZ(Math.PI / 2),
+        defaultScale: () => [2000, 1, 1],
+        scaleAxes: 'X'
+    },
+    box: {
+        label: 'Box',
+        geometry: () => new THREE.BoxGeometry(1, 1, 1),
+        defaultScale: () => [1000, 1000, 1000],
+        scaleAxes: 'XYZ'
+    },
+    cylinder: {
+        label: 'Cylinder',
+        geometry: () => new THREE.CylinderGeometry(1, 1, 1, 32),
+        defaultScale: () => [500, 1000, 500],
+        scaleAxes: 'XYZ'
+    }
+};
+
+export class SourceShapes {
+    /**
+     * { label: type } options for a lil-gui dropdown.
+     */
+    static options() {
+        return Object.fromEntries(Object.entries(SOURCE_SHAPES).map(([type, shape]) => [shape.label, type]));
+    }
+
+    /**
+     * Gives the mesh of `source` the geometry of its type, and the default size when `resetScale`.
+     */
+    static apply(source, resetScale = true) {
+        const shape = SOURCE_SHAPES[source.type];
+        source.mesh.geometry.dispose();
+        source.mesh.geometry = shape.geometry();
+        if (resetScale) source.mesh.scale.fromArray(shape.defaultScale(source));
+    }
+
+    /**
+     * Restores the scale constraints of the type after a gizmo drag on `axis` ('X', 'XYZ'...)
+     * and syncs the sphere radius.
+     */
+    static constrainScale(source, axis) {
+        const scale = source.mesh.scale;
+        switch (source.type) {
+            case 'sphere': {
+                const r = axis === 'Y' ? scale.y : axis === 'Z' ? scale.z : scale.x;
+                scale.setScalar(r);
+                source.radius = r;
+                break;
+            }
+            case 'point':
+                scale.set(1, 1, 1);
+                break;
+            case 'line':
+                scale.y = 1;
+                scale.z = 1;
+                break;
+            case 'cylinder':
+                if (axis === 'Z') scale.x = scale.z;
+                else scale.z = scale.x;
+                break;
+        }
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * STL parsing and placement without three.js.
+ * Mirrors, operation for operation, what the viewer does with STLLoader, processLoadedGeometry
+ * and Object3D world matrices, so the Node.js CLI and the workers see exactly the triangles
+ * the browser sees.
+ */
+export class StlGeometry {
+    /**
+     * Vertex positions (9 values per triangle) of a binary or ASCII STL file.
+     * @param {ArrayBuffer} buffer
+     * @returns {Float32Array}
+     */
+    static parse(buffer) {
+        const view = new DataView(buffer);
+        return StlGeometry.isBinary(view)
+            ? StlGeometry.parseBinary(view)
+            : StlGeometry.parseASCII(new TextDecoder().decode(buffer));
+    }
+
+    /**
+     * Same detection as STLLoader: exact binary size, otherwise "solid" in the first bytes means ASCII.
+     */
+    static isBinary(view) {
+        if (view.byteLength < 84) return false;
+        const faces = view.getUint32(80, true);
+        if (84 + faces * 50 === view.byteLength) return true;
+
+        const solid = [115, 111, 108, 105, 100];
+        for (let offset = 0; offset < 5; offset++) {
+            if (solid.every((c, i) => view.getUint8(offset + i) === c)) return false;
+        }
+        return true;
+    }
+
+    static parseBinary(view) {
+        const faces = view.getUint32(80, true);
+        const vertices = new Float32Array(faces * 9);
+        for (let face = 0; face < faces; face++) {
+            const start = 84 + face * 50;
+            for (let v = 0; v < 9; v++) {
+                vertices[face * 9 + v] = view.getFloat32(start + 12 + v * 4, true);
+            }
+        }
+        return vertices;
+    }
+
+    static parseASCII(text) {
+        const patternFloat = /[\s]+([+-]?(?:\d*)(?:\.\d*)?(?:[eE][+-]?\d+)?)/.source;
+        const patternVertex = new RegExp('vertex' + patternFloat + patternFloat + patternFloat, 'g');
+        const patternSolid = /solid([\s\S]*?)endsolid/g;
+        const patternFace = /facet([\s\S]*?)endfacet/g;
+        const vertices = [];
+
+        let solid, face, vertex;
+        while ((solid = patternSolid.exec(text)) !== null) {
+            while ((face = patternFace.exec(solid[0])) !== null) {
+                while ((vertex = patternVertex.exec(face[0])) !== null) {
+                    vertices.push(parseFloat(vertex[1]), parseFloat(vertex[2]), parseFloat(vertex[3]));
+                }
+            }
+        }
+        return new Float32Array(vertices);
+    }
+
+    /**
+     * Binary STL of a triangle soup (normals computed from the winding).
+     * @returns {ArrayBuffer}
+     */
+    static writeBinary(positions, header = '') {
+        const faces = Math.floor(positions.length / 9);
+        const buffer = new ArrayBuffer(84 + faces * 50);
+        const view = new DataView(buffer);
+        const title = new TextEncoder().encode(header.slice(0, 80));
+        new Uint8Array(buffer, 0, title.length).set(title);
+        view.setUint32(80, faces, true);
+
+        for (let face = 0; face < faces; face++) {
+            const o = face * 9, start = 84 + face * 50;
+            const ux = positions[o + 3] - positions[o], uy = positions[o + 4] - positions[o + 1], uz = positions[o + 5] - positions[o + 2];
+            const vx = positions[o + 6] - positions[o], vy = positions[o + 7] - positions[o + 1], vz = positions[o + 8] - positions[o + 2];
+            const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+            const length = Math.hypot(nx, ny, nz) || 1;
+            view.setFloat32(start, nx / length, true);
+            view.setFloat32(start + 4, ny / length, true);
+            view.setFloat32(start + 8, nz / length, true);
+            for (let v = 0; v < 9; v++) view.setFloat32(start + 12 + v * 4, positions[o + v], true);
+        }
+        return buffer;
+    }
+
+    /**
+     * Centers the geometry horizontally and puts its base at y = 0 (in place),
+     * as RadiationSceneManager.processLoadedGeometry does with geometry.translate().
+     */
+    static placeOnGround(positions) {
+        const [min, max] = StlGeometry.bounds(positions);
+        const cx = (min[0] + max[0]) * 0.5, cz = (min[2] + max[2]) * 0.5;
+        for (let i = 0; i < positions.length; i += 3) {
+            positions[i] = positions[i] + -cx;
+            positions[i + 2] = positions[i + 2] + -cz;
+        }
+
+        const minY = StlGeometry.bounds(positions)[0][1];
+        for (let i = 1; i < positions.length; i += 3) positions[i] = positions[i] + -minY;
+        return positions;
+    }
+
+    static bounds(positions) {
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.min(min[a], positions[i + a]);
+                max[a] = Math.max(max[a], positions[i + a]);
+            }
+        }
+        return [min, max];
+    }
+
+    /**
+     * Applies a column-major 4x4 matrix to every vertex (Vector3.applyMatrix4).
+     * @returns {Float32Array} new positions.
+     */
+    static transform(positions, e) {
+        const out = new Float32Array(positions.length);
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+            const w = 1 / (e[3] * x + e[7] * y + e[11] * z + e[15]);
+            out[i] = (e[0] * x + e[4] * y + e[8] * z + e[12]) * w;
+            out[i + 1] = (e[1] * x + e[5] * y + e[9] * z + e[13]) * w;
+            out[i + 2] = (e[2] * x + e[6] * y + e[10] * z + e[14]) * w;
+        }
+        return out;
+    }
+
+    /**
+     * World matrix of an object saved by SceneSerializer (position, quaternion or Euler rotation, scale),
+     * child of a group translated to `groupPosition`.
+     */
+    static worldMatrix({ position, rotation, quaternion, scale }, groupPosition) {
+        const q = quaternion || StlGeometry.quaternionFromEuler(rotation || [0, 0, 0, 'XYZ']);
+        const group = StlGeometry.composeMatrix(groupPosition, [0, 0, 0, 1], [1, 1, 1]);
+        return StlGeometry.multiplyMatrices(group, StlGeometry.composeMatrix(position, q, scale || [1, 1, 1]));
+    }
+
+    /**
+     * Matrix4.compose.
+     */
+    static composeMatrix(position, quaternion, scale) {
+        const [x, y, z, w] = quaternion;
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+        const [sx, sy, sz] = scale;
+
+        return [
+            (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+            (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+            (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+            position[0], position[1], position[2], 1
+        ];
+    }
+
+    /**
+     * Quaternion.setFromEuler, as [x, y, z, w].
+     */
+    static quaternionFromEuler([x, y, z, order = 'XYZ']) {
+        const c1 = Math.cos(x / 2), c2 = Math.cos(y / 2), c3 = Math.cos(z / 2);
+        const s1 = Math.sin(x / 2), s2 = Math.sin(y / 2), s3 = Math.sin(z / 2);
+
+        switch (order) {
+            case 'XYZ': return [s1 * c2 * c3 + c1 * s2 * s3, c1 * s2 * c3 - s1 * c2 * s3, c1 * c2 * s3 + s1 * s2 * c3, c1 * c2 * c3 - s1 * s2 * s3];
+            case 'YXZ': return [s1 * c2 * c3 + c1 * s2 * s3, c1 * s2 * c3 - s1 * c2 * s3, c1 * c2 * s3 - s1 * s2 * c3, c1 * c2 * c3 + s1 * s2 * s3];
+            case 'ZXY': return [s1 * c2 * c3 - c1 * s2 * s3, c1 * s2 * c3 + s1 * c2 * s3, c1 * c2 * s3 + s1 * s2 * c3, c1 * c2 * c3 - s1 * s2 * s3];
+            case 'ZYX': return [s1 * c2 * c3 - c1 * s2 * s3, c1 * s2 * c3 + s1 * c2 * s3, c1 * c2 * s3 - s1 * s2 * c3, c1 * c2 * c3 + s1 * s2 * s3];
+            case 'YZX': return [s1 * c2 * c3 + c1 * s2 * s3, c1 * s2 * c3 + s1 * c2 * s3, c1 * c2 * s3 - s1 * s2 * c3, c1 * c2 * c3 - s1 * s2 * s3];
+            case 'XZY': return [s1 * c2 * c3 - c1 * s2 * s3, c1 * s2 * c3 - s1 * c2 * s3, c1 * c2 * s3 + s1 * s2 * c3, c1 * c2 * c3 + s1 * s2 * s3];
+            default: throw new Error(`Unknown rotation order "${order}".`);
+        }
+    }
+
+    /**
+     * Matrix4.multiplyMatrices (column-major a * b).
+     */
+    static multiplyMatrices(a, b) {
+        const te = new Array(16);
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 4; col++) {
+                te[col * 4 + row] = a[row] * b[col * 4] + a[4 + row] * b[col * 4 + 1] + a[8 + row] * b[col * 4 + 2] + a[12 + row] * b[col * 4 + 3];
+            }
+        }
+        return te;
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Study report as a single self-contained HTML file: title block, notes, then sections of figures
+ * (images embedded as data URLs) and tables. Styles are embedded and nothing is loaded from the
+ * network, so the file opens offline and archives with the study; its print styles paginate it for
+ * the browser's Print dialog (Save as PDF).
+ * No DOM or three.js dependency.
+ */
+
+// Title block fields, in display order
+const HEADER_FIELDS = [
+    ['project', 'Site / Project'],
+    ['author', 'Author'],
+    ['reference', 'Reference'],
+    ['date', 'Date']
+];
+
+// Histogram bins of the median and 95th percentile of StudyReport.statistics
+const PERCENTILE_BINS = 65536;
+
+const STYLE = `
+body { font-family: "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 0; background: #f2f2f2; }
+main { max-width: 1000px; margin: 0 auto; padding: 32px 40px; background: #fff; }
+header { border-bottom: 3px solid #2196F3; padding-bottom: 12px; margin-bottom: 20px; }
+h1 { font-size: 26px; margin: 0 0 12px; }
+h2 { font-size: 19px; border-bottom: 1px solid #ccc; padding-bottom: 4px; margin-top: 32px; }
+h3 { font-size: 14px; margin: 16px 0 6px; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; font-size: 13px; }
+dt { font-weight: 600; color: #555; }
+dd { margin: 0; }
+.notes { white-space: pre-wrap; font-size: 13px; background: #f7f7f7; border-left: 3px solid #2196F3; padding: 8px 12px; }
+.text { font-size: 13px; }
+nav ol { font-size: 13px; columns: 2; }
+nav a { color: #1565c0; text-decoration: none; }
+.figures { display: flex; flex-wrap: wrap; gap: 12px; }
+figure { margin: 0; flex: 1 1 45%; break-inside: avoid; page-break-inside: avoid; }
+figure.small { flex: 0 0 auto; }
+figure img { width: 100%; border: 1px solid #ccc; display: block; }
+figure.small img { width: auto; }
+figcaption { font-size: 12px; color: #555; text-align: center; margin-top: 4px; }
+table { border-collapse: collapse; width: 100%; font-size: 11px; margin-bottom: 8px; }
+caption { text-align: left; font-weight: 600; font-size: 13px; padding: 4px 0; }
+th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; vertical-align: top; }
+th { background: #eef3f8; }
+tr { break-inside: avoid; page-break-inside: avoid; }
+.empty { font-size: 13px; color: #777; font-style: italic; }
+footer { margin-top: 32px; font-size: 11px; color: #777; border-top: 1px solid #ccc; padding-top: 6px; }
+.print-button { position: fixed; top: 12px; right: 12px; padding: 8px 14px; border: 0; border-radius: 4px; background: #2196F3; color: #fff; cursor: pointer; }
+@page { size: A4; margin: 15mm; }
+@media print {
+    body { background: #fff; }
+    main { max-width: none; padding: 0; }
+    .print-button, nav { display: none; }
+    h2 { break-after: avoid; page-break-after: avoid; }
+}`;
+
+export class StudyReport {
+    /**
+     * Builds the HTML document.
+     * @param {object} report
+     * @param {object} report.header - title, project, author, reference, date (empty fields are omitted).
+     * @param {string} [report.notes] - free text, line breaks kept.
+     * @param {{ title: string, text?: string, figures?: { image: string, caption: string, small?: boolean }[],
+     *   tables?: { caption?: string, columns: string[], rows: Array<Array<string|number>> }[] }[]} report.sections
+     *   Figure images are data URLs; a section without figures nor tables shows `text` or "None.".
+     * @param {string} [report.generated] - generation time shown in the footer.
+     * @param {string} [report.application] - name shown in the footer.
+     * @returns {string}
+     */
+    static build({ header, notes = '', sections, generated = new Date().toISOString(), application = 'GATE Simulation Designer' }) {
+        const esc = StudyReport.escape;
+        const title = header.title || 'Study Report';
+        const fields = HEADER_FIELDS.filter(([key]) => header[key]).map(([key, label]) => `<dt>${esc(label)}</dt><dd>${esc(header[key])}</dd>`);
+
+        const body = sections.map((section, i) => {
+            const id = `section-${i + 1}`;
+            const figures = (section.figures || []).map(f => `<figure${f.small ? ' class="small"' : ''}><img src="${esc(f.image)}" alt="${esc(f.caption)}"><figcaption>${esc(f.caption)}</figcaption></figure>`);
+            const tables = (section.tables || []).map(StudyReport.table);
+            const content = [
+                section.text ? `<p class="text">${esc(section.text)}</p>` : '',
+                figures.length ? `<div class="figures">${figures.join('')}</div>` : '',
+                ...tables
+            ].filter(Boolean).join('\n');
+            const empty = !figures.length && !tables.length && !section.text ? '<p class="empty">None.</p>' : '';
+            return `<section id="${id}">\n<h2>${i + 1}. ${esc(section.title)}</h2>\n${content}${empty}\n</section>`;
+        });
+        const contents = sections.map((section, i) => `<li><a href="#section-${i + 1}">${esc(section.title)}</a></li>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+<main>
+<header>
+<h1>${esc(title)}</h1>
+${fields.length ? `<dl>${fields.join('')}</dl>` : ''}
+</header>
+${notes.trim() ? `<h3>Notes</h3>\n<div class="notes">${esc(notes.trim())}</div>` : ''}
+<nav><h3>Contents</h3><ol>${contents}</ol></nav>
+${body.join('\n')}
+<footer>Generated by ${esc(application)} on ${esc(generated)}.</footer>
+</main>
+</body>
+</html>
+`;
+    }
+
+    static table({ caption, columns, rows }) {
+        const esc = StudyReport.escape;
+        const head = columns.map(c => `<th>${esc(c)}</th>`).join('');
+        const body = rows.length
+            ? rows.map(row => `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('\n')
+            : `<tr><td colspan="${columns.length}" class="empty">None.</td></tr>`;
+        return `<table>${caption ? `<caption>${esc(caption)}</caption>` : ''}<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody></table>`;
+    }
+
+    static escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Summary statistics of volume values (NaN and infinities ignored), in two passes without copying
+     * the values. The median and the 95th percentile come from a fine histogram: exact when the values
+     * of their bin are equal (empty voxels...), else interpolated between the bin extremes.
+     * @param {ArrayLike<number>} data
+     * @returns {{ count: number, nonZero: number, min: number, max: number, mean: number, std: number, median: number, p95: number }}
+     */
+    static statistics(data) {
+        let count = 0, nonZero = 0, sum = 0, min = Infinity, max = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+            const v = data[i];
+            if (!Number.isFinite(v)) continue;
+            count++;
+            if (v !== 0) nonZero++;
+            sum += v;
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (!count) return { count, nonZero, min: NaN, max: NaN, mean: NaN, std: NaN, median: NaN, p95: NaN };
+
+        const mean = sum / count;
+        const bins = new Uint32Array(PERCENTILE_BINS);
+        const binMin = new Float64Array(PERCENTILE_BINS).fill(Infinity);
+        const binMax = new Float64Array(PERCENTILE_BINS).fill(-Infinity);
+        const scale = max > min ? PERCENTILE_BINS / (max - min) : 0;
+        let squares = 0;
+        for (let i = 0; i < data.length; i++) {
+            const v = data[i];
+            if (!Number.isFinite(v)) continue;
+            squares += (v - mean) * (v - mean);
+            const b = Math.min(PERCENTILE_BINS - 1, Math.floor((v - min) * scale));
+            bins[b]++;
+            if (v < binMin[b]) binMin[b] = v;
+            if (v > binMax[b]) binMax[b] = v;
+        }
+        // Nearest-rank percentile
+        const percentile = p => {
+            const rank = Math.min(count, Math.max(1, Math.ceil(p * count)));
+            let b = 0, below = 0;
+            while (below + bins[b] < rank) below += bins[b++];
+            if (binMin[b] === binMax[b]) return binMin[b];
+            return binMin[b] + (binMax[b] - binMin[b]) * (rank - below - 1) / (bins[b] - 1);
+        };
+        return {
+            count,
+            nonZero,
+            min,
+            max,
+            mean,
+            std: Math.sqrt(squares / count),
+            median: percentile(0.5),
+            p95: percentile(0.95)
+        };
+    }
+}
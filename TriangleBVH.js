@@ -0,0 +1,188 @@
+const LEAF_SIZE = 4;
+const EPSILON = 1e-12;
+// Ray parameters closer than this (relative to the segment length) are one crossing
+const DUPLICATE_HIT = 1e-9;
+
+/**
+ * Bounding volume hierarchy over a triangle soup, for ray / segment queries.
+ * Works on plain arrays (no three.js) so it can be rebuilt inside Web Workers and Node.js.
+ */
+export class TriangleBVH {
+    /**
+     * @param {Float32Array|number[]} positions - 9 values (3 vertices) per triangle.
+     */
+    constructor(positions) {
+        this.positions = positions instanceof Float32Array ? positions : new Float32Array(positions);
+        const triCount = Math.floor(this.positions.length / 9);
+
+        this.triangles = new Uint32Array(triCount);
+        const centroids = new Float32Array(triCount * 3);
+        const bounds = new Float32Array(triCount * 6);
+
+        for (let t = 0; t < triCount; t++) {
+            this.triangles[t] = t;
+            for (let a = 0; a < 3; a++) {
+                const v0 = this.positions[t * 9 + a], v1 = this.positions[t * 9 + 3 + a], v2 = this.positions[t * 9 + 6 + a];
+                bounds[t * 6 + a] = Math.min(v0, v1, v2);
+                bounds[t * 6 + 3 + a] = Math.max(v0, v1, v2);
+                centroids[t * 3 + a] = (v0 + v1 + v2) / 3;
+            }
+        }
+
+        // Node layout: min xyz, max xyz in nodeBounds; [start, count] for leaves or [left, right] with count = 0
+        this.nodeBounds = [];
+        this.nodeData = [];
+        if (triCount > 0) this.build(0, triCount, centroids, bounds);
+        this.nodeBounds = new Float32Array(this.nodeBounds);
+        this.nodeData = new Int32Array(this.nodeData);
+    }
+
+    build(start, end, centroids, bounds) {
+        const node = this.nodeData.length / 3;
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        const cMin = [Infinity, Infinity, Infinity], cMax = [-Infinity, -Infinity, -Infinity];
+
+        for (let i = start; i < end; i++) {
+            const t = this.triangles[i];
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.min(min[a], bounds[t * 6 + a]);
+                max[a] = Math.max(max[a], bounds[t * 6 + 3 + a]);
+                cMin[a] = Math.min(cMin[a], centroids[t * 3 + a]);
+                cMax[a] = Math.max(cMax[a], centroids[t * 3 + a]);
+            }
+        }
+        this.nodeBounds.push(...min, ...max);
+        this.nodeData.push(start, end - start, 1);
+
+        if (end - start <= LEAF_SIZE) return node;
+
+        // Split at the centroid midpoint of the longest axis
+        const extent = [cMax[0] - cMin[0], cMax[1] - cMin[1], cMax[2] - cMin[2]];
+        const axis = extent[0] > extent[1] ? (extent[0] > extent[2] ? 0 : 2) : (extent[1] > extent[2] ? 1 : 2);
+        if (extent[axis] === 0) return node;
+        const split = (cMin[axis] + cMax[axis]) / 2;
+
+        let mid = start;
+        for (let i = start; i < end; i++) {
+            const t = this.triangles[i];
+            if (centroids[t * 3 + axis] < split) {
+                this.triangles[i] = this.triangles[mid];
+                this.triangles[mid] = t;
+                mid++;
+            }
+        }
+        if (mid === start || mid === end) mid = (start + end) >> 1;
+
+        const left = this.build(start, mid, centroids, bounds);
+        const right = this.build(mid, end, centroids, bounds);
+        this.nodeData[node * 3] = left;
+        this.nodeData[node * 3 + 1] = right;
+        this.nodeData[node * 3 + 2] = 0;
+        return node;
+    }
+
+    /**
+     * Parameters t in [0, tMax] of every intersection of the ray origin + t * dir with the triangles.
+     * Hits are appended to `hits` unsorted.
+     */
+    intersectRay(ox, oy, oz, dx, dy, dz, tMax = Infinity, hits = []) {
+        if (this.nodeData.length === 0) return hits;
+        const invX = 1 / dx, invY = 1 / dy, invZ = 1 / dz;
+        const stack = [0];
+
+        while (stack.length) {
+            const node = stack.pop();
+            if (!this.rayHitsBox(node, ox, oy, oz, invX, invY, invZ, tMax)) continue;
+
+            const isLeaf = this.nodeData[node * 3 + 2] === 1;
+            if (!isLeaf) {
+                stack.push(this.nodeData[node * 3], this.nodeData[node * 3 + 1]);
+                continue;
+            }
+
+            const start = this.nodeData[node * 3], count = this.nodeData[node * 3 + 1];
+            for (let i = start; i < start + count; i++) {
+                const t = this.intersectTriangle(this.triangles[i], ox, oy, oz, dx, dy, dz);
+                if (t >= 0 && t <= tMax) hits.push(t);
+            }
+        }
+        return hits;
+    }
+
+    /**
+     * Length of the segment (ox, oy, oz) -> (ex, ey, ez) lying inside the closed surface.
+     * The inside state at the start comes from the crossing parity of the whole ray;
+     * duplicate crossings (ray through a shared edge) are counted once.
+     */
+    segmentInsideLength(ox, oy, oz, ex, ey, ez) {
+        if (this.nodeData.length === 0) return 0;
+
+        // Quick reject: segment bounds outside the root box
+        const b = this.nodeBounds;
+        if (Math.max(ox, ex) < b[0] || Math.min(ox, ex) > b[3] ||
+            Math.max(oy, ey) < b[1] || Math.min(oy, ey) > b[4] ||
+            Math.max(oz, ez) < b[2] || Math.min(oz, ez) > b[5]) return 0;
+
+        const dx = ex - ox, dy = ey - oy, dz = ez - oz;
+        const hits = this.intersectRay(ox, oy, oz, dx, dy, dz, Infinity, []);
+        if (hits.length === 0) return 0;
+        hits.sort((p, q) => p - q);
+
+        const crossings = [hits[0]];
+        for (let i = 1; i < hits.length; i++) {
+            if (hits[i] - crossings[crossings.length - 1] > DUPLICATE_HIT) crossings.push(hits[i]);
+        }
+
+        let inside = crossings.length % 2 === 1;
+        let t = 0, insideT = 0;
+        for (const hit of crossings) {
+            if (hit >= 1) break;
+            if (inside) insideT += hit - t;
+            inside = !inside;
+            t = hit;
+        }
+        if (inside) insideT += 1 - t;
+
+        return insideT * Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    rayHitsBox(node, ox, oy, oz, invX, invY, invZ, tMax) {
+        const b = this.nodeBounds, o = node * 6;
+        let t0 = 0, t1 = tMax;
+        const slab = (origin, inv, lo, hi) => {
+            let tNear = (lo - origin) * inv, tFar = (hi - origin) * inv;
+            // 0 * Infinity (ray parallel to and on a slab face) counts as inside
+            if (Number.isNaN(tNear)) tNear = -Infinity;
+            if (Number.isNaN(tFar)) tFar = Infinity;
+            if (tNear > tFar) { const tmp = tNear; tNear = tFar; tFar = tmp; }
+            if (tNear > t0) t0 = tNear;
+            if (tFar < t1) t1 = tFar;
+            return t0 <= t1;
+        };
+        return slab(ox, invX, b[o], b[o + 3]) && slab(oy, invY, b[o + 1], b[o + 4]) && slab(oz, invZ, b[o + 2], b[o + 5]);
+    }
+
+    /**
+     * Möller–Trumbore ray / triangle test (both faces). Returns t or -1.
+     */
+    intersectTriangle(tri, ox, oy, oz, dx, dy, dz) {
+        const p = this.positions, o = tri * 9;
+        const e1x = p[o + 3] - p[o], e1y = p[o + 4] - p[o + 1], e1z = p[o + 5] - p[o + 2];
+        const e2x = p[o + 6] - p[o], e2y = p[o + 7] - p[o + 1], e2z = p[o + 8] - p[o + 2];
+
+        const px = dy * e2z - dz * e2y, py = dz * e2x - dx * e2z, pz = dx * e2y - dy * e2x;
+        const det = e1x * px + e1y * py + e1z * pz;
+        if (Math.abs(det) < EPSILON) return -1;
+        const invDet = 1 / det;
+
+        const tx = ox - p[o], ty = oy - p[o + 1], tz = oz - p[o + 2];
+        const u = (tx * px + ty * py + tz * pz) * invDet;
+        if (u < 0 || u > 1) return -1;
+
+        const qx = ty * e1z - tz * e1y, qy = tz * e1x - tx * e1z, qz = tx * e1y - ty * e1x;
+        const v = (dx * qx + dy * qy + dz * qz) * invDet;
+        if (v < 0 || u + v > 1) return -1;
+
+        return (e2x * qx + e2y * qy + e2z * qz) * invDet;
+    }
+}
@@ -0,0 +1,198 @@
+// Longest provenance written to a MetaImage Comment (MetaIO truncates longer ones)
+const MAX_COMMENT_LENGTH = 255;
+
+/**
+ * Operations on volume values, each returning new voxel data (and a new grid for crops and
+ * downsampling): sums or differences of runs, absolute scaling, normalization, masks...
+ * Results record their provenance (see provenance / describe), kept in the volume params.
+ * No DOM or three.js dependency.
+ */
+export class VolumeArithmetic {
+    /**
+     * Runs an operation by name (the name recorded in the provenance).
+     * @param {string} operation - add, subtract, scale, normalize, crop, downsample or mask.
+     * @param {{ grid: VolumeGrid, data: Float32Array }} volume
+     * @param {object} parameters - factor; mode, target; min, max (crop box or mask range); factors.
+     * @param {Float32Array} [other] - second operand of add / subtract, on the grid of `volume`.
+     * @returns {{ grid: VolumeGrid, data: Float32Array }}
+     */
+    static apply(operation, { grid, data }, parameters, other = null) {
+        const p = parameters;
+        switch (operation) {
+            case 'add': return { grid, data: VolumeArithmetic.add(data, other) };
+            case 'subtract': return { grid, data: VolumeArithmetic.add(data, other, -1) };
+            case 'scale': return { grid, data: VolumeArithmetic.scale(data, p.factor) };
+            case 'normalize': return { grid, data: VolumeArithmetic.normalize(data, p.mode, p.target) };
+            case 'crop': return VolumeArithmetic.crop(grid, data, p.min, p.max);
+            case 'downsample': return VolumeArithmetic.downsample(grid, data, p.factors);
+            case 'mask': return { grid, data: VolumeArithmetic.mask(data, p.min, p.max) };
+            default: throw new Error(`Unknown volume operation "${operation}".`);
+        }
+    }
+
+    /**
+     * @param {Float32Array} a
+     * @param {Float32Array} b - same grid as `a` (see VolumeResampler.resample).
+     * @param {number} [weight] - factor of `b`: -1 subtracts.
+     */
+    static add(a, b, weight = 1) {
+        if (a.length !== b.length) throw new Error("Volumes must share the same grid.");
+        const out = new Float32Array(a.length);
+        for (let i = 0; i < a.length; i++) out[i] = a[i] + weight * b[i];
+        return out;
+    }
+
+    static scale(data, factor) {
+        if (!Number.isFinite(factor)) throw new Error("The factor must be a number.");
+        const out = new Float32Array(data.length);
+        for (let i = 0; i < data.length; i++) out[i] = data[i] * factor;
+        return out;
+    }
+
+    /**
+     * Scales the values so that their maximum, or their mean, equals `target` (NaN ignored).
+     */
+    static normalize(data, mode, target) {
+        let max = -Infinity, sum = 0, count = 0;
+        for (let i = 0; i < data.length; i++) {
+            const v = data[i];
+            if (Number.isNaN(v)) continue;
+            if (v > max) max = v;
+            sum += v;
+            count++;
+        }
+        const reference = mode === 'mean' ? sum / count : max;
+        if (!Number.isFinite(reference) || reference === 0) throw new Error(`Cannot normalize: the ${mode === 'mean' ? 'mean' : 'maximum'} is ${reference}.`);
+        return VolumeArithmetic.scale(data, target / reference);
+    }
+
+    /**
+     * 1 where min <= value <= max, else 0.
+     */
+    static mask(data, min, max) {
+        VolumeArithmetic.checkRange(min, max);
+        const out = new Float32Array(data.length);
+        for (let i = 0; i < data.length; i++) out[i] = data[i] >= min && data[i] <= max ? 1 : 0;
+        return out;
+    }
+
+    /**
+     * Voxels whose index range covers the box [min, max] (GATE mm, in the frame of the file):
+     * exactly the voxels centered in the box for non-rotated grids.
+     * @returns {{ grid: VolumeGrid, data: Float32Array }}
+     */
+    static crop(grid, data, min, max) {
+        const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+        const index = [0, 0, 0];
+        for (const x of [min[0], max[0]]) for (const y of [min[1], max[1]]) for (const z of [min[2], max[2]]) {
+            grid.physicalToIndex(x, y, z, index);
+            for (let a = 0; a < 3; a++) {
+                lo[a] = Math.min(lo[a], index[a]);
+                hi[a] = Math.max(hi[a], index[a]);
+            }
+        }
+        // Rounding tolerance: box faces on voxel centers keep them
+        const start = lo.map(v => Math.max(0, Math.ceil(v - 1e-6)));
+        const end = hi.map((v, a) => Math.min(grid.dims[a] - 1, Math.floor(v + 1e-6)));
+        const dims = end.map((e, a) => e - start[a] + 1);
+        if (dims.some(d => d < 1)) throw new Error("The crop box does not contain any voxel of the volume.");
+
+        const [nx, ny] = grid.dims;
+        const out = new Float32Array(dims[0] * dims[1] * dims[2]);
+        let idx = 0;
+        for (let k = 0; k < dims[2]; k++) {
+            for (let j = 0; j < dims[1]; j++) {
+                const row = start[0] + nx * (start[1] + j + ny * (start[2] + k));
+                out.set(data.subarray(row, row + dims[0]), idx);
+                idx += dims[0];
+            }
+        }
+        return { grid: grid.region(start, dims), data: out };
+    }
+
+    /**
+     * Mean of blocks of factors[0] × factors[1] × factors[2] voxels (partial blocks at the far edges,
+     * NaN ignored). Each new voxel is centered on its block.
+     * @returns {{ grid: VolumeGrid, data: Float32Array }}
+     */
+    static downsample(grid, data, factors) {
+        if (!factors.every(f => Number.isInteger(f) && f >= 1)) throw new Error("Downsampling factors must be positive integers.");
+        const [nx, ny, nz] = grid.dims;
+        const dims = grid.dims.map((n, a) => Math.ceil(n / factors[a]));
+        const [fx, fy, fz] = factors;
+        const out = new Float32Array(dims[0] * dims[1] * dims[2]);
+
+        let idx = 0;
+        for (let K = 0; K < dims[2]; K++) {
+            for (let J = 0; J < dims[1]; J++) {
+                for (let I = 0; I < dims[0]; I++) {
+                    let sum = 0, count = 0;
+                    for (let k = K * fz; k < Math.min((K + 1) * fz, nz); k++) {
+                        for (let j = J * fy; j < Math.min((J + 1) * fy, ny); j++) {
+                            for (let i = I * fx; i < Math.min((I + 1) * fx, nx); i++) {
+                                const v = data[i + nx * (j + ny * k)];
+                                if (Number.isNaN(v)) continue;
+                                sum += v;
+                                count++;
+                            }
+                        }
+                    }
+                    out[idx++] = count ? sum / count : NaN;
+                }
+            }
+        }
+        // Centered on full blocks: a partial last block keeps the same spacing
+        return { grid: grid.region(factors.map(f => (f - 1) / 2), dims, factors), data: out };
+    }
+
+    /**
+     * Physical (GATE) bounds of a grid, voxel edges included: { min, max }.
+     */
+    static extent(grid) {
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        const p = [0, 0, 0];
+        for (const i of [-0.5, grid.dims[0] - 0.5]) for (const j of [-0.5, grid.dims[1] - 0.5]) for (const k of [-0.5, grid.dims[2] - 0.5]) {
+            grid.indexToPhysical(i, j, k, p);
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.min(min[a], p[a]);
+                max[a] = Math.max(max[a], p[a]);
+            }
+        }
+        return { min, max };
+    }
+
+    static checkRange(min, max) {
+        if (!(Number.isFinite(min) && Number.isFinite(max)) || min > max) throw new Error("Enter a minimum below the maximum.");
+    }
+
+    /**
+     * Provenance of a computed volume: the operation, its parameters and its inputs with their own
+     * provenance (none for imported files).
+     * @param {{ name: string, provenance?: object }[]} inputs
+     */
+    static provenance(operation, parameters, inputs, date = new Date()) {
+        return {
+            operation,
+            parameters,
+            inputs: inputs.map(({ name, provenance }) => (provenance ? { name, provenance } : { name })),
+            date: date.toISOString()
+        };
+    }
+
+    /**
+     * One-line formula of a provenance: scale(add("Run A", "Run B"), factor=2.5).
+     */
+    static describe(provenance) {
+        const inputs = provenance.inputs.map(input => (input.provenance ? VolumeArithmetic.describe(input.provenance) : JSON.stringify(input.name)));
+        const parameters = Object.entries(provenance.parameters || {}).map(([key, value]) => `${key}=${Array.isArray(value) ? `[${value.join(' ')}]` : value}`);
+        return `${provenance.operation}(${[...inputs, ...parameters].join(', ')})`;
+    }
+
+    /**
+     * MetaImage Comment of a provenance, on a single line and within the MetaIO length.
+     */
+    static comment(provenance) {
+        const text = VolumeArithmetic.describe(provenance).replace(/[\r\n]+/g, ' ');
+        return text.length > MAX_COMMENT_LENGTH ? `${text.slice(0, MAX_COMMENT_LENGTH - 3)}...` : text;
+    }
+}
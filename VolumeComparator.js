@@ -0,0 +1,238 @@
+import { FloatingPanel } from './FloatingPanel.js';
+import { VolumeResampler } from './VolumeResampler.js';
+import { VolumeArithmetic } from './VolumeArithmetic.js';
+import { GammaIndex } from './GammaIndex.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+
+/**
+ * Compares two imported volumes: difference maps and 3D gamma index.
+ * Both volumes are resampled onto a common grid (the grid of A or of B), then searched for the gamma
+ * index (GammaIndex), in the workers. Results are added to the scene as new volumes and summarized in a panel.
+ */
+export class VolumeComparator {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+    }
+
+    open() {
+        const volumes = this.manager.importedVolumes;
+        if (volumes.length < 2) {
+            alert("Load at least two volumes to compare.");
+            return;
+        }
+        this.close();
+
+        this.panel = new FloatingPanel(this.manager.container, 'Compare Volumes', { onClose: () => this.close() });
+        const volumeOptions = this.manager.getVolumeOptions();
+        const minSpacing = Math.min(...volumes[0].userData.grid.spacing.map(Math.abs));
+
+        const f = {
+            ref: this.panel.addField('Reference (A)', FloatingPanel.createSelect(volumeOptions, volumeOptions[0].value)),
+            eval: this.panel.addField('Evaluated (B)', FloatingPanel.createSelect(volumeOptions, volumeOptions[1].value)),
+            grid: this.panel.addField('Common Grid', FloatingPanel.createSelect(['A', 'B'], 'A')),
+            interpolation: this.panel.addField('Interpolation', FloatingPanel.createSelect([
+                { value: 'linear', label: 'Trilinear' }, { value: 'nearest', label: 'Nearest' }
+            ], 'linear')),
+            relative: this.panel.addField('Rel. Diff. To', FloatingPanel.createSelect([
+                { value: 'global', label: 'Max of A' }, { value: 'local', label: 'Local A' }
+            ], 'global')),
+            doseCriterion: this.panel.addField('Dose Diff. (% of max A)', FloatingPanel.createNumberInput(3)),
+            dta: this.panel.addField('DTA (mm)', FloatingPanel.createNumberInput(minSpacing)),
+            cutoff: this.panel.addField('Low Dose Cutoff (%)', FloatingPanel.createNumberInput(10))
+        };
+        this.fields = f;
+
+        const runButton = document.createElement('button');
+        runButton.textContent = 'Compare';
+        this.results = document.createElement('div');
+        this.panel.body.append(runButton, this.results);
+
+        runButton.addEventListener('click', () => {
+            const a = this.manager.getVolume(f.ref.value), b = this.manager.getVolume(f.eval.value);
+            if (!a || !b) {
+                alert("Select the two volumes to compare.");
+                return;
+            }
+            if (a === b) {
+                alert("Select two different volumes.");
+                return;
+            }
+            this.run(a, b, {
+                gridSource: f.grid.value,
+                interpolation: f.interpolation.value,
+                relative: f.relative.value,
+                doseCriterion: Number(f.doseCriterion.value),
+                dta: Number(f.dta.value),
+                cutoff: Number(f.cutoff.value)
+            }).catch(err => {
+                if (err instanceof TaskCancelledError) return;
+                console.error(err);
+                alert(`Comparison failed.\n${err.message}`);
+            });
+        });
+    }
+
+    close() {
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    /**
+     * Volume list changed (RadiationSceneManager.volumesChanged): refreshes A and B, keeping the
+     * chosen volumes, or closes the panel when fewer than two remain.
+     */
+    updateVolumes() {
+        if (!this.panel) return;
+        const options = this.manager.getVolumeOptions();
+        if (options.length < 2) {
+            this.close();
+            return;
+        }
+        const { ref, eval: evaluated } = this.fields;
+        FloatingPanel.setOptions(ref, options, options[0].value);
+        FloatingPanel.setOptions(evaluated, options, options.find(o => o.value !== ref.value).value);
+    }
+
+    async run(a, b, options) {
+        // The common grid stays where its volume was moved, as do the results
+        const gridVolume = options.gridSource === 'B' ? b : a;
+        const grid = gridVolume.userData.grid;
+        gridVolume.updateMatrixWorld();
+        const placement = gridVolume.matrixWorld.clone();
+        const resample = (volume, title) => this.manager.runTask(title, 'resample', VolumeResampler.payloads(volume, grid, {
+            interpolation: options.interpolation, placement, parts: WorkerPool.defaultSize() * 4
+        }), p => [p.data.buffer]).then(slabs => WorkerPool.concat(slabs));
+        const refData = await resample(a, 'Resampling Reference Volume');
+        const evalData = await resample(b, 'Resampling Evaluated Volume');
+
+        const gammaOptions = VolumeComparator.gammaOptions(refData, options);
+        const payloads = VolumeComparator.gammaPayloads(refData, evalData, grid, gammaOptions, WorkerPool.defaultSize() * 4);
+        const gamma = WorkerPool.concat(await this.manager.runTask('Computing Gamma Index', 'gammaIndex', payloads,
+            p => [p.refData.buffer, p.evalData.buffer]));
+        const result = VolumeComparator.compare(refData, evalData, options, gamma);
+
+        const labelA = this.manager.getVolumeLabel(a), labelB = this.manager.getVolumeLabel(b);
+        const gammaLabel = `Gamma ${options.doseCriterion}%/${options.dta}mm`;
+        const inputs = [b, a].map(v => ({ name: this.manager.getVolumeLabel(v), provenance: v.userData.params.provenance }));
+        const add = (data, name, operation, parameters, units) => this.manager.addVolumeFromData(data, grid, name, {
+            placedLike: gridVolume,
+            params: { units, provenance: VolumeArithmetic.provenance(operation, { grid: options.gridSource, ...parameters }, inputs) }
+        });
+        const units = a.userData.params.units;
+        await add(result.difference, `Diff (${labelB} - ${labelA})`, 'difference', {}, units);
+        await add(result.relative, `Rel. Diff % (${labelB} / ${labelA})`, 'relativeDifference', { relative: options.relative }, '%');
+        await add(result.gamma, `${gammaLabel} (${labelB} vs ${labelA})`, 'gamma', {
+            doseCriterion: options.doseCriterion, dta: options.dta, cutoff: options.cutoff
+        }, '');
+
+        const fmt = v => Number.isFinite(v) ? v.toPrecision(4) : '-';
+        const rows = [
+            ['Difference (B - A)', result.stats.difference],
+            ['Relative diff. (%)', result.stats.relative],
+            [gammaLabel, result.stats.gamma]
+        ].map(([name, s]) => [name, fmt(s.min), fmt(s.mean), fmt(s.max), fmt(s.rms)]);
+
+        this.results.replaceChildren(
+            FloatingPanel.createTable(['Map', 'Min', 'Mean', 'Max', 'RMS'], rows),
+            Object.assign(document.createElement('div'), {
+                className: 'panel-readout',
+                textContent: `Gamma pass rate (γ ≤ 1): ${fmt(result.stats.passRate)} % of ${result.stats.gamma.count} voxels above cutoff`
+            })
+        );
+    }
+
+    /**
+     * Gamma index options (GammaIndex.compute) of the panel criteria: tolerances relative to the maximum of A.
+     */
+    static gammaOptions(refData, { doseCriterion = 3, dta = 3, cutoff = 10 } = {}) {
+        const maxRef = VolumeComparator.maximum(refData);
+        return { doseTolerance: maxRef * doseCriterion / 100, dta, cutoffDose: maxRef * cutoff / 100 };
+    }
+
+    /**
+     * Worker payloads of the gamma index, split into GATE Z slabs with the evaluated slices their search reaches.
+     */
+    static gammaPayloads(refData, evalData, grid, gammaOptions, parts) {
+        const [nx, ny, nz] = grid.dims;
+        const sliceSize = nx * ny;
+        const margin = GammaIndex.margin(grid, gammaOptions.dta, gammaOptions.searchFactor);
+        return WorkerPool.ranges(nz, parts).map(([kStart, kEnd]) => {
+            const evalStart = Math.max(0, kStart - margin), evalEnd = Math.min(nz, kEnd + margin);
+            return {
+                grid,
+                refData: refData.slice(kStart * sliceSize, kEnd * sliceSize),
+                evalData: evalData.slice(evalStart * sliceSize, evalEnd * sliceSize),
+                ...gammaOptions, kStart, kEnd, evalStart,
+                units: (kEnd - kStart) * sliceSize
+            };
+        });
+    }
+
+    static maximum(data) {
+        let max = -Infinity;
+        for (let i = 0; i < data.length; i++) if (data[i] > max) max = data[i];
+        return max;
+    }
+
+    /**
+     * Comparison maps of two volumes sampled on the same grid, with the gamma map computed by the workers.
+     * Voxels excluded from a map (below the low dose cutoff) are NaN.
+     */
+    static compare(refData, evalData, { relative = 'global', cutoff = 10 } = {}, gamma) {
+        const count = refData.length;
+        const maxRef = VolumeComparator.maximum(refData);
+        const cutoffDose = maxRef * cutoff / 100;
+
+        const difference = new Float32Array(count);
+        const relativeData = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const diff = evalData[i] - refData[i];
+            difference[i] = diff;
+            if (relative === 'local') {
+                relativeData[i] = refData[i] >= cutoffDose && refData[i] !== 0 ? diff / refData[i] * 100 : NaN;
+            } else {
+                relativeData[i] = maxRef !== 0 ? diff / maxRef * 100 : NaN;
+            }
+        }
+
+        const gammaStats = VolumeComparator.statistics(gamma);
+        let passed = 0;
+        for (let i = 0; i < count; i++) if (gamma[i] <= 1) passed++;
+
+        return {
+            difference,
+            relative: relativeData,
+            gamma,
+            stats: {
+                difference: VolumeComparator.statistics(difference),
+                relative: VolumeComparator.statistics(relativeData),
+                gamma: gammaStats,
+                passRate: gammaStats.count ? passed / gammaStats.count * 100 : NaN
+            }
+        };
+    }
+
+    /**
+     * Min / max / mean / RMS over the finite values of an array.
+     */
+    static statistics(data) {
+        let count = 0, min = Infinity, max = -Infinity, sum = 0, sumSq = 0;
+        for (let i = 0; i < data.length; i++) {
+            const v = data[i];
+            if (!Number.isFinite(v)) continue;
+            count++;
+            if (v < min) min = v;
+            if (v > max) max = v;
+            sum += v;
+            sumSq += v * v;
+        }
+        return {
+            count,
+            min: count ? min : NaN,
+            max: count ? max : NaN,
+            mean: count ? sum / count : NaN,
+            rms: count ? Math.sqrt(sumSq / count) : NaN
+        };
+    }
+}
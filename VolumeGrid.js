@@ -0,0 +1,242 @@
+/**
+ * Geometry of a voxel grid in GATE (image) coordinates.
+ * Follows the MetaImage conventions: `origin` is the center of voxel (0, 0, 0) and
+ * `direction` holds the unit vector of each image axis (3 values per axis, TransformMatrix order).
+ * The rotation is applied around `center` (CenterOfRotation), which is zero for GATE/ITK images.
+ */
+export class VolumeGrid {
+    constructor({ dims, spacing, origin = [0, 0, 0], direction = [1, 0, 0, 0, 1, 0, 0, 0, 1], center = [0, 0, 0] }) {
+        this.dims = dims.slice();
+        this.spacing = spacing.slice();
+        this.origin = origin.slice();
+        this.direction = direction.slice();
+        this.center = center.slice();
+
+        this.inverseDirection = VolumeGrid.invert3x3(this.direction);
+        if (!this.inverseDirection) throw new Error("Volume grid direction matrix is singular.");
+    }
+
+    get voxelCount() {
+        return this.dims[0] * this.dims[1] * this.dims[2];
+    }
+
+    isIdentityDirection() {
+        return this.direction.every((v, i) => v === (i % 4 === 0 ? 1 : 0));
+    }
+
+    /**
+     * Physical (GATE) position of a voxel center. Accepts fractional indices.
+     */
+    indexToPhysical(i, j, k, out = [0, 0, 0]) {
+        const d = this.direction, c = this.center;
+        const u = i * this.spacing[0] - c[0];
+        const v = j * this.spacing[1] - c[1];
+        const w = k * this.spacing[2] - c[2];
+        for (let a = 0; a < 3; a++) {
+            out[a] = this.origin[a] + c[a] + u * d[a] + v * d[3 + a] + w * d[6 + a];
+        }
+        return out;
+    }
+
+    /**
+     * Continuous voxel index of a physical (GATE) position.
+     */
+    physicalToIndex(x, y, z, out = [0, 0, 0]) {
+        const m = this.inverseDirection, c = this.center;
+        const qx = x - this.origin[0] - c[0];
+        const qy = y - this.origin[1] - c[1];
+        const qz = z - this.origin[2] - c[2];
+        for (let a = 0; a < 3; a++) {
+            const local = m[a] * qx + m[3 + a] * qy + m[6 + a] * qz;
+            out[a] = (local + c[a]) / this.spacing[a];
+        }
+        return out;
+    }
+
+    /**
+     * Column-major 4x4 matrix (THREE.Matrix4.fromArray) mapping voxel indices to scene coordinates.
+     * Includes the GATE -> scene axis swap (GATE X->X, GATE Y->Z, GATE Z->Y).
+     */
+    getSceneMatrix() {
+        const t = this.indexToPhysical(0, 0, 0);
+        const e = new Array(16).fill(0);
+        for (let a = 0; a < 3; a++) {
+            const col = VolumeGrid.gateToScene([
+                this.direction[a * 3] * this.spacing[a],
+                this.direction[a * 3 + 1] * this.spacing[a],
+                this.direction[a * 3 + 2] * this.spacing[a]
+            ]);
+            e[a * 4] = col[0]; e[a * 4 + 1] = col[1]; e[a * 4 + 2] = col[2];
+        }
+        const ts = VolumeGrid.gateToScene(t);
+        e[12] = ts[0]; e[13] = ts[1]; e[14] = ts[2]; e[15] = 1;
+        return e;
+    }
+
+    /**
+     * Scene positions (xyz per voxel) of the voxel centers with linear index in [start, end),
+     * i.e. getSceneMatrix() applied to every (i, j, k). `onProgress(voxels)` is called once per slice.
+     * @returns {Float32Array}
+     */
+    computeScenePositions(start = 0, end = this.voxelCount, onProgress = null) {
+        const e = this.getSceneMatrix();
+        const [nx, ny] = this.dims;
+        const positions = new Float32Array((end - start) * 3);
+
+        let x = start % nx, y = Math.floor(start / nx) % ny, z = Math.floor(start / (nx * ny));
+        let reported = start;
+        for (let idx = start, p = 0; idx < end; idx++, p += 3) {
+            positions[p] = e[0] * x + e[4] * y + e[8] * z + e[12];
+            positions[p + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+            positions[p + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+
+            if (++x < nx) continue;
+            x = 0;
+            if (++y < ny) continue;
+            y = 0;
+            z++;
+            if (onProgress) onProgress(idx + 1 - reported);
+            reported = idx + 1;
+        }
+        if (onProgress && reported < end) onProgress(end - reported);
+        return positions;
+    }
+
+    /**
+     * Value at a continuous voxel index. Returns NaN outside the grid extent (voxel boundaries).
+     * `interpolation` is 'linear' (trilinear, constant within the outer half voxel) or 'nearest'.
+     */
+    sampleIndex(data, ci, cj, ck, interpolation = 'linear') {
+        const [nx, ny, nz] = this.dims;
+
+        if (ci < -0.5 || cj < -0.5 || ck < -0.5 || ci > nx - 0.5 || cj > ny - 0.5 || ck > nz - 0.5) return NaN;
+
+        if (interpolation === 'nearest') {
+            const i = Math.min(Math.round(ci), nx - 1), j = Math.min(Math.round(cj), ny - 1), k = Math.min(Math.round(ck), nz - 1);
+            return data[Math.max(i, 0) + nx * (Math.max(j, 0) + ny * Math.max(k, 0))];
+        }
+
+        ci = Math.min(Math.max(ci, 0), nx - 1);
+        cj = Math.min(Math.max(cj, 0), ny - 1);
+        ck = Math.min(Math.max(ck, 0), nz - 1);
+
+        // Clamp the upper corner so indices on the last plane (and single-slice axes) stay valid
+        const i0 = Math.min(Math.floor(ci), nx - 1), i1 = Math.min(i0 + 1, nx - 1);
+        const j0 = Math.min(Math.floor(cj), ny - 1), j1 = Math.min(j0 + 1, ny - 1);
+        const k0 = Math.min(Math.floor(ck), nz - 1), k1 = Math.min(k0 + 1, nz - 1);
+        const fx = ci - i0, fy = cj - j0, fz = ck - k0;
+
+        const at = (i, j, k) => data[i + nx * (j + ny * k)];
+        const c00 = at(i0, j0, k0) * (1 - fx) + at(i1, j0, k0) * fx;
+        const c10 = at(i0, j1, k0) * (1 - fx) + at(i1, j1, k0) * fx;
+        const c01 = at(i0, j0, k1) * (1 - fx) + at(i1, j0, k1) * fx;
+        const c11 = at(i0, j1, k1) * (1 - fx) + at(i1, j1, k1) * fx;
+        const c0 = c00 * (1 - fy) + c10 * fy;
+        const c1 = c01 * (1 - fy) + c11 * fy;
+        return c0 * (1 - fz) + c1 * fz;
+    }
+
+    /**
+     * Value at a physical (GATE) position.
+     */
+    samplePhysical(data, x, y, z, interpolation = 'linear') {
+        const idx = this.physicalToIndex(x, y, z);
+        return this.sampleIndex(data, idx[0], idx[1], idx[2], interpolation);
+    }
+
+    /**
+     * Values of another volume at the voxel centers of the GATE Z slices kStart..kEnd of this grid,
+     * `outsideValue` where they fall outside it. `matrix` (column-major 4x4) maps the scene coordinates
+     * of this grid to those of `source` (see VolumeResampler). `onProgress(voxels)` is called once per slice.
+     * @param {VolumeGrid} source
+     * @param {Float32Array} data - values of `source`.
+     * @returns {Float32Array}
+     */
+    resample(source, data, matrix, { interpolation = 'linear', outsideValue = 0, kStart = 0, kEnd = this.dims[2], onProgress = null } = {}) {
+        const [nx, ny] = this.dims;
+        const e = matrix;
+        const result = new Float32Array(nx * ny * (kEnd - kStart));
+        const p = [0, 0, 0];
+
+        let idx = 0;
+        for (let k = kStart; k < kEnd; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++) {
+                    // GATE -> scene (Y and Z swapped), through the matrix, back to GATE
+                    this.indexToPhysical(i, j, k, p);
+                    const x = p[0], y = p[2], z = p[1];
+                    const v = source.samplePhysical(data,
+                        e[0] * x + e[4] * y + e[8] * z + e[12],
+                        e[2] * x + e[6] * y + e[10] * z + e[14],
+                        e[1] * x + e[5] * y + e[9] * z + e[13],
+                        interpolation);
+                    result[idx++] = Number.isNaN(v) ? outsideValue : v;
+                }
+            }
+            if (onProgress) onProgress(nx * ny);
+        }
+        return result;
+    }
+
+    /**
+     * Grid of the slices kStart..kEnd (exclusive) along the third image axis, at their place.
+     */
+    slices(kStart, kEnd) {
+        return this.region([0, 0, kStart], [this.dims[0], this.dims[1], kEnd - kStart]);
+    }
+
+    /**
+     * Grid of `dims` voxels whose first voxel center is at the (possibly fractional) index `start`
+     * of this grid, `step` voxels of this grid apart along each axis (crops, block downsampling).
+     */
+    region(start, dims, step = [1, 1, 1]) {
+        const origin = this.origin.slice();
+        for (let axis = 0; axis < 3; axis++) {
+            for (let a = 0; a < 3; a++) origin[a] += start[axis] * this.spacing[axis] * this.direction[axis * 3 + a];
+        }
+        return new VolumeGrid({
+            dims,
+            spacing: this.spacing.map((s, axis) => s * step[axis]),
+            origin,
+            direction: this.direction,
+            center: this.center
+        });
+    }
+
+    /**
+     * Grid written by exportGateFiles for a simulationConfig (scene axes swapped to GATE axes).
+     */
+    static fromSimulationConfig(conf) {
+        const dims = [
+            Math.floor(conf.voxelResolution.x),
+            Math.floor(conf.voxelResolution.z),
+            Math.floor(conf.voxelResolution.y)
+        ];
+        return new VolumeGrid({
+            dims,
+            spacing: [conf.domainSize.x / dims[0], conf.domainSize.z / dims[1], conf.domainSize.y / dims[2]],
+            origin: [conf.offset.x, conf.offset.z, conf.offset.y]
+        });
+    }
+
+    static gateToScene(p) {
+        return [p[0], p[2], p[1]];
+    }
+
+    static sceneToGate(p) {
+        return [p[0], p[2], p[1]];
+    }
+
+    static invert3x3(m) {
+        // Row/column convention does not matter as long as it is used consistently (m and its inverse share it).
+        const [a, b, c, d, e, f, g, h, i] = m;
+        const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        if (!det || !isFinite(det)) return null;
+        return [
+            A / det, -(b * i - c * h) / det, (b * f - c * e) / det,
+            B / det, (a * i - c * g) / det, -(a * f - c * d) / det,
+            C / det, -(a * h - b * g) / det, (a * e - b * d) / det
+        ];
+    }
+}
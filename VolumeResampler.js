@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+import { VolumeGrid } from './VolumeGrid.js';
+import { WorkerPool } from './WorkerPool.js';
+
+/**
+ * Samples imported volumes (points objects from MHDHandler) at scene positions,
+ * taking the volume object transform into account.
+ */
+export class VolumeResampler {
+    /**
+     * Value of a volume at a scene (world) point, NaN outside the volume.
+     */
+    static sampleAt(volume, point, interpolation = 'linear') {
+        const { grid, data } = volume.userData;
+        volume.updateMatrixWorld();
+        const local = volume.worldToLocal(point.clone());
+        const p = VolumeGrid.sceneToGate(local.toArray());
+        return grid.samplePhysical(data, p[0], p[1], p[2], interpolation);
+    }
+
+    /**
+     * Resamples a volume onto another grid (GATE coordinates in the scene frame, moved by `placement`
+     * when given: the matrixWorld of the volume whose grid it is).
+     * Voxels outside the source volume get `outsideValue`.
+     * @returns {Float32Array}
+     */
+    static resample(volume, targetGrid, interpolation = 'linear', outsideValue = 0, placement = null) {
+        const { grid, data } = volume.userData;
+        return targetGrid.resample(grid, data, VolumeResampler.gridToVolume(volume, placement), { interpolation, outsideValue });
+    }
+
+    /**
+     * Payloads of the ComputeWorker 'resample' task computing VolumeResampler.resample in slabs of
+     * GATE Z slices of the target grid. Each payload carries only the source slices its slab overlaps.
+     * `placement` moves the target grid as in VolumeResampler.resample.
+     */
+    static payloads(volume, targetGrid, { interpolation = 'linear', outsideValue = 0, placement = null, parts = 1 } = {}) {
+        const { grid, data } = volume.userData;
+        const matrix = VolumeResampler.gridToVolume(volume, placement);
+        const [nx, ny] = targetGrid.dims;
+        const sliceSize = grid.dims[0] * grid.dims[1];
+        const toVolume = new THREE.Matrix4().fromArray(matrix);
+        const corner = new THREE.Vector3(), index = [0, 0, 0];
+
+        return WorkerPool.ranges(targetGrid.dims[2], parts).map(([kStart, kEnd]) => {
+            // Source slices under the slab corners, and one more on each side for the interpolation
+            let kMin = Infinity, kMax = -Infinity;
+            for (const i of [-0.5, nx - 0.5]) for (const j of [-0.5, ny - 0.5]) for (const k of [kStart - 0.5, kEnd - 0.5]) {
+                corner.fromArray(VolumeGrid.gateToScene(targetGrid.indexToPhysical(i, j, k))).applyMatrix4(toVolume);
+                const p = VolumeGrid.sceneToGate(corner.toArray());
+                grid.physicalToIndex(p[0], p[1], p[2], index);
+                kMin = Math.min(kMin, index[2]);
+                kMax = Math.max(kMax, index[2]);
+            }
+            const last = grid.dims[2] - 1;
+            const first = Math.min(Math.max(Math.floor(kMin) - 1, 0), last);
+            const end = Math.max(Math.min(Math.ceil(kMax) + 1, last), first) + 1;
+            return {
+                grid: targetGrid,
+                source: grid.slices(first, end),
+                data: data.slice(first * sliceSize, end * sliceSize),
+                matrix, interpolation, outsideValue, kStart, kEnd,
+                units: nx * ny * (kEnd - kStart)
+            };
+        });
+    }
+
+    /**
+     * Column-major matrix from the scene coordinates of a grid (placed by `placement`) to the
+     * object frame of the volume.
+     */
+    static gridToVolume(volume, placement = null) {
+        volume.updateMatrixWorld();
+        const matrix = volume.matrixWorld.clone().invert();
+        if (placement) matrix.multiply(placement);
+        return matrix.toArray();
+    }
+}
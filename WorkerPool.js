@@ -0,0 +1,130 @@
+const WORKER_URL = new URL('./ComputeWorker.js', import.meta.url);
+
+/**
+ * Rejection reason of a WorkerPool run stopped by cancel().
+ */
+export class TaskCancelledError extends Error {
+    constructor() {
+        super("Task cancelled.");
+        this.name = 'TaskCancelledError';
+    }
+}
+
+/**
+ * Runs ComputeWorker tasks over several module workers.
+ * Workers live for the duration of one run; cancel() terminates them immediately.
+ */
+export class WorkerPool {
+    constructor(size = WorkerPool.defaultSize()) {
+        this.size = size;
+        this.workers = [];
+        this.rejectRun = null;
+    }
+
+    /**
+     * One worker per core, keeping one for the UI thread.
+     */
+    static defaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(8, cores - 1));
+    }
+
+    /**
+     * Runs `task` once per payload (at most `size` at a time) and resolves with the results in payload order.
+     * Each payload declares its amount of work in `units`; `onProgress(fraction)` follows the units done.
+     * `transfer(payload)` lists the buffers to move (not copy) to the worker.
+     */
+    run(task, payloads, { onProgress = null, transfer = () => [] } = {}) {
+        if (this.rejectRun) return Promise.reject(new Error("Worker pool is already running."));
+
+        return new Promise((resolve, reject) => {
+            const results = new Array(payloads.length);
+            const totalUnits = payloads.reduce((sum, p) => sum + (p.units || 0), 0) || 1;
+            let doneUnits = 0, next = 0, finished = 0;
+
+            const fail = (error) => {
+                this.terminate();
+                reject(error);
+            };
+            this.rejectRun = fail;
+
+            const startNext = (worker) => {
+                if (next >= payloads.length) return;
+                const index = next++;
+
+                worker.onmessage = ({ data }) => {
+                    if (data.type === 'progress') {
+                        doneUnits += data.units;
+                        if (onProgress) onProgress(Math.min(1, doneUnits / totalUnits));
+                    } else if (data.type === 'result') {
+                        results[index] = data.result;
+                        if (++finished === payloads.length) {
+                            this.terminate();
+                            resolve(results);
+                        } else {
+                            startNext(worker);
+                        }
+                    } else {
+                        fail(new Error(data.message));
+                    }
+                };
+                worker.postMessage({ task, payload: payloads[index] }, transfer(payloads[index]));
+            };
+
+            if (payloads.length === 0) {
+                this.terminate();
+                resolve(results);
+                return;
+            }
+
+            for (let w = 0; w < Math.min(this.size, payloads.length); w++) {
+                const worker = new Worker(WORKER_URL, { type: 'module' });
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    fail(new Error(e.message || `Worker task "${task}" failed to start.`));
+                };
+                this.workers.push(worker);
+                startNext(worker);
+            }
+        });
+    }
+
+    /**
+     * Stops the current run; its promise rejects with TaskCancelledError.
+     */
+    cancel() {
+        if (this.rejectRun) this.rejectRun(new TaskCancelledError());
+    }
+
+    terminate() {
+        this.workers.forEach(w => w.terminate());
+        this.workers = [];
+        this.rejectRun = null;
+    }
+
+    /**
+     * Splits [0, count) into at most `parts` contiguous [start, end) ranges.
+     */
+    static ranges(count, parts) {
+        const n = Math.max(1, Math.min(parts, count));
+        const ranges = [];
+        for (let p = 0; p < n; p++) {
+            const start = Math.floor(count * p / n), end = Math.floor(count * (p + 1) / n);
+            if (end > start) ranges.push([start, end]);
+        }
+        return ranges;
+    }
+
+    /**
+     * Concatenates typed arrays (worker results in order) into one.
+     */
+    static concat(parts, ArrayType = Float32Array) {
+        const out = new ArrayType(parts.reduce((sum, p) => sum + p.length, 0));
+        let offset = 0;
+        parts.forEach(p => {
+            out.set(p, offset);
+            offset += p.length;
+        });
+        return out;
+    }
+}
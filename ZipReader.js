@@ -0,0 +1,94 @@
+import { ZipWriter } from './ZipWriter.js';
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_DIRECTORY = 0x06054B50;
+
+/**
+ * Reads ZIP archives (stored or deflated entries, no ZIP64) from a Blob or File without loading
+ * the whole file: open() reads the central directory, read() one entry at a time.
+ * Has no DOM dependency so it can run in workers and in Node.js.
+ */
+export class ZipReader {
+    constructor(blob) {
+        this.blob = blob;
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {Blob} blob
+     * @returns {Promise<ZipReader>}
+     */
+    static async open(blob) {
+        const reader = new ZipReader(blob);
+        await reader.readDirectory();
+        return reader;
+    }
+
+    async readDirectory() {
+        // End of central directory record: 22 bytes plus a comment of up to 64 KiB
+        const tailSize = Math.min(this.blob.size, 22 + 0xFFFF);
+        const tail = new DataView(await this.blob.slice(this.blob.size - tailSize).arrayBuffer());
+        let end = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === END_OF_DIRECTORY) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error("Not a ZIP archive.");
+
+        const count = tail.getUint16(end + 10, true);
+        const size = tail.getUint32(end + 12, true);
+        const offset = tail.getUint32(end + 16, true);
+        const directory = new DataView(await this.blob.slice(offset, offset + size).arrayBuffer());
+        const decoder = new TextDecoder();
+        let p = 0;
+        for (let n = 0; n < count; n++) {
+            if (p + 46 > directory.byteLength || directory.getUint32(p, true) !== CENTRAL_HEADER) {
+                throw new Error("Corrupted ZIP central directory.");
+            }
+            const nameLength = directory.getUint16(p + 28, true);
+            const path = decoder.decode(new Uint8Array(directory.buffer, p + 46, nameLength));
+            this.entries.set(path, {
+                path,
+                method: directory.getUint16(p + 10, true),
+                crc: directory.getUint32(p + 16, true),
+                compressedSize: directory.getUint32(p + 20, true),
+                size: directory.getUint32(p + 24, true),
+                offset: directory.getUint32(p + 42, true)
+            });
+            p += 46 + nameLength + directory.getUint16(p + 30, true) + directory.getUint16(p + 32, true);
+        }
+    }
+
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    /**
+     * Uncompressed content of an entry, checked against its size and CRC.
+     * @returns {Promise<Uint8Array>}
+     */
+    async read(path) {
+        const entry = this.entries.get(path);
+        if (!entry) throw new Error(`Missing "${path}" in the archive.`);
+
+        const header = new DataView(await this.blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        if (header.byteLength < 30 || header.getUint32(0, true) !== LOCAL_HEADER) throw new Error(`Corrupted entry "${path}".`);
+        const start = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const content = this.blob.slice(start, start + entry.compressedSize);
+
+        let bytes;
+        if (entry.method === 0) {
+            bytes = new Uint8Array(await content.arrayBuffer());
+        } else if (entry.method === 8) {
+            const stream = content.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            throw new Error(`Unsupported compression method ${entry.method} for "${path}".`);
+        }
+        if (bytes.length !== entry.size || ZipWriter.crc32(bytes) !== entry.crc) throw new Error(`Corrupted entry "${path}".`);
+        return bytes;
+    }
+}
@@ -0,0 +1,141 @@
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Minimal ZIP archive writer: stored entries, or deflated ones with addCompressed
+ * (CompressionStream, available in browsers, workers and Node.js).
+ * Has no DOM dependency so it can run in workers and in Node.js.
+ */
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Adds a file. Paths use "/" separators; a path ending with "/" adds an empty directory.
+     * @param {string} path
+     * @param {string|Uint8Array|ArrayBuffer} [content]
+     */
+    add(path, content = new Uint8Array(0)) {
+        const data = ZipWriter.bytesOf(content);
+        this.push(path, data, data, 0);
+        return this;
+    }
+
+    /**
+     * Adds a deflated file (kept stored when deflate does not make it smaller).
+     * @returns {Promise<ZipWriter>}
+     */
+    async addCompressed(path, content) {
+        const data = ZipWriter.bytesOf(content);
+        const deflated = await ZipWriter.deflate(data);
+        if (deflated.length < data.length) this.push(path, data, deflated, 8);
+        else this.push(path, data, data, 0);
+        return this;
+    }
+
+    /**
+     * @param {Uint8Array} data - uncompressed content (size and CRC).
+     * @param {Uint8Array} stored - bytes written in the archive.
+     * @param {number} method - 0 stored, 8 deflate.
+     */
+    push(path, data, stored, method) {
+        if (this.entries.some(e => e.path === path)) throw new Error(`Duplicate ZIP entry "${path}".`);
+        this.entries.push({ path, data: stored, size: data.length, method, name: new TextEncoder().encode(path), crc: ZipWriter.crc32(data) });
+    }
+
+    static bytesOf(content) {
+        return typeof content === 'string' ? new TextEncoder().encode(content)
+            : content instanceof Uint8Array ? content : new Uint8Array(content);
+    }
+
+    /**
+     * Raw deflate (no zlib header), as stored in ZIP entries.
+     * @returns {Promise<Uint8Array>}
+     */
+    static async deflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * @param {Date} [date] - modification time of every entry.
+     * @returns {Uint8Array} the archive bytes.
+     */
+    toBytes(date = new Date()) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const localSize = this.entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+        const centralSize = this.entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+        if (localSize + centralSize > 0xFFFFFFFF || this.entries.length > 0xFFFF) {
+            throw new Error("Archive too large for ZIP without ZIP64 extensions.");
+        }
+
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        const offsets = [];
+
+        // Local file headers followed by the data
+        for (const e of this.entries) {
+            offsets.push(offset);
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true); // version needed
+            view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+            view.setUint16(offset + 8, e.method, true);
+            view.setUint16(offset + 10, time, true);
+            view.setUint16(offset + 12, day, true);
+            view.setUint32(offset + 14, e.crc, true);
+            view.setUint32(offset + 18, e.data.length, true);
+            view.setUint32(offset + 22, e.size, true);
+            view.setUint16(offset + 26, e.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            bytes.set(e.name, offset + 30);
+            bytes.set(e.data, offset + 30 + e.name.length);
+            offset += 30 + e.name.length + e.data.length;
+        }
+
+        // Central directory
+        const centralStart = offset;
+        this.entries.forEach((e, i) => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true); // version made by
+            view.setUint16(offset + 6, 20, true);
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, e.method, true);
+            view.setUint16(offset + 12, time, true);
+            view.setUint16(offset + 14, day, true);
+            view.setUint32(offset + 16, e.crc, true);
+            view.setUint32(offset + 20, e.data.length, true);
+            view.setUint32(offset + 24, e.size, true);
+            view.setUint16(offset + 28, e.name.length, true);
+            // Extra field, comment, disk number, internal attributes: 0
+            view.setUint32(offset + 38, e.path.endsWith('/') ? 0x10 : 0, true); // MS-DOS directory flag
+            view.setUint32(offset + 42, offsets[i], true);
+            bytes.set(e.name, offset + 46);
+            offset += 46 + e.name.length;
+        });
+
+        // End of central directory
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, this.entries.length, true);
+        view.setUint16(offset + 10, this.entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+        return bytes;
+    }
+
+    static crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
@@ -0,0 +1,448 @@
+import * as THREE from 'three';
+import { FloatingPanel } from './FloatingPanel.js';
+import { DoseProbe } from './DoseProbe.js';
+import { LineChart } from './LineChart.js';
+import { OccupancyZones, ZONE_CATEGORIES } from './OccupancyZones.js';
+import { StlGeometry } from './StlGeometry.js';
+import { VolumeResampler } from './VolumeResampler.js';
+import { WorkerPool, TaskCancelledError } from './WorkerPool.js';
+
+// Mouse travel (px) above which a press is an orbit drag, not a click
+const CLICK_TOLERANCE = 4;
+const DRAFT_COLOR = 0xffeb3b;
+const EXCEEDED_COLOR = 0xff1744;
+const STATUS_LABELS = { true: 'EXCEEDS', false: 'OK', null: 'Not covered' };
+
+/**
+ * Occupancy zones drawn on the ground (box: two opposite corners, polygon: its vertices) and extruded
+ * to a height, each with a category, an occupancy factor and a dose limit (see OccupancyZones).
+ * Evaluate samples every zone with the analytic model (DoseModel.doseAt, in the workers) and every
+ * imported volume; the table lists max / mean per zone and estimate, zones over their limit turn red
+ * in the viewport, and the report downloads as CSV. Zones are kept in world group coordinates and
+ * saved with the scene.
+ */
+export class ZoneTool {
+    constructor(manager) {
+        this.manager = manager;
+        this.panel = null;
+        this.zones = [];
+        this.current = null;
+        this.drawing = null;
+        this.draft = [];
+        this.draftLine = null;
+        this.spacing = 250;
+        this.height = 2000;
+        this.running = false;
+    }
+
+    open() {
+        this.close();
+        this.panel = new FloatingPanel(this.manager.container, 'Occupancy Zones', { onClose: () => this.close() });
+
+        const draw = document.createElement('div');
+        draw.className = 'panel-toolbar';
+        this.drawButtons = {};
+        [['box', 'Draw Box'], ['polygon', 'Draw Polygon']].forEach(([shape, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => this.setDrawing(this.drawing === shape ? null : shape));
+            this.drawButtons[shape] = button;
+            draw.appendChild(button);
+        });
+        this.closeButton = document.createElement('button');
+        this.closeButton.textContent = 'Close Polygon';
+        this.closeButton.addEventListener('click', () => this.closePolygon());
+        draw.appendChild(this.closeButton);
+        this.hint = document.createElement('div');
+        this.hint.className = 'panel-readout';
+        this.panel.body.append(draw, this.hint);
+
+        const height = this.panel.addField('New Zone Height (mm)', FloatingPanel.createNumberInput(this.height));
+        height.addEventListener('change', () => {
+            if (Number(height.value) > 0) this.height = Number(height.value);
+            height.value = this.height;
+        });
+
+        // Settings of the zone chosen in the list
+        const f = this.fields = {
+            zone: this.panel.addField('Zone', FloatingPanel.createSelect([], '')),
+            name: this.panel.addField('Name', Object.assign(document.createElement('input'), { type: 'text' })),
+            category: this.panel.addField('Category', FloatingPanel.createSelect(
+                Object.entries(ZONE_CATEGORIES).map(([value, c]) => ({ value, label: c.label })), 'public')),
+            occupancy: this.panel.addField('Occupancy Factor', FloatingPanel.createNumberInput(1)),
+            limit: this.panel.addField('Limit', FloatingPanel.createNumberInput(0)),
+            height: this.panel.addField('Height (mm)', FloatingPanel.createNumberInput(0))
+        };
+        f.zone.addEventListener('change', () => this.select(this.zones[Number(f.zone.value)]));
+        f.name.addEventListener('change', () => this.edit({ name: f.name.value.trim() || this.current.name }));
+        // A new category brings its default occupancy and limit
+        f.category.addEventListener('change', () => this.edit(OccupancyZones.create({}, f.category.value, this.manager.simulationConfig)));
+        f.occupancy.addEventListener('change', () => {
+            const occupancy = Number(f.occupancy.value);
+            if (occupancy >= 0 && occupancy <= 1) this.edit({ occupancy });
+            else this.select(this.current);
+        });
+        f.limit.addEventListener('change', () => {
+            const limit = Number(f.limit.value);
+            if (limit > 0) this.edit({ limit });
+            else this.select(this.current);
+        });
+        f.height.addEventListener('change', () => {
+            const h = Number(f.height.value);
+            if (h > 0) this.edit({ height: h }, true);
+            else this.select(this.current);
+        });
+        const zoneButtons = document.createElement('div');
+        zoneButtons.className = 'panel-toolbar';
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete Zone';
+        deleteButton.className = 'warning';
+        deleteButton.addEventListener('click', () => { if (this.current) this.removeZone(this.current); });
+        zoneButtons.appendChild(deleteButton);
+        this.panel.body.appendChild(zoneButtons);
+
+        const spacing = this.panel.addField('Sample Spacing (mm)', FloatingPanel.createNumberInput(this.spacing));
+        spacing.addEventListener('change', () => {
+            if (Number(spacing.value) > 0) this.spacing = Number(spacing.value);
+            spacing.value = this.spacing;
+        });
+        const evaluation = document.createElement('div');
+        evaluation.className = 'panel-toolbar';
+        const evaluateButton = document.createElement('button');
+        evaluateButton.textContent = 'Evaluate';
+        evaluateButton.addEventListener('click', () => this.evaluate());
+        const reportButton = document.createElement('button');
+        reportButton.textContent = 'Report CSV';
+        reportButton.className = 'secondary';
+        reportButton.addEventListener('click', () => this.exportReportCSV());
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear Zones';
+        clearButton.className = 'warning';
+        clearButton.addEventListener('click', () => this.clearZones());
+        evaluation.append(evaluateButton, reportButton, clearButton);
+
+        this.table = document.createElement('div');
+        this.summary = document.createElement('div');
+        this.summary.className = 'panel-readout';
+        this.panel.body.append(evaluation, this.table, this.summary);
+
+        this.select(this.current || this.zones[0] || null);
+        this.setDrawing(null);
+    }
+
+    close() {
+        this.setDrawing(null);
+        if (this.panel) this.panel.destroy();
+        this.panel = null;
+    }
+
+    setDrawing(shape) {
+        this.drawing = shape;
+        this.draft = [];
+        this.updateDraft();
+        if (!this.panel) return;
+        // One picking tool at a time
+        if (shape) {
+            this.manager.doseProbe.setMode(null);
+            this.manager.registrationTool.setPicking(false);
+            this.manager.pathTool.setDrawing(false);
+        }
+        Object.entries(this.drawButtons).forEach(([s, button]) => { button.className = s === shape ? '' : 'secondary'; });
+        this.closeButton.style.display = shape === 'polygon' ? '' : 'none';
+        this.updateHint();
+    }
+
+    updateHint() {
+        if (!this.panel) return;
+        this.hint.textContent = {
+            box: this.draft.length ? 'Click the opposite corner of the box.' : 'Click a corner of the box on the ground.',
+            polygon: this.draft.length < 3 ? 'Click the corners of the zone on the ground.' : 'Click more corners, or Close Polygon.'
+        }[this.drawing] || 'Choose Draw Box or Draw Polygon to add a zone.';
+    }
+
+    /**
+     * Canvas pointerdown (RadiationSceneManager.onPointerDown, raycaster already set): while drawing,
+     * takes the ground point under the pointer if the button is released without dragging the view.
+     * @returns {boolean} true when the event belongs to the tool.
+     */
+    handlePointerDown(event, raycaster) {
+        if (!this.drawing) return false;
+        const point = ZoneTool.pickGround(raycaster, this.manager.worldGroup);
+        const start = { x: event.clientX, y: event.clientY };
+        const onUp = (e) => {
+            window.removeEventListener('pointerup', onUp);
+            if (!point || Math.hypot(e.clientX - start.x, e.clientY - start.y) > CLICK_TOLERANCE) return;
+            this.addDraftPoint([point.x, point.z]);
+        };
+        window.addEventListener('pointerup', onUp);
+        return true;
+    }
+
+    /**
+     * Point of the ground plane under the pointer, in world group coordinates (also the waypoints of PathTool).
+     */
+    static pickGround(raycaster, worldGroup) {
+        worldGroup.updateMatrixWorld();
+        const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), -worldGroup.position.y);
+        const point = raycaster.ray.intersectPlane(ground, new THREE.Vector3());
+        return point ? worldGroup.worldToLocal(point) : null;
+    }
+
+    addDraftPoint(point) {
+        this.draft.push(point);
+        if (this.drawing === 'box' && this.draft.length === 2) {
+            this.finishZone('box', OccupancyZones.rectangle(this.draft[0], this.draft[1]));
+            return;
+        }
+        this.updateDraft();
+        this.updateHint();
+    }
+
+    closePolygon() {
+        if (this.draft.length < 3) {
+            alert("Click at least three corners first.");
+            return;
+        }
+        this.finishZone('polygon', this.draft);
+    }
+
+    finishZone(shape, points) {
+        const zone = OccupancyZones.create({ name: `Z${this.nextIndex()}`, shape, points, base: 0, height: this.height },
+            this.fields.category.value, this.manager.simulationConfig);
+        try {
+            OccupancyZones.validate(zone);
+        } catch (err) {
+            alert(err.message);
+            this.setDrawing(this.drawing);
+            return;
+        }
+        this.addZone(zone);
+        this.setDrawing(this.drawing);
+    }
+
+    /**
+     * Outline of the zone being drawn.
+     */
+    updateDraft() {
+        if (this.draftLine) DoseProbe.disposeObject(this.draftLine);
+        this.draftLine = null;
+        if (!this.draft.length) return;
+        const points = this.draft.map(([x, z]) => new THREE.Vector3(x, 0, z));
+        if (this.draft.length === 1) points.push(points[0].clone());
+        this.draftLine = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: DRAFT_COLOR, depthTest: false }));
+        this.draftLine.renderOrder = 1;
+        this.manager.worldGroup.add(this.draftLine);
+    }
+
+    nextIndex() {
+        return this.zones.reduce((max, z) => Math.max(max, Number(z.name.replace(/^Z/, '')) || 0), 0) + 1;
+    }
+
+    addZone(zone) {
+        this.zones.push(zone);
+        this.buildVisual(zone);
+        this.select(zone);
+        return zone;
+    }
+
+    removeZone(zone) {
+        DoseProbe.disposeObject(zone.visual);
+        this.zones = this.zones.filter(z => z !== zone);
+        this.select(this.current === zone ? this.zones[0] || null : this.current);
+    }
+
+    clearZones() {
+        this.zones.forEach(z => DoseProbe.disposeObject(z.visual));
+        this.zones = [];
+        this.select(null);
+    }
+
+    /**
+     * Translucent prism and outline of a zone, red while it exceeds its limit.
+     */
+    buildVisual(zone) {
+        if (zone.visual) DoseProbe.disposeObject(zone.visual);
+        const shape = new THREE.Shape(zone.points.map(([x, z]) => new THREE.Vector2(x, -z)));
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: zone.height, bevelEnabled: false });
+        // Shape plane (X, -Z) extruded along +Y
+        geometry.rotateX(-Math.PI / 2);
+        geometry.translate(0, zone.base, 0);
+
+        const color = OccupancyZones.status(this.summaries(zone)) ? EXCEEDED_COLOR : ZONE_CATEGORIES[zone.category].color;
+        const visual = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color, transparent: true, opacity: 0.15, depthWrite: false, side: THREE.DoubleSide
+        }));
+        visual.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry), new THREE.LineBasicMaterial({ color })));
+        visual.userData.isZone = true;
+        zone.visual = visual;
+        this.manager.worldGroup.add(visual);
+    }
+
+    select(zone) {
+        this.current = zone;
+        if (!this.panel) return;
+        const f = this.fields;
+        f.zone.replaceChildren(...this.zones.map((z, i) => new Option(z.name, i)));
+        f.zone.value = zone ? this.zones.indexOf(zone) : '';
+        f.limit.parentElement.firstChild.textContent = `Limit (${this.doseUnit()})`;
+        if (zone) {
+            f.name.value = zone.name;
+            f.category.value = zone.category;
+            f.occupancy.value = zone.occupancy;
+            f.limit.value = zone.limit;
+            f.height.value = zone.height;
+        }
+        Object.values(f).forEach(input => { input.disabled = !zone; });
+        this.update();
+    }
+
+    /**
+     * Applies settings to the current zone. Geometry changes drop its dose samples.
+     */
+    edit(changes, geometry = false) {
+        const zone = this.current;
+        if (!zone) return;
+        Object.assign(zone, changes);
+        if (geometry) zone.estimates = null;
+        this.buildVisual(zone);
+        this.select(zone);
+    }
+
+    /**
+     * Doses of every zone: analytic on the worker pool, then each imported volume.
+     * Each zone keeps its samples per estimate, summarized against its current settings.
+     */
+    async evaluate() {
+        const { manager } = this;
+        if (!this.zones.length) {
+            alert("Draw a zone first.");
+            return;
+        }
+        if (this.running) return;
+        this.running = true;
+        try {
+            manager.worldGroup.updateMatrixWorld();
+            const matrix = manager.worldGroup.matrixWorld.elements;
+            const samples = this.zones.map(zone => StlGeometry.transform(OccupancyZones.samplePoints(zone, this.spacing), matrix));
+            const positions = WorkerPool.concat(samples);
+            const sources = manager.getDoseSources();
+            const shields = manager.getShields();
+            const payloads = WorkerPool.ranges(positions.length / 3, WorkerPool.defaultSize() * 4).map(([start, end]) => ({
+                sources, shields, positions: positions.slice(start * 3, end * 3), units: end - start
+            }));
+            const analytic = WorkerPool.concat(await manager.runTask('Evaluating Zones', 'dosePoints', payloads, p => [p.positions.buffer]));
+
+            const point = new THREE.Vector3();
+            let offset = 0;
+            this.zones.forEach((zone, i) => {
+                const count = samples[i].length / 3;
+                zone.estimates = [
+                    { name: 'Analytic', unit: this.doseUnit(), values: analytic.slice(offset, offset + count) },
+                    ...manager.importedVolumes.map(volume => ({
+                        name: manager.getVolumeLabel(volume),
+                        unit: volume.userData.params.units,
+                        values: Float32Array.from({ length: count }, (_, p) => VolumeResampler.sampleAt(volume, point.fromArray(samples[i], p * 3)))
+                    }))
+                ];
+                offset += count;
+                this.buildVisual(zone);
+            });
+            this.update();
+        } catch (err) {
+            if (err instanceof TaskCancelledError) return;
+            console.error(err);
+            alert(`Zone evaluation failed.\n${err.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Summary of each estimate of a zone (OccupancyZones.summarize), empty before evaluation.
+     */
+    summaries(zone) {
+        return (zone.estimates || []).map(e => ({ name: e.name, unit: e.unit, ...OccupancyZones.summarize(e.values, zone) }));
+    }
+
+    /**
+     * Redraws the result table: one row per zone and estimate.
+     */
+    update() {
+        if (!this.panel) return;
+        const format = v => Number.isFinite(v) ? LineChart.format(v) : '-';
+        const rows = [], exceeded = [];
+        this.zones.forEach(zone => {
+            const summaries = this.summaries(zone);
+            if (!summaries.length) {
+                rows.push([zone.name, 'Not evaluated', '-', '-', '-', format(zone.limit), '-']);
+                exceeded.push(false);
+            }
+            summaries.forEach(s => {
+                rows.push([zone.name, s.unit ? `${s.name} (${s.unit})` : s.name, format(s.max), format(s.mean), format(s.weighted), format(zone.limit), STATUS_LABELS[s.exceeds]]);
+                exceeded.push(s.exceeds === true);
+            });
+        });
+        const table = FloatingPanel.createTable(['Zone', 'Estimate', 'Max', 'Mean', 'Max × Occ.', 'Limit', 'Status'], rows);
+        Array.from(table.tBodies[0].rows).forEach((row, i) => { if (exceeded[i]) row.className = 'exceeds'; });
+        this.table.replaceChildren(table);
+
+        const statuses = this.zones.map(z => OccupancyZones.status(this.summaries(z)));
+        const failing = this.zones.filter((_, i) => statuses[i]);
+        this.summary.textContent = !this.zones.length ? ''
+            : failing.length ? `${failing.length} of ${this.zones.length} zone(s) over their limit: ${failing.map(z => z.name).join(', ')}`
+            : statuses.every(s => s === false) ? `All ${this.zones.length} zone(s) within their limits.`
+            : 'Evaluate to check the zones against their limits.';
+    }
+
+    doseUnit() {
+        return this.manager.simulationConfig.doseQuantity === 'cumulative' ? 'µSv' : 'µSv/h';
+    }
+
+    exportReportCSV() {
+        if (!this.zones.some(z => z.estimates)) {
+            alert("Evaluate the zones first.");
+            return;
+        }
+        const config = this.manager.simulationConfig;
+        const number = v => Number.isFinite(v) ? v : '';
+        const rows = [
+            ['# Occupancy zone compliance', new Date().toISOString(), config.doseQuantity === 'cumulative' ? `Cumulative dose over ${config.exposureHours} h` : 'Dose rate',
+                `Sample spacing ${this.spacing} mm`],
+            ['Zone', 'Category', 'Shape', 'Height (mm)', 'Occupancy', `Limit (${this.doseUnit()})`, 'Estimate', 'Unit', 'Samples', 'Max', 'Mean', 'Max x Occupancy', 'Status']
+        ];
+        this.zones.forEach(zone => {
+            const settings = [zone.name, ZONE_CATEGORIES[zone.category].label, zone.shape, zone.height, zone.occupancy, zone.limit];
+            const summaries = this.summaries(zone);
+            if (!summaries.length) rows.push([...settings, '', '', 0, '', '', '', 'Not evaluated']);
+            summaries.forEach(s => rows.push([...settings, s.name, s.unit, s.samples, number(s.max), number(s.mean), number(s.weighted), STATUS_LABELS[s.exceeds]]));
+        });
+        this.manager.downloadCSV(rows, 'zone_compliance.csv');
+    }
+
+    /**
+     * Saved state (world group coordinates). Dose samples are not saved: evaluate again after loading.
+     */
+    toJSON() {
+        return {
+            spacing: this.spacing,
+            zones: this.zones.map(({ name, shape, category, occupancy, limit, base, height, points }) => ({
+                name, shape, category, occupancy, limit, base, height, points: points.map(p => p.slice())
+            }))
+        };
+    }
+
+    restore(state) {
+        this.clear();
+        if (state.spacing) this.spacing = state.spacing;
+        (state.zones || []).forEach(zone => this.addZone({ shape: 'polygon', base: 0, ...zone, points: zone.points.map(p => p.slice()) }));
+    }
+
+    /**
+     * Removes every zone and the drawing in progress (scene cleared).
+     */
+    clear() {
+        this.setDrawing(null);
+        this.clearZones();
+    }
+}
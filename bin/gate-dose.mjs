@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Headless dose-grid export: writes the .mhd/.raw of the "Export GATE Files" button
+ * for scene files saved by the designer (projects or JSON scenes), without a browser.
+ *
+ *   node bin/gate-dose.mjs scene.gateproj [more.json ...] [options]
+ */
+import { openAsBlob } from 'node:fs';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { DoseModel } from '../DoseModel.js';
+import { MetaImageWriter } from '../MetaImageWriter.js';
+import { VolumeGrid } from '../VolumeGrid.js';
+import { StlGeometry } from '../StlGeometry.js';
+import { IsotopeLibrary } from '../IsotopeLibrary.js';
+import { ProjectArchive } from '../ProjectArchive.js';
+import { SceneSchema } from '../SceneSchema.js';
+
+// Asset paths in scene files are relative to the application root
+const APP_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const USAGE = `Usage: node bin/gate-dose.mjs <scene.gateproj|scene.json>... [options]
+
+Options (vectors are "x,y,z" in scene coordinates, as in the Voxel Domain panel):
+  -o, --out <dir>          Output directory (default: current directory)
+  -n, --name <name>        Output base name (default: <scene>-Dose)
+  -a, --assets <dir>       Root of the asset paths used by shielding meshes (default: application root)
+      --size <x,y,z>       Override the domain size
+      --resolution <x,y,z> Override the voxel count per axis
+      --offset <x,y,z>     Override the domain offset
+      --date <iso>         Scene date for the decay of isotope sources (UTC without time zone)
+      --exposure <hours>   Export the cumulative dose over this window starting at the scene date
+      --rate               Export the dose rate even if the scene was saved for a cumulative dose
+  -h, --help               Show this message`;
+
+function parseVector(text, option) {
+    const values = text.split(',').map(Number);
+    if (values.length !== 3 || values.some(v => !Number.isFinite(v))) {
+        throw new Error(`--${option} expects three comma-separated numbers, got "${text}".`);
+    }
+    return { x: values[0], y: values[1], z: values[2] };
+}
+
+/**
+ * Simulation config of a saved scene with the command-line overrides applied.
+ */
+function resolveConfig(state, overrides) {
+    if (!state.config || !state.config.domainSize || !state.config.voxelResolution || !state.config.offset) {
+        throw new Error("Scene file has no simulation config (domainSize / voxelResolution / offset).");
+    }
+    const conf = {
+        domainSize: overrides.size || state.config.domainSize,
+        voxelResolution: overrides.resolution || state.config.voxelResolution,
+        offset: overrides.offset || state.config.offset,
+        sceneDate: overrides.date || state.config.sceneDate,
+        doseQuantity: overrides.doseQuantity || state.config.doseQuantity,
+        exposureHours: overrides.exposureHours !== undefined ? overrides.exposureHours : state.config.exposureHours
+    };
+    ['x', 'y', 'z'].forEach(axis => {
+        if (!(Math.floor(conf.voxelResolution[axis]) >= 1)) throw new Error(`Voxel resolution ${axis} must be at least 1.`);
+        if (!(conf.domainSize[axis] > 0)) throw new Error(`Domain size ${axis} must be positive.`);
+    });
+    return conf;
+}
+
+/**
+ * Parsed STL of every library asset with a shielding material, by asset path.
+ */
+async function loadShieldingGeometries(state, assetsRoot) {
+    const geometries = {};
+    for (const asset of DoseModel.shieldingAssets(state)) {
+        if (asset.type !== 'library_asset' || geometries[asset.path]) continue;
+        const bytes = await readFile(resolve(assetsRoot, asset.path));
+        geometries[asset.path] = StlGeometry.parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    }
+    return geometries;
+}
+
+/**
+ * Validated state of a project archive, with its embedded geometries read, or of a JSON scene file
+ * (see SceneSchema).
+ */
+async function readSceneState(file) {
+    const blob = await openAsBlob(file);
+    if (!(await ProjectArchive.isArchive(blob))) return SceneSchema.load(JSON.parse(await blob.text()));
+    const archive = await ProjectArchive.open(blob);
+    const state = SceneSchema.load(await archive.readState(), { entrySize: path => archive.size(path) });
+    await archive.readGeometries(state);
+    return state;
+}
+
+async function exportScene(file, options, overrides) {
+    const state = await readSceneState(file);
+    const conf = resolveConfig(state, overrides);
+    const grid = VolumeGrid.fromSimulationConfig(conf);
+    const geometries = await loadShieldingGeometries(state, options.assets);
+    const buffer = DoseModel.fromSceneState(state, conf, geometries).computeGrid(grid);
+
+    const suffix = conf.doseQuantity === 'cumulative' ? 'CumulativeDose' : 'Dose';
+    const baseName = (options.name || `${basename(file, extname(file))}-${suffix}`).replace(/[^\w.-]+/g, '_');
+    const rawFileName = `${baseName}.raw`;
+    const { mhd, raw } = MetaImageWriter.write(buffer, grid, rawFileName);
+
+    await mkdir(options.out, { recursive: true });
+    await writeFile(join(options.out, rawFileName), new Uint8Array(raw));
+    await writeFile(join(options.out, `${baseName}.mhd`), mhd);
+
+    const [nx, ny, nz] = grid.dims;
+    const shieldCount = DoseModel.shieldingAssets(state).length;
+    console.log(`${file} -> ${join(options.out, baseName)}.mhd (${nx}x${ny}x${nz}, ${(state.sources || []).length} source(s), ${shieldCount} shield(s))`);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: '.' },
+            name: { type: 'string', short: 'n' },
+            assets: { type: 'string', short: 'a', default: APP_ROOT },
+            size: { type: 'string' },
+            resolution: { type: 'string' },
+            offset: { type: 'string' },
+            date: { type: 'string' },
+            exposure: { type: 'string' },
+            rate: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    if (values.name && positionals.length > 1) {
+        throw new Error("--name can only be used with a single scene file.");
+    }
+
+    const overrides = {};
+    ['size', 'resolution', 'offset'].forEach(option => {
+        if (values[option] !== undefined) overrides[option] = parseVector(values[option], option);
+    });
+    if (values.date !== undefined) {
+        if (Number.isNaN(IsotopeLibrary.parseDate(values.date))) throw new Error(`--date expects an ISO 8601 date, got "${values.date}".`);
+        overrides.date = values.date;
+    }
+    if (values.exposure !== undefined && values.rate) {
+        throw new Error("--exposure and --rate cannot be used together.");
+    }
+    if (values.exposure !== undefined) {
+        const hours = Number(values.exposure);
+        if (!(hours >= 0)) throw new Error(`--exposure expects a number of hours, got "${values.exposure}".`);
+        overrides.doseQuantity = 'cumulative';
+        overrides.exposureHours = hours;
+    }
+    if (values.rate) overrides.doseQuantity = 'rate';
+
+    for (const file of positionals) {
+        try {
+            await exportScene(file, values, overrides);
+        } catch (e) {
+            console.error(`${file}: ${e.message}`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+});